@@ -16,6 +16,11 @@ const vaultRoutes = require('./routes/vaultRoutes');
 const blockchainRoutes = require('./routes/blockchainRoutes');
 const storageRoutes = require('./routes/storageRoutes');
 const oauthRoutes = require('./routes/oauthRoutes');
+const presentationRoutes = require('./routes/presentationRoutes');
+const statusListRoutes = require('./routes/statusListRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const recoveryRoutes = require('./routes/recoveryRoutes');
+const didWebRoutes = require('./routes/didWebRoutes');
 
 const app = express();
 
@@ -67,10 +72,20 @@ const authLimiter = rateLimit({
     skipSuccessfulRequests: true,
 });
 
+// Social recovery requests notify the owner and every guardian, so successful requests count too
+const recoveryLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 recovery requests / completion attempts per hour
+    message: 'Too many recovery attempts, please try again later.',
+});
+
 // Apply rate limiting
 app.use('/api/', limiter);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/recover-vault', authLimiter);
+app.post('/api/recovery/requests', recoveryLimiter);
+app.post('/api/recovery/requests/:requestId/complete', recoveryLimiter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -90,6 +105,13 @@ app.use('/api/vault', vaultRoutes);
 app.use('/api/blockchain', blockchainRoutes);
 app.use('/api/storage', storageRoutes);
 app.use('/api/oauth', oauthRoutes);
+app.use('/api/presentations', presentationRoutes);
+app.use('/api/status-lists', statusListRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/recovery', recoveryRoutes);
+
+// did:web documents (/.well-known/did.json, /users/<id>/did.json)
+app.use('/', didWebRoutes);
 
 // API documentation route
 app.get('/api', (req, res) => {
@@ -105,14 +127,25 @@ app.get('/api', (req, res) => {
             blockchain: '/api/blockchain',
             storage: '/api/storage',
             oauth: '/api/oauth',
+            presentations: '/api/presentations',
+            notifications: '/api/notifications',
+            recovery: '/api/recovery',
         },
         publicEndpoints: {
             verifyCredentialHash: 'POST /api/credentials/public/verify-hash',
+            verifyCredentialJwt: 'POST /api/credentials/public/verify',
+            verifyPresentation: 'POST /api/presentations/verify',
+            statusList: 'GET /api/status-lists/:listId',
             ipfsStatus: 'GET /api/storage/ipfs/status',
             ipfsGateway: 'GET /api/storage/ipfs/:cid',
             oauthAuthorize: 'GET /api/oauth/authorize',
             oauthToken: 'POST /api/oauth/token',
             oauthUserInfo: 'GET /api/oauth/userinfo',
+            recoveryRequest: 'POST /api/recovery/requests',
+            recoveryRequestStatus: 'GET /api/recovery/requests/:requestId',
+            recoveryComplete: 'POST /api/recovery/requests/:requestId/complete',
+            didWebDomain: 'GET /.well-known/did.json',
+            didWebDocument: 'GET /users/:id/did.json',
         },
         features: {
             authentication: 'JWT-based authentication',
@@ -100,6 +100,70 @@ class Blockchain {
         return this.addBlock(blockData);
     }
 
+    /**
+     * Store credential status list hash in blockchain
+     */
+    storeStatusList(statusListData) {
+        const blockData = {
+            type: 'status-list',
+            listId: statusListData.listId,
+            did: statusListData.issuerDID,
+            statusPurpose: statusListData.statusPurpose,
+            listHash: statusListData.listHash,
+            timestamp: Date.now(),
+        };
+        
+        return this.addBlock(blockData);
+    }
+
+    /**
+     * Store a credential status change in blockchain
+     * Carries no credentialHash, so it never counts as the credential's own anchor
+     */
+    storeStatusChange(statusData) {
+        const blockData = {
+            type: 'credential-status',
+            credentialId: statusData.credentialId,
+            did: statusData.issuerDID,
+            status: statusData.status,
+            timestamp: Date.now(),
+        };
+        
+        return this.addBlock(blockData);
+    }
+
+    /**
+     * Store a DID key change (key added, key revoked, relationships moved) in blockchain
+     */
+    storeKeyChange(keyChangeData) {
+        const blockData = {
+            type: 'did-key-change',
+            did: keyChangeData.did,
+            action: keyChangeData.action,
+            verificationMethod: keyChangeData.verificationMethod || null,
+            documentHash: keyChangeData.documentHash,
+            timestamp: Date.now(),
+        };
+        
+        return this.addBlock(blockData);
+    }
+
+    /**
+     * Store a DID deactivation or reactivation in blockchain
+     * The cascade hash commits to the credentials and grants it affected without listing them
+     */
+    storeDIDStatusChange(statusData) {
+        const blockData = {
+            type: 'did-status-change',
+            did: statusData.did,
+            status: statusData.status,
+            cascadeHash: statusData.cascadeHash || null,
+            timestamp: Date.now(),
+        };
+        
+        return this.addBlock(blockData);
+    }
+
     /**
      * Validate the entire blockchain
      */
@@ -187,6 +251,18 @@ class Blockchain {
         return null;
     }
 
+    /**
+     * Find the first block anchoring a credential hash
+     */
+    findFirstCredentialAnchor(credentialHash) {
+        const block = this.chain.find(block =>
+            block.data &&
+            block.data.type === 'credential' &&
+            block.data.credentialHash === credentialHash
+        );
+        return block ? block.toJSON() : null;
+    }
+
     /**
      * Verify credential exists in blockchain
      */
@@ -0,0 +1,51 @@
+const { ethers } = require('ethers');
+const registryArtifact = require('../../contracts/artifacts/EthereumDIDRegistry.json');
+const logger = require('../utils/logger');
+
+const DEV_CHAIN_ID = 1337;
+
+/**
+ * In-process Ethereum dev chain for did:ethr (ETHR_DEV_CHAIN=true)
+ *
+ * Runs ganache inside the backend process with deterministic, pre-funded accounts and deploys a
+ * fresh ERC-1056 registry, so did:ethr identities work (and are tested) without Sepolia, an RPC
+ * provider or test ETH. The chain lives in memory: identities are lost on restart.
+ */
+const startDevChain = async () => {
+    let ganache;
+    try {
+        // A dev dependency; production deployments point ETHR_RPC_URL at a real network
+        ganache = require('ganache');
+    } catch (error) {
+        throw new Error('The did:ethr dev chain needs the ganache dev dependency (npm install --include=dev)');
+    }
+
+    const eip1193 = ganache.provider({
+        chain: { chainId: DEV_CHAIN_ID },
+        wallet: { deterministic: true },
+        logging: { quiet: true }
+    });
+
+    const provider = new ethers.BrowserProvider(eip1193, DEV_CHAIN_ID);
+    provider.pollingInterval = 100;
+    const relayer = await provider.getSigner(0);
+
+    const factory = new ethers.ContractFactory(registryArtifact.abi, registryArtifact.bytecode, relayer);
+    const registry = await factory.deploy();
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
+
+    logger.info(`⛓️  did:ethr dev chain started (chain ID ${DEV_CHAIN_ID}), registry at ${registryAddress}`);
+
+    return {
+        provider,
+        relayer,
+        registryAddress,
+        stop: () => eip1193.disconnect()
+    };
+};
+
+module.exports = {
+    DEV_CHAIN_ID,
+    startDevChain,
+};
@@ -50,6 +50,19 @@ module.exports = {
     ],
   },
   
+  // did:ethr identities, controlled through an ERC-1056 registry (contracts/EthereumDIDRegistry.sol)
+  ethr: {
+    // Run an in-process dev chain (ganache, a dev dependency) with a freshly deployed registry
+    devChain: process.env.ETHR_DEV_CHAIN === 'true',
+    // Network part of did:ethr:<network>:<address>; the dev chain is named by its chain id
+    network: process.env.ETHR_NETWORK || (process.env.ETHR_DEV_CHAIN === 'true' ? '0x539' : process.env.ETHEREUM_NETWORK || 'sepolia'),
+    chainId: process.env.ETHR_DEV_CHAIN === 'true' ? 1337 : parseInt(process.env.ETHR_CHAIN_ID, 10) || 11155111,
+    rpcUrl: process.env.ETHR_RPC_URL || process.env.ETHEREUM_RPC_URL || '',
+    registryAddress: process.env.ETHR_REGISTRY_ADDRESS || '',
+    // Account paying the gas of registry changes signed by identity owners
+    relayerPrivateKey: process.env.ETHR_RELAYER_PRIVATE_KEY || process.env.ETHEREUM_PRIVATE_KEY || '',
+  },
+  
   // Blockchain Storage Settings
   storage: {
     persistToFile: true,
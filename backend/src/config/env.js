@@ -4,11 +4,31 @@ const path = require('path');
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+// Master keyring: ENCRYPTION_KEYS="id:key,id:key" (oldest first). A lone ENCRYPTION_KEY is read
+// as the key with id "default", listed first so data written under it stays readable
+const parseKeyring = (keys, legacyKey) => {
+  const entries = (keys || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return { id: entry.substring(0, separator), key: entry.substring(separator + 1) };
+    });
+
+  return legacyKey ? [{ id: 'default', key: legacyKey }, ...entries] : entries;
+};
+
+const port = parseInt(process.env.PORT, 10) || 3000;
+const publicUrl = process.env.PUBLIC_URL || `http://localhost:${port}`;
+
 module.exports = {
   // Server Configuration
   env: process.env.NODE_ENV || 'development',
-  port: parseInt(process.env.PORT, 10) || 3000,
+  port,
   host: process.env.HOST || 'localhost',
+  // Externally reachable base URL, used in published links such as status lists
+  publicUrl,
   
   // JWT Configuration
   jwt: {
@@ -20,10 +40,78 @@ module.exports = {
   
   // Encryption Configuration
   encryption: {
-    key: process.env.ENCRYPTION_KEY || 'default-encryption-key-32-chars',
+    keys: parseKeyring(process.env.ENCRYPTION_KEYS, process.env.ENCRYPTION_KEY),
+    activeKeyId: process.env.ENCRYPTION_ACTIVE_KEY_ID || null,
     algorithm: process.env.ENCRYPTION_ALGORITHM || 'aes-256-gcm',
   },
   
+  // Key Management (DID signing keys)
+  kms: {
+    backend: process.env.KMS_BACKEND || 'local',
+    keystorePath: process.env.KMS_KEYSTORE_PATH || './keystore-data/keystore.json',
+  },
+  
+  // did:web hosting and resolution
+  didWeb: {
+    // Host (host[:port]) did:web identifiers are created under; their documents are served by this backend
+    domain: process.env.DID_WEB_DOMAIN || new URL(publicUrl).host,
+    // Account allowed to hold the domain's own identity, did:web:<domain>
+    rootOwner: process.env.DID_WEB_ROOT_OWNER || null,
+    // Directory of did.json files standing in for external did:web hosts (<dir>/<host>/<path>/did.json)
+    fixturesDir: process.env.DID_WEB_FIXTURES_DIR || null,
+    timeoutMs: parseInt(process.env.DID_WEB_TIMEOUT_MS, 10) || 5000,
+  },
+
+  // Universal DID resolver (caches did:web documents of other hosts and did:ethr registry reads)
+  didResolver: {
+    cacheTtlMs: parseInt(process.env.DID_RESOLVER_CACHE_TTL_MS, 10) || 5 * 60 * 1000,
+    // DIDs that were not found or invalid are remembered for a shorter time
+    negativeCacheTtlMs: parseInt(process.env.DID_RESOLVER_NEGATIVE_CACHE_TTL_MS, 10) || 30 * 1000,
+    cacheMaxEntries: parseInt(process.env.DID_RESOLVER_CACHE_MAX_ENTRIES, 10) || 1000,
+  },
+  
+  // What deactivating a DID does to its credentials and OAuth grants (overridable per deactivation)
+  didDeactivation: {
+    issuedCredentials: process.env.DID_DEACTIVATION_ISSUED_CREDENTIALS || 'suspend', // suspend | revoke | keep
+    heldCredentials: process.env.DID_DEACTIVATION_HELD_CREDENTIALS || 'flag', // flag | keep
+    oauthGrants: process.env.DID_DEACTIVATION_OAUTH_GRANTS || 'revoke', // revoke | keep
+    anchorOnChain: process.env.DID_DEACTIVATION_ANCHOR_ON_CHAIN !== 'false',
+  },
+  
+  // Credential Status List Configuration
+  statusList: {
+    anchorOnChain: process.env.STATUS_LIST_ANCHOR_ON_CHAIN !== 'false',
+    // Time limit for fetching status lists of other issuers during verification
+    fetchTimeoutMs: parseInt(process.env.STATUS_LIST_FETCH_TIMEOUT_MS, 10) || 5000,
+  },
+  
+  // Background Jobs Configuration
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    expirySweepIntervalMs: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000, // 1 hour
+    reinstatementIntervalMs: parseInt(process.env.REINSTATEMENT_INTERVAL_MS, 10) || 15 * 60 * 1000, // 15 minutes
+    expiryWarningDays: parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 30,
+    keyRotationResumeIntervalMs: parseInt(process.env.KEY_ROTATION_RESUME_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    encryptionUpgradeIntervalMs: parseInt(process.env.ENCRYPTION_UPGRADE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000, // 6 hours
+  },
+  
+  // Password-protected vaults stay unlocked in memory for this long after login
+  vaultSession: {
+    ttlMs: parseInt(process.env.VAULT_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000, // 12 hours
+  },
+  
+  // Social recovery of password-protected vaults
+  socialRecovery: {
+    requestTtlMs: parseInt(process.env.RECOVERY_REQUEST_TTL_MS, 10) || 72 * 60 * 60 * 1000, // 72 hours
+    maxRequestsPerDay: parseInt(process.env.RECOVERY_MAX_REQUESTS_PER_DAY, 10) || 3,
+    maxFailedAttempts: parseInt(process.env.RECOVERY_MAX_FAILED_ATTEMPTS, 10) || 5,
+  },
+  
+  // Issuer Webhook Configuration
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+  },
+  
   // CORS Configuration
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
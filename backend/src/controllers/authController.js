@@ -1,25 +1,30 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const config = require('../config/env');
 const encryptionService = require('../services/encryptionService');
 const didService = require('../services/didService');
+const vaultSessionService = require('../services/vaultSessionService');
+const { generateKey } = require('../utils/crypto');
+const { assertPublicUrl } = require('../utils/publicHost');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
  * Generate JWT token
+ * sid names the login session; unlocked vault keys are held per session
  */
-const generateToken = (userId) => {
-    return jwt.sign({ id: userId }, config.jwt.secret, {
+const generateToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, config.jwt.secret, {
         expiresIn: config.jwt.expiresIn,
     });
 };
 
 /**
- * Generate refresh token
+ * Generate refresh token (for the same login session)
  */
-const generateRefreshToken = (userId) => {
-    return jwt.sign({ id: userId }, config.jwt.refreshSecret, {
+const generateRefreshToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, config.jwt.refreshSecret, {
         expiresIn: config.jwt.refreshExpiresIn,
     });
 };
@@ -60,8 +65,9 @@ exports.register = asyncHandler(async (req, res) => {
     }
 
     // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const sessionId = uuidv4();
+    const token = generateToken(user._id, sessionId);
+    const refreshToken = generateRefreshToken(user._id, sessionId);
 
     logger.info(`✅ User registered: ${user.email}`);
 
@@ -85,7 +91,7 @@ exports.login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     // Find user and include password field
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +vaultKeyWraps +clientVault');
 
     if (!user) {
         return res.status(401).json({
@@ -126,9 +132,16 @@ exports.login = asyncHandler(async (req, res) => {
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
+    // Password-protected vaults are unlocked for this session only
+    const sessionId = uuidv4();
+    if (user.vaultKeyProtection === 'password') {
+        const keyEncryptionKey = encryptionService.decryptVaultKey(user.vaultKeyWraps.password, password);
+        vaultSessionService.unlock(sessionId, user._id, keyEncryptionKey);
+    }
+
     // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const token = generateToken(user._id, sessionId);
+    const refreshToken = generateRefreshToken(user._id, sessionId);
 
     logger.info(`✅ User logged in: ${user.email}`);
 
@@ -139,6 +152,8 @@ exports.login = asyncHandler(async (req, res) => {
             user: user.toSafeObject(),
             token,
             refreshToken,
+            // Wrapped browser vault key, unwrapped in the browser with the password just entered
+            clientVault: user.clientVault,
         },
     });
 });
@@ -172,8 +187,8 @@ exports.refreshToken = asyncHandler(async (req, res) => {
             });
         }
 
-        // Generate new access token
-        const newToken = generateToken(user._id);
+        // Generate new access token, still in the session the refresh token was issued for
+        const newToken = generateToken(user._id, decoded.sid);
 
         res.status(200).json({
             success: true,
@@ -200,6 +215,9 @@ exports.logout = asyncHandler(async (req, res) => {
     // For now, we'll just send a success response
     // The client should delete the token from storage
 
+    // Forget the unwrapped key of a password-protected vault (other logins keep theirs)
+    vaultSessionService.lock(req.sessionId);
+
     logger.info(`✅ User logged out: ${req.user.email}`);
 
     res.status(200).json({
@@ -230,8 +248,8 @@ exports.getMe = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.updateProfile = asyncHandler(async (req, res) => {
-    const { username, email } = req.body;
-    const user = await User.findById(req.userId);
+    const { username, email, webhookUrl } = req.body;
+    const user = await User.findById(req.userId).select('+webhookSecret');
 
     // Check if email/username is already taken by another user
     if (email && email !== user.email) {
@@ -256,6 +274,27 @@ exports.updateProfile = asyncHandler(async (req, res) => {
         user.username = username;
     }
 
+    // Issuer webhook: the signing secret is generated once and only shown in this response
+    let webhookSecret;
+    if (webhookUrl !== undefined) {
+        // The server POSTs to this URL, so it must not reach addresses on the server's own network
+        if (webhookUrl) {
+            try {
+                await assertPublicUrl(webhookUrl);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid webhook URL: ${error.message}`,
+                });
+            }
+        }
+        user.webhookUrl = webhookUrl || null;
+        if (user.webhookUrl && !user.webhookSecret) {
+            webhookSecret = generateKey();
+            user.webhookSecret = webhookSecret;
+        }
+    }
+
     await user.save();
 
     logger.info(`✅ User profile updated: ${user.email}`);
@@ -265,6 +304,7 @@ exports.updateProfile = asyncHandler(async (req, res) => {
         message: 'Profile updated successfully',
         data: {
             user: user.toSafeObject(),
+            ...(webhookSecret && { webhookSecret }),
         },
     });
 });
@@ -275,9 +315,9 @@ exports.updateProfile = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.changePassword = asyncHandler(async (req, res) => {
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword, clientVault } = req.body;
 
-    const user = await User.findById(req.userId).select('+password +vaultKey');
+    const user = await User.findById(req.userId).select('+password +vaultKeyWraps +clientVault');
 
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
@@ -289,26 +329,236 @@ exports.changePassword = asyncHandler(async (req, res) => {
         });
     }
 
-    // Re-encrypt vault key with new password
+    // Password-protected vaults: re-wrap the key-encryption key with the new password
+    // (the vault key itself and every credential stay as they are)
+    if (user.vaultKeyProtection === 'password') {
+        const keyEncryptionKey = encryptionService.decryptVaultKey(user.vaultKeyWraps.password, currentPassword);
+        user.vaultKeyWraps = {
+            password: encryptionService.encryptVaultKey(keyEncryptionKey, newPassword),
+            recovery: user.vaultKeyWraps.recovery,
+            social: user.vaultKeyWraps.social,
+        };
+    }
+
+    // The browser vault key is wrapped with the password in the browser, so it has to send the new wrap
+    if (user.clientVault) {
+        if (!clientVault) {
+            return res.status(400).json({
+                success: false,
+                message: 'Re-wrap your browser vault key with the new password before changing it',
+            });
+        }
+
+        user.clientVault = { ...user.clientVault.toObject(), ...clientVault };
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    logger.info(`✅ Password changed: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+    });
+});
+
+/**
+ * @desc    Enable password protection (zero-knowledge mode) for the vault key
+ * @route   POST /api/auth/vault-protection
+ * @access  Private
+ */
+exports.enableVaultProtection = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId).select('+password +vaultKey +pendingVaultKey');
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+        return res.status(401).json({
+            success: false,
+            message: 'Password is incorrect',
+        });
+    }
+
+    if (user.vaultKeyProtection === 'password') {
+        return res.status(400).json({
+            success: false,
+            message: 'Vault is already password protected',
+        });
+    }
+
+    // The vault stays unlocked for this login only, so the token must name one
+    if (!req.sessionId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Log in again before enabling vault protection',
+        });
+    }
+
+    if (user.pendingVaultKey) {
+        return res.status(409).json({
+            success: false,
+            message: 'Finish the vault key rotation in progress first',
+        });
+    }
+
+    // The key-encryption key is only ever stored wrapped with the password and the recovery code
+    const keyEncryptionKey = generateKey();
+    const recoveryCode = encryptionService.generateRecoveryCode();
+    const { publicKey, privateKey } = encryptionService.generateAsymmetricKeyPair();
+
+    user.vaultKey = encryptionService.wrapKey(user.vaultKey, keyEncryptionKey, `vault-key:${user._id}`);
+    user.vaultPrivateKey = encryptionService.wrapKey(privateKey, keyEncryptionKey, `vault-private-key:${user._id}`);
+    user.vaultPublicKey = publicKey;
+    user.vaultKeyWraps = {
+        password: encryptionService.encryptVaultKey(keyEncryptionKey, password),
+        recovery: encryptionService.encryptVaultKey(
+            keyEncryptionKey,
+            encryptionService.normalizeRecoveryCode(recoveryCode)
+        ),
+    };
+    user.vaultKeyProtection = 'password';
+    await user.save();
+
+    vaultSessionService.unlock(req.sessionId, user._id, keyEncryptionKey);
+
+    logger.info(`🔐 Vault password protection enabled: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Vault is now password protected. Store the recovery code safely - it is shown only once',
+        data: {
+            recoveryCode,
+        },
+    });
+});
+
+/**
+ * @desc    Reset the password of a password-protected vault with its recovery code
+ * @route   POST /api/auth/recover-vault
+ * @access  Public
+ */
+exports.recoverVault = asyncHandler(async (req, res) => {
+    const { email, recoveryCode, newPassword } = req.body;
+
+    const user = await User.findOne({ email }).select('+vaultKeyWraps');
+
+    if (!user || user.vaultKeyProtection !== 'password') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid email or recovery code',
+        });
+    }
+
+    if (user.isLocked()) {
+        return res.status(403).json({
+            success: false,
+            message: 'Account is locked due to multiple failed attempts. Please try again later.',
+        });
+    }
+
+    let keyEncryptionKey;
     try {
-        const decryptedVaultKey = encryptionService.decryptVaultKey(user.vaultKey, currentPassword);
-        const newEncryptedVaultKey = encryptionService.encryptVaultKey(decryptedVaultKey, newPassword);
-        user.vaultKey = newEncryptedVaultKey;
+        keyEncryptionKey = encryptionService.decryptVaultKey(
+            user.vaultKeyWraps.recovery,
+            encryptionService.normalizeRecoveryCode(recoveryCode)
+        );
     } catch (error) {
-        return res.status(500).json({
+        await user.incLoginAttempts();
+
+        return res.status(400).json({
             success: false,
-            message: 'Failed to re-encrypt vault key',
+            message: 'Invalid email or recovery code',
         });
     }
 
-    // Update password
+    // A recovery code works once: a new one replaces it
+    const newRecoveryCode = encryptionService.generateRecoveryCode();
+    user.vaultKeyWraps = {
+        password: encryptionService.encryptVaultKey(keyEncryptionKey, newPassword),
+        recovery: encryptionService.encryptVaultKey(
+            keyEncryptionKey,
+            encryptionService.normalizeRecoveryCode(newRecoveryCode)
+        ),
+        social: user.vaultKeyWraps.social,
+    };
     user.password = newPassword;
     await user.save();
+    await user.resetLoginAttempts();
 
-    logger.info(`✅ Password changed: ${user.email}`);
+    // Sessions opened with the old password are locked; the new one starts unlocked
+    const sessionId = uuidv4();
+    vaultSessionService.lockAll(user._id);
+    vaultSessionService.unlock(sessionId, user._id, keyEncryptionKey);
+
+    logger.info(`✅ Vault recovered with recovery code: ${user.email}`);
 
     res.status(200).json({
         success: true,
-        message: 'Password changed successfully',
+        message: 'Password reset. Store the new recovery code safely - the old one no longer works',
+        data: {
+            user: user.toSafeObject(),
+            token: generateToken(user._id, sessionId),
+            refreshToken: generateRefreshToken(user._id, sessionId),
+            recoveryCode: newRecoveryCode,
+        },
     });
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Get the wrapped browser vault key (to unlock browser-side encryption)
+ * @route   GET /api/auth/client-vault
+ * @access  Private
+ */
+exports.getClientVault = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId).select('+clientVault');
+
+    if (!user.clientVault) {
+        return res.status(404).json({
+            success: false,
+            message: 'Browser-side encryption is not enabled',
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            clientVault: user.clientVault,
+        },
+    });
+});
+
+/**
+ * @desc    Enable browser-side encryption with a vault key created and wrapped in the browser
+ * @route   PUT /api/auth/client-vault
+ * @access  Private
+ */
+exports.enableClientVault = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.userId).select('+clientVault');
+
+    // Replacing the key would leave every browser-encrypted credential unreadable
+    if (user.clientVault) {
+        return res.status(409).json({
+            success: false,
+            message: 'Browser-side encryption is already enabled',
+        });
+    }
+
+    user.clientVault = {
+        ...req.body,
+        enabledAt: new Date(),
+    };
+    await user.save();
+
+    logger.info(`🔐 Browser-side encryption enabled: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Browser-side encryption enabled',
+        data: {
+            keyId: user.clientVault.keyId,
+        },
+    });
+});
@@ -2,30 +2,53 @@ const vaultService = require("../services/vaultService");
 const logger = require("../utils/logger");
 const { asyncHandler } = require("../middleware/errorHandler");
 
+/**
+ * Encode a credential in the requested alternate format
+ * JSON-LD needs no extra field since the credential record is already returned
+ */
+const encodeCredential = async (userId, credentialId, format) => {
+  if (format === "jwt") {
+    return { jwt: await vaultService.getCredentialJwt(userId, credentialId) };
+  }
+  if (format === "sd-jwt") {
+    return { sdJwt: await vaultService.getCredentialSdJwt(userId, credentialId) };
+  }
+  return {};
+};
+
 /**
  * @desc    Create a new credential
  * @route   POST /api/credentials
  * @access  Private
  */
 exports.createCredential = asyncHandler(async (req, res) => {
-  // Debug: Log the RAW request body first
-  logger.info(`🔍 RAW REQUEST BODY:`, req.body);
-  logger.info(`🔍 REQUEST BODY KEYS:`, Object.keys(req.body));
-  
-  const { type, subject, issuerDID, issueDate, expirationDate, metadata } =
+  const { type, subject, issuerDID, issueDate, expirationDate, metadata, format } =
     req.body;
-  
-  logger.info(`🔍 IssueDate value:`, issueDate);
-  logger.info(`🔍 IssueDate type:`, typeof issueDate);
-
-  // Debug: Log what we extracted from frontend
-  logger.info(`📥 Extracted fields:`, {
-    type,
-    hasSubject: !!subject,
-    issuerDID,
-    issueDate: issueDate || "NOT PROVIDED ❌",
-    expirationDate: expirationDate || "NOT PROVIDED ❌",
-  });
+
+  // Subjects encrypted in the browser are stored as received - the server never sees the plaintext
+  if (req.body.encryptedSubject) {
+    const credential = await vaultService.storeClientEncryptedCredential(req.userId, {
+      credentialId: req.body.credentialId,
+      credentialType: type,
+      issuerDID,
+      holder: req.body.holder,
+      encryptedSubject: req.body.encryptedSubject,
+      holderCopy: req.body.holderCopy,
+      subjectDigest: req.body.subjectDigest,
+      issuanceDate: issueDate,
+      expirationDate,
+      metadata,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Credential created successfully",
+      data: {
+        credential,
+        format: "json-ld",
+      },
+    });
+  }
 
   // Map request fields to service layer fields
   const credentialData = {
@@ -42,11 +65,16 @@ exports.createCredential = asyncHandler(async (req, res) => {
     credentialData
   );
 
+  // Optionally deliver the issued credential as a JWT-VC or SD-JWT as well
+  const encoded = await encodeCredential(req.userId, credential.credentialId, format);
+
   res.status(201).json({
     success: true,
     message: "Credential created successfully",
     data: {
       credential,
+      format: format || "json-ld",
+      ...encoded,
     },
   });
 });
@@ -57,11 +85,15 @@ exports.createCredential = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getCredentials = asyncHandler(async (req, res) => {
-  const { credentialType, status, page, limit } = req.query;
+  const { credentialType, status, subjectField, subjectValue, page, limit } = req.query;
 
   const filters = {};
   if (credentialType) filters.credentialType = credentialType;
   if (status) filters.status = status;
+  if (subjectField) {
+    filters.subjectField = subjectField;
+    filters.subjectValue = subjectValue;
+  }
 
   const credentials = await vaultService.listCredentials(req.userId, filters);
 
@@ -81,18 +113,23 @@ exports.getCredentials = asyncHandler(async (req, res) => {
  */
 exports.getCredential = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { decrypt } = req.query;
+  const { decrypt, format } = req.query;
 
+  // validateQuery has already converted decrypt to a boolean
   const credential = await vaultService.retrieveCredential(
     req.userId,
     id,
-    decrypt === "true"
+    decrypt
   );
 
+  const encoded = await encodeCredential(req.userId, id, format);
+
   res.status(200).json({
     success: true,
     data: {
       credential,
+      format: format || "json-ld",
+      ...encoded,
     },
   });
 });
@@ -160,6 +197,55 @@ exports.revokeCredential = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Suspend credential
+ * @route   POST /api/credentials/:id/suspend
+ * @access  Private
+ */
+exports.suspendCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason, reinstateAt } = req.body;
+
+  const credential = await vaultService.suspendCredential(
+    req.userId,
+    id,
+    reason,
+    reinstateAt
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Credential suspended successfully",
+    data: {
+      credential,
+    },
+  });
+});
+
+/**
+ * @desc    Reinstate suspended credential
+ * @route   POST /api/credentials/:id/reinstate
+ * @access  Private
+ */
+exports.reinstateCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const credential = await vaultService.reinstateCredential(
+    req.userId,
+    id,
+    reason
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Credential reinstated successfully",
+    data: {
+      credential,
+    },
+  });
+});
+
 /**
  * @desc    Verify credential
  * @route   POST /api/credentials/:id/verify
@@ -178,6 +264,44 @@ exports.verifyCredential = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Selectively disclose subject claims as an SD-JWT
+ * @route   POST /api/credentials/:id/disclose
+ * @access  Private
+ */
+exports.discloseCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { claims } = req.body;
+
+  const sdJwt = await vaultService.getCredentialSdJwt(req.userId, id, claims);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sdJwt,
+      disclosedClaims: claims,
+    },
+  });
+});
+
+/**
+ * @desc    Verify a pasted JWT-VC or SD-JWT (PUBLIC - No Authentication Required)
+ * @route   POST /api/credentials/public/verify
+ * @access  Public
+ */
+exports.verifyCredentialJwt = asyncHandler(async (req, res) => {
+  const { jwt } = req.body;
+
+  const verification = await vaultService.verifyCredential(jwt);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      verification,
+    },
+  });
+});
+
 /**
  * @desc    Verify credential by hash (PUBLIC - No Authentication Required)
  * @route   POST /api/credentials/public/verify-hash
@@ -187,6 +311,8 @@ exports.verifyCredentialByHash = asyncHandler(async (req, res) => {
   const { credentialHash } = req.body;
 
   const blockchainService = require("../services/blockchainService");
+  const proofService = require("../services/proofService");
+  const statusListService = require("../services/statusListService");
   const Credential = require("../models/Credential");
 
   // Verify on blockchain (both simulated and Ethereum if enabled)
@@ -194,9 +320,22 @@ exports.verifyCredentialByHash = asyncHandler(async (req, res) => {
 
   // Try to find the credential to get additional metadata (non-sensitive)
   let credentialInfo = null;
+  let proofVerification = null;
+  let statusCheck = null;
   try {
-    const credential = await Credential.findOne({ credentialHash });
+    const credential = await vaultService.applyScheduledReinstatement(
+      await Credential.findOne({ credentialHash })
+    );
     if (credential) {
+      // Check the issuer's signature against their DID document
+      proofVerification = await proofService.verifyCredentialProof(credential);
+
+      // Revocations the issuer published in its status list, e.g. of credentials imported from them
+      statusCheck = await statusListService.checkCredentialStatus(
+        credential.credentialStatus,
+        credential.issuer?.did
+      );
+
       credentialInfo = {
         type: credential.credentialType,
         issuer: credential.issuer?.name || "Unknown",
@@ -206,6 +345,18 @@ exports.verifyCredentialByHash = asyncHandler(async (req, res) => {
         status: credential.status,
         onBlockchain: credential.onBlockchain,
       };
+
+      // Suspension is temporary, so verifiers are told when it ends (the reason stays private)
+      const suspension = credential.getSuspension();
+      if (suspension) {
+        credentialInfo.suspendedAt = suspension.suspendedAt;
+        credentialInfo.reinstateAt = suspension.reinstateAt;
+      }
+
+      // The holder's DID was deactivated; the credential itself keeps its status
+      if (credential.holderDeactivatedAt) {
+        credentialInfo.holderDeactivatedAt = credential.holderDeactivatedAt;
+      }
     }
   } catch (err) {
     // If credential not found in DB, just return blockchain verification
@@ -217,7 +368,14 @@ exports.verifyCredentialByHash = asyncHandler(async (req, res) => {
     message: "Public credential verification completed",
     data: {
       credentialHash,
-      verified: verification.verified,
+      verified:
+        verification.verified &&
+        (!proofVerification || proofVerification.verified) &&
+        (!statusCheck || !statusCheck.reason) &&
+        (!credentialInfo || credentialInfo.status === "active"),
+      signatureVerified: proofVerification ? proofVerification.verified : null,
+      proof: proofVerification,
+      statusList: statusCheck,
       simulated: verification.simulated,
       ethereum: verification.ethereum,
       credential: credentialInfo,
@@ -225,3 +383,38 @@ exports.verifyCredentialByHash = asyncHandler(async (req, res) => {
     },
   });
 });
+
+/**
+ * @desc    Export credential as a W3C Verifiable Credential (JSON-LD)
+ * @route   GET /api/credentials/:id/vc
+ * @access  Private
+ */
+exports.exportVerifiableCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const vc = await vaultService.exportVerifiableCredential(req.userId, id);
+
+  // Return the bare VC document so wallets and verifiers can consume it directly
+  res.status(200).type("application/vc+ld+json").send(JSON.stringify(vc));
+});
+
+/**
+ * @desc    Import a W3C Verifiable Credential (JSON-LD) into the vault
+ * @route   PUT /api/credentials/:id/vc
+ * @access  Private
+ */
+exports.importVerifiableCredential = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { credential, proofVerification } =
+    await vaultService.importVerifiableCredential(req.userId, id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Credential imported successfully",
+    data: {
+      credential,
+      proofVerification,
+    },
+  });
+});
@@ -1,16 +1,23 @@
 const didService = require('../services/didService');
+const resolverService = require('../services/resolverService');
+const didDeactivationService = require('../services/didDeactivationService');
 const logger = require('../utils/logger');
+const config = require('../config/env');
+const { createDidWeb } = require('../utils/didWeb');
 const { asyncHandler } = require('../middleware/errorHandler');
 
+// Media type of full DID resolution results
+const RESOLUTION_RESULT_TYPE = 'application/ld+json;profile="https://w3id.org/did-resolution"';
+
 /**
  * @desc    Create a new DID
  * @route   POST /api/did
  * @access  Private
  */
 exports.createDID = asyncHandler(async (req, res) => {
-    const { method } = req.body;
+    const { method, root } = req.body;
 
-    const didDocument = await didService.createDID(req.userId, method);
+    const didDocument = await didService.createDID(req.userId, method, { root });
 
     res.status(201).json({
         success: true,
@@ -40,21 +47,104 @@ exports.getDID = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Resolve DID (get full document with metadata)
- * @route   GET /api/did/:did/resolve
+ * @desc    Resolve DID with the universal resolver
+ *          Accept picks the representation: application/json (default, the API envelope),
+ *          application/ld+json;profile="https://w3id.org/did-resolution" (the resolution result),
+ *          application/did+ld+json or application/did+json (the DID document alone).
+ *          versionId or versionTime resolve an earlier version of the document
+ * @route   GET /api/did/:did/resolve?noCache=true&versionId=2&versionTime=2024-01-01T00:00:00Z
  * @access  Public
  */
 exports.resolveDID = asyncHandler(async (req, res) => {
     const { did } = req.params;
 
-    const resolvedDID = await didService.resolveDID(did);
+    res.vary('Accept');
+    const representation = req.accepts([
+        'application/json',
+        RESOLUTION_RESULT_TYPE,
+        'application/did+ld+json',
+        'application/did+json',
+    ]);
+    if (!representation) {
+        return res.status(resolverService.statusFor('representationNotSupported')).json({
+            success: false,
+            message: `Supported representations: application/json, ${RESOLUTION_RESULT_TYPE}, application/did+ld+json, application/did+json`,
+        });
+    }
+
+    const { noCache, versionId, versionTime } = req.query;
+    const resolution = await resolverService.resolve(did, { noCache, versionId, versionTime });
+    const { error, errorMessage } = resolution.didResolutionMetadata;
+    const deactivated = !error && resolution.didDocumentMetadata.deactivated === true;
+    const status = error ? resolverService.statusFor(error) : (deactivated ? 410 : 200);
+
+    if (representation === 'application/json') {
+        return res.status(status).json({
+            success: status === 200,
+            ...(status !== 200 && { message: errorMessage || 'DID has been deactivated' }),
+            data: resolution,
+        });
+    }
+
+    if (representation === RESOLUTION_RESULT_TYPE) {
+        return res.status(status)
+            .type(RESOLUTION_RESULT_TYPE)
+            .send(JSON.stringify(resolution));
+    }
+
+    // Bare document representations have no room for errors; the status says it all
+    if (error) {
+        return res.status(status).json({ success: false, message: errorMessage });
+    }
+
+    const didDocument = { ...resolution.didDocument };
+    if (representation === 'application/did+json') {
+        delete didDocument['@context'];
+    }
+
+    res.status(status)
+        .type(representation)
+        .send(JSON.stringify(didDocument));
+});
+
+/**
+ * @desc    List the versions of a DID document, each with its changes from the previous one
+ * @route   GET /api/did/:did/versions
+ * @access  Public
+ */
+exports.getDIDVersions = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const versions = await didService.listVersions(did);
 
     res.status(200).json({
         success: true,
-        data: resolvedDID,
+        data: {
+            versions,
+        },
     });
 });
 
+/**
+ * @desc    Get the did:web document published at a URL of this domain
+ * @route   GET /.well-known/did.json and GET /<path>/did.json
+ * @access  Public
+ */
+exports.getDIDWebDocument = asyncHandler(async (req, res) => {
+    // /users/abc/did.json is did:web:<domain>:users:abc; the path is empty for /.well-known/did.json
+    const segments = req.params[0] ? req.params[0].split('/') : [];
+    const did = createDidWeb(config.didWeb.domain, segments);
+
+    const didDocument = await didService.getHostedDIDWebDocument(did);
+
+    // Served bare so any did:web resolver can fetch it
+    res.status(200)
+        .set('Access-Control-Allow-Origin', '*')
+        .set('Cache-Control', 'public, max-age=300')
+        .type('application/did+json')
+        .send(JSON.stringify(didDocument));
+});
+
 /**
  * @desc    Get user's DIDs
  * @route   GET /api/did/user/me
@@ -157,54 +247,175 @@ exports.removeServiceEndpoint = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Deactivate DID
- * @route   DELETE /api/did/:did
+ * @desc    Publish a key or service of a did:ethr DID in the ERC-1056 registry
+ * @route   POST /api/did/:did/attributes
  * @access  Private
  */
-exports.deactivateDID = asyncHandler(async (req, res) => {
+exports.setEthrAttribute = asyncHandler(async (req, res) => {
     const { did } = req.params;
 
-    // Verify ownership
-    const isOwner = await didService.verifyDIDOwnership(did, req.userId);
-    if (!isOwner) {
-        return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to deactivate this DID',
-        });
-    }
+    const result = await didService.changeEthrAttribute(did, req.body);
+
+    res.status(200).json({
+        success: true,
+        message: 'Attribute published in the DID registry',
+        data: result,
+    });
+});
+
+/**
+ * @desc    Revoke a key or service of a did:ethr DID in the ERC-1056 registry
+ * @route   DELETE /api/did/:did/attributes
+ * @access  Private
+ */
+exports.revokeEthrAttribute = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const result = await didService.changeEthrAttribute(did, req.body, true);
+
+    res.status(200).json({
+        success: true,
+        message: 'Attribute revoked in the DID registry',
+        data: result,
+    });
+});
+
+/**
+ * @desc    List the verification methods of a DID and its key change history
+ * @route   GET /api/did/:did/keys
+ * @access  Private
+ */
+exports.getVerificationMethods = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const keys = await didService.listVerificationMethods(did);
+
+    res.status(200).json({
+        success: true,
+        data: keys,
+    });
+});
+
+/**
+ * @desc    Add a verification method, optionally moving relationships to it
+ * @route   POST /api/did/:did/keys
+ * @access  Private
+ */
+exports.addVerificationMethod = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const keys = await didService.addVerificationMethod(did, req.userId, req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Verification method added',
+        data: keys,
+    });
+});
+
+/**
+ * @desc    Revoke a verification method
+ * @route   DELETE /api/did/:did/keys/:keyId
+ * @access  Private
+ */
+exports.revokeVerificationMethod = asyncHandler(async (req, res) => {
+    const { did, keyId } = req.params;
+
+    const keys = await didService.revokeVerificationMethod(did, req.userId, keyId, req.body.reason || null);
+
+    res.status(200).json({
+        success: true,
+        message: 'Verification method revoked',
+        data: keys,
+    });
+});
+
+/**
+ * @desc    Move the authentication and assertionMethod relationships between verification methods
+ * @route   PUT /api/did/:did/relationships
+ * @access  Private
+ */
+exports.setVerificationRelationships = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const keys = await didService.setVerificationRelationships(did, req.userId, req.body);
+
+    res.status(200).json({
+        success: true,
+        message: 'Verification relationships updated',
+        data: keys,
+    });
+});
+
+/**
+ * @desc    Preview what deactivating a DID would do to its credentials and OAuth grants
+ * @route   GET /api/did/:did/deactivation-preview
+ * @access  Private
+ */
+exports.getDeactivationPreview = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+    const preview = await didDeactivationService.previewDeactivation(did, req.userId, req.query);
 
-    await didService.deactivateDID(did);
+    res.status(200).json({
+        success: true,
+        message: 'Deactivation preview',
+        data: preview,
+    });
+});
+
+/**
+ * @desc    Deactivate DID, cascading to its credentials and OAuth grants
+ * @route   POST /api/did/:did/deactivate
+ * @access  Private
+ */
+exports.deactivateDID = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+    const { reason, policy } = req.body;
+
+    const deactivation = await didDeactivationService.deactivate(did, req.userId, { reason: reason || null, policy });
 
     res.status(200).json({
         success: true,
         message: 'DID deactivated successfully',
+        data: {
+            deactivation,
+        },
+    });
+});
+
+/**
+ * @desc    Preview what reactivating a DID would restore
+ * @route   GET /api/did/:did/reactivation-preview
+ * @access  Private
+ */
+exports.getReactivationPreview = asyncHandler(async (req, res) => {
+    const { did } = req.params;
+
+    const preview = await didDeactivationService.previewReactivation(did, req.userId);
+
+    res.status(200).json({
+        success: true,
+        message: 'Reactivation preview',
+        data: preview,
     });
 });
 
 /**
- * @desc    Reactivate DID
+ * @desc    Reactivate DID, reinstating what its deactivation suspended
  * @route   POST /api/did/:did/reactivate
  * @access  Private
  */
 exports.reactivateDID = asyncHandler(async (req, res) => {
     const { did } = req.params;
 
-    // Verify ownership
-    const isOwner = await didService.verifyDIDOwnership(did, req.userId);
-    if (!isOwner) {
-        return res.status(403).json({
-            success: false,
-            message: 'You do not have permission to reactivate this DID',
-        });
-    }
-
-    const reactivatedDID = await didService.reactivateDID(did);
+    const { did: reactivatedDID, restored } = await didDeactivationService.reactivate(did, req.userId);
 
     res.status(200).json({
         success: true,
         message: 'DID reactivated successfully',
         data: {
             did: reactivatedDID,
+            restored,
         },
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,38 @@
+const notificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    List the current user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = asyncHandler(async (req, res) => {
+    const { unread } = req.query;
+
+    const notifications = await notificationService.listNotifications(req.userId, { unread });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            notifications,
+            count: notifications.length,
+        },
+    });
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markNotificationRead = asyncHandler(async (req, res) => {
+    const notification = await notificationService.markRead(req.userId, req.params.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: {
+            notification,
+        },
+    });
+});
@@ -232,6 +232,8 @@ class OAuthController {
                 const existingToken = await AccessToken.findOne({
                     userId: req.user._id,
                     appId: client_id,
+                    // Grants of deactivated DIDs need a new consent
+                    did: { $in: dids.map(userDID => userDID.did) },
                     revoked: false,
                     expiresAt: { $gt: new Date() }
                 });
@@ -398,6 +400,15 @@ class OAuthController {
                 });
             }
 
+            // Codes issued before the DID was deactivated can't be exchanged
+            const codeDID = await DID.findOne({ did: authCode.did, isActive: true });
+            if (!codeDID) {
+                return res.status(400).json({
+                    error: 'invalid_grant',
+                    error_description: 'DID has been deactivated'
+                });
+            }
+
             // Mark code as used
             authCode.used = true;
             await authCode.save();
@@ -462,6 +473,12 @@ class OAuthController {
                     error_description: 'DID not found'
                 });
             }
+            if (!did.isActive) {
+                return res.status(401).json({
+                    error: 'invalid_token',
+                    error_description: 'DID has been deactivated'
+                });
+            }
 
             const scopes = accessToken.scope.split(' ');
             const response = {
@@ -0,0 +1,46 @@
+const presentationService = require('../services/presentationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Create a holder-signed Verifiable Presentation
+ * @route   POST /api/presentations
+ * @access  Private
+ */
+exports.createPresentation = asyncHandler(async (req, res) => {
+    const { credentialIds, challenge, domain } = req.body;
+
+    const presentation = await presentationService.createPresentation(req.userId, {
+        credentialIds,
+        challenge,
+        domain,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Presentation created successfully',
+        data: {
+            presentation,
+        },
+    });
+});
+
+/**
+ * @desc    Verify a Verifiable Presentation (PUBLIC - No Authentication Required)
+ * @route   POST /api/presentations/verify
+ * @access  Public
+ */
+exports.verifyPresentation = asyncHandler(async (req, res) => {
+    const { presentation, challenge, domain } = req.body;
+
+    const verification = await presentationService.verifyPresentation(presentation, {
+        challenge,
+        domain,
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            verification,
+        },
+    });
+});
@@ -0,0 +1,172 @@
+const socialRecoveryService = require('../services/socialRecoveryService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get the social recovery setup and the recovery requests made for this vault
+ * @route   GET /api/recovery
+ * @access  Private
+ */
+exports.getSocialRecovery = asyncHandler(async (req, res) => {
+    const overview = await socialRecoveryService.getOverview(req.userId);
+
+    res.status(200).json({
+        success: true,
+        data: overview,
+    });
+});
+
+/**
+ * @desc    Nominate guardians and split a new recovery secret among them
+ * @route   PUT /api/recovery/guardians
+ * @access  Private
+ */
+exports.configureGuardians = asyncHandler(async (req, res) => {
+    const { guardians, threshold } = req.body;
+
+    const socialRecovery = await socialRecoveryService.configure(req.userId, guardians, threshold);
+
+    res.status(200).json({
+        success: true,
+        message: `Social recovery enabled: ${threshold} of ${guardians.length} guardians can recover your vault`,
+        data: {
+            socialRecovery,
+        },
+    });
+});
+
+/**
+ * @desc    Remove the guardians
+ * @route   DELETE /api/recovery/guardians
+ * @access  Private
+ */
+exports.disableSocialRecovery = asyncHandler(async (req, res) => {
+    await socialRecoveryService.disable(req.userId);
+
+    res.status(200).json({
+        success: true,
+        message: 'Social recovery disabled',
+    });
+});
+
+/**
+ * @desc    List the recovery requests waiting for the current user's approval as a guardian
+ * @route   GET /api/recovery/approvals
+ * @access  Private
+ */
+exports.getApprovalRequests = asyncHandler(async (req, res) => {
+    const requests = await socialRecoveryService.listApprovalRequests(req.userId);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            requests,
+            count: requests.length,
+        },
+    });
+});
+
+/**
+ * @desc    Start recovering a vault with guardian approvals
+ * @route   POST /api/recovery/requests
+ * @access  Public
+ */
+exports.startRecovery = asyncHandler(async (req, res) => {
+    const request = await socialRecoveryService.startRecovery(req.body.email, req.ip);
+
+    res.status(201).json({
+        success: true,
+        message: 'Your guardians have been asked to approve. Keep the ticket - it is shown only once',
+        data: request,
+    });
+});
+
+/**
+ * @desc    Get the status of a recovery request
+ * @route   GET /api/recovery/requests/:requestId
+ * @access  Public
+ */
+exports.getRecoveryRequest = asyncHandler(async (req, res) => {
+    const request = await socialRecoveryService.getRequestStatus(req.params.requestId);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            request,
+        },
+    });
+});
+
+/**
+ * @desc    Complete an approved recovery request and set a new password
+ * @route   POST /api/recovery/requests/:requestId/complete
+ * @access  Public
+ */
+exports.completeRecovery = asyncHandler(async (req, res) => {
+    const { ticket, newPassword } = req.body;
+
+    const { recoveryCode } = await socialRecoveryService.completeRecovery(
+        req.params.requestId,
+        ticket,
+        newPassword,
+        req.ip
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Vault recovered and password reset. Store the new recovery code safely, then sign in',
+        data: {
+            recoveryCode,
+        },
+    });
+});
+
+/**
+ * @desc    Approve a recovery request as a guardian
+ * @route   POST /api/recovery/requests/:requestId/approve
+ * @access  Private
+ */
+exports.approveRecovery = asyncHandler(async (req, res) => {
+    const request = await socialRecoveryService.decide(req.userId, req.params.requestId, true, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: 'Recovery request approved',
+        data: {
+            request,
+        },
+    });
+});
+
+/**
+ * @desc    Decline a recovery request as a guardian
+ * @route   POST /api/recovery/requests/:requestId/decline
+ * @access  Private
+ */
+exports.declineRecovery = asyncHandler(async (req, res) => {
+    const request = await socialRecoveryService.decide(req.userId, req.params.requestId, false, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: 'Recovery request declined',
+        data: {
+            request,
+        },
+    });
+});
+
+/**
+ * @desc    Cancel a recovery request made for the current user's vault
+ * @route   POST /api/recovery/requests/:requestId/cancel
+ * @access  Private
+ */
+exports.cancelRecovery = asyncHandler(async (req, res) => {
+    const request = await socialRecoveryService.cancel(req.userId, req.params.requestId, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: 'Recovery request cancelled',
+        data: {
+            request,
+        },
+    });
+});
@@ -0,0 +1,19 @@
+const statusListService = require('../services/statusListService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get a published Bitstring Status List credential
+ * @route   GET /api/status-lists/:listId
+ * @access  Public
+ */
+exports.getStatusList = asyncHandler(async (req, res) => {
+    const { listId } = req.params;
+
+    const statusListCredential = await statusListService.getStatusListCredential(listId);
+
+    // Served as a bare VC so verifiers can fetch it directly from credentialStatus URLs
+    res.status(200)
+        .set('Cache-Control', 'public, max-age=300')
+        .type('application/vc+ld+json')
+        .send(JSON.stringify(statusListCredential));
+});
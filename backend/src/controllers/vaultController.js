@@ -1,4 +1,6 @@
 const vaultService = require('../services/vaultService');
+const keyRotationService = require('../services/keyRotationService');
+const backupService = require('../services/backupService');
 const blockchainService = require('../services/blockchainService');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -34,6 +36,92 @@ exports.exportVault = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Create a passphrase-encrypted backup of the vault
+ * @route   POST /api/vault/backup
+ * @access  Private
+ */
+exports.createBackup = asyncHandler(async (req, res) => {
+    const archive = await backupService.createBackup(req.userId, req.body.passphrase);
+
+    res.status(200).json({
+        success: true,
+        message: 'Vault backup created. Keep the passphrase - the backup cannot be restored without it',
+        data: {
+            archive,
+        },
+    });
+});
+
+/**
+ * @desc    Restore a vault backup into the current account
+ * @route   POST /api/vault/restore
+ * @access  Private
+ */
+exports.restoreBackup = asyncHandler(async (req, res) => {
+    const { archive, passphrase, onConflict, activateDID } = req.body;
+
+    const report = await backupService.restoreBackup(req.userId, archive, passphrase, { onConflict, activateDID });
+
+    res.status(200).json({
+        success: true,
+        message: `Vault backup restored: ${report.credentials.restored} credential(s), ${report.credentials.skipped.length} skipped`,
+        data: {
+            report,
+        },
+    });
+});
+
+/**
+ * @desc    Get vault key version, rotation progress and rotation history
+ * @route   GET /api/vault/key
+ * @access  Private
+ */
+exports.getVaultKeyStatus = asyncHandler(async (req, res) => {
+    const keyStatus = await keyRotationService.getKeyStatus(req.userId);
+
+    res.status(200).json({
+        success: true,
+        data: keyStatus,
+    });
+});
+
+/**
+ * @desc    Get the browser public key to encrypt a holder's copy of a credential for
+ * @route   GET /api/vault/client-key/:did
+ * @access  Private
+ */
+exports.getClientRecipientKey = asyncHandler(async (req, res) => {
+    const recipientKey = await vaultService.getClientRecipientKey(req.params.did);
+
+    res.status(200).json({
+        success: true,
+        data: recipientKey,
+    });
+});
+
+/**
+ * @desc    Rotate the vault key and re-encrypt every credential under it
+ * @route   POST /api/vault/key/rotate
+ * @access  Private
+ */
+exports.rotateVaultKey = asyncHandler(async (req, res) => {
+    const result = await keyRotationService.rotateVaultKey(req.userId, {
+        reason: req.body.reason,
+        initiatedBy: 'user',
+    });
+
+    logger.info(`🔑 Vault key rotation by user ${req.userId}: ${result.status}`);
+
+    res.status(result.status === 'completed' ? 200 : 202).json({
+        success: true,
+        message: result.status === 'completed'
+            ? 'Vault key rotated successfully'
+            : 'Vault key rotation incomplete; remaining credentials will be retried in the background',
+        data: result,
+    });
+});
+
 /**
  * @desc    Get blockchain info
  * @route   GET /api/vault/blockchain
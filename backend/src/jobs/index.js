@@ -0,0 +1,32 @@
+const scheduler = require('./scheduler');
+const expiryService = require('../services/expiryService');
+const vaultService = require('../services/vaultService');
+const keyRotationService = require('../services/keyRotationService');
+const config = require('../config/env');
+
+// Background jobs - started by server.js once the database is connected
+scheduler.register(
+    'credential-expiry',
+    config.jobs.expirySweepIntervalMs,
+    () => expiryService.runSweep()
+);
+
+scheduler.register(
+    'suspension-reinstatement',
+    config.jobs.reinstatementIntervalMs,
+    () => vaultService.reinstateDueCredentials()
+);
+
+scheduler.register(
+    'encryption-upgrade',
+    config.jobs.encryptionUpgradeIntervalMs,
+    () => vaultService.upgradeLegacyEncryption()
+);
+
+scheduler.register(
+    'vault-key-rotation',
+    config.jobs.keyRotationResumeIntervalMs,
+    () => keyRotationService.resumeInterruptedRotations()
+);
+
+module.exports = scheduler;
@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+
+/**
+ * Job Scheduler - Runs registered background jobs on fixed intervals
+ * A job never overlaps with itself: a tick is skipped while the previous run is in progress
+ */
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    /**
+     * Register a job
+     * @param {string} name - Unique job name
+     * @param {number} intervalMs - Interval between runs
+     * @param {Function} handler - Async function returning a result summary
+     */
+    register(name, intervalMs, handler) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job ${name} is already registered`);
+        }
+
+        this.jobs.set(name, {
+            name,
+            intervalMs,
+            handler,
+            timer: null,
+            running: false,
+            runs: 0,
+            lastRunAt: null,
+            lastResult: null,
+            lastError: null
+        });
+    }
+
+    /**
+     * Run a job now
+     * @param {string} name - Job name
+     * @returns {*} Job result, or null when skipped or failed
+     */
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Job ${name} is not registered`);
+        }
+
+        if (job.running) {
+            logger.warn(`⚠️  Job ${name} still running, skipping this tick`);
+            return null;
+        }
+
+        job.running = true;
+        try {
+            const result = await job.handler();
+            job.lastResult = result;
+            job.lastError = null;
+            return result;
+        } catch (error) {
+            job.lastError = error.message;
+            logger.error(`❌ Job ${name} failed:`, error.message);
+            return null;
+        } finally {
+            job.running = false;
+            job.runs++;
+            job.lastRunAt = new Date();
+        }
+    }
+
+    /**
+     * Start all registered jobs (each runs once immediately, then on its interval)
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        for (const job of this.jobs.values()) {
+            job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+            // Don't keep the process alive just for background jobs
+            job.timer.unref();
+            this.run(job.name);
+            logger.info(`⏰ Job scheduled: ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+        }
+
+        this.started = true;
+    }
+
+    /**
+     * Stop all jobs
+     */
+    stop() {
+        for (const job of this.jobs.values()) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+
+        this.started = false;
+    }
+
+    /**
+     * Get the status of every job
+     * @returns {Array} Job status
+     */
+    getStatus() {
+        return [...this.jobs.values()].map(({ name, intervalMs, running, runs, lastRunAt, lastResult, lastError }) => ({
+            name,
+            intervalMs,
+            running,
+            runs,
+            lastRunAt,
+            lastResult,
+            lastError
+        }));
+    }
+}
+
+// Export singleton instance
+const scheduler = new JobScheduler();
+module.exports = scheduler;
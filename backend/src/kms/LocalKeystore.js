@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+const KEYSTORE_VERSION = 1;
+const WRAP_ALGORITHM = 'aes-256-gcm';
+// Writers wait this long for the lock; a lock older than LOCK_STALE_MS was left by a crashed process
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Local keystore - file-backed key-management backend
+ *
+ * Private keys are stored encrypted (AES-256-GCM) under a key derived from a master key, bound to
+ * their key id, and are only ever used inside the keystore: callers get key ids, public keys and
+ * signatures. Each entry records the master key it is wrapped under (entries without one predate
+ * the keyring and use its default key). The file is re-read before signing when another process
+ * changed it, so keys disabled from the CLI stop signing at once. Changes are made under a lockfile,
+ * re-reading the file first, so the server and the CLIs don't overwrite each other's writes. A PKCS#11/HSM backend would implement the same methods.
+ */
+class LocalKeystore {
+    /**
+     * @param {object} options - { filePath, keyring (MasterKeyring) }
+     */
+    constructor({ filePath, keyring }) {
+        this.filePath = filePath;
+        this.keyring = keyring;
+        this.entries = this.load();
+        this.privateKeys = new Map(); // keyId → decrypted KeyObject, kept in memory only
+    }
+
+    /**
+     * Derive the wrapping key for a master key
+     * A key of its own, so the keystore is never encrypted under a key that is used elsewhere
+     * @param {string} masterKeyId - Master key id
+     * @returns {Buffer} Wrapping key
+     */
+    wrappingKey(masterKeyId) {
+        return Buffer.from(crypto.hkdfSync('sha256', this.keyring.get(masterKeyId), Buffer.alloc(0), 'kms-local-keystore', 32));
+    }
+
+    /**
+     * Encrypt a private key under the active master key
+     * @param {string} keyId - Key id (bound as associated data)
+     * @param {string} privateKeyPem - PEM private key
+     * @returns {object} { masterKeyId, privateKey: iv:authTag:ciphertext (hex) }
+     */
+    wrapPrivateKey(keyId, privateKeyPem) {
+        const masterKeyId = this.keyring.activeKeyId;
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(WRAP_ALGORITHM, this.wrappingKey(masterKeyId), iv);
+        cipher.setAAD(Buffer.from(keyId, 'utf8'));
+        const encrypted = Buffer.concat([cipher.update(privateKeyPem, 'utf8'), cipher.final()]);
+
+        return {
+            masterKeyId,
+            privateKey: [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':')
+        };
+    }
+
+    /**
+     * Load the keystore file (an empty keystore when it doesn't exist yet)
+     * @returns {object} keyId → entry
+     */
+    load() {
+        this.loadedStamp = this.fileStamp();
+        if (!this.loadedStamp) {
+            return {};
+        }
+
+        const keystore = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (keystore.version !== KEYSTORE_VERSION) {
+            throw new Error(`Unsupported keystore version ${keystore.version}`);
+        }
+
+        return keystore.keys;
+    }
+
+    /**
+     * Identify the version of the keystore file on disk (every write renames a new file into place)
+     * @returns {string|null} inode:mtime:size, or null when there is no file
+     */
+    fileStamp() {
+        try {
+            const { ino, mtimeMs, size } = fs.statSync(this.filePath);
+            return `${ino}:${mtimeMs}:${size}`;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Re-read the keystore when another process (e.g. the CLI) changed it
+     * Cached private keys of entries that were disabled or re-wrapped since are dropped
+     */
+    refresh() {
+        if (this.fileStamp() === this.loadedStamp) {
+            return;
+        }
+
+        const previous = this.entries;
+        this.entries = this.load();
+        for (const keyId of this.privateKeys.keys()) {
+            const entry = this.entries[keyId];
+            if (!entry || entry.disabledAt || entry.privateKey !== (previous[keyId] || {}).privateKey) {
+                this.privateKeys.delete(keyId);
+            }
+        }
+    }
+
+    /**
+     * Change the keystore under its lockfile
+     * The entries are re-read once the lock is held, so changes by other processes are kept
+     * @param {Function} change - Modifies this.entries; returns whether to write them
+     * @returns {*} What change returned
+     */
+    update(change) {
+        const dataDir = path.dirname(this.filePath);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+
+        const lockPath = `${this.filePath}.lock`;
+        this.acquireLock(lockPath);
+        try {
+            this.entries = this.load();
+            const result = change();
+            if (result) {
+                this.persist();
+            }
+            return result;
+        } finally {
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Create the lockfile, waiting while another process holds it
+     * @param {string} lockPath - Lockfile path
+     */
+    acquireLock(lockPath) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        for (;;) {
+            try {
+                fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx', mode: 0o600 });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            try {
+                if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+                    logger.warn(`⚠️  Removing stale keystore lock ${lockPath}`);
+                    fs.rmSync(lockPath, { force: true });
+                    continue;
+                }
+            } catch {
+                continue; // released in the meantime
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Keystore is locked by another process (${lockPath})`);
+            }
+            // The keystore API is synchronous, so wait without giving up the thread
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+        }
+    }
+
+    /**
+     * Write the keystore file atomically, readable by the owner only
+     * Only called from update(), with the lock held
+     */
+    persist() {
+        const tmpPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: KEYSTORE_VERSION, keys: this.entries }, null, 2), { mode: 0o600, flag: 'wx' });
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            fs.rmSync(tmpPath, { force: true });
+            throw error;
+        }
+        this.loadedStamp = this.fileStamp();
+    }
+
+    /**
+     * Generate a key pair inside the keystore
+     * @param {string} type - 'rsa', 'ed25519' or 'secp256k1' (Ethereum accounts)
+     * @returns {object} { keyId, type, publicKey }
+     */
+    generateKeyPair(type = 'rsa') {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync(type === 'secp256k1' ? 'ec' : type, {
+            ...(type === 'rsa' && { modulusLength: 2048 }),
+            ...(type === 'secp256k1' && { namedCurve: 'secp256k1' }),
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+
+        return this.store(type, publicKey, privateKey);
+    }
+
+    /**
+     * Take over an existing private key (e.g. one stored before the keystore existed)
+     * @param {string} privateKeyPem - PEM private key
+     * @returns {object} { keyId, type, publicKey }
+     */
+    importKey(privateKeyPem) {
+        const keyObject = crypto.createPrivateKey(privateKeyPem);
+        const publicKey = crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'pem' });
+
+        let type = keyObject.asymmetricKeyType;
+        if (type === 'ec') {
+            if (keyObject.asymmetricKeyDetails.namedCurve !== 'secp256k1') {
+                throw new Error(`Unsupported curve ${keyObject.asymmetricKeyDetails.namedCurve}`);
+            }
+            type = 'secp256k1';
+        }
+
+        return this.store(
+            type,
+            publicKey,
+            keyObject.export({ type: 'pkcs8', format: 'pem' })
+        );
+    }
+
+    /**
+     * Encrypt and store a private key under the id of its public key
+     * @returns {object} { keyId, type, publicKey }
+     */
+    store(type, publicKey, privateKeyPem) {
+        const keyId = crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 32);
+
+        this.update(() => {
+            if (this.entries[keyId]) {
+                return false;
+            }
+
+            this.entries[keyId] = {
+                keyId,
+                type,
+                publicKey,
+                ...this.wrapPrivateKey(keyId, privateKeyPem),
+                createdAt: new Date().toISOString(),
+                disabledAt: null
+            };
+            return true;
+        });
+
+        return { keyId, type, publicKey };
+    }
+
+    /**
+     * Get a keystore entry
+     * @param {string} keyId - Key id
+     * @returns {object} Entry
+     */
+    entry(keyId) {
+        if (!this.entries[keyId]) {
+            this.entries = this.load();
+        }
+
+        const entry = this.entries[keyId];
+        if (!entry) {
+            throw new Error(`Key ${keyId} not found in keystore`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get the public key of a key pair
+     * @param {string} keyId - Key id
+     * @returns {string} PEM public key
+     */
+    getPublicKey(keyId) {
+        return this.entry(keyId).publicKey;
+    }
+
+    /**
+     * Get the type of a key pair
+     * @param {string} keyId - Key id
+     * @returns {string} 'rsa', 'ed25519' or 'secp256k1'
+     */
+    getKeyType(keyId) {
+        return this.entry(keyId).type;
+    }
+
+    /**
+     * Sign bytes with a stored private key
+     * The digest is picked from the key type (SHA-256 for RSA, none for Ed25519)
+     * @param {string} keyId - Key id
+     * @param {Buffer} data - Bytes to sign
+     * @returns {Buffer} Signature
+     */
+    sign(keyId, data) {
+        return crypto.sign(null, data, this.signingKey(keyId));
+    }
+
+    /**
+     * Sign a 32-byte hash with a stored secp256k1 key, as Ethereum does (recoverable, no further hashing)
+     * @param {string} keyId - Key id
+     * @param {string} digest - 0x-prefixed hash
+     * @returns {string} 65-byte r, s, v signature (0x-prefixed hex)
+     */
+    signDigest(keyId, digest) {
+        if (this.getKeyType(keyId) !== 'secp256k1') {
+            throw new Error(`Key ${keyId} is not a secp256k1 key`);
+        }
+
+        const { d } = this.signingKey(keyId).export({ format: 'jwk' });
+        return new ethers.SigningKey(`0x${Buffer.from(d, 'base64url').toString('hex')}`).sign(digest).serialized;
+    }
+
+    /**
+     * Get the decrypted private key of an enabled key pair
+     * @param {string} keyId - Key id
+     * @returns {KeyObject} Private key
+     */
+    signingKey(keyId) {
+        // A key disabled by another process must stop signing here too, without a restart
+        this.refresh();
+        const entry = this.entry(keyId);
+        if (entry.disabledAt) {
+            throw new Error(`Key ${keyId} is disabled`);
+        }
+
+        if (!this.privateKeys.has(keyId)) {
+            this.privateKeys.set(keyId, this.decryptPrivateKey(entry));
+        }
+
+        return this.privateKeys.get(keyId);
+    }
+
+    /**
+     * Get a stored private key in PEM form
+     * Only used to put keys into encrypted vault backups
+     * @param {string} keyId - Key id
+     * @returns {string} PEM private key
+     */
+    exportKey(keyId) {
+        return this.decryptPrivateKey(this.entry(keyId)).export({ type: 'pkcs8', format: 'pem' });
+    }
+
+    /**
+     * Decrypt a stored private key
+     * @param {object} entry - Keystore entry
+     * @returns {KeyObject} Private key
+     */
+    decryptPrivateKey(entry) {
+        try {
+            const [ivHex, authTagHex, encryptedHex] = entry.privateKey.split(':');
+            const masterKeyId = entry.masterKeyId || this.keyring.defaultKeyId;
+            const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, this.wrappingKey(masterKeyId), Buffer.from(ivHex, 'hex'));
+            decipher.setAAD(Buffer.from(entry.keyId, 'utf8'));
+            decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+            const pem = Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+
+            return crypto.createPrivateKey(pem);
+        } catch (error) {
+            logger.error(`❌ Could not decrypt key ${entry.keyId}:`, error.message);
+            throw new Error('Keystore key could not be decrypted - is its master key still in ENCRYPTION_KEYS?');
+        }
+    }
+
+    /**
+     * Re-wrap every private key stored under an older master key with the active one
+     * @returns {number} Number of keys re-wrapped
+     */
+    rewrapKeys() {
+        return this.update(() => {
+            let rewrapped = 0;
+            for (const entry of Object.values(this.entries)) {
+                if (entry.masterKeyId !== this.keyring.activeKeyId) {
+                    const pem = this.decryptPrivateKey(entry).export({ type: 'pkcs8', format: 'pem' });
+                    Object.assign(entry, this.wrapPrivateKey(entry.keyId, pem));
+                    rewrapped++;
+                }
+            }
+
+            return rewrapped;
+        });
+    }
+
+    /**
+     * Stop a key from signing (the public key stays available for verification)
+     * @param {string} keyId - Key id
+     */
+    disableKey(keyId) {
+        this.update(() => {
+            const entry = this.entries[keyId];
+            if (!entry) {
+                throw new Error(`Key ${keyId} not found in keystore`);
+            }
+            if (entry.disabledAt) {
+                return false;
+            }
+
+            entry.disabledAt = new Date().toISOString();
+            return true;
+        });
+        this.privateKeys.delete(keyId);
+    }
+}
+
+module.exports = LocalKeystore;
@@ -0,0 +1,83 @@
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Master keyring - the master keys the server encrypts under, by key id
+ *
+ * Ciphertexts are stamped with the id of the key they were written under, so the active key can be
+ * rotated while older keys stay available for decryption until their data has been re-wrapped.
+ * The first key is the default key: it opens data written before key ids were stamped, and derives
+ * the blind index key (blind indexes can't be re-wrapped, so that key must stay in the keyring).
+ */
+class MasterKeyring {
+    /**
+     * @param {Array<object>} keys - [{ id, key }], oldest first
+     * @param {string} activeKeyId - Key new data is encrypted under (defaults to the newest key)
+     */
+    constructor(keys, activeKeyId = null) {
+        if (!keys.length) {
+            throw new Error('Master keyring is empty');
+        }
+
+        this.keys = new Map();
+        for (const { id, key } of keys) {
+            if (!KEY_ID_PATTERN.test(id)) {
+                throw new Error(`Invalid master key id "${id}" (use letters, digits, - and _)`);
+            }
+            if (!key) {
+                throw new Error(`Master key ${id} is empty`);
+            }
+            if (this.keys.has(id)) {
+                throw new Error(`Duplicate master key id "${id}"`);
+            }
+            this.keys.set(id, key);
+        }
+
+        this.defaultKeyId = keys[0].id;
+        this.activeKeyId = activeKeyId || keys[keys.length - 1].id;
+        if (!this.keys.has(this.activeKeyId)) {
+            throw new Error(`Active master key ${this.activeKeyId} is not in the keyring`);
+        }
+    }
+
+    /**
+     * Get a master key by id
+     * @param {string} keyId - Key id
+     * @returns {string} Master key
+     */
+    get(keyId) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Master key ${keyId} is not in the keyring`);
+        }
+
+        return key;
+    }
+
+    /**
+     * The key new data is encrypted under
+     * @returns {string} Master key
+     */
+    get activeKey() {
+        return this.get(this.activeKeyId);
+    }
+
+    /**
+     * The key of data written before key ids were stamped, and of blind indexes
+     * @returns {string} Master key
+     */
+    get defaultKey() {
+        return this.get(this.defaultKeyId);
+    }
+
+    /**
+     * Ids of every key in the keyring, oldest first
+     * @returns {Array<string>} Key ids
+     */
+    ids() {
+        return [...this.keys.keys()];
+    }
+}
+
+MasterKeyring.KEY_ID_PATTERN = KEY_ID_PATTERN;
+
+module.exports = MasterKeyring;
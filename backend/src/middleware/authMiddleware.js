@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const User = require('../models/User');
+const vaultSessionService = require('../services/vaultSessionService');
 const logger = require('../utils/logger');
 const config = require('../config/env');
 
@@ -57,8 +58,10 @@ const authMiddleware = async (req, res, next) => {
         // Attach user to request
         req.user = user;
         req.userId = user._id.toString();
+        req.sessionId = decoded.sid || null;
         
-        next();
+        // The rest of the request sees the vault keys unlocked in this login session only
+        vaultSessionService.runInSession(req.sessionId, next);
     } catch (error) {
         logger.error('Authentication error:', error.message);
         
@@ -101,10 +104,11 @@ const optionalAuth = async (req, res, next) => {
             if (user && user.isActive && !user.isLocked()) {
                 req.user = user;
                 req.userId = user._id.toString();
+                req.sessionId = decoded.sid || null;
             }
         }
         
-        next();
+        vaultSessionService.runInSession(req.sessionId, next);
     } catch (error) {
         // Continue without authentication
         next();
@@ -149,7 +149,7 @@ const validateParam = (paramName, schema) => {
  */
 const paramSchemas = {
     id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/), // MongoDB ObjectId
-    did: Joi.string().pattern(/^did:[a-z0-9]+:[a-zA-Z0-9]+$/),
+    did: Joi.string().pattern(/^did:[a-z0-9]+:[a-zA-Z0-9._:%-]+$/),
     credentialId: Joi.string().uuid(),
 };
 
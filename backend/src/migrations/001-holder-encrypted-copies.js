@@ -0,0 +1,45 @@
+const Credential = require('../models/Credential');
+const User = require('../models/User');
+const vaultService = require('../services/vaultService');
+const logger = require('../utils/logger');
+
+/**
+ * Give holders their own encrypted copy of credentials issued before holder re-encryption
+ * Decrypts each issuer copy with the issuer's vault key and re-encrypts it for the holder
+ */
+module.exports = {
+    id: '001-holder-encrypted-copies',
+    description: 'Encrypt a copy of each issued credential for its holder',
+
+    async up() {
+        const cursor = Credential.find({
+            holderCredentialData: null,
+            storageType: { $ne: 'decentralized' }
+        }).cursor();
+
+        let migrated = 0;
+        let skipped = 0;
+        for await (const credential of cursor) {
+            try {
+                const issuer = await User.findById(credential.userId).select('+vaultKey +pendingVaultKey');
+                if (!issuer) {
+                    skipped++;
+                    continue;
+                }
+
+                const subject = await vaultService.decryptSubject(credential, issuer);
+                await vaultService.encryptForHolder(credential, subject);
+
+                if (credential.holderCredentialData) {
+                    await credential.save();
+                    migrated++;
+                }
+            } catch (error) {
+                logger.warn(`⚠️  Could not re-encrypt credential ${credential.credentialId}:`, error.message);
+                skipped++;
+            }
+        }
+
+        return { migrated, skipped };
+    }
+};
@@ -0,0 +1,48 @@
+const Credential = require('../models/Credential');
+const encryptionService = require('../services/encryptionService');
+const proofService = require('../services/proofService');
+const logger = require('../utils/logger');
+
+/**
+ * Remove the plaintext credentialSubject stored next to the encrypted copy
+ * The subject digest (needed to verify issuer proofs) and blinded field indexes are kept instead.
+ * Works on the raw collection because credentialSubject is no longer part of the schema
+ */
+module.exports = {
+    id: '002-scrub-plaintext-subjects',
+    description: 'Replace plaintext credential subjects with digests and blinded indexes',
+
+    async up() {
+        const cursor = Credential.collection.find({ credentialSubject: { $exists: true } });
+
+        let scrubbed = 0;
+        let skipped = 0;
+        for await (const doc of cursor) {
+            const hasEncryptedCopy = doc.storageType === 'decentralized'
+                ? !!doc.ipfsCID
+                : !!(doc.credentialData && doc.credentialData.encryptedData && doc.credentialData.iv);
+
+            // Never drop the only copy of a subject
+            if (!hasEncryptedCopy) {
+                logger.warn(`⚠️  Credential ${doc.credentialId} has no encrypted copy, leaving plaintext in place`);
+                skipped++;
+                continue;
+            }
+
+            const subject = doc.credentialSubject || {};
+            await Credential.collection.updateOne(
+                { _id: doc._id },
+                {
+                    $set: {
+                        subjectDigest: proofService.computeSubjectDigest(doc.holder, subject),
+                        subjectIndex: encryptionService.createBlindIndexes(subject)
+                    },
+                    $unset: { credentialSubject: '' }
+                }
+            );
+            scrubbed++;
+        }
+
+        return { scrubbed, skipped };
+    }
+};
@@ -0,0 +1,15 @@
+const vaultService = require('../services/vaultService');
+
+/**
+ * Re-encrypt credentials stored as unauthenticated AES-256-CBC as versioned AES-256-GCM envelopes
+ * Covers issuer copies, holder copies and IPFS payloads. Legacy copies stay readable, and the
+ * encryption-upgrade background job retries anything skipped here
+ */
+module.exports = {
+    id: '003-authenticated-encryption',
+    description: 'Re-encrypt legacy AES-256-CBC credentials as AES-256-GCM envelopes',
+
+    async up() {
+        return vaultService.upgradeLegacyEncryption();
+    }
+};
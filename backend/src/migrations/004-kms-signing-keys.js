@@ -0,0 +1,34 @@
+const User = require('../models/User');
+const kmsService = require('../services/kmsService');
+const logger = require('../utils/logger');
+
+/**
+ * Move DID private keys stored on user documents into the KMS keystore
+ * Each key is imported (and persisted) before the plaintext PEM is cleared from the user
+ */
+module.exports = {
+    id: '004-kms-signing-keys',
+    description: 'Move DID private keys from user documents into the KMS keystore',
+
+    async up() {
+        const cursor = User.find({ privateKey: { $ne: null } }).select('+privateKey').cursor();
+
+        let migrated = 0;
+        let skipped = 0;
+        for await (const user of cursor) {
+            try {
+                const { keyId } = kmsService.importKey(user.privateKey);
+                await User.updateOne(
+                    { _id: user._id },
+                    { $set: { signingKeyId: keyId, privateKey: null } }
+                );
+                migrated++;
+            } catch (error) {
+                logger.warn(`⚠️  Could not move the signing key of user ${user._id}:`, error.message);
+                skipped++;
+            }
+        }
+
+        return { migrated, skipped };
+    }
+};
@@ -0,0 +1,38 @@
+const DID = require('../models/DID');
+const DIDVersion = require('../models/DIDVersion');
+const didService = require('../services/didService');
+const logger = require('../utils/logger');
+
+/**
+ * Start the version history of DIDs created before documents were versioned
+ * Their current document becomes version 1, linked to the block that anchored the DID
+ */
+module.exports = {
+    id: '005-did-versions',
+    description: 'Store the current document of existing DIDs as their first version',
+
+    async up() {
+        const cursor = DID.find().cursor();
+
+        let versioned = 0;
+        let skipped = 0;
+        for await (const record of cursor) {
+            if (await DIDVersion.exists({ did: record.did })) {
+                skipped++;
+                continue;
+            }
+
+            try {
+                await didService.recordVersion(record, 'migration', async () => (record.blockchainTxHash
+                    ? { hash: record.blockchainTxHash, index: record.blockchainBlockNumber }
+                    : null));
+                versioned++;
+            } catch (error) {
+                logger.warn(`⚠️  Could not version the document of ${record.did}:`, error.message);
+                skipped++;
+            }
+        }
+
+        return { versioned, skipped };
+    }
+};
@@ -0,0 +1,27 @@
+const StatusList = require('../models/StatusList');
+
+/**
+ * Move status lists filled in order to random index allocation
+ * Their indices below nextIndex are recorded as allocated; until then no new index is taken from them.
+ * Works on the raw collection because nextIndex is no longer part of the schema
+ */
+module.exports = {
+    id: '006-random-status-indices',
+    description: 'Record the indices of sequentially filled status lists as allocated',
+
+    async up() {
+        const cursor = StatusList.collection.find({ nextIndex: { $exists: true } });
+
+        let migrated = 0;
+        for await (const doc of cursor) {
+            const allocatedIndices = Array.from({ length: doc.nextIndex }, (_, index) => index);
+            await StatusList.collection.updateOne(
+                { _id: doc._id },
+                { $set: { allocatedIndices, allocatedCount: doc.nextIndex }, $unset: { nextIndex: '' } }
+            );
+            migrated++;
+        }
+
+        return { migrated };
+    }
+};
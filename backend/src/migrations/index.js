@@ -0,0 +1,47 @@
+const Migration = require('../models/Migration');
+const logger = require('../utils/logger');
+
+// Migrations run in this order, each at most once per database
+const migrations = [
+    require('./001-holder-encrypted-copies'),
+    require('./002-scrub-plaintext-subjects'),
+    require('./003-authenticated-encryption'),
+    require('./004-kms-signing-keys'),
+    require('./005-did-versions'),
+    require('./006-random-status-indices'),
+];
+
+/**
+ * Apply every migration that has not run against this database yet
+ * @returns {Array} Results of the migrations applied in this run
+ */
+const runMigrations = async () => {
+    const applied = new Set((await Migration.find().select('migrationId')).map(m => m.migrationId));
+    const results = [];
+
+    for (const migration of migrations) {
+        if (applied.has(migration.id)) {
+            continue;
+        }
+
+        logger.info(`🔧 Running migration ${migration.id}: ${migration.description}`);
+        const result = await migration.up();
+
+        await Migration.create({
+            migrationId: migration.id,
+            description: migration.description,
+            result
+        });
+
+        logger.info(`✅ Migration ${migration.id} applied`, result);
+        results.push({ id: migration.id, result });
+    }
+
+    if (results.length === 0) {
+        logger.info('✅ Database is up to date, no migrations to run');
+    }
+
+    return results;
+};
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,21 @@
+require('../config/env'); // Load .env before the database config reads MONGODB_URI
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const { runMigrations } = require('./index');
+const logger = require('../utils/logger');
+
+// Usage: npm run migrate
+const main = async () => {
+    await connectDatabase();
+
+    try {
+        await runMigrations();
+    } catch (error) {
+        logger.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+main();
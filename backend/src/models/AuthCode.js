@@ -44,6 +44,10 @@ const AuthCodeSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -55,7 +59,7 @@ AuthCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Method to check if code is still valid
 AuthCodeSchema.methods.isValid = function() {
-    return !this.used && this.expiresAt > new Date();
+    return !this.used && !this.revoked && this.expiresAt > new Date();
 };
 
 const AuthCode = mongoose.model('AuthCode', AuthCodeSchema);
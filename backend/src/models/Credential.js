@@ -2,6 +2,16 @@ const mongoose = require('mongoose');
 const { sha256 } = require('../utils/crypto');
 const { v4: uuidv4 } = require('uuid');
 
+// Metadata of a versioned encryption envelope; legacy (AES-256-CBC) envelopes have no version
+// No defaults, so legacy records are never mislabelled when loaded and saved again
+const envelopeFields = {
+    version: { type: Number },
+    algorithm: { type: String },
+    keyId: { type: String },
+    authTag: { type: String },
+    associatedData: { type: String }
+};
+
 const CredentialSchema = new mongoose.Schema({
     credentialId: {
         type: String,
@@ -35,12 +45,21 @@ const CredentialSchema = new mongoose.Schema({
             'ProfessionalCredential'
         ]
     },
-    credentialSubject: {
-        type: mongoose.Schema.Types.Mixed,
-        required: [true, 'Credential subject is required']
+    // The subject itself is only stored encrypted (credentialData / holderCredentialData)
+    // SHA-256 of the canonical subject, as committed to by the issuer's proof
+    subjectDigest: {
+        type: String,
+        default: null
+    },
+    // Blinded (HMAC) tokens of top-level subject fields, for equality lookups without plaintext
+    subjectIndex: {
+        type: [String],
+        default: [],
+        index: true
     },
     credentialData: {
-        // Encrypted credential data
+        // Encrypted credential data (see EncryptionService.encryptCredential)
+        ...envelopeFields,
         encryptedData: {
             type: String,
             required: true
@@ -50,6 +69,28 @@ const CredentialSchema = new mongoose.Schema({
             required: true
         }
     },
+    // Copy of the subject encrypted for the holder when they are a different vault user
+    holderCredentialData: {
+        type: {
+            _id: false,
+            recipient: { type: String },
+            ...envelopeFields,
+            encryptedData: { type: String },
+            iv: { type: String },
+            wrappedKey: {
+                ...envelopeFields,
+                encryptedData: { type: String },
+                iv: { type: String }
+            }
+        },
+        default: null
+    },
+    // 'client': encrypted in the issuer's browser; the server never holds a key that opens it
+    encryptionMode: {
+        type: String,
+        enum: ['server', 'client'],
+        default: 'server'
+    },
     credentialHash: {
         type: String,
         required: true,
@@ -106,6 +147,18 @@ const CredentialSchema = new mongoose.Schema({
         enum: ['active', 'revoked', 'expired', 'suspended'],
         default: 'active'
     },
+    // Bitstring Status List entries (one per status purpose)
+    credentialStatus: {
+        type: [{
+            _id: false,
+            id: { type: String },
+            type: { type: String, default: 'BitstringStatusListEntry' },
+            statusPurpose: { type: String, enum: ['revocation', 'suspension'] },
+            statusListIndex: { type: String },
+            statusListCredential: { type: String }
+        }],
+        default: []
+    },
     blockchainTxHash: {
         type: String,
         default: null
@@ -144,6 +197,33 @@ const CredentialSchema = new mongoose.Schema({
     revokedAt: {
         type: Date,
         default: null
+    },
+    // When set, a suspended credential is reinstated automatically once this date passes
+    suspendedUntil: {
+        type: Date,
+        default: null
+    },
+    // Set once holders and issuers have been warned of the upcoming expiry
+    expiryNoticeSentAt: {
+        type: Date,
+        default: null
+    },
+    // Audit trail of status changes (suspend, reinstate, revoke, expire)
+    statusHistory: {
+        type: [{
+            _id: false,
+            status: { type: String, enum: ['active', 'revoked', 'expired', 'suspended'] },
+            reason: { type: String, default: null },
+            changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            changedAt: { type: Date, default: Date.now },
+            reinstateAt: { type: Date, default: null }
+        }],
+        default: []
+    },
+    // Set while the holder's DID is deactivated (the credential itself keeps its status)
+    holderDeactivatedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -154,15 +234,16 @@ CredentialSchema.index({ userId: 1, credentialType: 1 });
 CredentialSchema.index({ did: 1, status: 1 });
 CredentialSchema.index({ 'issuer.did': 1 });
 CredentialSchema.index({ holder: 1 });
+CredentialSchema.index({ status: 1, expirationDate: 1 });
 
 // Pre-save middleware to generate credential hash
 CredentialSchema.pre('save', function(next) {
     if (!this.credentialHash) {
-        // Create hash from credential subject and issuance data
+        // Create hash from the subject digest and issuance data
         const hashData = {
             credentialId: this.credentialId,
             credentialType: this.credentialType,
-            credentialSubject: this.credentialSubject,
+            subjectDigest: this.subjectDigest,
             issuer: this.issuer,
             issuanceDate: this.issuanceDate
         };
@@ -191,58 +272,122 @@ CredentialSchema.methods.isValid = function() {
     return this.status === 'active' && !this.isExpired();
 };
 
+// Method to append an entry to the status history
+CredentialSchema.methods.recordStatusChange = function(status, reason = null, changedBy = null, reinstateAt = null) {
+    this.statusHistory.push({ status, reason, changedBy, changedAt: Date.now(), reinstateAt });
+};
+
 // Method to revoke credential
-CredentialSchema.methods.revoke = function(reason = null) {
+CredentialSchema.methods.revoke = function(reason = null, changedBy = null) {
     this.status = 'revoked';
     this.revokedAt = Date.now();
+    this.suspendedUntil = null;
     if (reason) {
         this.metadata.revocationReason = reason;
     }
+    this.recordStatusChange('revoked', reason, changedBy);
+    this.markModified('metadata');
     return this.save();
 };
 
 // Method to suspend credential
-CredentialSchema.methods.suspend = function(reason = null) {
+CredentialSchema.methods.suspend = function(reason = null, reinstateAt = null, changedBy = null) {
+    if (this.status !== 'active') {
+        throw new Error(`Only active credentials can be suspended (credential is ${this.status})`);
+    }
     this.status = 'suspended';
+    this.suspendedUntil = reinstateAt;
     if (reason) {
         this.metadata.suspensionReason = reason;
     }
+    this.recordStatusChange('suspended', reason, changedBy, reinstateAt);
+    this.markModified('metadata');
     return this.save();
 };
 
 // Method to reactivate credential
-CredentialSchema.methods.reactivate = function() {
+CredentialSchema.methods.reactivate = function(reason = null, changedBy = null) {
     if (this.status === 'suspended') {
         this.status = 'active';
+        this.suspendedUntil = null;
         delete this.metadata.suspensionReason;
+        this.recordStatusChange('active', reason, changedBy);
+        this.markModified('metadata');
         return this.save();
     }
     throw new Error('Only suspended credentials can be reactivated');
 };
 
-// Method to generate Verifiable Credential format (W3C standard)
-CredentialSchema.methods.toVerifiableCredential = function() {
+// Method to mark credential expired once its expiration date has passed
+CredentialSchema.methods.expire = function() {
+    this.status = 'expired';
+    this.suspendedUntil = null;
+    this.recordStatusChange('expired', 'Expiration date reached');
+    return this.save();
+};
+
+// Method to check if a suspension has reached its auto-reinstate date
+CredentialSchema.methods.isSuspensionLapsed = function() {
+    return this.status === 'suspended'
+        && !!this.suspendedUntil
+        && this.suspendedUntil <= Date.now();
+};
+
+// Method to summarise the current suspension (null when not suspended)
+CredentialSchema.methods.getSuspension = function() {
+    if (this.status !== 'suspended') {
+        return null;
+    }
+    const entry = [...this.statusHistory].reverse().find(e => e.status === 'suspended');
+    return {
+        reason: (entry && entry.reason) || this.metadata.suspensionReason || null,
+        suspendedAt: entry ? entry.changedAt : null,
+        reinstateAt: this.suspendedUntil
+    };
+};
+
+// Method to generate Verifiable Credential format (W3C VC Data Model 2.0)
+// The subject is only stored encrypted, so callers pass in the decrypted subject
+CredentialSchema.methods.toVerifiableCredential = function(subject = {}) {
     const vc = {
         '@context': [
-            'https://www.w3.org/2018/credentials/v1',
-            'https://www.w3.org/2018/credentials/examples/v1'
+            'https://www.w3.org/ns/credentials/v2'
         ],
-        id: this.credentialId,
+        id: `urn:uuid:${this.credentialId}`,
         type: ['VerifiableCredential', this.credentialType],
-        issuer: this.issuer.did,
-        issuanceDate: this.issuanceDate.toISOString(),
+        issuer: {
+            id: this.issuer.did,
+            name: this.issuer.name
+        },
+        validFrom: this.issuanceDate.toISOString(),
         credentialSubject: {
             id: this.holder,
-            ...this.credentialSubject
+            ...subject
         }
     };
     
     if (this.expirationDate) {
-        vc.expirationDate = this.expirationDate.toISOString();
+        vc.validUntil = this.expirationDate.toISOString();
+    }
+    
+    if (this.credentialStatus && this.credentialStatus.length > 0) {
+        vc.credentialStatus = this.credentialStatus.map(entry => ({
+            id: entry.id,
+            type: entry.type,
+            statusPurpose: entry.statusPurpose,
+            statusListIndex: entry.statusListIndex,
+            statusListCredential: entry.statusListCredential
+        }));
     }
     
     if (this.proof && this.proof.proofValue) {
-        vc.proof = this.proof;
+        vc.proof = {
+            type: this.proof.type,
+            created: this.proof.created.toISOString(),
+            proofPurpose: this.proof.proofPurpose,
+            verificationMethod: this.proof.verificationMethod,
+            proofValue: this.proof.proofValue
+        };
     }
     
     return vc;
@@ -270,6 +415,9 @@ CredentialSchema.methods.toJSON = function() {
     // Remove internal fields
     delete credential.__v;
     delete credential.credentialData; // Don't expose encrypted data
+    delete credential.holderCredentialData;
+    delete credential.subjectIndex;
+    delete credential.subjectDigest;
     
     return credential;
 };
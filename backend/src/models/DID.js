@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
-const { generateDID, validateDID } = require('../utils/helpers');
+const { generateDID, validateDID, verificationMethodId } = require('../utils/helpers');
+const { buildVerificationMethod, resolveDidKey } = require('../utils/multikey');
+const { didWebDocumentPath } = require('../utils/didWeb');
+const { parseDidEthr } = require('../utils/didEthr');
 const { sha256 } = require('../utils/crypto');
+const config = require('../config/env');
+const blockchainConfig = require('../config/blockchain');
 
 const DIDSchema = new mongoose.Schema({
     did: {
@@ -28,6 +33,11 @@ const DIDSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Public key is required']
     },
+    // did:ethr: KMS key id of the secp256k1 key owning the identity in the registry
+    controllerKeyId: {
+        type: String,
+        default: null
+    },
     controller: {
         type: String,
         default: null
@@ -56,6 +66,41 @@ const DIDSchema = new mongoose.Schema({
         }],
         default: []
     },
+    // Verification methods, once a key has been rotated (until then the DID has the single key in
+    // publicKey, #keys-1). Revoked methods stay listed so signatures made before revokedAt verify
+    verificationMethods: {
+        type: [{
+            _id: false,
+            id: { type: String, required: true },
+            publicKey: { type: String, required: true },
+            keyId: { type: String, default: null }, // KMS key id of the private half
+            createdAt: { type: Date, default: Date.now },
+            revokedAt: { type: Date, default: null },
+            revocationReason: { type: String, default: null }
+        }],
+        default: []
+    },
+    // Verification relationships by method id (null: the single key holds both)
+    relationships: {
+        type: {
+            _id: false,
+            authentication: [String],
+            assertionMethod: [String]
+        },
+        default: null
+    },
+    // Audit trail of key changes, each anchored on the blockchain
+    keyHistory: [{
+        _id: false,
+        action: { type: String, enum: ['add', 'revoke', 'relationships'], required: true },
+        verificationMethod: { type: String },
+        authentication: [String],
+        assertionMethod: [String],
+        reason: { type: String },
+        at: { type: Date, default: Date.now },
+        blockchainTxHash: { type: String },
+        blockchainBlockNumber: { type: Number }
+    }],
     isActive: {
         type: Boolean,
         default: true
@@ -79,6 +124,27 @@ const DIDSchema = new mongoose.Schema({
     deactivatedAt: {
         type: Date,
         default: null
+    },
+    // What the current deactivation cascaded to, so reactivation can restore it (null while active)
+    deactivation: {
+        type: {
+            _id: false,
+            reason: { type: String, default: null },
+            policy: {
+                issuedCredentials: { type: String, enum: ['suspend', 'revoke', 'keep'] },
+                heldCredentials: { type: String, enum: ['flag', 'keep'] },
+                oauthGrants: { type: String, enum: ['revoke', 'keep'] },
+                anchorOnChain: { type: Boolean }
+            },
+            suspendedCredentials: [String],
+            revokedCredentials: [String],
+            flaggedCredentials: [String],
+            revokedAccessTokens: { type: Number, default: 0 },
+            revokedAuthCodes: { type: Number, default: 0 },
+            blockchainTxHash: { type: String, default: null },
+            blockchainBlockNumber: { type: Number, default: null }
+        },
+        default: null
     }
 }, {
     timestamps: true
@@ -88,7 +154,7 @@ const DIDSchema = new mongoose.Schema({
 DIDSchema.pre('save', function(next) {
     // Generate DID if not present
     if (!this.did && this.method) {
-        this.did = generateDID(this.method);
+        this.did = generateDID(this.method, this.publicKey);
     }
     
     // Generate document hash if document is present
@@ -107,29 +173,46 @@ DIDSchema.pre('save', function(next) {
 
 // Method to generate DID Document following W3C DID Core specification
 DIDSchema.methods.generateDIDDocument = function() {
+    // did:key documents are fully determined by the identifier
+    if (this.method === 'key') {
+        return resolveDidKey(this.did);
+    }
+
+    const verificationMethod = this.getVerificationMethods().map(method => ({
+        ...buildVerificationMethod(method.id, this.did, method.publicKey),
+        ...(method.revokedAt && { revoked: method.revokedAt.toISOString() })
+    }));
+    const suites = verificationMethod.map(method => method.type === 'JsonWebKey2020'
+        ? 'https://w3id.org/security/suites/jws-2020/v1'
+        : 'https://w3id.org/security/suites/ed25519-2020/v1');
     const didDoc = {
         '@context': [
             'https://www.w3.org/ns/did/v1',
-            'https://w3id.org/security/suites/ed25519-2020/v1'
+            ...new Set(suites)
         ],
         id: this.did,
         controller: this.controller || this.did,
-        verificationMethod: [{
-            id: `${this.did}#keys-1`,
-            type: 'Ed25519VerificationKey2020',
-            controller: this.did,
-            publicKeyBase58: this.publicKey
-        }],
-        authentication: [
-            `${this.did}#keys-1`
-        ],
-        assertionMethod: [
-            `${this.did}#keys-1`
-        ],
+        verificationMethod,
+        authentication: [...this.getRelationship('authentication')],
+        assertionMethod: [...this.getRelationship('assertionMethod')],
         created: this.createdAt.toISOString(),
         updated: this.updatedAt.toISOString()
     };
     
+    // did:ethr identities are also controlled by their Ethereum account (resolution reads the registry)
+    if (this.controllerKeyId) {
+        const controllerId = `${this.did}#controller`;
+        didDoc['@context'].push('https://w3id.org/security/suites/secp256k1recovery-2020/v2');
+        didDoc.verificationMethod.unshift({
+            id: controllerId,
+            type: 'EcdsaSecp256k1RecoveryMethod2020',
+            controller: this.did,
+            blockchainAccountId: `eip155:${blockchainConfig.ethr.chainId}:${parseDidEthr(this.did).address}`
+        });
+        didDoc.authentication.unshift(controllerId);
+        didDoc.assertionMethod.unshift(controllerId);
+    }
+    
     // Add service endpoints if present
     if (this.service && this.service.length > 0) {
         didDoc.service = this.service;
@@ -138,6 +221,35 @@ DIDSchema.methods.generateDIDDocument = function() {
     return didDoc;
 };
 
+// Method to get the verification methods (the single key of DIDs that never rotated one)
+DIDSchema.methods.getVerificationMethods = function() {
+    if (this.verificationMethods && this.verificationMethods.length > 0) {
+        return this.verificationMethods;
+    }
+
+    return [{
+        id: verificationMethodId(this.did),
+        publicKey: this.publicKey,
+        keyId: null,
+        createdAt: this.createdAt,
+        revokedAt: null,
+        revocationReason: null
+    }];
+};
+
+// Method to get the method ids of a verification relationship ('authentication' or 'assertionMethod')
+DIDSchema.methods.getRelationship = function(relationship) {
+    return this.relationships ? this.relationships[relationship] : [verificationMethodId(this.did)];
+};
+
+// Method to get the first unrevoked verification method of a relationship
+DIDSchema.methods.getActiveMethod = function(relationship) {
+    const methods = this.getVerificationMethods();
+    return this.getRelationship(relationship)
+        .map(id => methods.find(method => method.id === id))
+        .find(method => method && !method.revokedAt) || null;
+};
+
 // Method to update DID Document
 DIDSchema.methods.updateDocument = function(updates) {
     this.document = { ...this.document, ...updates };
@@ -191,6 +303,8 @@ DIDSchema.methods.toPublicObject = function() {
         publicKey: this.publicKey,
         controller: this.controller,
         document: this.generateDIDDocument(),
+        // did:web documents are published by this backend at the URL the identifier maps to
+        ...(this.method === 'web' && { documentUrl: `${config.publicUrl}${didWebDocumentPath(this.did)}` }),
         isActive: this.isActive,
         createdAt: this.createdAt,
         updatedAt: this.updatedAt
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Every version of a DID document stored by this vault, oldest first, each linked to its anchor block
+const DIDVersionSchema = new mongoose.Schema({
+    did: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // 1 for the document the DID was created (or first versioned) with, then one per change
+    versionId: {
+        type: Number,
+        required: true
+    },
+    document: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    documentHash: {
+        type: String,
+        required: true
+    },
+    // What produced the version
+    change: {
+        type: String,
+        enum: ['create', 'update', 'service', 'key', 'restore', 'migration'],
+        required: true
+    },
+    blockchainTxHash: {
+        type: String,
+        default: null
+    },
+    blockchainBlockNumber: {
+        type: Number,
+        default: null
+    },
+    // versionTime: the document was current from this instant until the next version
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+DIDVersionSchema.index({ did: 1, versionId: 1 }, { unique: true });
+DIDVersionSchema.index({ did: 1, createdAt: -1 });
+
+// Static method to get the latest version of a DID
+DIDVersionSchema.statics.findLatest = function(did) {
+    return this.findOne({ did }).sort({ versionId: -1 });
+};
+
+// Static method to get the version that was current at a point in time
+DIDVersionSchema.statics.findAtTime = function(did, versionTime) {
+    return this.findOne({ did, createdAt: { $lte: versionTime } }).sort({ versionId: -1 });
+};
+
+// Method to get the DID resolution metadata of the version
+DIDVersionSchema.methods.toMetadata = function() {
+    return {
+        versionId: String(this.versionId),
+        updated: this.createdAt.toISOString(),
+        blockchainTxHash: this.blockchainTxHash,
+        blockchainBlockNumber: this.blockchainBlockNumber
+    };
+};
+
+const DIDVersion = mongoose.model('DIDVersion', DIDVersionSchema);
+
+module.exports = DIDVersion;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const MigrationSchema = new mongoose.Schema({
+    migrationId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    description: {
+        type: String,
+        default: null
+    },
+    // Summary returned by the migration (e.g. counts of migrated records)
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Migration = mongoose.model('Migration', MigrationSchema);
+
+module.exports = Migration;
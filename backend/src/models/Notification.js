@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'credential.expiring',
+            'credential.expired',
+            'recovery.guardian-added',
+            'recovery.requested',
+            'recovery.approval-requested',
+            'recovery.completed'
+        ]
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    credentialId: {
+        type: String,
+        default: null
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for the unread list shown to each user
+NotificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+// Method to mark notification as read
+NotificationSchema.methods.markRead = function() {
+    this.read = true;
+    this.readAt = new Date();
+    return this.save();
+};
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const RECOVERY_STATUSES = ['pending', 'approved', 'completing', 'completed', 'declined', 'cancelled', 'expired'];
+
+// A request to recover a password-protected vault with the help of its guardians
+const RecoveryRequestSchema = new mongoose.Schema({
+    requestId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => uuidv4(),
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: RECOVERY_STATUSES,
+        default: 'pending'
+    },
+    threshold: {
+        type: Number,
+        required: true
+    },
+    // Guardians at the time of the request
+    guardians: [{
+        _id: false,
+        did: { type: String, required: true },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+    }],
+    // Key pair of this request: approving guardians re-encrypt their share to the public key, and the
+    // private key is wrapped with the ticket only the requester holds, so the server can't combine the
+    // shares on its own
+    publicKey: {
+        type: String,
+        required: true
+    },
+    wrappedPrivateKey: {
+        type: String,
+        default: null,
+        select: false
+    },
+    shares: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+        select: false
+    },
+    decisions: [{
+        _id: false,
+        guardianDid: { type: String, required: true },
+        decision: { type: String, enum: ['approved', 'declined'], required: true },
+        decidedAt: { type: Date, default: Date.now }
+    }],
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Audit trail of everything that happened to the request
+    history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['requested', 'approved', 'declined', 'failed-attempt', 'completed', 'cancelled', 'expired']
+        },
+        actor: { type: String, default: null }, // Guardian DID, 'owner' or 'requester'
+        ip: { type: String, default: null },
+        note: { type: String, default: null },
+        at: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true
+});
+
+RecoveryRequestSchema.index({ userId: 1, createdAt: -1 });
+RecoveryRequestSchema.index({ 'guardians.userId': 1, status: 1 });
+
+// Method to append an entry to the audit trail
+RecoveryRequestSchema.methods.record = function(action, actor = null, ip = null, note = null) {
+    this.history.push({ action, actor, ip, note, at: Date.now() });
+};
+
+// Method to check if the request can still make progress
+RecoveryRequestSchema.methods.isOpen = function() {
+    return ['pending', 'approved', 'completing'].includes(this.status) && this.expiresAt > Date.now();
+};
+
+// Method to count guardian decisions
+RecoveryRequestSchema.methods.countDecisions = function(decision) {
+    return this.decisions.filter(entry => entry.decision === decision).length;
+};
+
+// Method to summarise the request (no key material)
+RecoveryRequestSchema.methods.toSummary = function() {
+    return {
+        requestId: this.requestId,
+        status: this.status,
+        threshold: this.threshold,
+        guardians: this.guardians.map(guardian => guardian.did),
+        approvals: this.countDecisions('approved'),
+        declines: this.countDecisions('declined'),
+        decisions: this.decisions,
+        expiresAt: this.expiresAt,
+        completedAt: this.completedAt,
+        createdAt: this.createdAt
+    };
+};
+
+const RecoveryRequest = mongoose.model('RecoveryRequest', RecoveryRequestSchema);
+
+module.exports = RecoveryRequest;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const { hash } = require('../utils/crypto');
+
+// 16KB bitstring - the minimum size recommended for herd privacy
+const DEFAULT_LIST_SIZE = 131072;
+
+// Largest decoded list accepted from other issuers (8M entries), so a small gzip can't inflate without bound
+const MAX_DECODED_LIST_BYTES = 1024 * 1024;
+
+const StatusListSchema = new mongoose.Schema({
+    listId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => uuidv4(),
+        index: true
+    },
+    issuerDID: {
+        type: String,
+        required: true,
+        index: true
+    },
+    statusPurpose: {
+        type: String,
+        required: true,
+        enum: ['revocation', 'suspension']
+    },
+    size: {
+        type: Number,
+        default: DEFAULT_LIST_SIZE
+    },
+    // Indices given to credentials, picked at random so an index doesn't reveal issuance order
+    allocatedIndices: {
+        type: [Number],
+        default: []
+    },
+    // Number of allocated indices; a new list is opened when a list is full
+    allocatedCount: {
+        type: Number,
+        default: 0
+    },
+    // Indices whose bit is set; kept sparse so bit flips are atomic $addToSet / $pull updates
+    setIndices: {
+        type: [Number],
+        default: []
+    },
+    // Incremented with every bit flip, so the hash of a flip is only stored while no later flip happened
+    revision: {
+        type: Number,
+        default: 0
+    },
+    listHash: {
+        type: String,
+        default: null
+    },
+    blockchainBlockNumber: {
+        type: Number,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+StatusListSchema.index({ issuerDID: 1, statusPurpose: 1, allocatedCount: 1 });
+
+// Method to build the raw bitstring (index 0 is the most significant bit of the first byte)
+StatusListSchema.methods.toBitstring = function() {
+    const bits = Buffer.alloc(Math.ceil(this.size / 8));
+    this.setIndices.forEach(index => {
+        bits[Math.floor(index / 8)] |= 0x80 >> (index % 8);
+    });
+    return bits;
+};
+
+// Method to encode the bitstring as GZIP + multibase base64url, per Bitstring Status List
+StatusListSchema.methods.getEncodedList = function() {
+    return `u${zlib.gzipSync(this.toBitstring()).toString('base64url')}`;
+};
+
+// Method to hash the bitstring so its state can be anchored on chain
+StatusListSchema.methods.computeListHash = function() {
+    return hash(this.toBitstring());
+};
+
+// Method to pick a random index that no credential has yet (null when the list is full)
+StatusListSchema.methods.randomFreeIndex = function() {
+    const allocated = new Set(this.allocatedIndices);
+    const free = this.size - allocated.size;
+    if (free <= 0) {
+        return null;
+    }
+
+    let remaining = crypto.randomInt(free);
+    for (let index = 0; index < this.size; index++) {
+        if (!allocated.has(index) && remaining-- === 0) {
+            return index;
+        }
+    }
+    return null;
+};
+
+// Method to read a single status bit
+StatusListSchema.methods.isSet = function(index) {
+    return this.setIndices.includes(Number(index));
+};
+
+// Static method to decode a published encodedList and read a bit (for verifiers)
+StatusListSchema.statics.readEncodedBit = function(encodedList, index) {
+    const bits = zlib.gunzipSync(Buffer.from(encodedList.replace(/^u/, ''), 'base64url'), {
+        maxOutputLength: MAX_DECODED_LIST_BYTES
+    });
+    const position = Number(index);
+    if (!Number.isInteger(position) || position < 0 || position >= bits.length * 8) {
+        throw new Error('Status list index is out of range');
+    }
+    return (bits[Math.floor(position / 8)] & (0x80 >> (position % 8))) !== 0;
+};
+
+const StatusList = mongoose.model('StatusList', StatusListSchema);
+
+module.exports = StatusList;
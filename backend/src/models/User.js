@@ -35,16 +35,129 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Legacy: private keys now live in the KMS keystore (moved there by migration 004)
     privateKey: {
         type: String,
         default: null,
         select: false // Never include private key in queries
     },
+    // KMS key id of the active DID's signing key
+    signingKeyId: {
+        type: String,
+        default: null
+    },
     vaultKey: {
         type: String,
         required: true,
         select: false // Encryption key for user's vault
     },
+    // 'server': vaultKey is stored as-is. 'password' (zero-knowledge): vaultKey is wrapped with a
+    // key-encryption key that is itself only stored wrapped with the password and a recovery code
+    vaultKeyProtection: {
+        type: String,
+        enum: ['server', 'password'],
+        default: 'server'
+    },
+    vaultKeyWraps: {
+        type: {
+            _id: false,
+            password: { type: String },
+            recovery: { type: String },
+            social: { type: String } // Wrapped with the social recovery secret
+        },
+        default: null,
+        select: false
+    },
+    // Lets issuers encrypt holder copies to a password-protected vault while it is locked
+    vaultPublicKey: {
+        type: String,
+        default: null
+    },
+    vaultPrivateKey: {
+        type: String,
+        default: null,
+        select: false // Wrapped with the key-encryption key
+    },
+    // Social recovery: the secret that vaultKeyWraps.social is wrapped with, split into Shamir shares
+    // (any `threshold` of them reconstruct it), each encrypted to a guardian's vault public key
+    socialRecovery: {
+        type: {
+            _id: false,
+            threshold: { type: Number },
+            guardians: [{
+                _id: false,
+                did: { type: String },
+                userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                share: { type: mongoose.Schema.Types.Mixed }
+            }],
+            configuredAt: { type: Date }
+        },
+        default: null,
+        select: false
+    },
+    // Browser-side encryption: the client vault key is created and used in the browser only.
+    // The server keeps it wrapped with a key derived from the password (PBKDF2), along with an
+    // RSA key pair (private half wrapped with the client vault key) for holder copies
+    clientVault: {
+        type: {
+            _id: false,
+            keyId: { type: String },
+            wrappedKey: { type: String },
+            salt: { type: String },
+            iterations: { type: Number },
+            publicKey: { type: String },
+            wrappedPrivateKey: { type: String },
+            enabledAt: { type: Date }
+        },
+        default: null,
+        select: false
+    },
+    // Replacement vault key while a rotation is in progress; new copies are encrypted under it
+    pendingVaultKey: {
+        type: String,
+        default: null,
+        select: false
+    },
+    vaultKeyVersion: {
+        type: Number,
+        default: 1
+    },
+    // Progress of an in-progress vault key rotation (null when none is running)
+    vaultKeyRotation: {
+        type: {
+            _id: false,
+            toVersion: { type: Number },
+            keyId: { type: String },
+            reason: { type: String },
+            initiatedBy: { type: String, enum: ['user', 'admin'] },
+            startedAt: { type: Date },
+            lastProgressAt: { type: Date },
+            reEncrypted: { type: Number, default: 0 }
+        },
+        default: null
+    },
+    // Audit trail of completed vault key rotations (version 1 is the key created at registration)
+    vaultKeyHistory: [{
+        _id: false,
+        version: { type: Number, required: true },
+        keyId: { type: String, required: true },
+        previousKeyId: { type: String },
+        reason: { type: String },
+        initiatedBy: { type: String, enum: ['user', 'admin'] },
+        startedAt: { type: Date },
+        completedAt: { type: Date },
+        credentialsReEncrypted: { type: Number, default: 0 }
+    }],
+    // Issuer webhook for credential lifecycle events (expiring, expired)
+    webhookUrl: {
+        type: String,
+        default: null
+    },
+    webhookSecret: {
+        type: String,
+        default: null,
+        select: false // Used to sign webhook deliveries
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -171,6 +284,12 @@ userSchema.methods.toSafeObject = function() {
     delete user.password;
     delete user.privateKey;
     delete user.vaultKey;
+    delete user.pendingVaultKey;
+    delete user.vaultKeyWraps;
+    delete user.vaultPrivateKey;
+    delete user.clientVault;
+    delete user.socialRecovery;
+    delete user.webhookSecret;
     delete user.__v;
     delete user.loginAttempts;
     delete user.lockUntil;
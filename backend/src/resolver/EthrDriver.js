@@ -0,0 +1,41 @@
+const ethrDIDService = require('../services/ethrDIDService');
+const { isDidEthr } = require('../utils/didEthr');
+
+/**
+ * did:ethr driver - documents are rebuilt from the ERC-1056 registry events
+ * DIDs of the ethr method created before registry support carry a random identifier and are read
+ * from the database instead.
+ */
+class EthrDriver {
+    /**
+     * @param {object} vaultDriver - Driver resolving DIDs stored in the database
+     */
+    constructor(vaultDriver) {
+        this.vaultDriver = vaultDriver;
+    }
+
+    /**
+     * Reading the registry takes a few RPC calls per change, so results are cached
+     * (the vault invalidates the DIDs it changes itself)
+     */
+    cacheable(did) {
+        return isDidEthr(did);
+    }
+
+    /**
+     * Resolve a did:ethr identifier
+     * @param {string} did - did:ethr identifier
+     * @param {object} options - { versionId (a block number), versionTime } of an earlier version
+     * @returns {object} { didDocument, didDocumentMetadata }
+     */
+    async resolve(did, options = {}) {
+        if (!isDidEthr(did)) {
+            return this.vaultDriver.resolve(did, options);
+        }
+
+        const { didDocument, metadata } = await ethrDIDService.resolve(did, options);
+        return { didDocument, didDocumentMetadata: metadata };
+    }
+}
+
+module.exports = EthrDriver;
@@ -0,0 +1,27 @@
+const { AppError } = require('../middleware/errorHandler');
+const { resolveDidKey } = require('../utils/multikey');
+
+/**
+ * did:key driver - the document is derived from the key in the identifier, without any lookup
+ * (it never changes, so versionId and versionTime resolve the same document)
+ */
+class KeyDriver {
+    cacheable() {
+        return false;
+    }
+
+    /**
+     * Resolve a did:key identifier
+     * @param {string} did - did:key identifier
+     * @returns {object} { didDocument, didDocumentMetadata }
+     */
+    async resolve(did) {
+        try {
+            return { didDocument: resolveDidKey(did), didDocumentMetadata: {} };
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+    }
+}
+
+module.exports = KeyDriver;
@@ -0,0 +1,143 @@
+const { AppError } = require('../middleware/errorHandler');
+const { multikeyType, resolveDidKey } = require('../utils/multikey');
+
+/**
+ * did:peer driver - pairwise DIDs whose documents are encoded in the identifier itself
+ *
+ * numalgo 0: did:peer:0<multikey>, a single Ed25519 inception key (resolved like did:key)
+ * numalgo 2: did:peer:2.<purpose><value>.<purpose><value>... with keys and base64url service blocks
+ * See https://identity.foundation/peer-did-method-spec/
+ */
+
+// Verification relationship of each numalgo 2 key purpose code ('S' elements are services)
+const PURPOSES = {
+    A: 'assertionMethod',
+    E: 'keyAgreement',
+    V: 'authentication',
+    I: 'capabilityInvocation',
+    D: 'capabilityDelegation'
+};
+
+// Abbreviations used in numalgo 2 service blocks
+const SERVICE_KEYS = { t: 'type', s: 'serviceEndpoint', r: 'routingKeys', a: 'accept' };
+const SERVICE_TYPES = { dm: 'DIDCommMessaging' };
+
+const VERIFICATION_METHOD_TYPES = {
+    Ed25519: 'Ed25519VerificationKey2020',
+    X25519: 'X25519KeyAgreementKey2020'
+};
+
+class PeerDriver {
+    cacheable() {
+        return false;
+    }
+
+    /**
+     * Resolve a did:peer identifier
+     * @param {string} did - did:peer identifier
+     * @returns {object} { didDocument, didDocumentMetadata }
+     */
+    async resolve(did) {
+        const numalgo = did.charAt('did:peer:'.length);
+
+        if (numalgo === '0') {
+            return { didDocument: this.resolveNumalgo0(did), didDocumentMetadata: {} };
+        }
+        if (numalgo === '2') {
+            return { didDocument: this.resolveNumalgo2(did), didDocumentMetadata: {} };
+        }
+
+        throw new AppError(`Unsupported did:peer numalgo '${numalgo}'`, 400);
+    }
+
+    /**
+     * numalgo 0: the did:key document of the inception key, under the did:peer identifier
+     */
+    resolveNumalgo0(did) {
+        const publicKeyMultibase = did.slice('did:peer:0'.length);
+
+        let keyDocument;
+        try {
+            keyDocument = resolveDidKey(`did:key:${publicKeyMultibase}`);
+        } catch (error) {
+            throw new AppError(`Invalid did:peer inception key: ${error.message}`, 400);
+        }
+
+        return JSON.parse(JSON.stringify(keyDocument).split(`did:key:${publicKeyMultibase}`).join(did));
+    }
+
+    /**
+     * numalgo 2: keys in the order they appear (#key-1, #key-2...) and the decoded services
+     */
+    resolveNumalgo2(did) {
+        const didDocument = {
+            '@context': [
+                'https://www.w3.org/ns/did/v1',
+                'https://w3id.org/security/suites/ed25519-2020/v1',
+                'https://w3id.org/security/suites/x25519-2020/v1'
+            ],
+            id: did,
+            verificationMethod: []
+        };
+        const services = [];
+
+        for (const element of did.split('.').slice(1)) {
+            const purpose = element.charAt(0);
+            const value = element.slice(1);
+
+            if (purpose === 'S') {
+                services.push(this.decodeService(value));
+                continue;
+            }
+
+            const relationship = PURPOSES[purpose];
+            const keyType = multikeyType(value);
+            if (!relationship || !keyType) {
+                throw new AppError(`Invalid did:peer element '${element}'`, 400);
+            }
+
+            const id = `${did}#key-${didDocument.verificationMethod.length + 1}`;
+            didDocument.verificationMethod.push({
+                id,
+                type: VERIFICATION_METHOD_TYPES[keyType],
+                controller: did,
+                publicKeyMultibase: value
+            });
+            didDocument[relationship] = [...(didDocument[relationship] || []), id];
+        }
+
+        if (services.length > 0) {
+            // The first service is #service, the following ones #service-1, #service-2...
+            didDocument.service = services.map((service, index) => ({
+                id: `${did}#${index === 0 ? 'service' : `service-${index}`}`,
+                ...service
+            }));
+        }
+
+        return didDocument;
+    }
+
+    /**
+     * Decode a base64url service block, expanding the abbreviated keys and types
+     */
+    decodeService(encoded) {
+        let service;
+        try {
+            service = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new AppError('Invalid did:peer service encoding', 400);
+        }
+
+        const expanded = {};
+        for (const [key, value] of Object.entries(service)) {
+            expanded[SERVICE_KEYS[key] || key] = value;
+        }
+        if (SERVICE_TYPES[expanded.type]) {
+            expanded.type = SERVICE_TYPES[expanded.type];
+        }
+
+        return expanded;
+    }
+}
+
+module.exports = PeerDriver;
@@ -0,0 +1,74 @@
+const DID = require('../models/DID');
+const DIDVersion = require('../models/DIDVersion');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * did:vault driver - DIDs whose documents are kept in this vault's database
+ *
+ * Also resolves the other DIDs the vault stores itself: did:web identifiers under its own domain
+ * and did:ethr DIDs created before registry support. Deactivated DIDs resolve, with
+ * `deactivated: true` in their document metadata. Every saved document is kept as a DIDVersion,
+ * so earlier versions resolve by versionId or versionTime.
+ */
+class VaultDriver {
+    /**
+     * Stored documents change with every update, so they are read fresh each time
+     */
+    cacheable() {
+        return false;
+    }
+
+    /**
+     * Resolve a DID from the database
+     * @param {string} did - DID identifier
+     * @param {object} options - { versionId, versionTime } of an earlier version
+     * @returns {object} { didDocument, didDocumentMetadata }
+     */
+    async resolve(did, { versionId, versionTime } = {}) {
+        const record = await DID.findOne({ did });
+        if (!record) {
+            throw new AppError('DID not found', 404);
+        }
+
+        const metadata = {
+            created: record.createdAt.toISOString(),
+            deactivated: !record.isActive
+        };
+
+        if (!versionId && !versionTime) {
+            const latest = await DIDVersion.findLatest(did);
+            return {
+                didDocument: record.generateDIDDocument(),
+                didDocumentMetadata: {
+                    ...metadata,
+                    updated: record.updatedAt.toISOString(),
+                    ...(latest && { versionId: String(latest.versionId) }),
+                    onBlockchain: !!record.blockchainTxHash,
+                    blockchainTxHash: record.blockchainTxHash,
+                    blockchainBlockNumber: record.blockchainBlockNumber
+                }
+            };
+        }
+
+        const version = versionId
+            ? await DIDVersion.findOne({ did, versionId: Number(versionId) })
+            : await DIDVersion.findAtTime(did, new Date(versionTime));
+        if (!version) {
+            throw new AppError(`DID document version not found: ${versionId || versionTime}`, 404);
+        }
+
+        const next = await DIDVersion.findOne({ did, versionId: version.versionId + 1 });
+
+        return {
+            didDocument: version.document,
+            didDocumentMetadata: {
+                ...metadata,
+                ...version.toMetadata(),
+                onBlockchain: !!version.blockchainTxHash,
+                ...(next && { nextUpdate: next.createdAt.toISOString(), nextVersionId: String(next.versionId) })
+            }
+        };
+    }
+}
+
+module.exports = VaultDriver;
@@ -0,0 +1,45 @@
+const didWebService = require('../services/didWebService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * did:web driver - documents of other domains are fetched from their host (or the fixtures
+ * directory); DIDs under this deployment's own domain are read from the database
+ */
+class WebDriver {
+    /**
+     * @param {object} vaultDriver - Driver resolving the DIDs hosted by this deployment
+     */
+    constructor(vaultDriver) {
+        this.vaultDriver = vaultDriver;
+    }
+
+    cacheable(did) {
+        return !didWebService.isLocal(did);
+    }
+
+    /**
+     * Resolve a did:web identifier
+     * @param {string} did - did:web identifier
+     * @param {object} options - { versionId, versionTime } of an earlier version
+     * @returns {object} { didDocument, didDocumentMetadata, didResolutionMetadata }
+     */
+    async resolve(did, options = {}) {
+        if (didWebService.isLocal(did)) {
+            return this.vaultDriver.resolve(did, options);
+        }
+
+        // A did:web host only serves its current document
+        if (options.versionId || options.versionTime) {
+            throw new AppError('did:web documents of other hosts have no version history', 404);
+        }
+
+        const { didDocument, metadata } = await didWebService.resolve(did);
+        return {
+            didDocument,
+            didDocumentMetadata: {},
+            didResolutionMetadata: { retrievedFrom: metadata.retrievedFrom }
+        };
+    }
+}
+
+module.exports = WebDriver;
@@ -25,17 +25,44 @@ const refreshTokenSchema = Joi.object({
 const updateProfileSchema = Joi.object({
     username: Joi.string().min(3).max(30),
     email: Joi.string().email(),
+    webhookUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(null, ''),
 }).min(1);
 
+// Browser vault key wrapped with a PBKDF2-derived key (hex encoded, wrapped as iv:tag:ciphertext)
+const clientVaultWrapSchema = {
+    wrappedKey: Joi.string().pattern(/^[0-9a-f]+:[0-9a-f]+:[0-9a-f]+$/).required(),
+    salt: Joi.string().hex().min(32).required(),
+    iterations: Joi.number().integer().min(100000).required(),
+};
+
 const changePasswordSchema = Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(8).required(),
+    clientVault: Joi.object(clientVaultWrapSchema),
+});
+
+const clientVaultSchema = Joi.object({
+    ...clientVaultWrapSchema,
+    keyId: Joi.string().hex().length(16).required(),
+    publicKey: Joi.string().pattern(/^-----BEGIN PUBLIC KEY-----/).required(),
+    wrappedPrivateKey: Joi.string().pattern(/^[0-9a-f]+:[0-9a-f]+:[0-9a-f]+$/).required(),
+});
+
+const vaultProtectionSchema = Joi.object({
+    password: Joi.string().required(),
+});
+
+const recoverVaultSchema = Joi.object({
+    email: Joi.string().email().required(),
+    recoveryCode: Joi.string().trim().required(),
+    newPassword: Joi.string().min(8).required(),
 });
 
 // Public routes
 router.post('/register', validate(registerSchema), authController.register);
 router.post('/login', validate(loginSchema), authController.login);
 router.post('/refresh', validate(refreshTokenSchema), authController.refreshToken);
+router.post('/recover-vault', validate(recoverVaultSchema), authController.recoverVault);
 
 // Protected routes
 router.use(authMiddleware);
@@ -43,5 +70,8 @@ router.post('/logout', authController.logout);
 router.get('/me', authController.getMe);
 router.put('/me', validate(updateProfileSchema), authController.updateProfile);
 router.put('/change-password', validate(changePasswordSchema), authController.changePassword);
+router.post('/vault-protection', validate(vaultProtectionSchema), authController.enableVaultProtection);
+router.get('/client-vault', authController.getClientVault);
+router.put('/client-vault', validate(clientVaultSchema), authController.enableClientVault);
 
 module.exports = router;
\ No newline at end of file
@@ -12,7 +12,7 @@ const blockIndexParamSchema = Joi.object({
 
 const didParamSchema = Joi.object({
     did: Joi.string()
-        .pattern(/^did:(vault|ethr):[a-zA-Z0-9]+$/)
+        .pattern(/^did:(vault|key|web|ethr):[a-zA-Z0-9._:%-]+$/)
         .required(),
 });
 
@@ -6,6 +6,26 @@ const { validate, validateParam, validateQuery } = require('../middleware/valida
 const Joi = require('joi');
 
 // Validation schemas
+// Envelope encrypted in the issuer's browser (same format as EncryptionService.encryptCredential)
+const clientEnvelopeSchema = Joi.object({
+    version: Joi.number().valid(2).required(),
+    algorithm: Joi.string().valid('aes-256-gcm').required(),
+    keyId: Joi.string().hex().length(16).required(),
+    iv: Joi.string().hex().length(24).required(),
+    authTag: Joi.string().hex().length(32).required(),
+    associatedData: Joi.string().required(),
+    encryptedData: Joi.string().hex().required(),
+});
+
+const clientHolderCopySchema = clientEnvelopeSchema.keys({
+    wrappedKey: Joi.object({
+        version: Joi.number().valid(2).required(),
+        algorithm: Joi.string().valid('rsa-oaep-256').required(),
+        keyId: Joi.string().hex().length(16).required(),
+        encryptedData: Joi.string().hex().required(),
+    }).required(),
+});
+
 const createCredentialSchema = Joi.object({
     type: Joi.string()
         .valid(
@@ -18,14 +38,27 @@ const createCredentialSchema = Joi.object({
             'ProfessionalCredential'
         )
         .required(),
-    subject: Joi.object().required(),
+    subject: Joi.object(),
     issuerDID: Joi.string()
-        .pattern(/^did:(vault|ethr):[a-zA-Z0-9]+$/)
+        .pattern(/^did:(vault|key|web|ethr):[a-zA-Z0-9._:%-]+$/)
         .required(),
     issueDate: Joi.date().iso().optional(), // Allow past, present, or future dates
     expirationDate: Joi.date().iso().greater('now'),
     metadata: Joi.object(),
-});
+    // Browser-encrypted credentials: ciphertext plus the digest of the plaintext subject
+    credentialId: Joi.string().guid({ version: 'uuidv4' }),
+    holder: Joi.string().pattern(/^did:/),
+    encryptedSubject: clientEnvelopeSchema,
+    holderCopy: clientHolderCopySchema.allow(null),
+    subjectDigest: Joi.string().hex().length(64),
+    // JWT formats embed the plaintext subject, so they need server-side encryption
+    format: Joi.string()
+        .valid('json-ld', 'jwt', 'sd-jwt')
+        .default('json-ld')
+        .when('encryptedSubject', { is: Joi.exist(), then: Joi.valid('json-ld') }),
+})
+    .xor('subject', 'encryptedSubject')
+    .with('encryptedSubject', ['credentialId', 'holder', 'subjectDigest']);
 
 const updateCredentialSchema = Joi.object({
     subject: Joi.object(),
@@ -37,6 +70,15 @@ const revokeCredentialSchema = Joi.object({
     reason: Joi.string().min(5).max(500).required(),
 });
 
+const suspendCredentialSchema = Joi.object({
+    reason: Joi.string().min(5).max(500).required(),
+    reinstateAt: Joi.date().iso().greater('now'),
+});
+
+const reinstateCredentialSchema = Joi.object({
+    reason: Joi.string().min(5).max(500),
+});
+
 const credentialIdParamSchema = Joi.string()
     .pattern(/^([0-9a-fA-F]{24}|[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})$/)
     .required()
@@ -46,17 +88,56 @@ const credentialIdParamSchema = Joi.string()
 
 const getCredentialsQuerySchema = Joi.object({
     type: Joi.string(),
-    status: Joi.string().valid('active', 'revoked', 'expired'),
+    status: Joi.string().valid('active', 'revoked', 'expired', 'suspended'),
     issuerDID: Joi.string(),
+    subjectField: Joi.string().max(100),
+    subjectValue: Joi.string().max(500),
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
     decrypt: Joi.boolean().default(false),
-});
+}).and('subjectField', 'subjectValue');
 
 const getCredentialQuerySchema = Joi.object({
     decrypt: Joi.boolean().default(false),
+    format: Joi.string().valid('json-ld', 'jwt', 'sd-jwt').default('json-ld'),
+});
+
+const verifyCredentialJwtSchema = Joi.object({
+    jwt: Joi.string()
+        .pattern(/^[\w-]+\.[\w-]+\.[\w-]+(~[\w-]*)*$/)
+        .required()
+        .messages({
+            'string.pattern.base': 'jwt must be a compact JWT or an SD-JWT with disclosures'
+        }),
+});
+
+const discloseCredentialSchema = Joi.object({
+    claims: Joi.array().items(Joi.string()).min(1).unique().required(),
 });
 
+// W3C VC Data Model 2.0 (v1 issuanceDate/expirationDate are accepted too)
+const importCredentialSchema = Joi.object({
+    '@context': Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object())).min(1).required(),
+    id: Joi.string(),
+    type: Joi.array().items(Joi.string()).has(Joi.string().valid('VerifiableCredential')).required(),
+    issuer: Joi.alternatives().try(
+        Joi.string().pattern(/^did:/),
+        Joi.object({ id: Joi.string().pattern(/^did:/).required() }).unknown(true)
+    ).required(),
+    validFrom: Joi.date().iso(),
+    validUntil: Joi.date().iso(),
+    issuanceDate: Joi.date().iso(),
+    expirationDate: Joi.date().iso(),
+    credentialSubject: Joi.object().required(),
+    proof: Joi.object({
+        type: Joi.string().required(),
+        created: Joi.date().iso(),
+        proofPurpose: Joi.string(),
+        verificationMethod: Joi.string().required(),
+        proofValue: Joi.string().required(),
+    }).unknown(true).required(),
+}).or('validFrom', 'issuanceDate').unknown(true);
+
 const verifyCredentialHashSchema = Joi.object({
     credentialHash: Joi.string().length(64).required(),
 });
@@ -69,6 +150,13 @@ router.post(
     credentialController.verifyCredentialByHash
 );
 
+// Public JWT-VC verification - accepts a pasted compact JWT
+router.post(
+    '/public/verify',
+    validate(verifyCredentialJwtSchema),
+    credentialController.verifyCredentialJwt
+);
+
 // All other routes require authentication
 router.use(authMiddleware);
 
@@ -88,6 +176,19 @@ router.get(
     credentialController.getCredential
 );
 
+router.get(
+    '/:id/vc',
+    validateParam('id', credentialIdParamSchema),
+    credentialController.exportVerifiableCredential
+);
+
+router.put(
+    '/:id/vc',
+    validateParam('id', credentialIdParamSchema),
+    validate(importCredentialSchema),
+    credentialController.importVerifiableCredential
+);
+
 router.put(
     '/:id',
     validateParam('id', credentialIdParamSchema),
@@ -114,6 +215,29 @@ router.post(
     credentialController.revokeCredential
 );
 
+router.post(
+    '/:id/suspend',
+    validateParam('id', credentialIdParamSchema),
+    checkCredentialOwnership,
+    validate(suspendCredentialSchema),
+    credentialController.suspendCredential
+);
+
+router.post(
+    '/:id/reinstate',
+    validateParam('id', credentialIdParamSchema),
+    checkCredentialOwnership,
+    validate(reinstateCredentialSchema),
+    credentialController.reinstateCredential
+);
+
+router.post(
+    '/:id/disclose',
+    validateParam('id', credentialIdParamSchema),
+    validate(discloseCredentialSchema),
+    credentialController.discloseCredential
+);
+
 router.post(
     '/:id/verify',
     validateParam('id', credentialIdParamSchema),
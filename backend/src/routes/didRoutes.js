@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 const didController = require('../controllers/didController');
 const { authMiddleware, checkDIDOwnership } = require('../middleware/authMiddleware');
-const { validate, validateParam } = require('../middleware/validator');
+const { validate, validateQuery, validateParam } = require('../middleware/validator');
 const Joi = require('joi');
 
 // Validation schemas
 const createDIDSchema = Joi.object({
-    method: Joi.string().valid('vault', 'ethr').default('vault'),
+    method: Joi.string().valid('vault', 'key', 'web', 'ethr').default('vault'),
+    // did:web only: the domain's own identity, did:web:<domain>
+    root: Joi.boolean().default(false),
     publicKeyPem: Joi.string().allow('').optional(),
 });
 
@@ -32,22 +34,96 @@ const removeServiceSchema = Joi.object({
     serviceId: Joi.string().required(),
 });
 
+// did:ethr registry attributes: did/pub/<algorithm>/<purpose>/<encoding> or did/svc/<type>
+const ethrAttributeName = Joi.string()
+    .pattern(/^did\/(pub|svc)\/\w+(\/\w+){0,2}$/)
+    .max(32)
+    .required();
+
+const setEthrAttributeSchema = Joi.object({
+    name: ethrAttributeName,
+    value: Joi.string().required(),
+    validity: Joi.number().integer().min(1),
+});
+
+const revokeEthrAttributeSchema = Joi.object({
+    name: ethrAttributeName,
+    value: Joi.string().required(),
+});
+
+// Key rotation: relationships a verification method can hold
+const relationshipList = Joi.array().items(Joi.string().pattern(/^[a-zA-Z0-9._:%#-]+$/)).min(1).unique();
+
+const addVerificationMethodSchema = Joi.object({
+    // Relationships moved to the new key
+    relationships: Joi.array().items(Joi.string().valid('authentication', 'assertionMethod')).unique().default([]),
+});
+
+const setRelationshipsSchema = Joi.object({
+    authentication: relationshipList,
+    assertionMethod: relationshipList,
+}).or('authentication', 'assertionMethod');
+
+const revokeVerificationMethodSchema = Joi.object({
+    reason: Joi.string().max(200).allow('', null),
+});
+
+// What a deactivation does to the DID's credentials and OAuth grants (defaults: DID_DEACTIVATION_*)
+const deactivationPolicySchema = Joi.object({
+    issuedCredentials: Joi.string().valid('suspend', 'revoke', 'keep'),
+    heldCredentials: Joi.string().valid('flag', 'keep'),
+    oauthGrants: Joi.string().valid('revoke', 'keep'),
+    anchorOnChain: Joi.boolean(),
+});
+
+const deactivateDIDSchema = Joi.object({
+    reason: Joi.string().max(200).allow('', null),
+    policy: deactivationPolicySchema.default({}),
+});
+
+const keyIdParamSchema = Joi.string()
+    .pattern(/^[a-zA-Z0-9._-]+$/)
+    .required();
+
 const didParamSchema = Joi.string()
-    .pattern(/^did:(vault|ethr):[a-zA-Z0-9]+$/)
+    .pattern(/^did:(vault|key|web|ethr):[a-zA-Z0-9._:%-]+$/)
+    .required();
+
+// Any DID: the resolver reports unsupported methods and invalid identifiers itself
+const resolveDIDParamSchema = Joi.string()
+    .pattern(/^did:[a-z0-9]+:\S+$/)
+    .max(4096)
     .required();
 
+const resolveDIDQuerySchema = Joi.object({
+    noCache: Joi.boolean().default(false),
+    versionId: Joi.string().pattern(/^\d+$/).max(20),
+    versionTime: Joi.date().iso(),
+}).oxor('versionId', 'versionTime');
+
 const objectIdParamSchema = Joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
     .required();
 
 // Combined schema that accepts either DID format or MongoDB ObjectId
 const didOrIdParamSchema = Joi.alternatives().try(
-    Joi.string().pattern(/^did:(vault|ethr):[a-zA-Z0-9]+$/),
+    Joi.string().pattern(/^did:(vault|key|web|ethr):[a-zA-Z0-9._:%-]+$/),
     Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
 ).required();
 
 // Public routes
-router.get('/:did/resolve', validateParam('did', didParamSchema), didController.resolveDID);
+router.get(
+    '/:did/resolve',
+    validateParam('did', resolveDIDParamSchema),
+    validateQuery(resolveDIDQuerySchema),
+    didController.resolveDID
+);
+
+router.get(
+    '/:did/versions',
+    validateParam('did', didParamSchema),
+    didController.getDIDVersions
+);
 
 // Protected routes
 router.use(authMiddleware);
@@ -81,13 +157,77 @@ router.delete(
     didController.removeServiceEndpoint
 );
 
+router.post(
+    '/:did/attributes',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    validate(setEthrAttributeSchema),
+    didController.setEthrAttribute
+);
+
+router.delete(
+    '/:did/attributes',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    validate(revokeEthrAttributeSchema),
+    didController.revokeEthrAttribute
+);
+
+router.get(
+    '/:did/keys',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    didController.getVerificationMethods
+);
+
+router.post(
+    '/:did/keys',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    validate(addVerificationMethodSchema),
+    didController.addVerificationMethod
+);
+
+router.delete(
+    '/:did/keys/:keyId',
+    validateParam('did', didParamSchema),
+    validateParam('keyId', keyIdParamSchema),
+    checkDIDOwnership,
+    validate(revokeVerificationMethodSchema),
+    didController.revokeVerificationMethod
+);
+
+router.put(
+    '/:did/relationships',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    validate(setRelationshipsSchema),
+    didController.setVerificationRelationships
+);
+
+router.get(
+    '/:did/deactivation-preview',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    validateQuery(deactivationPolicySchema),
+    didController.getDeactivationPreview
+);
+
 router.post(
     '/:did/deactivate',
     validateParam('did', didParamSchema),
     checkDIDOwnership,
+    validate(deactivateDIDSchema),
     didController.deactivateDID
 );
 
+router.get(
+    '/:did/reactivation-preview',
+    validateParam('did', didParamSchema),
+    checkDIDOwnership,
+    didController.getReactivationPreview
+);
+
 router.post(
     '/:did/reactivate',
     validateParam('did', didParamSchema),
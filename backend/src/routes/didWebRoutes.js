@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const didController = require('../controllers/didController');
+
+// PUBLIC ROUTES (No authentication required)
+// did:web documents live at the paths the identifiers map to, outside /api
+// did:web:<domain> → /.well-known/did.json
+router.get('/.well-known/did.json', didController.getDIDWebDocument);
+
+// did:web:<domain>:users:<id> → /users/<id>/did.json
+router.get(/^\/(.+)\/did\.json$/, didController.getDIDWebDocument);
+
+module.exports = router;
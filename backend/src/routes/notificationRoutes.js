@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { validateParam, validateQuery } = require('../middleware/validator');
+const Joi = require('joi');
+
+// Validation schemas
+const getNotificationsQuerySchema = Joi.object({
+    unread: Joi.boolean().default(false),
+});
+
+const notificationIdParamSchema = Joi.string().hex().length(24).required();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+router.get(
+    '/',
+    validateQuery(getNotificationsQuerySchema),
+    notificationController.getNotifications
+);
+
+router.patch(
+    '/:id/read',
+    validateParam('id', notificationIdParamSchema),
+    notificationController.markNotificationRead
+);
+
+module.exports = router;
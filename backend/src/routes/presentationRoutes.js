@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const presentationController = require('../controllers/presentationController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validator');
+const Joi = require('joi');
+
+// Validation schemas
+const createPresentationSchema = Joi.object({
+    credentialIds: Joi.array()
+        .items(Joi.string().uuid())
+        .min(1)
+        .unique()
+        .required(),
+    challenge: Joi.string().min(8).max(256).required(),
+    domain: Joi.string().max(256).required(),
+});
+
+const verifyPresentationSchema = Joi.object({
+    presentation: Joi.object({
+        type: Joi.array().items(Joi.string()).has(Joi.string().valid('VerifiablePresentation')).required(),
+        holder: Joi.string().pattern(/^did:/).required(),
+        verifiableCredential: Joi.array().items(Joi.object().unknown(true)).required(),
+        proof: Joi.object().unknown(true).required(),
+    }).unknown(true).required(),
+    challenge: Joi.string().required(),
+    domain: Joi.string().required(),
+});
+
+// PUBLIC ROUTES (No authentication required)
+// Verifiers check the holder signature and every embedded credential
+router.post(
+    '/verify',
+    validate(verifyPresentationSchema),
+    presentationController.verifyPresentation
+);
+
+// All other routes require authentication
+router.use(authMiddleware);
+
+router.post(
+    '/',
+    validate(createPresentationSchema),
+    presentationController.createPresentation
+);
+
+module.exports = router;
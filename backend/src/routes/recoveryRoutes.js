@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const recoveryController = require('../controllers/recoveryController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { validate, validateParam } = require('../middleware/validator');
+const Joi = require('joi');
+
+// Validation schemas
+const guardiansSchema = Joi.object({
+    guardians: Joi.array().items(Joi.string().pattern(/^did:/)).min(1).max(10).unique().required(),
+    threshold: Joi.number().integer().min(1).required(),
+});
+
+const startRecoverySchema = Joi.object({
+    email: Joi.string().email().required(),
+});
+
+const completeRecoverySchema = Joi.object({
+    ticket: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(8).required(),
+});
+
+const requestIdParamSchema = Joi.string().guid({ version: 'uuidv4' }).required();
+
+// Public routes (the requester has lost their password)
+router.post('/requests', validate(startRecoverySchema), recoveryController.startRecovery);
+
+router.get(
+    '/requests/:requestId',
+    validateParam('requestId', requestIdParamSchema),
+    recoveryController.getRecoveryRequest
+);
+
+router.post(
+    '/requests/:requestId/complete',
+    validateParam('requestId', requestIdParamSchema),
+    validate(completeRecoverySchema),
+    recoveryController.completeRecovery
+);
+
+// Protected routes
+router.use(authMiddleware);
+
+router.get('/', recoveryController.getSocialRecovery);
+router.put('/guardians', validate(guardiansSchema), recoveryController.configureGuardians);
+router.delete('/guardians', recoveryController.disableSocialRecovery);
+
+// Guardians
+router.get('/approvals', recoveryController.getApprovalRequests);
+
+router.post(
+    '/requests/:requestId/approve',
+    validateParam('requestId', requestIdParamSchema),
+    recoveryController.approveRecovery
+);
+
+router.post(
+    '/requests/:requestId/decline',
+    validateParam('requestId', requestIdParamSchema),
+    recoveryController.declineRecovery
+);
+
+// Owner
+router.post(
+    '/requests/:requestId/cancel',
+    validateParam('requestId', requestIdParamSchema),
+    recoveryController.cancelRecovery
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const statusListController = require('../controllers/statusListController');
+const { validateParam } = require('../middleware/validator');
+const Joi = require('joi');
+
+const listIdParamSchema = Joi.string().uuid().required();
+
+// PUBLIC ROUTES (No authentication required)
+// Verifiers download the whole list, so they never reveal which credential they are checking
+router.get(
+    '/:listId',
+    validateParam('listId', listIdParamSchema),
+    statusListController.getStatusList
+);
+
+module.exports = router;
@@ -20,7 +20,7 @@ const storeDecentralizedSchema = Joi.object({
         .required(),
     subject: Joi.object().required(),
     issuerDID: Joi.string()
-        .pattern(/^did:(vault|ethr):[a-zA-Z0-9]+$/)
+        .pattern(/^did:(vault|key|web|ethr):[a-zA-Z0-9._:%-]+$/)
         .required(),
     expirationDate: Joi.date().iso().greater('now'),
     metadata: Joi.object(),
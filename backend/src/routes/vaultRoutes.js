@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const vaultController = require('../controllers/vaultController');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { validateQuery } = require('../middleware/validator');
+const { validate, validateQuery, validateParam } = require('../middleware/validator');
 const Joi = require('joi');
 
 // Validation schemas
@@ -10,6 +10,29 @@ const exportVaultQuerySchema = Joi.object({
     format: Joi.string().valid('json', 'encrypted').default('json'),
 });
 
+const backupSchema = Joi.object({
+    passphrase: Joi.string().min(12).required(),
+});
+
+const restoreBackupSchema = Joi.object({
+    archive: Joi.object({
+        format: Joi.string().required(),
+        version: Joi.number().integer().required(),
+        kdf: Joi.object().unknown(true).required(),
+        cipher: Joi.object().unknown(true).required(),
+        ciphertext: Joi.string().base64().required(),
+    }).unknown(true).required(),
+    passphrase: Joi.string().required(),
+    onConflict: Joi.string().valid('skip', 'overwrite').default('skip'),
+    activateDID: Joi.boolean().default(true),
+});
+
+const didParamSchema = Joi.string().pattern(/^did:/).required();
+
+const rotateKeySchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow('', null),
+});
+
 // All routes require authentication
 router.use(authMiddleware);
 
@@ -22,6 +45,32 @@ router.get(
     vaultController.exportVault
 );
 
+router.post(
+    '/backup',
+    validate(backupSchema),
+    vaultController.createBackup
+);
+
+router.post(
+    '/restore',
+    validate(restoreBackupSchema),
+    vaultController.restoreBackup
+);
+
+router.get('/key', vaultController.getVaultKeyStatus);
+
+router.post(
+    '/key/rotate',
+    validate(rotateKeySchema),
+    vaultController.rotateVaultKey
+);
+
+router.get(
+    '/client-key/:did',
+    validateParam('did', didParamSchema),
+    vaultController.getClientRecipientKey
+);
+
 router.get('/blockchain-info', vaultController.getBlockchainInfo);
 
 module.exports = router;
\ No newline at end of file
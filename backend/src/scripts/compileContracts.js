@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const CONTRACTS_DIR = path.join(__dirname, '../../contracts');
+const ARTIFACTS_DIR = path.join(CONTRACTS_DIR, 'artifacts');
+
+// Contracts the backend deploys itself (the dev chain); artifacts are committed so solc is only needed here
+const CONTRACTS = ['EthereumDIDRegistry'];
+
+// Usage: npm run compile-contracts
+//   Compiles the contracts with solc (a dev dependency) into contracts/artifacts/<Contract>.json
+// Usage: npm run check-contracts
+//   Compiles them the same way and fails when a committed artifact doesn't match its source
+const main = () => {
+    const check = process.argv.includes('--check');
+
+    try {
+        const solc = require('solc');
+
+        const input = {
+            language: 'Solidity',
+            sources: Object.fromEntries(CONTRACTS.map(name => [
+                `${name}.sol`,
+                { content: fs.readFileSync(path.join(CONTRACTS_DIR, `${name}.sol`), 'utf8') }
+            ])),
+            settings: {
+                optimizer: { enabled: true, runs: 200 },
+                outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+            }
+        };
+
+        const output = JSON.parse(solc.compile(JSON.stringify(input)));
+        const errors = (output.errors || []).filter(error => error.severity === 'error');
+        if (errors.length) {
+            throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+        }
+
+        fs.mkdirSync(ARTIFACTS_DIR, { recursive: true });
+        for (const name of CONTRACTS) {
+            const { abi, evm } = output.contracts[`${name}.sol`][name];
+            const artifact = { contractName: name, compiler: solc.version(), abi, bytecode: `0x${evm.bytecode.object}` };
+            const artifactPath = path.join(ARTIFACTS_DIR, `${name}.json`);
+            const contents = `${JSON.stringify(artifact, null, 2)}\n`;
+
+            if (!check) {
+                fs.writeFileSync(artifactPath, contents);
+                logger.info(`✅ Compiled ${name}`);
+            } else if (!fs.existsSync(artifactPath) || fs.readFileSync(artifactPath, 'utf8') !== contents) {
+                throw new Error(`contracts/artifacts/${name}.json does not match ${name}.sol - run npm run compile-contracts`);
+            } else {
+                logger.info(`✅ ${name} artifact matches its source`);
+            }
+        }
+    } catch (error) {
+        logger.error(`❌ Contract ${check ? 'check' : 'compilation'} failed:`, error.message);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,61 @@
+const config = require('../config/env');
+const encryptionService = require('../services/encryptionService');
+const kmsService = require('../services/kmsService');
+const MasterKeyring = require('../kms/MasterKeyring');
+const { generateKey } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+// Usage: npm run rotate-master-key -- generate [keyId]
+//   Prints a new master key and the keyring settings that make it the active key
+// Usage: npm run rotate-master-key
+//   Once the server runs with the new active key, re-wraps data still under older keys
+//   (the KMS keystore; values from encryptionService.encryptWithMasterKey carry their key id
+//   and are re-wrapped with rewrapWithMasterKey by whatever stores them)
+const generate = (keyId = `key-${new Date().toISOString().substring(0, 10)}`) => {
+    if (!MasterKeyring.KEY_ID_PATTERN.test(keyId) || encryptionService.keyring.ids().includes(keyId)) {
+        throw new Error(`Key id "${keyId}" is invalid or already in the keyring`);
+    }
+
+    // ENCRYPTION_KEY (id "default") stays in place; further keys are appended to ENCRYPTION_KEYS
+    const existing = config.encryption.keys
+        .filter(({ id }) => id !== 'default' || !process.env.ENCRYPTION_KEY)
+        .map(({ id, key }) => `${id}:${key}`);
+
+    logger.info(`🔑 New master key ${keyId}. Set the following and restart the server, then run npm run rotate-master-key:`);
+    // Printed to the console only, so the keys never end up in the log files
+    console.log(`ENCRYPTION_KEYS=${[...existing, `${keyId}:${generateKey(32)}`].join(',')}`);
+    console.log(`ENCRYPTION_ACTIVE_KEY_ID=${keyId}`);
+};
+
+const rewrap = () => {
+    const { keyring } = encryptionService;
+    kmsService.rewrapKeys();
+
+    const retired = keyring.ids().filter(id => id !== keyring.activeKeyId && id !== keyring.defaultKeyId);
+    logger.info(`✅ Everything is wrapped under master key ${keyring.activeKeyId}`);
+    if (keyring.defaultKeyId !== keyring.activeKeyId) {
+        logger.info(`ℹ️  Keep master key ${keyring.defaultKeyId}: it keys the blind indexes of credential subjects`);
+    }
+    if (retired.length) {
+        logger.info(`🗑️  Master keys no longer needed: ${retired.join(', ')}`);
+    }
+};
+
+const main = () => {
+    const [command, keyId] = process.argv.slice(2);
+
+    try {
+        if (command === 'generate') {
+            generate(keyId);
+        } else if (!command) {
+            rewrap();
+        } else {
+            throw new Error('Usage: npm run rotate-master-key [-- generate [keyId]]');
+        }
+    } catch (error) {
+        logger.error('❌ Master key rotation failed:', error.message);
+        process.exitCode = 1;
+    }
+};
+
+main();
@@ -0,0 +1,43 @@
+require('../config/env'); // Load .env before the database config reads MONGODB_URI
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const User = require('../models/User');
+const keyRotationService = require('../services/keyRotationService');
+const logger = require('../utils/logger');
+
+// Usage: npm run rotate-vault-key -- <email|username> [reason]
+// Resumes the user's rotation instead when a previous run was interrupted
+const main = async () => {
+    const [identifier, ...reasonWords] = process.argv.slice(2);
+    if (!identifier) {
+        logger.error('❌ Usage: npm run rotate-vault-key -- <email|username> [reason]');
+        process.exitCode = 1;
+        return;
+    }
+
+    await connectDatabase();
+
+    try {
+        const user = await User.findOne({ $or: [{ email: identifier.toLowerCase() }, { username: identifier }] });
+        if (!user) {
+            throw new Error(`User not found: ${identifier}`);
+        }
+
+        const result = await keyRotationService.rotateVaultKey(user._id, {
+            reason: reasonWords.join(' ') || 'Rotated by administrator',
+            initiatedBy: 'admin'
+        });
+
+        logger.info(`✅ Vault key rotation for ${user.username}: ${JSON.stringify(result)}`);
+        if (result.status !== 'completed') {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        logger.error('❌ Vault key rotation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+main();
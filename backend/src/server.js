@@ -2,6 +2,8 @@ const app = require('./app');
 const config = require('./config/env');
 const { connectDatabase } = require('./config/database');
 const blockchainService = require('./services/blockchainService');
+const eventService = require('./services/eventService');
+const scheduler = require('./jobs');
 const logger = require('./utils/logger');
 
 // Handle uncaught exceptions
@@ -25,6 +27,14 @@ const startServer = async () => {
         // Blockchain service is already initialized
         logger.info('Blockchain service ready');
 
+        // Start background jobs (expiry sweeper, scheduled reinstatement)
+        eventService.registerSubscribers();
+        if (config.jobs.enabled) {
+            scheduler.start();
+        } else {
+            logger.info('Background jobs disabled');
+        }
+
         // Start Express server
         server = app.listen(config.port, () => {
             logger.info(`Server running in ${config.env} mode on port ${config.port}`);
@@ -55,6 +65,7 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM signal
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received. Shutting down gracefully...');
+    scheduler.stop();
     
     if (server) {
         server.close(() => {
@@ -67,6 +78,7 @@ process.on('SIGTERM', () => {
 // Handle SIGINT signal (Ctrl+C)
 process.on('SIGINT', () => {
     logger.info('SIGINT received. Shutting down gracefully...');
+    scheduler.stop();
     
     if (server) {
         server.close(() => {
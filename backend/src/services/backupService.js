@@ -0,0 +1,339 @@
+const Credential = require('../models/Credential');
+const User = require('../models/User');
+const DID = require('../models/DID');
+const DIDVersion = require('../models/DIDVersion');
+const encryptionService = require('./encryptionService');
+const ipfsService = require('./ipfsService');
+const kmsService = require('./kmsService');
+const vaultService = require('./vaultService');
+const didService = require('./didService');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const BACKUP_FORMAT = 'did-vault-backup';
+const BACKUP_VERSION = 1;
+
+// Credential fields copied as they are; the encrypted copies are re-created on restore
+const CREDENTIAL_FIELDS = [
+    'credentialId', 'did', 'credentialType', 'encryptionMode', 'subjectDigest', 'credentialHash', 'issuer',
+    'holder', 'issuanceDate', 'expirationDate', 'proof', 'status', 'credentialStatus', 'blockchainTxHash',
+    'blockchainBlockNumber', 'onBlockchain', 'ipfsCID', 'storageType', 'metadata', 'createdAt', 'revokedAt',
+    'suspendedUntil', 'statusHistory'
+];
+
+const DID_FIELDS = [
+    'did', 'method', 'publicKey', 'controller', 'document', 'authentication', 'service', 'isActive',
+    'verificationMethods', 'relationships', 'keyHistory',
+    'blockchainTxHash', 'blockchainBlockNumber', 'createdAt', 'deactivatedAt'
+];
+
+// Versions of the DID documents travel with them, so old signatures stay verifiable after a restore
+const VERSION_FIELDS = [
+    'versionId', 'document', 'documentHash', 'change', 'blockchainTxHash', 'blockchainBlockNumber', 'createdAt'
+];
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source[field]]));
+
+/**
+ * Backup Service - Passphrase-encrypted vault archives that can be restored into any account
+ *
+ * An archive holds the user's DIDs (with the active DID's private key), the vault key and every
+ * credential the user created with its encrypted subject, IPFS CID and blockchain references.
+ * Everything but a small plaintext header is sealed under a key derived from the passphrase, so
+ * the server that made the backup cannot open it without the passphrase either.
+ *
+ * Restoring re-encrypts the subjects under the target account's vault key, re-imports the DID key
+ * into the target deployment's KMS and recomputes what depends on the deployment (blind indexes,
+ * holder copies, IPFS payloads), so an archive can move between accounts and deployments.
+ */
+class BackupService {
+
+    /**
+     * Create an encrypted backup of the user's vault
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} passphrase - Passphrase the archive is encrypted with
+     * @returns {object} Backup archive
+     */
+    async createBackup(userId, passphrase) {
+        const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // Half-rotated vaults hold copies under two keys; one key per archive keeps restores simple
+        if (user.pendingVaultKey) {
+            throw new AppError('Finish the vault key rotation in progress before creating a backup', 409);
+        }
+
+        const { vaultKey } = vaultService.vaultKeysOf(user);
+        const dids = await DID.find({ userId }).sort('createdAt');
+        const versions = await DIDVersion.find({ did: { $in: dids.map(did => did.did) } }).sort({ versionId: 1 });
+        const credentials = await Credential.find({ userId }).sort('createdAt');
+
+        const contents = {
+            account: { username: user.username, email: user.email, did: user.did },
+            vaultKey,
+            dids: dids.map(did => this.exportDID(did, user, versions.filter(version => version.did === did.did))),
+            credentials: []
+        };
+
+        // Decentralized credentials keep their encrypted subject on IPFS only
+        for (const credential of credentials) {
+            contents.credentials.push(await this.exportCredential(credential));
+        }
+
+        const archive = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            source: config.publicUrl,
+            summary: { dids: contents.dids.length, credentials: contents.credentials.length },
+            ...encryptionService.encryptWithPassphrase(contents, passphrase, BACKUP_FORMAT)
+        };
+
+        logger.info(`💾 Vault backup created for user ${userId}: ${archive.summary.dids} DID(s), ${archive.summary.credentials} credential(s)`);
+
+        return archive;
+    }
+
+    /**
+     * Export a DID record, with its private key when it is the user's active DID
+     * @param {object} did - DID document
+     * @param {object} user - User document
+     * @param {Array} versions - Versions of the DID document, oldest first
+     * @returns {object} Archived DID
+     */
+    exportDID(did, user, versions = []) {
+        const signsForUser = did.isActive && did.did === user.did && user.signingKeyId;
+
+        const archived = pick(did.toObject(), DID_FIELDS);
+
+        // KMS key ids mean nothing in another vault; only the signing key travels, as privateKey
+        archived.verificationMethods = (archived.verificationMethods || []).map(({ keyId, ...method }) => method);
+
+        return {
+            ...archived,
+            versions: versions.map(version => pick(version.toObject(), VERSION_FIELDS)),
+            privateKey: signsForUser ? kmsService.exportKey(user.signingKeyId) : null
+        };
+    }
+
+    /**
+     * Export a credential with the encrypted copy of its subject
+     * @param {object} credential - Credential document
+     * @returns {object} Archived credential
+     */
+    async exportCredential(credential) {
+        const encryptedSubject = credential.storageType === 'decentralized' && credential.ipfsCID
+            ? (await ipfsService.retrieveCredential(credential.ipfsCID)).encryptedData
+            : credential.credentialData;
+
+        return {
+            ...pick(credential.toObject(), CREDENTIAL_FIELDS),
+            encryptedSubject,
+            holderCopy: credential.holderCredentialData || null
+        };
+    }
+
+    /**
+     * Open a backup archive
+     * @param {object} archive - Backup archive
+     * @param {string} passphrase - Passphrase the archive was encrypted with
+     * @returns {object} Archive contents
+     */
+    openArchive(archive, passphrase) {
+        if (archive.format !== BACKUP_FORMAT) {
+            throw new AppError('Not a vault backup archive', 400);
+        }
+        if (archive.version !== BACKUP_VERSION) {
+            throw new AppError(`Unsupported backup version ${archive.version}`, 400);
+        }
+
+        try {
+            return encryptionService.decryptWithPassphrase(archive, passphrase, BACKUP_FORMAT);
+        } catch (error) {
+            throw new AppError('Backup could not be decrypted. Check the passphrase', 400);
+        }
+    }
+
+    /**
+     * Restore a backup archive into the user's vault
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} archive - Backup archive
+     * @param {string} passphrase - Passphrase the archive was encrypted with
+     * @param {object} options - { onConflict: 'skip' | 'overwrite', activateDID }
+     * @returns {object} Restore report
+     */
+    async restoreBackup(userId, archive, passphrase, { onConflict = 'skip', activateDID = true } = {}) {
+        const user = await User.findById(userId).select('+vaultKey +pendingVaultKey +clientVault');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const contents = this.openArchive(archive, passphrase);
+
+        // Fails with 423 while a password-protected vault is locked, before anything is written
+        const targetKey = vaultService.encryptionKeyFor(user);
+
+        const report = {
+            dids: { restored: [], skipped: [] },
+            credentials: { restored: 0, overwritten: 0, skipped: [] }
+        };
+
+        for (const archivedDID of contents.dids) {
+            await this.restoreDID(user, archivedDID, contents.account, activateDID, report.dids);
+        }
+
+        for (const archivedCredential of contents.credentials) {
+            try {
+                await this.restoreCredential(user, archivedCredential, contents.vaultKey, targetKey, onConflict, report.credentials);
+            } catch (error) {
+                logger.warn(`⚠️  Could not restore credential ${archivedCredential.credentialId}:`, error.message);
+                report.credentials.skipped.push({ credentialId: archivedCredential.credentialId, reason: error.message });
+            }
+        }
+
+        logger.info(`📥 Vault backup restored for user ${userId}: ${report.dids.restored.length} DID(s), ${report.credentials.restored} credential(s), ${report.credentials.skipped.length} skipped`);
+
+        return report;
+    }
+
+    /**
+     * Restore a DID record, and make it the user's active DID when it was the archived account's
+     * @param {object} user - Target user document
+     * @param {object} archivedDID - Archived DID
+     * @param {object} account - Archived account summary
+     * @param {boolean} activateDID - Whether the archived active DID replaces the user's current one
+     * @param {object} report - DID section of the restore report
+     */
+    async restoreDID(user, archivedDID, account, activateDID, report) {
+        const existing = await vaultService.findUserByDID(archivedDID.did);
+        if (existing) {
+            report.skipped.push({
+                did: archivedDID.did,
+                reason: existing._id.equals(user._id) ? 'Already in this vault' : 'Belongs to another account'
+            });
+            return;
+        }
+
+        const becomesActive = activateDID && archivedDID.isActive && !!archivedDID.privateKey && archivedDID.did === account.did;
+
+        const did = new DID({
+            ...pick(archivedDID, DID_FIELDS),
+            userId: user._id,
+            isActive: becomesActive,
+            deactivatedAt: becomesActive ? null : archivedDID.deactivatedAt || new Date()
+        });
+
+        if (becomesActive) {
+            const { keyId, publicKey } = kmsService.importKey(archivedDID.privateKey);
+            if (publicKey !== archivedDID.publicKey) {
+                report.skipped.push({ did: archivedDID.did, reason: 'Private key does not match the DID public key' });
+                return;
+            }
+
+            // Rotated DIDs: the imported key is the current signing method's
+            const signingMethod = did.verificationMethods.find(method => method.publicKey === publicKey);
+            if (signingMethod) {
+                signingMethod.keyId = keyId;
+            }
+
+            // A user has one active DID; the one created with the account steps aside
+            await DID.updateMany({ userId: user._id, isActive: true }, { $set: { isActive: false, deactivatedAt: new Date() } });
+            await did.save();
+
+            user.did = did.did;
+            user.publicKey = publicKey;
+            user.signingKeyId = keyId;
+            await user.save();
+        } else {
+            await did.save();
+        }
+
+        await this.restoreVersions(did, archivedDID.versions || []);
+
+        report.restored.push({ did: did.did, isActive: did.isActive });
+    }
+
+    /**
+     * Restore the version history of a DID document; the restored document becomes its next version
+     * (a vault that already holds versions of the DID keeps its own history)
+     * @param {object} did - Restored DID record
+     * @param {Array} versions - Archived versions, oldest first
+     */
+    async restoreVersions(did, versions) {
+        if (versions.length > 0 && !(await DIDVersion.findLatest(did.did))) {
+            await DIDVersion.insertMany(versions.map(version => ({ ...version, did: did.did })));
+        }
+
+        await didService.recordVersion(did, 'restore');
+    }
+
+    /**
+     * Restore a credential, re-encrypted under the target vault key
+     * @param {object} user - Target user document with vaultKey, pendingVaultKey and clientVault selected
+     * @param {object} archived - Archived credential
+     * @param {string} archiveKey - Vault key the archived subjects are encrypted under
+     * @param {string} targetKey - Vault key to encrypt the subject under
+     * @param {string} onConflict - 'skip' or 'overwrite'
+     * @param {object} report - Credential section of the restore report
+     */
+    async restoreCredential(user, archived, archiveKey, targetKey, onConflict, report) {
+        const skip = (reason) => {
+            report.skipped.push({ credentialId: archived.credentialId, reason });
+        };
+
+        const conflict = await Credential.findOne({
+            $or: [{ credentialId: archived.credentialId }, { credentialHash: archived.credentialHash }]
+        });
+
+        if (conflict) {
+            const field = conflict.credentialId === archived.credentialId ? 'ID' : 'hash';
+            if (onConflict !== 'overwrite') {
+                return skip(`Credential ${field} already exists`);
+            }
+            if (!conflict.userId.equals(user._id)) {
+                return skip(`Credential ${field} already exists in another account`);
+            }
+        }
+
+        // Browser-encrypted subjects can only be kept when they are under this user's browser key
+        if (archived.encryptionMode === 'client' &&
+            (!user.clientVault || user.clientVault.keyId !== archived.encryptedSubject.keyId)) {
+            return skip('Encrypted in the browser under a different browser vault key');
+        }
+
+        const credential = new Credential({
+            ...pick(archived, CREDENTIAL_FIELDS),
+            userId: user._id,
+            // Users in the history are accounts of the deployment the backup came from
+            statusHistory: (archived.statusHistory || []).map(entry => ({ ...entry, changedBy: null }))
+        });
+
+        if (archived.encryptionMode === 'client') {
+            credential.credentialData = archived.encryptedSubject;
+            credential.holderCredentialData = archived.holderCopy;
+        } else {
+            const subject = encryptionService.decryptCredential(archived.encryptedSubject, archiveKey, archived.credentialId);
+            await vaultService.storeIssuerCopy(credential, subject, targetKey);
+            if (archived.ipfsCID && credential.ipfsCID !== archived.ipfsCID) {
+                credential.metadata = { ...credential.metadata, restoredFromCID: archived.ipfsCID };
+            }
+            vaultService.setSubjectCommitments(credential, subject);
+            await vaultService.encryptForHolder(credential, subject);
+        }
+
+        if (conflict) {
+            await conflict.deleteOne();
+            report.overwritten++;
+        }
+
+        await credential.save();
+        report.restored++;
+    }
+}
+
+// Export singleton instance
+const backupService = new BackupService();
+module.exports = backupService;
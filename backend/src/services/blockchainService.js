@@ -95,6 +95,98 @@ class BlockchainService {
         }
     }
 
+    /**
+     * Anchor a credential status list hash on blockchain
+     * @param {object} statusListData - Status list data to anchor
+     * @returns {object} Block information
+     */
+    async storeStatusList(statusListData) {
+        try {
+            const block = this.blockchain.storeStatusList(statusListData);
+            
+            logger.info(`✅ Status list anchored on blockchain: ${statusListData.listId}`);
+            
+            return {
+                index: block.index,
+                hash: block.hash,
+                timestamp: block.timestamp
+            };
+            
+        } catch (error) {
+            logger.error('❌ Failed to anchor status list on blockchain:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Anchor a credential status change on blockchain
+     * @param {object} statusData - { credentialId, issuerDID, status }
+     * @returns {object} Block information
+     */
+    async storeStatusChange(statusData) {
+        try {
+            const block = this.blockchain.storeStatusChange(statusData);
+            
+            logger.info(`✅ Status change anchored on blockchain: ${statusData.credentialId} -> ${statusData.status}`);
+            
+            return {
+                index: block.index,
+                hash: block.hash,
+                timestamp: block.timestamp
+            };
+            
+        } catch (error) {
+            logger.error('❌ Failed to anchor status change on blockchain:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Anchor a DID key change on blockchain
+     * @param {object} keyChangeData - { did, action, verificationMethod, documentHash }
+     * @returns {object} Block information
+     */
+    async storeKeyChange(keyChangeData) {
+        try {
+            const block = this.blockchain.storeKeyChange(keyChangeData);
+            
+            logger.info(`✅ Key change anchored on blockchain: ${keyChangeData.did} (${keyChangeData.action})`);
+            
+            return {
+                index: block.index,
+                hash: block.hash,
+                timestamp: block.timestamp
+            };
+            
+        } catch (error) {
+            logger.error('❌ Failed to anchor key change on blockchain:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Anchor a DID deactivation or reactivation on blockchain
+     * @param {object} statusData - { did, status: 'deactivated' | 'reactivated', cascadeHash }
+     * @returns {object} Block information
+     */
+    async storeDIDStatusChange(statusData) {
+        try {
+            const block = this.blockchain.storeDIDStatusChange(statusData);
+            
+            logger.info(`✅ DID ${statusData.status} on blockchain: ${statusData.did}`);
+            
+            return {
+                index: block.index,
+                hash: block.hash,
+                timestamp: block.timestamp
+            };
+            
+        } catch (error) {
+            logger.error('❌ Failed to anchor DID status change on blockchain:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Verify credential exists on blockchain
      * @param {string} credentialHash - Hash of the credential
@@ -148,6 +240,17 @@ class BlockchainService {
         }
     }
 
+    /**
+     * When a credential hash was first anchored on the blockchain
+     * Block timestamps are set by this vault, so unlike a proof's creation date the signer can't choose them
+     * @param {string} credentialHash - Credential hash
+     * @returns {Date|null} Time of the first anchoring block, or null when the hash was never anchored
+     */
+    getCredentialAnchorTime(credentialHash) {
+        const block = this.blockchain.findFirstCredentialAnchor(credentialHash);
+        return block ? new Date(block.timestamp) : null;
+    }
+
     /**
      * Get all blocks for a specific DID
      * @param {string} did - Decentralized Identifier
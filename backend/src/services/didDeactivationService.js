@@ -0,0 +1,314 @@
+const DID = require('../models/DID');
+const Credential = require('../models/Credential');
+const AccessToken = require('../models/AccessToken');
+const AuthCode = require('../models/AuthCode');
+const statusListService = require('./statusListService');
+const blockchainService = require('./blockchainService');
+const resolverService = require('./resolverService');
+const config = require('../config/env');
+const { sha256 } = require('../utils/crypto');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Suspension reason of credentials suspended by a deactivation; only those are reinstated with the DID
+const DEACTIVATION_SUSPENSION_REASON = 'Issuer DID deactivated';
+
+// Allowed values of each cascade policy (the first is the default when the configured value is invalid)
+const POLICY_OPTIONS = {
+    issuedCredentials: ['suspend', 'revoke', 'keep'],
+    heldCredentials: ['flag', 'keep'],
+    oauthGrants: ['revoke', 'keep']
+};
+
+/**
+ * DID Deactivation Service - What deactivating a DID does to everything that depends on it
+ *
+ * Deactivation cascades by policy (DID_DEACTIVATION_* defaults, overridable per deactivation):
+ * credentials the DID issued are suspended (or revoked), credentials it holds are flagged, and
+ * OAuth access tokens and authorization codes bound to it are revoked. The deactivation is anchored
+ * on the blockchain with a hash of the cascade. The DID records what the cascade changed, so
+ * reactivation reinstates exactly those credentials - and previews it first. Revocations (of
+ * credentials and of OAuth grants) are permanent: apps have to be authorized again.
+ */
+class DIDDeactivationService {
+    /**
+     * The cascade policy of a deactivation
+     * @param {object} overrides - Policies chosen for this deactivation
+     * @returns {object} { issuedCredentials, heldCredentials, oauthGrants, anchorOnChain }
+     */
+    resolvePolicy(overrides = {}) {
+        const policy = { ...config.didDeactivation };
+        for (const [name, value] of Object.entries(overrides)) {
+            if (value !== undefined) {
+                policy[name] = value;
+            }
+        }
+
+        for (const [name, options] of Object.entries(POLICY_OPTIONS)) {
+            if (!options.includes(policy[name])) {
+                logger.warn(`⚠️  Invalid DID deactivation policy ${name}=${policy[name]}, using ${options[0]}`);
+                policy[name] = options[0];
+            }
+        }
+        policy.anchorOnChain = policy.anchorOnChain !== false;
+
+        return policy;
+    }
+
+    /**
+     * Load a DID of a user
+     * @param {string} did - DID identifier
+     * @param {string} userId - User's MongoDB ID
+     * @param {boolean} isActive - Whether the DID must be active (true) or deactivated (false)
+     * @returns {object} DID record
+     */
+    async loadOwnDID(did, userId, isActive) {
+        const record = await DID.findOne({ did });
+        if (!record) {
+            throw new AppError('DID not found', 404);
+        }
+        if (!record.userId.equals(userId)) {
+            throw new AppError('You do not own this DID', 403);
+        }
+        if (record.isActive !== isActive) {
+            throw new AppError(isActive ? 'DID is already deactivated' : 'DID is already active', 409);
+        }
+
+        return record;
+    }
+
+    /**
+     * Find what a deactivation of a DID would reach
+     * @param {object} record - DID record
+     * @returns {object} { issued, held, accessTokens, authCodes }
+     */
+    async findCascade(record) {
+        const now = new Date();
+
+        // Credentials this vault issued under the DID (expired ones can no longer be suspended)
+        const issued = (await Credential.find({ 'issuer.did': record.did, userId: record.userId, status: 'active' }))
+            .filter(credential => !credential.isExpired());
+        const held = await Credential.find({ holder: record.did, holderDeactivatedAt: null });
+
+        const accessTokens = await AccessToken.countDocuments({ did: record.did, revoked: false, expiresAt: { $gt: now } });
+        const authCodes = await AuthCode.countDocuments({ did: record.did, used: false, revoked: false, expiresAt: { $gt: now } });
+
+        return { issued, held, accessTokens, authCodes };
+    }
+
+    /**
+     * Summary of a credential for previews
+     */
+    describeCredential(credential) {
+        return {
+            credentialId: credential.credentialId,
+            credentialType: credential.credentialType,
+            issuer: credential.issuer.did,
+            holder: credential.holder,
+            status: credential.status
+        };
+    }
+
+    /**
+     * Preview what deactivating a DID would do
+     * @param {string} did - DID identifier
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} overrides - Policies to preview instead of the defaults
+     * @returns {object} { policy, issuedCredentials, heldCredentials, oauthGrants }
+     */
+    async previewDeactivation(did, userId, overrides = {}) {
+        const record = await this.loadOwnDID(did, userId, true);
+        const policy = this.resolvePolicy(overrides);
+        const { issued, held, accessTokens, authCodes } = await this.findCascade(record);
+
+        return {
+            did,
+            policy,
+            issuedCredentials: { action: policy.issuedCredentials, credentials: issued.map(c => this.describeCredential(c)) },
+            heldCredentials: { action: policy.heldCredentials, credentials: held.map(c => this.describeCredential(c)) },
+            oauthGrants: { action: policy.oauthGrants, accessTokens, authCodes }
+        };
+    }
+
+    /**
+     * Deactivate a DID and cascade to its credentials and OAuth grants
+     * @param {string} did - DID identifier
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} options - { reason, policy: overrides of the default policies }
+     * @returns {object} What the deactivation changed (as recorded on the DID)
+     */
+    async deactivate(did, userId, { reason = null, policy: overrides = {} } = {}) {
+        const record = await this.loadOwnDID(did, userId, true);
+        const policy = this.resolvePolicy(overrides);
+        const { issued, held } = await this.findCascade(record);
+
+        const deactivation = {
+            reason,
+            policy,
+            suspendedCredentials: [],
+            revokedCredentials: [],
+            flaggedCredentials: [],
+            revokedAccessTokens: 0,
+            revokedAuthCodes: 0
+        };
+
+        if (policy.issuedCredentials !== 'keep') {
+            for (const credential of issued) {
+                try {
+                    if (policy.issuedCredentials === 'revoke') {
+                        await credential.revoke(reason || 'Issuer DID deactivated', userId);
+                        await statusListService.setCredentialStatus(credential, 'revocation', true);
+                        deactivation.revokedCredentials.push(credential.credentialId);
+                    } else {
+                        await credential.suspend(DEACTIVATION_SUSPENSION_REASON, null, userId);
+                        await statusListService.setCredentialStatus(credential, 'suspension', true);
+                        deactivation.suspendedCredentials.push(credential.credentialId);
+                    }
+                } catch (error) {
+                    logger.warn(`⚠️  Could not ${policy.issuedCredentials} credential ${credential.credentialId}:`, error.message);
+                }
+            }
+        }
+
+        if (policy.heldCredentials === 'flag' && held.length > 0) {
+            const credentialIds = held.map(credential => credential.credentialId);
+            await Credential.updateMany({ credentialId: { $in: credentialIds } }, { $set: { holderDeactivatedAt: new Date() } });
+            deactivation.flaggedCredentials = credentialIds;
+        }
+
+        if (policy.oauthGrants === 'revoke') {
+            const tokens = await AccessToken.updateMany({ did, revoked: false }, { $set: { revoked: true } });
+            const codes = await AuthCode.updateMany({ did, used: false, revoked: false }, { $set: { revoked: true } });
+            deactivation.revokedAccessTokens = tokens.modifiedCount;
+            deactivation.revokedAuthCodes = codes.modifiedCount;
+        }
+
+        if (policy.anchorOnChain) {
+            Object.assign(deactivation, await this.anchorStatusChange(did, 'deactivated', deactivation));
+        }
+
+        record.deactivation = deactivation;
+        await record.deactivate();
+        resolverService.invalidate(did);
+
+        logger.info(`✅ DID deactivated: ${did} (${deactivation.suspendedCredentials.length} suspended, ${deactivation.revokedCredentials.length} revoked, ${deactivation.flaggedCredentials.length} flagged, ${deactivation.revokedAccessTokens} token(s) revoked)`);
+
+        return record.deactivation.toObject();
+    }
+
+    /**
+     * Find what reactivating a DID would restore, and what stays as it is
+     * @param {object} record - Deactivated DID record
+     * @returns {object} { reinstate, unflag, preview }
+     */
+    async planReactivation(record) {
+        const deactivation = record.deactivation || {};
+        const suspendedIds = deactivation.suspendedCredentials || [];
+        const revokedIds = deactivation.revokedCredentials || [];
+
+        const suspended = suspendedIds.length > 0 ? await Credential.find({ credentialId: { $in: suspendedIds } }) : [];
+        const reinstate = [];
+        const changed = [];
+        for (const credential of suspended) {
+            // Credentials suspended again, revoked or expired since stay as they are
+            const stillCascaded = credential.status === 'suspended'
+                && credential.metadata.suspensionReason === DEACTIVATION_SUSPENSION_REASON
+                && !credential.isExpired();
+            (stillCascaded ? reinstate : changed).push(credential);
+        }
+
+        const flaggedIds = deactivation.flaggedCredentials || [];
+        const unflag = flaggedIds.length > 0
+            ? await Credential.find({ credentialId: { $in: flaggedIds }, holderDeactivatedAt: { $ne: null } })
+            : [];
+        const revoked = revokedIds.length > 0 ? await Credential.find({ credentialId: { $in: revokedIds } }) : [];
+
+        return {
+            reinstate,
+            unflag,
+            preview: {
+                did: record.did,
+                deactivatedAt: record.deactivatedAt,
+                reason: deactivation.reason || null,
+                policy: deactivation.policy || null,
+                reinstateCredentials: reinstate.map(c => this.describeCredential(c)),
+                unflagCredentials: unflag.map(c => this.describeCredential(c)),
+                notRestored: {
+                    revokedCredentials: revoked.map(c => this.describeCredential(c)),
+                    changedCredentials: changed.map(c => this.describeCredential(c)),
+                    accessTokens: deactivation.revokedAccessTokens || 0,
+                    authCodes: deactivation.revokedAuthCodes || 0
+                }
+            }
+        };
+    }
+
+    /**
+     * Preview what reactivating a DID would restore
+     * @param {string} did - DID identifier
+     * @param {string} userId - User's MongoDB ID
+     * @returns {object} Reactivation preview
+     */
+    async previewReactivation(did, userId) {
+        const record = await this.loadOwnDID(did, userId, false);
+        return (await this.planReactivation(record)).preview;
+    }
+
+    /**
+     * Reactivate a DID and restore what its deactivation suspended and flagged
+     * @param {string} did - DID identifier
+     * @param {string} userId - User's MongoDB ID
+     * @returns {object} { did, restored: the reactivation preview that was applied }
+     */
+    async reactivate(did, userId) {
+        const record = await this.loadOwnDID(did, userId, false);
+        const { reinstate, unflag, preview } = await this.planReactivation(record);
+
+        for (const credential of reinstate) {
+            try {
+                await credential.reactivate('Issuer DID reactivated', userId);
+                await statusListService.setCredentialStatus(credential, 'suspension', false);
+            } catch (error) {
+                logger.warn(`⚠️  Could not reinstate credential ${credential.credentialId}:`, error.message);
+            }
+        }
+
+        if (unflag.length > 0) {
+            await Credential.updateMany(
+                { credentialId: { $in: unflag.map(credential => credential.credentialId) } },
+                { $set: { holderDeactivatedAt: null } }
+            );
+        }
+
+        const policy = record.deactivation ? record.deactivation.policy : this.resolvePolicy();
+        if (policy.anchorOnChain) {
+            await this.anchorStatusChange(did, 'reactivated', preview);
+        }
+
+        record.deactivation = null;
+        await record.reactivate();
+        resolverService.invalidate(did);
+
+        logger.info(`✅ DID reactivated: ${did} (${reinstate.length} credential(s) reinstated, ${unflag.length} unflagged)`);
+
+        return { did: record.toPublicObject(), restored: preview };
+    }
+
+    /**
+     * Anchor a DID status change on the blockchain, committing to the cascade by its hash
+     * @returns {object} { blockchainTxHash, blockchainBlockNumber } ({} when anchoring failed)
+     */
+    async anchorStatusChange(did, status, cascade) {
+        try {
+            const block = await blockchainService.storeDIDStatusChange({ did, status, cascadeHash: sha256(cascade) });
+            return { blockchainTxHash: block.hash, blockchainBlockNumber: block.index };
+        } catch (blockchainError) {
+            logger.warn(`DID ${status} but blockchain anchoring failed:`, blockchainError.message);
+            return {};
+        }
+    }
+}
+
+const didDeactivationService = new DIDDeactivationService();
+
+module.exports = didDeactivationService;
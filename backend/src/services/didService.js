@@ -1,7 +1,16 @@
 const DID = require('../models/DID');
+const DIDVersion = require('../models/DIDVersion');
 const User = require('../models/User');
-const { generateDID, validateDID } = require('../utils/helpers');
-const { generateKeyPair } = require('../utils/crypto');
+const { generateDID, validateDID, verificationMethodId } = require('../utils/helpers');
+const { buildVerificationMethod } = require('../utils/multikey');
+const { createDidWeb } = require('../utils/didWeb');
+const { sha256 } = require('../utils/crypto');
+const { diffDocuments } = require('../utils/documentDiff');
+const kmsService = require('./kmsService');
+const ethrDIDService = require('./ethrDIDService');
+const resolverService = require('./resolverService');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const blockchainService = require('./blockchainService');
 
@@ -14,9 +23,10 @@ class DIDService {
      * Create a new DID for a user
      * @param {string} userId - User's MongoDB ID
      * @param {string} method - DID method (vault, key, web, ethr)
+     * @param {object} options - { root: create the domain's own did:web:<domain> identity }
      * @returns {object} Created DID document
      */
-    async createDID(userId, method = 'vault') {
+    async createDID(userId, method = 'vault', { root = false } = {}) {
         try {
             // Check if user exists
             const user = await User.findById(userId);
@@ -30,11 +40,31 @@ class DIDService {
                 throw new Error('User already has an active DID');
             }
 
-            // Generate key pair for the DID
-            const { publicKey, privateKey } = generateKeyPair();
+            if (root) {
+                await this.checkRootDIDWeb(user, method);
+            }
+
+            // Fails early when no registry is configured
+            if (method === 'ethr') {
+                await ethrDIDService.connect();
+            }
+
+            // Generate the DID's Ed25519 key pair in the KMS; only its key id is kept on the user
+            const { keyId, publicKey } = kmsService.generateKeyPair('ed25519');
+
+            // A did:ethr identity is the Ethereum account of a secp256k1 key, also held in the KMS
+            const controllerKey = method === 'ethr' ? kmsService.generateKeyPair('secp256k1') : null;
             
-            // Generate DID identifier
-            const didIdentifier = generateDID(method);
+            // Generate DID identifier (did:key encodes the public key itself, did:ethr the account address)
+            const didIdentifier = root
+                ? createDidWeb(config.didWeb.domain)
+                : generateDID(method, controllerKey ? controllerKey.publicKey : publicKey);
+            const keyReference = verificationMethodId(didIdentifier);
+
+            // The signing key becomes the identity's first registry key (#delegate-1)
+            if (controllerKey) {
+                await ethrDIDService.publishSigningKey(didIdentifier, controllerKey.keyId, publicKey);
+            }
 
             // Create DID document
             const didDocument = new DID({
@@ -42,10 +72,11 @@ class DIDService {
                 userId,
                 method,
                 publicKey,
+                controllerKeyId: controllerKey ? controllerKey.keyId : null,
                 controller: didIdentifier,
                 authentication: [{
-                    id: `${didIdentifier}#keys-1`,
-                    type: 'Ed25519VerificationKey2020',
+                    id: keyReference,
+                    type: buildVerificationMethod(keyReference, didIdentifier, publicKey).type,
                     publicKey
                 }]
             });
@@ -55,24 +86,15 @@ class DIDService {
             // Update user with DID and keys
             user.did = didIdentifier;
             user.publicKey = publicKey;
-            user.privateKey = privateKey;
+            user.signingKeyId = keyId;
             await user.save();
 
-            // Store DID on blockchain (simulated)
-            try {
-                const blockchainResult = await blockchainService.storeDIDDocument({
-                    did: didIdentifier,
-                    documentHash: didDocument.documentHash,
-                    publicKey
-                });
-                
-                if (blockchainResult) {
-                    didDocument.blockchainTxHash = blockchainResult.hash;
-                    didDocument.blockchainBlockNumber = blockchainResult.index;
-                    await didDocument.save();
-                }
-            } catch (blockchainError) {
-                logger.warn('DID created but blockchain storage failed:', blockchainError.message);
+            // Version 1 of the document, anchored on the blockchain (simulated)
+            const version = await this.recordVersion(didDocument, 'create');
+            if (version.blockchainTxHash) {
+                didDocument.blockchainTxHash = version.blockchainTxHash;
+                didDocument.blockchainBlockNumber = version.blockchainBlockNumber;
+                await didDocument.save();
             }
 
             logger.info(`✅ DID created: ${didIdentifier}`);
@@ -85,6 +107,43 @@ class DIDService {
         }
     }
 
+    /**
+     * Check that a user may take the domain's own identity, did:web:<domain>
+     * @param {object} user - User document
+     * @param {string} method - Requested DID method
+     */
+    async checkRootDIDWeb(user, method) {
+        if (method !== 'web') {
+            throw new AppError('Only did:web DIDs can be the domain identity', 400);
+        }
+
+        // The organization running the deployment speaks for the whole domain
+        if (!config.didWeb.rootOwner || user.email !== config.didWeb.rootOwner.toLowerCase()) {
+            throw new AppError(`Only the account set in DID_WEB_ROOT_OWNER can hold did:web:${config.didWeb.domain}`, 403);
+        }
+
+        if (await DID.exists({ did: createDidWeb(config.didWeb.domain) })) {
+            throw new AppError('The domain identity has already been created', 409);
+        }
+    }
+
+    /**
+     * Get the document of a did:web DID hosted by this deployment, as published at its did.json URL
+     * @param {string} did - did:web identifier under the configured domain
+     * @returns {object} DID document
+     */
+    async getHostedDIDWebDocument(did) {
+        const didDocument = await DID.findOne({ did });
+        if (!didDocument) {
+            throw new AppError('DID not found', 404);
+        }
+        if (!didDocument.isActive) {
+            throw new AppError('DID has been deactivated', 410);
+        }
+
+        return didDocument.generateDIDDocument();
+    }
+
     /**
      * Get DID document by DID identifier
      * @param {string} did - DID identifier or MongoDB ObjectId
@@ -92,24 +151,21 @@ class DIDService {
      */
     async getDIDDocument(didOrId) {
         try {
-            let didDocument;
-            
             // Check if it's a MongoDB ObjectId
             if (/^[0-9a-fA-F]{24}$/.test(didOrId)) {
-                didDocument = await DID.findById(didOrId);
-            } else {
-                // Validate DID format
-                if (!validateDID(didOrId)) {
-                    throw new Error('Invalid DID format');
+                const didDocument = await DID.findById(didOrId);
+                if (!didDocument) {
+                    throw new Error('DID not found');
                 }
-                didDocument = await DID.findByDID(didOrId);
+                return didDocument.generateDIDDocument();
             }
-            
-            if (!didDocument) {
-                throw new Error('DID not found');
+
+            const { didDocument, didDocumentMetadata } = await this.resolveDID(didOrId);
+            if (didDocumentMetadata.deactivated) {
+                throw new AppError('DID has been deactivated', 410);
             }
 
-            return didDocument.generateDIDDocument();
+            return didDocument;
             
         } catch (error) {
             logger.error('❌ Failed to get DID document:', error.message);
@@ -171,36 +227,21 @@ class DIDService {
 
     /**
      * Resolve DID to get full document
+     * Deactivated DIDs resolve, with deactivated set in their document metadata
      * @param {string} did - DID identifier
-     * @returns {object} Complete DID document with metadata
+     * @param {object} options - { noCache: bypass the resolver cache }
+     * @returns {object} DID resolution result (didDocument, didResolutionMetadata, didDocumentMetadata)
      */
-    async resolveDID(did) {
-        try {
-            if (!validateDID(did)) {
-                throw new Error('Invalid DID format');
-            }
+    async resolveDID(did, options = {}) {
+        const resolution = await resolverService.resolve(did, options);
 
-            const didDocument = await DID.findByDID(did);
-            if (!didDocument) {
-                throw new Error('DID not found');
-            }
-
-            return {
-                didDocument: didDocument.generateDIDDocument(),
-                metadata: {
-                    created: didDocument.createdAt,
-                    updated: didDocument.updatedAt,
-                    isActive: didDocument.isActive,
-                    onBlockchain: !!didDocument.blockchainTxHash,
-                    blockchainTxHash: didDocument.blockchainTxHash,
-                    blockchainBlockNumber: didDocument.blockchainBlockNumber
-                }
-            };
-            
-        } catch (error) {
-            logger.error('❌ DID resolution failed:', error.message);
-            throw error;
+        const { error, errorMessage } = resolution.didResolutionMetadata;
+        if (error) {
+            logger.error('❌ DID resolution failed:', errorMessage);
+            throw new AppError(errorMessage, resolverService.statusFor(error));
         }
+
+        return resolution;
     }
 
     /**
@@ -217,6 +258,7 @@ class DIDService {
             }
 
             await didDocument.updateDocument(updates);
+            await this.recordVersion(didDocument, 'update');
             
             logger.info(`✅ DID updated: ${did}`);
             
@@ -243,7 +285,15 @@ class DIDService {
                 throw new Error('DID not found');
             }
 
+            // did:ethr services are registry attributes; the chain is what resolvers read
+            if (didDocument.method === 'ethr' && didDocument.controllerKeyId) {
+                await ethrDIDService.setAttribute(did, didDocument.controllerKeyId, `did/svc/${serviceType}`,
+                    ethrDIDService.encodeValue(`did/svc/${serviceType}`, endpoint));
+                resolverService.invalidate(did);
+            }
+
             await didDocument.addService(serviceId, serviceType, endpoint);
+            await this.recordVersion(didDocument, 'service');
             
             logger.info(`✅ Service endpoint added to DID: ${did}`);
             
@@ -256,53 +306,337 @@ class DIDService {
     }
 
     /**
-     * Deactivate a DID
-     * @param {string} did - DID identifier
-     * @returns {object} Deactivated DID document
+     * Publish or revoke a registry attribute (key or service) of a did:ethr DID created by the vault
+     * @param {string} did - did:ethr identifier
+     * @param {object} attribute - { name, value, validity } (validity is ignored when revoking)
+     * @param {boolean} revoke - Revoke the attribute instead of publishing it
+     * @returns {object} { transactionHash, blockNumber, didDocument }
      */
-    async deactivateDID(did) {
+    async changeEthrAttribute(did, { name, value, validity }, revoke = false) {
         try {
             const didDocument = await DID.findByDID(did);
             if (!didDocument) {
                 throw new Error('DID not found');
             }
+            if (didDocument.method !== 'ethr' || !didDocument.controllerKeyId) {
+                throw new AppError('Registry attributes only exist for did:ethr DIDs created by this vault', 400);
+            }
+
+            const encoded = ethrDIDService.encodeValue(name, value);
+            const result = revoke
+                ? await ethrDIDService.revokeAttribute(did, didDocument.controllerKeyId, name, encoded)
+                : await ethrDIDService.setAttribute(did, didDocument.controllerKeyId, name, encoded, validity);
+
+            resolverService.invalidate(did);
+            const { didDocument: resolved } = await ethrDIDService.resolve(did);
+
+            logger.info(`✅ did:ethr attribute ${name} ${revoke ? 'revoked' : 'set'}: ${did}`);
+
+            return { ...result, didDocument: resolved };
 
-            await didDocument.deactivate();
-            
-            logger.info(`✅ DID deactivated: ${did}`);
-            
-            return { success: true, message: 'DID deactivated successfully' };
-            
         } catch (error) {
-            logger.error('❌ DID deactivation failed:', error.message);
+            logger.error('❌ did:ethr attribute change failed:', error.message);
             throw error;
         }
     }
 
     /**
-     * Reactivate a DID
+     * Get the key a user signs with for a verification relationship of their active DID
+     * @param {object} user - User document
+     * @param {string} relationship - 'assertionMethod' (credentials) or 'authentication' (presentations)
+     * @returns {object} { signer, verificationMethod }
+     */
+    async getSigningKey(user, relationship = 'assertionMethod') {
+        const record = await DID.findOne({ did: user.did, userId: user._id, isActive: true });
+        const method = record ? record.getActiveMethod(relationship) : null;
+
+        // DIDs that never rotated a key sign with the user's key as #keys-1 (or its did:key/did:ethr id)
+        const keyId = method && method.keyId ? method.keyId : user.signingKeyId;
+        if (!keyId) {
+            throw new Error('No signing key is held for this DID');
+        }
+
+        return {
+            signer: kmsService.getSigner(keyId),
+            verificationMethod: method ? method.id : verificationMethodId(user.did)
+        };
+    }
+
+    /**
+     * List the verification methods of a DID with their relationships, and the key change history
+     * @param {string} did - DID identifier
+     * @returns {object} { verificationMethods, keyHistory }
+     */
+    async listVerificationMethods(did) {
+        const record = await DID.findByDID(did);
+        if (!record) {
+            throw new AppError('DID not found', 404);
+        }
+
+        const authentication = record.getRelationship('authentication');
+        const assertionMethod = record.getRelationship('assertionMethod');
+
+        return {
+            verificationMethods: record.getVerificationMethods().map(method => ({
+                id: method.id,
+                type: buildVerificationMethod(method.id, did, method.publicKey).type,
+                publicKey: method.publicKey,
+                createdAt: method.createdAt,
+                revokedAt: method.revokedAt,
+                revocationReason: method.revocationReason,
+                authentication: authentication.includes(method.id),
+                assertionMethod: assertionMethod.includes(method.id)
+            })),
+            keyHistory: record.keyHistory
+        };
+    }
+
+    /**
+     * Add a verification method with a new Ed25519 key from the KMS
      * @param {string} did - DID identifier
-     * @returns {object} Reactivated DID document
+     * @param {string} userId - Owner's MongoDB ID
+     * @param {object} options - { relationships: relationships to move to the new key }
+     * @returns {object} Verification methods and history after the change
      */
-    async reactivateDID(did) {
+    async addVerificationMethod(did, userId, { relationships = [] } = {}) {
         try {
-            const didDocument = await DID.findOne({ did });
-            if (!didDocument) {
-                throw new Error('DID not found');
+            const { record, user } = await this.loadKeyOwner(did, userId);
+
+            const index = Math.max(0, ...record.verificationMethods.map(method =>
+                parseInt((method.id.match(/#keys-(\d+)$/) || [])[1], 10) || 0)) + 1;
+            const id = `${did}#keys-${index}`;
+            const { keyId, publicKey } = kmsService.generateKeyPair('ed25519');
+
+            record.verificationMethods.push({ id, publicKey, keyId });
+            for (const relationship of relationships) {
+                record.relationships[relationship] = [id];
             }
 
-            await didDocument.reactivate();
-            
-            logger.info(`✅ DID reactivated: ${did}`);
-            
-            return didDocument.toPublicObject();
-            
+            await this.recordKeyChange(record, user, { action: 'add', verificationMethod: id });
+
+            logger.info(`🔑 Verification method added to ${did}: ${id}`);
+
+            return this.listVerificationMethods(did);
+
+        } catch (error) {
+            logger.error('❌ Failed to add verification method:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Point the authentication and assertionMethod relationships at other verification methods
+     * @param {string} did - DID identifier
+     * @param {string} userId - Owner's MongoDB ID
+     * @param {object} relationships - { authentication, assertionMethod } (method ids or fragments)
+     * @returns {object} Verification methods and history after the change
+     */
+    async setVerificationRelationships(did, userId, relationships) {
+        try {
+            const { record, user } = await this.loadKeyOwner(did, userId);
+
+            for (const [relationship, ids] of Object.entries(relationships)) {
+                record.relationships[relationship] = ids.map(id => this.findActiveMethod(record, id).id);
+            }
+
+            await this.recordKeyChange(record, user, { action: 'relationships' });
+
+            logger.info(`🔑 Verification relationships of ${did} updated`);
+
+            return this.listVerificationMethods(did);
+
+        } catch (error) {
+            logger.error('❌ Failed to update verification relationships:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a verification method
+     * Signatures it made before now keep verifying; the KMS key is disabled so it cannot make more
+     * @param {string} did - DID identifier
+     * @param {string} userId - Owner's MongoDB ID
+     * @param {string} methodId - Method id or fragment (keys-1)
+     * @param {string} reason - Why the key is revoked (e.g. compromised)
+     * @returns {object} Verification methods and history after the change
+     */
+    async revokeVerificationMethod(did, userId, methodId, reason = null) {
+        try {
+            const { record, user } = await this.loadKeyOwner(did, userId);
+            const method = this.findActiveMethod(record, methodId);
+
+            for (const relationship of ['authentication', 'assertionMethod']) {
+                const remaining = record.relationships[relationship].filter(id => id !== method.id);
+                if (remaining.length === 0) {
+                    throw new AppError(`Move ${relationship} to another key before revoking ${method.id}`, 409);
+                }
+                record.relationships[relationship] = remaining;
+            }
+
+            method.revokedAt = new Date();
+            method.revocationReason = reason;
+
+            await this.recordKeyChange(record, user, { action: 'revoke', verificationMethod: method.id, reason });
+
+            if (method.keyId) {
+                kmsService.disableKey(method.keyId);
+            }
+
+            logger.info(`🔑 Verification method revoked on ${did}: ${method.id}`);
+
+            return this.listVerificationMethods(did);
+
         } catch (error) {
-            logger.error('❌ DID reactivation failed:', error.message);
+            logger.error('❌ Failed to revoke verification method:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Load a DID whose keys its owner is about to change
+     * DIDs that never rotated get their single key written out as #keys-1 first
+     */
+    async loadKeyOwner(did, userId) {
+        const record = await DID.findByDID(did);
+        if (!record) {
+            throw new AppError('DID not found', 404);
+        }
+        if (record.method === 'key') {
+            throw new AppError('A did:key identifier is its key; create a new DID instead of rotating it', 400);
+        }
+        if (record.controllerKeyId) {
+            throw new AppError('did:ethr keys are rotated in the registry with /attributes', 400);
+        }
+
+        const user = await User.findById(userId);
+        if (!user || !record.userId.equals(user._id)) {
+            throw new AppError('You do not have permission to modify this DID', 403);
+        }
+
+        if (record.verificationMethods.length === 0) {
+            const [method] = record.getVerificationMethods();
+            record.verificationMethods = [{ ...method, keyId: user.signingKeyId }];
+            record.relationships = { authentication: [method.id], assertionMethod: [method.id] };
+        }
+
+        return { record, user };
+    }
+
+    /**
+     * Find an unrevoked verification method by id or fragment
+     */
+    findActiveMethod(record, methodId) {
+        const id = methodId.includes('#') ? methodId : `${record.did}#${methodId}`;
+        const method = record.verificationMethods.find(candidate => candidate.id === id);
+        if (!method) {
+            throw new AppError(`Unknown verification method ${id}`, 404);
+        }
+        if (method.revokedAt) {
+            throw new AppError(`${id} has been revoked`, 409);
+        }
+        return method;
+    }
+
+    /**
+     * Anchor a key change on the blockchain and record it in the DID's key history
+     * The user's signing key follows the DID's assertionMethod
+     */
+    async recordKeyChange(record, user, change) {
+        const signingMethod = record.getActiveMethod('assertionMethod');
+        record.publicKey = signingMethod.publicKey;
+
+        const entry = {
+            ...change,
+            authentication: [...record.relationships.authentication],
+            assertionMethod: [...record.relationships.assertionMethod],
+            at: new Date()
+        };
+
+        record.keyHistory.push(entry);
+        await record.save();
+
+        const version = await this.recordVersion(record, 'key', documentHash => blockchainService.storeKeyChange({
+            did: record.did,
+            action: change.action,
+            verificationMethod: change.verificationMethod,
+            documentHash
+        }));
+        if (version.blockchainTxHash) {
+            const recorded = record.keyHistory[record.keyHistory.length - 1];
+            recorded.blockchainTxHash = version.blockchainTxHash;
+            recorded.blockchainBlockNumber = version.blockchainBlockNumber;
+            await record.save();
+        }
+
+        user.publicKey = signingMethod.publicKey;
+        user.signingKeyId = signingMethod.keyId;
+        await user.save();
+    }
+
+    /**
+     * Store the saved state of a DID document as its next version, anchored on the blockchain
+     * Verifiers resolve earlier versions (?versionId= / ?versionTime=) to check old signatures
+     * @param {object} record - DID record, already saved
+     * @param {string} change - What produced the version (see DIDVersion.change)
+     * @param {function} anchor - Anchors the document hash, resolving to a block ({ index, hash })
+     * @returns {object} DIDVersion
+     */
+    async recordVersion(record, change, anchor = null) {
+        // Stored as resolvers serve it (plain JSON, without the record's subdocuments)
+        const document = JSON.parse(JSON.stringify(record.generateDIDDocument()));
+        const documentHash = sha256(document);
+
+        let block = null;
+        try {
+            block = anchor
+                ? await anchor(documentHash)
+                : await blockchainService.storeDIDDocument({ did: record.did, documentHash, publicKey: record.publicKey });
+        } catch (blockchainError) {
+            logger.warn(`DID document version of ${record.did} saved but blockchain anchoring failed:`, blockchainError.message);
+        }
+
+        const latest = await DIDVersion.findLatest(record.did);
+
+        return DIDVersion.create({
+            did: record.did,
+            versionId: latest ? latest.versionId + 1 : 1,
+            document,
+            documentHash,
+            change,
+            blockchainTxHash: block ? block.hash : null,
+            blockchainBlockNumber: block ? block.index : null,
+            createdAt: record.updatedAt
+        });
+    }
+
+    /**
+     * List the stored versions of a DID document, each with its changes from the previous one
+     * @param {string} did - DID identifier
+     * @returns {Array} Versions, oldest first
+     */
+    async listVersions(did) {
+        const record = await DID.findOne({ did });
+        if (!record) {
+            throw new AppError('DID not found', 404);
+        }
+
+        const versions = await DIDVersion.find({ did }).sort({ versionId: 1 });
+
+        // The updated timestamp changes with every version; the diff shows what else did
+        const withoutTimestamp = ({ updated, ...document }) => document;
+
+        return versions.map((version, index) => ({
+            ...version.toMetadata(),
+            change: version.change,
+            documentHash: version.documentHash,
+            document: version.document,
+            changes: diffDocuments(
+                index > 0 ? withoutTimestamp(versions[index - 1].document) : null,
+                withoutTimestamp(version.document)
+            )
+        }));
+    }
+
     /**
      * Verify DID ownership
      * @param {string} did - DID identifier
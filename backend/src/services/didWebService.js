@@ -0,0 +1,160 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const { parseDidWeb, didWebToUrl } = require('../utils/didWeb');
+const { isPublicHostname, publicDispatcher, readLimitedBody } = require('../utils/publicHost');
+const logger = require('../utils/logger');
+
+// DID documents are small; anything larger is not one
+const MAX_DOCUMENT_BYTES = 100 * 1024;
+
+/**
+ * did:web Service - Resolves did:web identifiers hosted by other domains
+ *
+ * Documents are fetched over HTTPS from the URL the identifier maps to. When DID_WEB_FIXTURES_DIR
+ * is set, documents are read from <dir>/<host>/<path>/did.json instead, so external issuers can be
+ * stood in for locally without DNS or TLS. did:web identifiers under this deployment's own domain
+ * are never fetched; they resolve from the database like any other local DID.
+ */
+class DIDWebService {
+
+    /**
+     * Whether a did:web identifier is hosted by this deployment
+     * @param {string} did - did:web identifier
+     * @returns {boolean} True if the DID is under the configured domain
+     */
+    isLocal(did) {
+        try {
+            return parseDidWeb(did).host === config.didWeb.domain.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Resolve an external did:web identifier
+     * @param {string} did - did:web identifier
+     * @returns {object} { didDocument, metadata }
+     */
+    async resolve(did) {
+        let parsed;
+        try {
+            parsed = parseDidWeb(did);
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+
+        const { document, retrievedFrom } = config.didWeb.fixturesDir
+            ? await this.readFixture(parsed)
+            : await this.fetchDocument(did, parsed.host);
+
+        // A host can only speak for identifiers under it
+        if (!document || document.id !== did) {
+            throw new AppError(`did:web document at ${retrievedFrom} does not describe ${did}`, 502);
+        }
+
+        logger.info(`🌐 did:web resolved: ${did} (${retrievedFrom})`);
+
+        return {
+            didDocument: document,
+            metadata: {
+                retrievedFrom,
+                retrievedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Read a did.json from the local fixtures directory
+     * @param {object} parsed - { host, path } of the did:web identifier
+     * @returns {object} { document, retrievedFrom }
+     */
+    async readFixture({ host, path: segments }) {
+        const file = path.join(
+            config.didWeb.fixturesDir,
+            host,
+            ...(segments.length === 0 ? ['.well-known'] : segments),
+            'did.json'
+        );
+
+        let contents;
+        try {
+            contents = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            throw new AppError('DID not found', 404);
+        }
+
+        return { document: this.parseDocument(contents), retrievedFrom: `file://${file}` };
+    }
+
+    /**
+     * Fetch a did.json over HTTPS
+     * @param {string} did - did:web identifier
+     * @param {string} host - Host (host[:port]) the document is published on
+     * @returns {object} { document, retrievedFrom }
+     */
+    async fetchDocument(did, host) {
+        // Identifiers are user input: keep the server from being pointed at addresses on its own network
+        const hostname = host.replace(/:\d+$/, '');
+        if (!isPublicHostname(hostname)) {
+            throw new AppError(`did:web hosts must be public domain names: ${hostname} is not a public domain name`, 400);
+        }
+
+        const url = didWebToUrl(did);
+
+        // Upstream errors and statuses are only logged, so resolving can't be used to probe hosts
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: { Accept: 'application/did+json, application/json' },
+                redirect: 'error',
+                signal: AbortSignal.timeout(config.didWeb.timeoutMs),
+                // Resolves and checks the host itself, and connects only to the addresses it checked
+                dispatcher: publicDispatcher
+            });
+        } catch (error) {
+            if (error.cause && error.cause.code === 'ENOTPUBLIC') {
+                throw new AppError(`did:web hosts must be public domain names: ${error.cause.message}`, 400);
+            }
+            logger.warn(`⚠️  did:web fetch of ${url} failed:`, (error.cause || error).message);
+            throw new AppError(`Could not retrieve ${url}`, 502);
+        }
+
+        if (!response.ok) {
+            await response.body?.cancel();
+            logger.warn(`⚠️  did:web fetch of ${url} returned HTTP ${response.status}`);
+            throw new AppError(`Could not retrieve ${url}`, 502);
+        }
+
+        let contents;
+        try {
+            contents = await readLimitedBody(response, MAX_DOCUMENT_BYTES);
+        } catch (error) {
+            if (error.code === 'ETOOLARGE') {
+                throw new AppError(`DID document at ${url} is too large`, 502);
+            }
+            logger.warn(`⚠️  did:web fetch of ${url} failed:`, error.message);
+            throw new AppError(`Could not retrieve ${url}`, 502);
+        }
+
+        return { document: this.parseDocument(contents), retrievedFrom: url };
+    }
+
+    /**
+     * Parse a did.json
+     * @param {string} contents - File or response body
+     * @returns {object} DID document
+     */
+    parseDocument(contents) {
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            throw new AppError('did:web document is not valid JSON', 502);
+        }
+    }
+}
+
+// Export singleton instance
+const didWebService = new DIDWebService();
+module.exports = didWebService;
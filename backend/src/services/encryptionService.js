@@ -1,7 +1,20 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { generateKey, encrypt, decrypt, encryptAES, decryptAES, generateKeyPair } = require('../utils/crypto');
+const config = require('../config/env');
+const MasterKeyring = require('../kms/MasterKeyring');
 const logger = require('../utils/logger');
 
+// Current credential envelope format; envelopes without a version are legacy AES-256-CBC
+const ENVELOPE_VERSION = 2;
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+// Content keys wrapped for a password-protected vault's public key
+const PUBLIC_KEY_WRAP_ALGORITHM = 'rsa-oaep-256';
+// Key derivation for data sealed with a user-chosen passphrase (e.g. vault backups)
+const PASSPHRASE_KDF = 'pbkdf2-sha256';
+const PASSPHRASE_KDF_ITERATIONS = 310000;
+
 /**
  * Encryption Service for securing sensitive data
  * Provides encryption/decryption for credentials and vault data
@@ -9,14 +22,62 @@ const logger = require('../utils/logger');
 class EncryptionService {
     constructor() {
         this.algorithm = process.env.ENCRYPTION_ALGORITHM || 'aes-256-gcm';
-        this.masterKey = process.env.ENCRYPTION_KEY || this.generateMasterKey();
+        this.keyring = this.loadKeyring(config.encryption);
+    }
+
+    /**
+     * Load the master keyring from the configuration
+     * Without a configured key, development servers generate one and keep it next to the KMS keystore,
+     * so the keystore and the blind indexes stay readable across restarts. Production refuses to start
+     * instead, and tests get a throwaway key
+     * @param {object} options - { keys, activeKeyId }
+     * @returns {MasterKeyring} Keyring
+     */
+    loadKeyring({ keys, activeKeyId }) {
+        if (keys.length) {
+            return new MasterKeyring(keys, activeKeyId);
+        }
+
+        if (config.env === 'production') {
+            throw new Error('No master key configured. Set ENCRYPTION_KEYS (or ENCRYPTION_KEY) to a persistent key');
+        }
+
+        const key = config.env === 'test'
+            ? generateKey(32)
+            : this.loadDevMasterKey(path.join(path.dirname(config.kms.keystorePath), 'dev-master-key'));
+        return new MasterKeyring([{ id: 'default', key }]);
+    }
+
+    /**
+     * Read the generated development master key, generating it on first start
+     * @param {string} keyPath - Key file, readable by the owner only
+     * @returns {string} Master key
+     */
+    loadDevMasterKey(keyPath) {
+        if (fs.existsSync(keyPath)) {
+            return fs.readFileSync(keyPath, 'utf8').trim();
+        }
+
+        const key = this.generateMasterKey();
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        // wx: a server starting at the same time may have written one already, and its key wins
+        try {
+            fs.writeFileSync(keyPath, key, { mode: 0o600, flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            return fs.readFileSync(keyPath, 'utf8').trim();
+        }
+
+        logger.warn(`⚠️  Generated a development master key in ${keyPath}. Set ENCRYPTION_KEYS in .env!`);
+        return key;
     }
 
     /**
      * Generate a master encryption key
      */
     generateMasterKey() {
-        logger.warn('⚠️  Using generated master key. Set ENCRYPTION_KEY in .env for production!');
         return generateKey(32);
     }
 
@@ -28,24 +89,53 @@ class EncryptionService {
     }
 
     /**
-     * Encrypt credential data
+     * Derive a short, non-secret identifier for an encryption key
+     * Lets decryption fail fast (and clearly) when the wrong key is supplied
+     * @param {string} key - Hex encoded key
+     * @returns {string} Key id
+     */
+    getKeyId(key) {
+        return crypto.createHash('sha256')
+            .update(Buffer.from(key, 'hex'))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Check whether an envelope uses the legacy unauthenticated format (AES-256-CBC, no version)
+     * @param {object} envelope - Encrypted envelope
+     * @returns {boolean} True for legacy envelopes
+     */
+    isLegacyEnvelope(envelope) {
+        return !envelope || !envelope.version;
+    }
+
+    /**
+     * Encrypt credential data as a versioned AES-256-GCM envelope
      * @param {object} credentialData - Credential data to encrypt
      * @param {string} vaultKey - User's vault encryption key
-     * @returns {object} Encrypted data with IV
+     * @param {string} associatedData - Authenticated but unencrypted context, e.g. the credentialId
+     * @returns {object} { version, algorithm, keyId, iv, authTag, associatedData, encryptedData }
      */
-    encryptCredential(credentialData, vaultKey) {
+    encryptCredential(credentialData, vaultKey, associatedData = '') {
         try {
             const dataString = JSON.stringify(credentialData);
             const key = Buffer.from(vaultKey, 'hex');
-            const iv = crypto.randomBytes(16);
-            
-            const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+            const iv = crypto.randomBytes(12);
+
+            const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, key, iv);
+            cipher.setAAD(Buffer.from(associatedData, 'utf8'));
             let encrypted = cipher.update(dataString, 'utf8', 'hex');
             encrypted += cipher.final('hex');
-            
+
             return {
-                encryptedData: encrypted,
-                iv: iv.toString('hex')
+                version: ENVELOPE_VERSION,
+                algorithm: ENVELOPE_ALGORITHM,
+                keyId: this.getKeyId(vaultKey),
+                iv: iv.toString('hex'),
+                authTag: cipher.getAuthTag().toString('hex'),
+                associatedData,
+                encryptedData: encrypted
             };
         } catch (error) {
             logger.error('❌ Credential encryption failed:', error.message);
@@ -54,21 +144,39 @@ class EncryptionService {
     }
 
     /**
-     * Decrypt credential data
-     * @param {string} encryptedData - Encrypted credential data
-     * @param {string} iv - Initialization vector
+     * Decrypt credential data from a versioned envelope or the legacy { encryptedData, iv } format
+     * @param {object} envelope - Encrypted envelope
      * @param {string} vaultKey - User's vault encryption key
+     * @param {string} associatedData - Expected associated data (defaults to the value in the envelope)
      * @returns {object} Decrypted credential data
      */
-    decryptCredential(encryptedData, iv, vaultKey) {
+    decryptCredential(envelope, vaultKey, associatedData) {
         try {
             const key = Buffer.from(vaultKey, 'hex');
-            const ivBuffer = Buffer.from(iv, 'hex');
-            
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, ivBuffer);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
+            const iv = Buffer.from(envelope.iv, 'hex');
+
+            if (this.isLegacyEnvelope(envelope)) {
+                const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+                let decrypted = decipher.update(envelope.encryptedData, 'hex', 'utf8');
+                decrypted += decipher.final('utf8');
+
+                return JSON.parse(decrypted);
+            }
+
+            if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ENVELOPE_ALGORITHM) {
+                throw new Error(`Unsupported envelope v${envelope.version} (${envelope.algorithm})`);
+            }
+
+            if (envelope.keyId && envelope.keyId !== this.getKeyId(vaultKey)) {
+                throw new Error('Envelope was encrypted under a different key');
+            }
+
+            const decipher = crypto.createDecipheriv(ENVELOPE_ALGORITHM, key, iv);
+            decipher.setAAD(Buffer.from(associatedData !== undefined ? associatedData : envelope.associatedData || '', 'utf8'));
+            decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+            let decrypted = decipher.update(envelope.encryptedData, 'hex', 'utf8');
             decrypted += decipher.final('utf8');
-            
+
             return JSON.parse(decrypted);
         } catch (error) {
             logger.error('❌ Credential decryption failed:', error.message);
@@ -77,13 +185,100 @@ class EncryptionService {
     }
 
     /**
-     * Encrypt vault data with master key
+     * Encrypt credential data for a recipient using a one-off content key
+     * The content key is wrapped with the recipient's vault key, so only the recipient can open it
+     * @param {object} credentialData - Credential data to encrypt
+     * @param {string} recipientVaultKey - Recipient's vault encryption key
+     * @param {string} associatedData - Authenticated context for both envelopes, e.g. the credentialId
+     * @returns {object} Encrypted envelope with wrapped content key
+     */
+    encryptForRecipient(credentialData, recipientVaultKey, associatedData = '') {
+        const contentKey = generateKey(32);
+
+        return {
+            ...this.encryptCredential(credentialData, contentKey, associatedData),
+            wrappedKey: this.encryptCredential(contentKey, recipientVaultKey, associatedData)
+        };
+    }
+
+    /**
+     * Encrypt credential data for a recipient's public key (RSA-OAEP wrapped content key)
+     * Used for password-protected vaults, whose vault key the server cannot use while they are locked
+     * @param {object} credentialData - Credential data to encrypt
+     * @param {string} publicKey - Recipient's vault public key (PEM)
+     * @param {string} associatedData - Authenticated context, e.g. the credentialId
+     * @returns {object} Encrypted envelope with wrapped content key
+     */
+    encryptForPublicKey(credentialData, publicKey, associatedData = '') {
+        const contentKey = generateKey(32);
+        const wrapped = crypto.publicEncrypt(
+            { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+            Buffer.from(contentKey, 'hex')
+        );
+
+        return {
+            ...this.encryptCredential(credentialData, contentKey, associatedData),
+            wrappedKey: {
+                version: ENVELOPE_VERSION,
+                algorithm: PUBLIC_KEY_WRAP_ALGORITHM,
+                keyId: this.getPublicKeyId(publicKey),
+                encryptedData: wrapped.toString('hex')
+            }
+        };
+    }
+
+    /**
+     * Derive a key id for a public key
+     * @param {string} publicKey - Public key (PEM)
+     * @returns {string} Key id
+     */
+    getPublicKeyId(publicKey) {
+        return crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Check whether an envelope's content key is wrapped for a public key
+     * @param {object} wrappedKey - Wrapped content key
+     * @returns {boolean} True when the recipient's private key is needed
+     */
+    isPublicKeyWrapped(wrappedKey) {
+        return !!wrappedKey && wrappedKey.algorithm === PUBLIC_KEY_WRAP_ALGORITHM;
+    }
+
+    /**
+     * Decrypt credential data encrypted with encryptForRecipient or encryptForPublicKey
+     * @param {object} envelope - Encrypted envelope with wrappedKey
+     * @param {string} recipientKey - Recipient's vault key, or vault private key (PEM) for public-key wraps
+     * @param {string} associatedData - Expected associated data
+     * @returns {object} Decrypted credential data
+     */
+    decryptForRecipient(envelope, recipientKey, associatedData) {
+        let contentKey;
+        if (this.isPublicKeyWrapped(envelope.wrappedKey)) {
+            try {
+                contentKey = crypto.privateDecrypt(
+                    { key: recipientKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+                    Buffer.from(envelope.wrappedKey.encryptedData, 'hex')
+                ).toString('hex');
+            } catch (error) {
+                logger.error('❌ Content key unwrap failed:', error.message);
+                throw new Error('Failed to decrypt credential');
+            }
+        } else {
+            contentKey = this.decryptCredential(envelope.wrappedKey, recipientKey, associatedData);
+        }
+
+        return this.decryptCredential(envelope, contentKey, associatedData);
+    }
+
+    /**
+     * Encrypt vault data with the active master key
      * @param {string} data - Data to encrypt
-     * @returns {string} Encrypted data
+     * @returns {string} keyId:ciphertext
      */
     encryptWithMasterKey(data) {
         try {
-            return encryptAES(data, this.masterKey);
+            return `${this.keyring.activeKeyId}:${encryptAES(data, this.keyring.activeKey)}`;
         } catch (error) {
             logger.error('❌ Master key encryption failed:', error.message);
             throw new Error('Failed to encrypt with master key');
@@ -91,19 +286,46 @@ class EncryptionService {
     }
 
     /**
-     * Decrypt vault data with master key
-     * @param {string} encryptedData - Encrypted data
+     * Decrypt vault data with the master key it was encrypted under
+     * @param {string} encryptedData - keyId:ciphertext (or a legacy ciphertext without key id)
      * @returns {string} Decrypted data
      */
     decryptWithMasterKey(encryptedData) {
         try {
-            return decryptAES(encryptedData, this.masterKey);
+            const keyId = this.getMasterKeyId(encryptedData);
+            const ciphertext = encryptedData.substring(encryptedData.indexOf(':') + 1);
+
+            return decryptAES(ciphertext, this.keyring.get(keyId));
         } catch (error) {
             logger.error('❌ Master key decryption failed:', error.message);
             throw new Error('Failed to decrypt with master key');
         }
     }
 
+    /**
+     * Get the id of the master key a ciphertext was encrypted under
+     * Legacy ciphertexts (base64, so without a ':') were written under the default key
+     * @param {string} encryptedData - Output of encryptWithMasterKey
+     * @returns {string} Master key id
+     */
+    getMasterKeyId(encryptedData) {
+        const separator = encryptedData.indexOf(':');
+        return separator === -1 ? this.keyring.defaultKeyId : encryptedData.substring(0, separator);
+    }
+
+    /**
+     * Re-encrypt data written under an older master key with the active one
+     * @param {string} encryptedData - Output of encryptWithMasterKey
+     * @returns {string} Ciphertext under the active key (unchanged when it already is)
+     */
+    rewrapWithMasterKey(encryptedData) {
+        if (this.getMasterKeyId(encryptedData) === this.keyring.activeKeyId && encryptedData.includes(':')) {
+            return encryptedData;
+        }
+
+        return this.encryptWithMasterKey(this.decryptWithMasterKey(encryptedData));
+    }
+
     /**
      * Generate RSA key pair for asymmetric encryption
      * @returns {object} Public and private key pair
@@ -118,24 +340,59 @@ class EncryptionService {
     }
 
     /**
-     * Encrypt user's vault key with their password
-     * @param {string} vaultKey - Vault encryption key
-     * @param {string} password - User's password
-     * @returns {string} Encrypted vault key
+     * Wrap a secret (key or private key) under another key with AES-256-GCM
+     * @param {string} secret - Secret to wrap (utf8)
+     * @param {string} wrappingKey - Hex encoded wrapping key
+     * @param {string} associatedData - Authenticated context, e.g. what the secret is for
+     * @returns {string} iv:authTag:ciphertext (hex)
+     */
+    wrapKey(secret, wrappingKey, associatedData = '') {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, Buffer.from(wrappingKey, 'hex'), iv);
+        cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+    }
+
+    /**
+     * Unwrap a secret wrapped with wrapKey
+     * @param {string} wrapped - iv:authTag:ciphertext (hex)
+     * @param {string} wrappingKey - Hex encoded wrapping key
+     * @param {string} associatedData - Expected associated data
+     * @returns {string} Secret
+     */
+    unwrapKey(wrapped, wrappingKey, associatedData = '') {
+        try {
+            const [ivHex, authTagHex, encryptedHex] = wrapped.split(':');
+            const decipher = crypto.createDecipheriv(
+                ENVELOPE_ALGORITHM,
+                Buffer.from(wrappingKey, 'hex'),
+                Buffer.from(ivHex, 'hex')
+            );
+            decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+            decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+            return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            logger.error('❌ Key unwrap failed:', error.message);
+            throw new Error('Failed to unwrap key');
+        }
+    }
+
+    /**
+     * Encrypt a vault key-encryption key with a password (or recovery code)
+     * @param {string} vaultKey - Key to protect
+     * @param {string} password - User's password or recovery code
+     * @returns {string} salt:iv:authTag:ciphertext (hex)
      */
     encryptVaultKey(vaultKey, password) {
         try {
             // Derive key from password using PBKDF2
             const salt = crypto.randomBytes(16);
             const derivedKey = crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
-            
-            const iv = crypto.randomBytes(16);
-            const cipher = crypto.createCipheriv('aes-256-cbc', derivedKey, iv);
-            let encrypted = cipher.update(vaultKey, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            
-            // Return salt + iv + encrypted data
-            return salt.toString('hex') + ':' + iv.toString('hex') + ':' + encrypted;
+
+            return salt.toString('hex') + ':' + this.wrapKey(vaultKey, derivedKey.toString('hex'));
         } catch (error) {
             logger.error('❌ Vault key encryption failed:', error.message);
             throw new Error('Failed to encrypt vault key');
@@ -143,30 +400,92 @@ class EncryptionService {
     }
 
     /**
-     * Decrypt user's vault key with their password
-     * @param {string} encryptedVaultKey - Encrypted vault key
-     * @param {string} password - User's password
-     * @returns {string} Decrypted vault key
+     * Decrypt a key encrypted with encryptVaultKey
+     * The GCM auth tag makes a wrong password fail instead of yielding a garbage key
+     * @param {string} encryptedVaultKey - salt:iv:authTag:ciphertext (hex)
+     * @param {string} password - User's password or recovery code
+     * @returns {string} Decrypted key
      */
     decryptVaultKey(encryptedVaultKey, password) {
         try {
-            const [saltHex, ivHex, encryptedData] = encryptedVaultKey.split(':');
-            
-            const salt = Buffer.from(saltHex, 'hex');
-            const iv = Buffer.from(ivHex, 'hex');
+            const separator = encryptedVaultKey.indexOf(':');
+            const salt = Buffer.from(encryptedVaultKey.substring(0, separator), 'hex');
             const derivedKey = crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha256');
-            
-            const decipher = crypto.createDecipheriv('aes-256-cbc', derivedKey, iv);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
+
+            return this.unwrapKey(encryptedVaultKey.substring(separator + 1), derivedKey.toString('hex'));
         } catch (error) {
             logger.error('❌ Vault key decryption failed:', error.message);
             throw new Error('Failed to decrypt vault key - invalid password?');
         }
     }
 
+    /**
+     * Encrypt data under a key derived from a passphrase
+     * The KDF parameters travel with the ciphertext, so they can be raised without breaking old data
+     * @param {*} data - Data to encrypt (JSON-serializable)
+     * @param {string} passphrase - Passphrase
+     * @param {string} associatedData - Authenticated context, e.g. what the data is
+     * @returns {object} { kdf: { algorithm, iterations, salt }, cipher: { algorithm, iv, authTag }, ciphertext }
+     */
+    encryptWithPassphrase(data, passphrase, associatedData = '') {
+        const salt = crypto.randomBytes(16);
+        const key = crypto.pbkdf2Sync(passphrase, salt, PASSPHRASE_KDF_ITERATIONS, 32, 'sha256');
+        const iv = crypto.randomBytes(12);
+
+        const cipher = crypto.createCipheriv(ENVELOPE_ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+        const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+        return {
+            kdf: { algorithm: PASSPHRASE_KDF, iterations: PASSPHRASE_KDF_ITERATIONS, salt: salt.toString('hex') },
+            cipher: { algorithm: ENVELOPE_ALGORITHM, iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') },
+            ciphertext: encrypted.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt data sealed with encryptWithPassphrase
+     * @param {object} sealed - { kdf, cipher, ciphertext }
+     * @param {string} passphrase - Passphrase
+     * @param {string} associatedData - Expected associated data
+     * @returns {*} Decrypted data
+     */
+    decryptWithPassphrase({ kdf, cipher, ciphertext }, passphrase, associatedData = '') {
+        if (kdf.algorithm !== PASSPHRASE_KDF || cipher.algorithm !== ENVELOPE_ALGORITHM) {
+            throw new Error(`Unsupported passphrase encryption (${kdf.algorithm}, ${cipher.algorithm})`);
+        }
+
+        try {
+            const key = crypto.pbkdf2Sync(passphrase, Buffer.from(kdf.salt, 'hex'), kdf.iterations, 32, 'sha256');
+            const decipher = crypto.createDecipheriv(ENVELOPE_ALGORITHM, key, Buffer.from(cipher.iv, 'hex'));
+            decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+            decipher.setAuthTag(Buffer.from(cipher.authTag, 'hex'));
+            const decrypted = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+            return JSON.parse(decrypted.toString('utf8'));
+        } catch (error) {
+            logger.error('❌ Passphrase decryption failed:', error.message);
+            throw new Error('Failed to decrypt - wrong passphrase?');
+        }
+    }
+
+    /**
+     * Generate a one-time vault recovery code (shown to the user once, never stored)
+     * @returns {string} Recovery code, e.g. 4F2A-9C1B-...
+     */
+    generateRecoveryCode() {
+        return crypto.randomBytes(16).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+    }
+
+    /**
+     * Normalize a recovery code as typed by the user (case and separators don't matter)
+     * @param {string} recoveryCode - Recovery code
+     * @returns {string} Normalized code
+     */
+    normalizeRecoveryCode(recoveryCode) {
+        return String(recoveryCode).toUpperCase().replace(/[^0-9A-F]/g, '');
+    }
+
     /**
      * Create hash of data for blockchain storage
      * @param {*} data - Data to hash
@@ -178,6 +497,47 @@ class EncryptionService {
             .digest('hex');
     }
 
+    /**
+     * Create a base64url SHA-256 digest of a string as-is (no JSON encoding)
+     * Used where a spec fixes the digest input, e.g. SD-JWT disclosures
+     * @param {string} data - String to digest
+     * @returns {string} base64url encoded SHA-256 digest
+     */
+    createDigest(data) {
+        return crypto.createHash('sha256')
+            .update(data, 'utf8')
+            .digest('base64url');
+    }
+
+    /**
+     * Create a blinded index token for one subject field
+     * A keyed HMAC, so equal values can be matched without storing or revealing them
+     * Always keyed by the default master key: tokens can't be re-wrapped without the plaintext
+     * @param {string} field - Subject field name
+     * @param {*} value - Field value (compared case-insensitively)
+     * @returns {string} Blind index token
+     */
+    createBlindIndex(field, value) {
+        const indexKey = crypto.createHmac('sha256', this.keyring.defaultKey)
+            .update('credential-subject-index')
+            .digest();
+
+        return crypto.createHmac('sha256', indexKey)
+            .update(`${field}:${String(value).trim().toLowerCase()}`)
+            .digest('hex');
+    }
+
+    /**
+     * Create blind index tokens for every top-level scalar field of a subject
+     * @param {object} subject - Credential subject
+     * @returns {Array<string>} Blind index tokens
+     */
+    createBlindIndexes(subject) {
+        return Object.entries(subject || {})
+            .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+            .map(([field, value]) => this.createBlindIndex(field, value));
+    }
+
     /**
      * Verify data against hash
      * @param {*} data - Original data
@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const blockchainConfig = require('../config/blockchain');
+const registryArtifact = require('../../contracts/artifacts/EthereumDIDRegistry.json');
+const { startDevChain } = require('../blockchain/ethrDevChain');
+const { AppError } = require('../middleware/errorHandler');
+const { buildVerificationMethod } = require('../utils/multikey');
+const { parseDidEthr, addressOfPublicKey } = require('../utils/didEthr');
+const kmsService = require('./kmsService');
+const logger = require('../utils/logger');
+
+// Keys and services published by the vault stay valid until revoked
+const DEFAULT_ATTRIBUTE_VALIDITY = 100 * 365 * 24 * 60 * 60;
+
+// did/pub/<algorithm>/<purpose>/<encoding> and did/svc/<type>
+const ATTRIBUTE_NAME_PATTERN = /^did\/(pub|svc)\/(\w+)(?:\/(\w+))?(?:\/(\w+))?$/;
+
+/**
+ * Ethr DID Service - did:ethr identities controlled through an ERC-1056 registry
+ *
+ * The identity is an Ethereum address; whoever owns it in the registry (the address itself until
+ * ownership changes) controls the DID. For DIDs created by the vault the owner key is a secp256k1
+ * key in the KMS: it signs registry changes, which the relayer account submits and pays gas for.
+ * Resolution rebuilds the DID document from the registry events, following each identity's
+ * `changed` block pointers back through its history, as ethr-did-resolver does.
+ */
+class EthrDIDService {
+    constructor() {
+        this.connection = null;
+    }
+
+    /**
+     * Whether did:ethr is set up (a dev chain, or an RPC URL, registry and relayer)
+     * @returns {boolean} True if registry changes and resolution are available
+     */
+    isEnabled() {
+        const { devChain, rpcUrl, registryAddress, relayerPrivateKey } = blockchainConfig.ethr;
+        return devChain || !!(rpcUrl && registryAddress && relayerPrivateKey);
+    }
+
+    /**
+     * Connect to the registry (once; the dev chain is started on first use)
+     * @returns {object} { provider, registry, chainId, stop }
+     */
+    connect() {
+        if (!this.isEnabled()) {
+            throw new AppError('did:ethr is not configured. Set ETHR_DEV_CHAIN=true or ETHR_RPC_URL, ETHR_REGISTRY_ADDRESS and a relayer key', 503);
+        }
+
+        if (!this.connection) {
+            this.connection = this.openConnection().catch((error) => {
+                this.connection = null;
+                logger.error('❌ Failed to connect to the did:ethr registry:', error.message);
+                throw new AppError(`Could not connect to the did:ethr registry: ${error.message}`, 503);
+            });
+        }
+
+        return this.connection;
+    }
+
+    /**
+     * Open the provider and registry contract
+     * @returns {object} { provider, registry, chainId, stop }
+     */
+    async openConnection() {
+        const { devChain, rpcUrl, registryAddress, relayerPrivateKey } = blockchainConfig.ethr;
+
+        if (devChain) {
+            const chain = await startDevChain();
+            return {
+                provider: chain.provider,
+                registry: new ethers.Contract(chain.registryAddress, registryArtifact.abi, chain.relayer),
+                chainId: (await chain.provider.getNetwork()).chainId,
+                stop: chain.stop
+            };
+        }
+
+        const provider = new ethers.JsonRpcProvider(rpcUrl);
+        const relayer = new ethers.Wallet(relayerPrivateKey, provider);
+        const { chainId } = await provider.getNetwork();
+
+        logger.info(`✅ Connected to the did:ethr registry ${registryAddress} (Chain ID: ${chainId})`);
+
+        return {
+            provider,
+            registry: new ethers.Contract(registryAddress, registryArtifact.abi, relayer),
+            chainId,
+            stop: async () => provider.destroy()
+        };
+    }
+
+    /**
+     * Close the connection (stops the dev chain)
+     */
+    async disconnect() {
+        if (this.connection) {
+            const { stop } = await this.connection;
+            this.connection = null;
+            await stop();
+        }
+    }
+
+    /**
+     * Address of a did:ethr identity on the configured network
+     * @param {string} did - did:ethr identifier
+     * @returns {string} Checksummed address
+     */
+    identityOf(did) {
+        let parsed;
+        try {
+            parsed = parseDidEthr(did);
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+
+        if (parsed.network !== blockchainConfig.ethr.network) {
+            throw new AppError(`Unsupported did:ethr network "${parsed.network}"; this vault uses "${blockchainConfig.ethr.network}"`, 400);
+        }
+
+        return parsed.address;
+    }
+
+    /**
+     * Publish an attribute (a key or service) of an identity
+     * @param {string} did - did:ethr identifier
+     * @param {string} ownerKeyId - KMS key id of the identity owner
+     * @param {string} name - Attribute name, e.g. did/pub/Ed25519/veriKey/hex or did/svc/LinkedDomains
+     * @param {string} value - 0x-prefixed bytes
+     * @param {number} validity - Seconds the attribute is valid for
+     * @returns {object} { transactionHash, blockNumber }
+     */
+    async setAttribute(did, ownerKeyId, name, value, validity = DEFAULT_ATTRIBUTE_VALIDITY) {
+        const result = await this.sendSigned(did, ownerKeyId, 'setAttribute',
+            ['bytes32', 'bytes', 'uint256'], [this.encodeName(name), value, validity]);
+
+        logger.info(`⛓️  did:ethr attribute ${name} set for ${did} (block ${result.blockNumber})`);
+        return result;
+    }
+
+    /**
+     * Revoke an attribute of an identity
+     * @param {string} did - did:ethr identifier
+     * @param {string} ownerKeyId - KMS key id of the identity owner
+     * @param {string} name - Attribute name
+     * @param {string} value - 0x-prefixed bytes of the attribute being revoked
+     * @returns {object} { transactionHash, blockNumber }
+     */
+    async revokeAttribute(did, ownerKeyId, name, value) {
+        const result = await this.sendSigned(did, ownerKeyId, 'revokeAttribute',
+            ['bytes32', 'bytes'], [this.encodeName(name), value]);
+
+        logger.info(`⛓️  did:ethr attribute ${name} revoked for ${did} (block ${result.blockNumber})`);
+        return result;
+    }
+
+    /**
+     * Encode an attribute name as bytes32
+     * @param {string} name - Attribute name
+     * @returns {string} bytes32
+     */
+    encodeName(name) {
+        if (!ATTRIBUTE_NAME_PATTERN.test(name) || Buffer.byteLength(name) > 32) {
+            throw new AppError(`Invalid did:ethr attribute name "${name}"`, 400);
+        }
+        return ethers.zeroPadBytes(ethers.toUtf8Bytes(name), 32);
+    }
+
+    /**
+     * Decode a bytes32 attribute name or delegate type
+     * @param {string} bytes32 - Encoded name
+     * @returns {string} Name
+     */
+    decodeName(bytes32) {
+        return ethers.toUtf8String(ethers.getBytes(bytes32)).replace(/\0+$/, '');
+    }
+
+    /**
+     * Encode an attribute value: service endpoints as UTF-8, keys as the raw key bytes (0x-prefixed hex)
+     * @param {string} name - Attribute name
+     * @param {string} value - Endpoint URL or hex key
+     * @returns {string} 0x-prefixed bytes
+     */
+    encodeValue(name, value) {
+        if (name.startsWith('did/svc/')) {
+            return ethers.hexlify(ethers.toUtf8Bytes(value));
+        }
+        if (!ethers.isHexString(value) || value.length <= 2) {
+            throw new AppError('Key attributes take the raw public key as 0x-prefixed hex', 400);
+        }
+        return value;
+    }
+
+    /**
+     * Publish a vault signing key (Ed25519) as a key of the identity
+     * @param {string} did - did:ethr identifier
+     * @param {string} ownerKeyId - KMS key id of the identity owner
+     * @param {string} publicKeyPem - PEM Ed25519 public key
+     * @returns {object} { transactionHash, blockNumber }
+     */
+    async publishSigningKey(did, ownerKeyId, publicKeyPem) {
+        const { x } = crypto.createPublicKey(publicKeyPem).export({ format: 'jwk' });
+        return this.setAttribute(did, ownerKeyId, 'did/pub/Ed25519/veriKey/hex', `0x${Buffer.from(x, 'base64url').toString('hex')}`);
+    }
+
+    /**
+     * Have the owner sign a registry change (ERC-1056 *Signed functions) and submit it as the relayer
+     * @param {string} did - did:ethr identifier
+     * @param {string} ownerKeyId - KMS key id of the identity owner
+     * @param {string} method - Registry function without the Signed suffix
+     * @param {Array} types - Solidity types of the function arguments after the signature
+     * @param {Array} args - Function arguments after the signature
+     * @returns {object} { transactionHash, blockNumber }
+     */
+    async sendSigned(did, ownerKeyId, method, types, args) {
+        const identity = this.identityOf(did);
+        const { registry } = await this.connect();
+
+        const owner = await registry.identityOwner(identity);
+        if (owner !== addressOfPublicKey(kmsService.getPublicKey(ownerKeyId))) {
+            throw new AppError('The vault key no longer owns this did:ethr identity', 403);
+        }
+
+        const nonce = await registry.nonce(owner);
+        const hash = ethers.solidityPackedKeccak256(
+            ['bytes1', 'bytes1', 'address', 'uint256', 'address', 'string', ...types],
+            ['0x19', '0x00', registry.target, nonce, identity, method, ...args]
+        );
+        const { v, r, s } = ethers.Signature.from(kmsService.signDigest(ownerKeyId, hash));
+
+        try {
+            const tx = await registry[`${method}Signed`](identity, v, r, s, ...args);
+            const receipt = await tx.wait();
+            return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (error) {
+            throw new AppError(`did:ethr registry transaction failed: ${error.shortMessage || error.message}`, 502);
+        }
+    }
+
+    /**
+     * Resolve a did:ethr identifier from the registry events
+     * The versionId of a document is the block of its last change; an earlier version is rebuilt
+     * from the events up to that block (or up to versionTime), with validity checked at that time.
+     * @param {string} did - did:ethr identifier
+     * @param {object} options - { versionId, versionTime } of an earlier version
+     * @returns {object} { didDocument, metadata }
+     */
+    async resolve(did, { versionId, versionTime } = {}) {
+        const identity = this.identityOf(did);
+        const { provider, registry, chainId } = await this.connect();
+
+        const history = await this.readHistory(provider, registry, identity);
+        const blockTime = async (blockNumber) => (await provider.getBlock(blockNumber)).timestamp;
+
+        let changes = history;
+        let owner;
+        let at = Math.floor(Date.now() / 1000);
+        if (!versionId && !versionTime) {
+            owner = await registry.identityOwner(identity);
+        } else {
+            if (versionId) {
+                changes = history.filter(event => event.blockNumber <= Number(versionId));
+                at = changes.length > 0 ? await blockTime(changes[changes.length - 1].blockNumber) : 0;
+            } else {
+                at = Math.floor(new Date(versionTime).getTime() / 1000);
+                changes = [];
+                for (const event of history) {
+                    if (await blockTime(event.blockNumber) > at) {
+                        break;
+                    }
+                    changes.push(event);
+                }
+            }
+
+            // The owner at that time: the last ownership change up to it (the identity itself before any)
+            const ownerChange = changes.filter(event => event.name === 'DIDOwnerChanged').pop();
+            owner = ownerChange ? ownerChange.args.owner : identity;
+        }
+
+        const { didDocument, deactivated } = this.buildDocument(did, chainId, owner, changes, BigInt(at));
+
+        const metadata = { deactivated };
+        if (changes.length > 0) {
+            const lastBlock = changes[changes.length - 1].blockNumber;
+            metadata.versionId = String(lastBlock);
+            metadata.updated = new Date((await blockTime(lastBlock)) * 1000).toISOString();
+        }
+        const next = history[changes.length];
+        if (next) {
+            metadata.nextVersionId = String(next.blockNumber);
+            metadata.nextUpdate = new Date((await blockTime(next.blockNumber)) * 1000).toISOString();
+        }
+
+        return { didDocument, metadata };
+    }
+
+    /**
+     * Read the registry events of an identity, oldest first
+     * Each event carries the block of the identity's previous change, so only those blocks are queried
+     * @returns {Array} Parsed events ({ name, args, blockNumber })
+     */
+    async readHistory(provider, registry, identity) {
+        const history = [];
+        const identityTopic = ethers.zeroPadValue(identity, 32);
+
+        let block = await registry.changed(identity);
+        while (block > 0n) {
+            const logs = await provider.getLogs({
+                address: registry.target,
+                topics: [null, identityTopic],
+                fromBlock: block,
+                toBlock: block
+            });
+
+            const events = logs.map(log => ({ ...registry.interface.parseLog(log), blockNumber: log.blockNumber }));
+            history.unshift(...events);
+
+            // Events after the first one in a block point back at the block itself
+            const earlier = events.map(event => event.args.previousChange).filter(previous => previous < block);
+            block = earlier.length > 0 ? earlier.reduce((a, b) => (a < b ? a : b)) : 0n;
+        }
+
+        return history;
+    }
+
+    /**
+     * Build the DID document from the registry history
+     * @param {string} did - did:ethr identifier
+     * @param {bigint} chainId - Chain ID of the registry
+     * @param {string} owner - Current owner of the identity
+     * @param {Array} history - Registry events, oldest first
+     * @param {bigint} at - Time (unix seconds) keys and services must be valid at
+     * @returns {object} { didDocument, deactivated }
+     */
+    buildDocument(did, chainId, owner, history, at) {
+        if (owner === ethers.ZeroAddress) {
+            return { didDocument: { '@context': ['https://www.w3.org/ns/did/v1'], id: did }, deactivated: true };
+        }
+
+        const controllerId = `${did}#controller`;
+        const keys = new Map();
+        const services = new Map();
+        let delegateCount = 0;
+        let serviceCount = 0;
+
+        for (const event of history) {
+            const valid = event.args.validTo > at;
+
+            if (event.name === 'DIDDelegateChanged') {
+                delegateCount++;
+                const key = `delegate-${event.args.delegateType}-${event.args.delegate}`;
+                if (!valid) {
+                    keys.delete(key);
+                    continue;
+                }
+                keys.set(key, {
+                    purpose: this.decodeName(event.args.delegateType),
+                    method: {
+                        id: `${did}#delegate-${delegateCount}`,
+                        type: 'EcdsaSecp256k1RecoveryMethod2020',
+                        controller: did,
+                        blockchainAccountId: `eip155:${chainId}:${event.args.delegate}`
+                    }
+                });
+            }
+
+            if (event.name !== 'DIDAttributeChanged') {
+                continue;
+            }
+
+            const match = this.decodeName(event.args.name).match(ATTRIBUTE_NAME_PATTERN);
+            if (!match) {
+                continue;
+            }
+
+            const [, section, algorithmOrType, purpose] = match;
+            const key = `${event.args.name}-${event.args.value}`;
+
+            if (section === 'pub') {
+                delegateCount++;
+                const method = valid && this.publicKeyMethod(`${did}#delegate-${delegateCount}`, did, algorithmOrType, event.args.value);
+                if (method) {
+                    keys.set(key, { purpose, method });
+                } else {
+                    keys.delete(key);
+                }
+            } else {
+                serviceCount++;
+                if (valid) {
+                    services.set(key, {
+                        id: `${did}#service-${serviceCount}`,
+                        type: algorithmOrType,
+                        serviceEndpoint: ethers.toUtf8String(event.args.value)
+                    });
+                } else {
+                    services.delete(key);
+                }
+            }
+        }
+
+        const verificationMethod = [{
+            id: controllerId,
+            type: 'EcdsaSecp256k1RecoveryMethod2020',
+            controller: did,
+            blockchainAccountId: `eip155:${chainId}:${owner}`
+        }];
+        const authentication = [controllerId];
+        const assertionMethod = [controllerId];
+        const keyAgreement = [];
+
+        for (const { purpose, method } of keys.values()) {
+            verificationMethod.push(method);
+            if (purpose === 'enc') {
+                keyAgreement.push(method.id);
+                continue;
+            }
+            assertionMethod.push(method.id);
+            if (purpose === 'sigAuth') {
+                authentication.push(method.id);
+            }
+        }
+
+        const didDocument = {
+            '@context': [
+                'https://www.w3.org/ns/did/v1',
+                'https://w3id.org/security/suites/secp256k1recovery-2020/v2',
+                'https://w3id.org/security/suites/ed25519-2020/v1',
+                'https://w3id.org/security/suites/jws-2020/v1'
+            ],
+            id: did,
+            verificationMethod,
+            authentication,
+            assertionMethod,
+            ...(keyAgreement.length > 0 && { keyAgreement }),
+            ...(services.size > 0 && { service: [...services.values()] })
+        };
+
+        return { didDocument, deactivated: false };
+    }
+
+    /**
+     * Verification method of a published public key (raw key bytes)
+     * @returns {object|null} Verification method, or null for unsupported algorithms
+     */
+    publicKeyMethod(id, did, algorithm, value) {
+        const raw = ethers.getBytes(value);
+
+        try {
+            let jwk;
+            if (algorithm === 'Ed25519') {
+                jwk = { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(raw).toString('base64url') };
+            } else if (algorithm === 'Secp256k1') {
+                const uncompressed = ethers.getBytes(ethers.SigningKey.computePublicKey(raw, false));
+                jwk = {
+                    kty: 'EC',
+                    crv: 'secp256k1',
+                    x: Buffer.from(uncompressed.slice(1, 33)).toString('base64url'),
+                    y: Buffer.from(uncompressed.slice(33)).toString('base64url')
+                };
+            } else {
+                return null;
+            }
+
+            const pem = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+            return buildVerificationMethod(id, did, pem);
+        } catch (error) {
+            logger.warn(`⚠️  Skipping malformed ${algorithm} key ${id}:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+const ethrDIDService = new EthrDIDService();
+module.exports = ethrDIDService;
@@ -0,0 +1,63 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Event Service - In-process bus for credential lifecycle events
+ * Jobs publish events; notification and webhook subscribers deliver them,
+ * so a slow or failing subscriber never blocks the job that raised the event
+ *
+ * Events: credential.expiring, credential.expired
+ */
+class EventService extends EventEmitter {
+    constructor() {
+        super();
+        this.subscribed = false;
+    }
+
+    /**
+     * Publish an event to all subscribers
+     * @param {string} type - Event type
+     * @param {object} payload - Event payload
+     */
+    publish(type, payload) {
+        logger.info(`📣 Event published: ${type}`);
+        this.emit(type, payload);
+    }
+
+    /**
+     * Subscribe an async handler, logging instead of throwing on failure
+     * @param {string} type - Event type
+     * @param {Function} handler - Async handler
+     */
+    subscribe(type, handler) {
+        this.on(type, (payload) => {
+            Promise.resolve()
+                .then(() => handler(payload))
+                .catch(error => logger.error(`❌ ${type} subscriber failed:`, error.message));
+        });
+    }
+
+    /**
+     * Wire up holder notifications and issuer webhooks (once per process)
+     */
+    registerSubscribers() {
+        if (this.subscribed) {
+            return;
+        }
+
+        const notificationService = require('./notificationService');
+        const webhookService = require('./webhookService');
+
+        ['credential.expiring', 'credential.expired'].forEach(type => {
+            this.subscribe(type, payload => notificationService.notifyHolder(type, payload));
+            this.subscribe(type, payload => webhookService.notifyIssuer(type, payload));
+        });
+
+        this.subscribed = true;
+        logger.info('✅ Event subscribers registered');
+    }
+}
+
+// Export singleton instance
+const eventService = new EventService();
+module.exports = eventService;
@@ -0,0 +1,102 @@
+const Credential = require('../models/Credential');
+const blockchainService = require('./blockchainService');
+const eventService = require('./eventService');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry Service - Moves credentials past their expiration date to `expired`
+ * and warns holders and issuers ahead of time
+ */
+class ExpiryService {
+
+    /**
+     * Mark every credential past its expiration date as expired
+     * Suspended credentials expire too; revoked ones keep their status
+     * @param {Date} now - Reference time
+     * @returns {number} Number of credentials expired
+     */
+    async expireCredentials(now = new Date()) {
+        const cursor = Credential.find({
+            status: { $in: ['active', 'suspended'] },
+            expirationDate: { $ne: null, $lte: now }
+        }).cursor();
+
+        let expired = 0;
+        for await (const credential of cursor) {
+            await credential.expire();
+            expired++;
+
+            // Anchor the status change so the expiry is independently auditable
+            try {
+                await blockchainService.storeStatusChange({
+                    credentialId: credential.credentialId,
+                    issuerDID: credential.issuer.did,
+                    status: 'expired'
+                });
+            } catch (blockchainError) {
+                logger.warn('Credential expired but blockchain anchoring failed:', blockchainError.message);
+            }
+
+            eventService.publish('credential.expired', { credential });
+        }
+
+        if (expired > 0) {
+            logger.info(`✅ Expired ${expired} credential(s)`);
+        }
+
+        return expired;
+    }
+
+    /**
+     * Warn about active credentials expiring within the warning window (once per credential)
+     * @param {Date} now - Reference time
+     * @param {number} warningDays - Window size in days
+     * @returns {number} Number of credentials warned about
+     */
+    async notifyExpiringCredentials(now = new Date(), warningDays = config.jobs.expiryWarningDays) {
+        const windowEnd = new Date(now.getTime() + warningDays * DAY_MS);
+        const query = {
+            status: 'active',
+            expirationDate: { $gt: now, $lte: windowEnd },
+            expiryNoticeSentAt: null
+        };
+
+        let notified = 0;
+        let credential;
+        // Claim each credential atomically so concurrent sweeps never send duplicate notices
+        while ((credential = await Credential.findOneAndUpdate(
+            query,
+            { $set: { expiryNoticeSentAt: now } },
+            { new: true, sort: { expirationDate: 1 } }
+        ))) {
+            const daysRemaining = Math.ceil((credential.expirationDate - now) / DAY_MS);
+            eventService.publish('credential.expiring', { credential, daysRemaining });
+            notified++;
+        }
+
+        if (notified > 0) {
+            logger.info(`✅ Sent expiry notices for ${notified} credential(s)`);
+        }
+
+        return notified;
+    }
+
+    /**
+     * Run a full sweep: expire overdue credentials, then warn about upcoming ones
+     * @returns {object} { expired, notified }
+     */
+    async runSweep() {
+        const now = new Date();
+        const expired = await this.expireCredentials(now);
+        const notified = await this.notifyExpiringCredentials(now);
+
+        return { expired, notified };
+    }
+}
+
+// Export singleton instance
+const expiryService = new ExpiryService();
+module.exports = expiryService;
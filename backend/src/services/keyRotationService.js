@@ -0,0 +1,299 @@
+const Credential = require('../models/Credential');
+const User = require('../models/User');
+const DID = require('../models/DID');
+const encryptionService = require('./encryptionService');
+const vaultService = require('./vaultService');
+const logger = require('../utils/logger');
+
+// A rotation with no progress for this long is treated as interrupted and may be resumed
+const STALE_ROTATION_MS = 10 * 60 * 1000;
+
+/**
+ * Key Rotation Service - Replaces a user's vault key and re-encrypts everything under it
+ *
+ * The new key is stored as `pendingVaultKey` before any credential is touched, and each
+ * credential is re-encrypted and saved on its own. Envelopes record the id of their key, so
+ * a rotation interrupted halfway simply continues with the copies still under the old key.
+ */
+class KeyRotationService {
+
+    /**
+     * Start a vault key rotation, or resume an interrupted one
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} options - { reason, initiatedBy: 'user' | 'admin' }
+     * @returns {object} Rotation result
+     */
+    async rotateVaultKey(userId, { reason = null, initiatedBy = 'user' } = {}) {
+        const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (user.pendingVaultKey) {
+            const claimed = await this.claimStaleRotation(userId);
+            if (!claimed) {
+                throw new Error('A vault key rotation is already in progress');
+            }
+
+            logger.info(`🔁 Resuming vault key rotation for user ${userId}`);
+            return this.continueRotation(claimed);
+        }
+
+        const pendingVaultKey = encryptionService.generateVaultKey();
+        const now = new Date();
+
+        // Password-protected vaults store the pending key wrapped, like the current one
+        const storedPendingKey = vaultService.protectVaultKey(user, pendingVaultKey);
+
+        // Claim atomically so two requests can never start competing rotations
+        const claimed = await User.findOneAndUpdate(
+            { _id: userId, pendingVaultKey: null },
+            {
+                $set: {
+                    pendingVaultKey: storedPendingKey,
+                    vaultKeyRotation: {
+                        toVersion: user.vaultKeyVersion + 1,
+                        keyId: encryptionService.getKeyId(pendingVaultKey),
+                        reason,
+                        initiatedBy,
+                        startedAt: now,
+                        lastProgressAt: now,
+                        reEncrypted: 0
+                    }
+                }
+            },
+            { new: true }
+        ).select('+vaultKey +pendingVaultKey');
+
+        if (!claimed) {
+            throw new Error('A vault key rotation is already in progress');
+        }
+
+        logger.info(`🔑 Vault key rotation started for user ${userId} (v${user.vaultKeyVersion} → v${user.vaultKeyVersion + 1})`);
+
+        return this.continueRotation(claimed);
+    }
+
+    /**
+     * Take over a rotation that has made no progress recently
+     * @param {string} userId - User's MongoDB ID
+     * @returns {object|null} User document with both keys, or null when the rotation is still live
+     */
+    async claimStaleRotation(userId) {
+        return User.findOneAndUpdate(
+            {
+                _id: userId,
+                pendingVaultKey: { $ne: null },
+                'vaultKeyRotation.lastProgressAt': { $lte: new Date(Date.now() - STALE_ROTATION_MS) }
+            },
+            { $set: { 'vaultKeyRotation.lastProgressAt': new Date() } },
+            { new: true }
+        ).select('+vaultKey +pendingVaultKey');
+    }
+
+    /**
+     * Re-encrypt every copy still under the old key, then make the pending key current
+     * @param {object} user - User document with vaultKey and pendingVaultKey selected
+     * @returns {object} Rotation result
+     */
+    async continueRotation(user) {
+        const { pendingVaultKey: newKey } = vaultService.vaultKeysOf(user);
+        const keyId = encryptionService.getKeyId(newKey);
+        const queries = await this.buildRemainingQueries(user, keyId);
+
+        let reEncrypted = 0;
+        let failed = 0;
+
+        // Copies the user created (MongoDB and IPFS)
+        for await (const credential of Credential.find(queries.issued).cursor()) {
+            try {
+                const subject = await vaultService.decryptSubject(credential, user);
+                const previousCID = await vaultService.replaceIssuerCopy(credential, subject, newKey);
+                await credential.save();
+                await vaultService.unpinReplacedCopy(previousCID);
+
+                await this.recordProgress(user);
+                reEncrypted++;
+            } catch (error) {
+                logger.warn(`⚠️  Could not re-encrypt credential ${credential.credentialId}:`, error.message);
+                failed++;
+            }
+        }
+
+        // Copies other issuers encrypted for the user as holder
+        for await (const credential of Credential.find(queries.held).cursor()) {
+            try {
+                const subject = await vaultService.decryptSubject(credential, user);
+                credential.holderCredentialData = {
+                    recipient: credential.holderCredentialData.recipient,
+                    ...vaultService.encryptHolderCopy(user, subject, credential.credentialId)
+                };
+                await credential.save();
+
+                await this.recordProgress(user);
+                reEncrypted++;
+            } catch (error) {
+                logger.warn(`⚠️  Could not re-encrypt holder copy of ${credential.credentialId}:`, error.message);
+                failed++;
+            }
+        }
+
+        const remaining = await Credential.countDocuments({ $or: [queries.issued, queries.held] });
+        if (failed > 0 || remaining > 0) {
+            logger.warn(`⚠️  Vault key rotation for user ${user._id} incomplete: ${remaining} credential(s) left`);
+            return { status: 'in-progress', reEncrypted, remaining };
+        }
+
+        return this.completeRotation(user, reEncrypted);
+    }
+
+    /**
+     * Build the queries for copies still under an old key
+     * @param {object} user - User document
+     * @param {string} keyId - Id of the new vault key
+     * @returns {object} { issued, held }
+     */
+    async buildRemainingQueries(user, keyId) {
+        const userDIDs = await DID.find({ userId: user._id }).select('did');
+        const didList = [...new Set([user.did, ...userDIDs.map(d => d.did)])];
+
+        // Copies wrapped for the vault public key don't depend on the vault key
+        const currentKeyIds = [keyId];
+        if (user.vaultPublicKey) {
+            currentKeyIds.push(encryptionService.getPublicKeyId(user.vaultPublicKey));
+        }
+
+        // Browser-encrypted copies are under browser keys, which the server never holds
+        return {
+            issued: { userId: user._id, encryptionMode: { $ne: 'client' }, 'credentialData.keyId': { $ne: keyId } },
+            held: {
+                encryptionMode: { $ne: 'client' },
+                'holderCredentialData.recipient': { $in: didList },
+                'holderCredentialData.wrappedKey.keyId': { $nin: currentKeyIds }
+            }
+        };
+    }
+
+    /**
+     * Record that one more credential was re-encrypted (also keeps the rotation from looking stale)
+     * @param {object} user - User document with pendingVaultKey selected
+     */
+    async recordProgress(user) {
+        await User.updateOne(
+            { _id: user._id, pendingVaultKey: user.pendingVaultKey },
+            {
+                $set: { 'vaultKeyRotation.lastProgressAt': new Date() },
+                $inc: { 'vaultKeyRotation.reEncrypted': 1 }
+            }
+        );
+    }
+
+    /**
+     * Make the pending key current and append the rotation to the key history
+     * @param {object} user - User document with vaultKey and pendingVaultKey selected
+     * @param {number} reEncrypted - Credentials re-encrypted in this run
+     * @returns {object} Rotation result
+     */
+    async completeRotation(user, reEncrypted) {
+        // Keys are swapped in their stored form, so password-protected vaults stay wrapped
+        const newKey = user.pendingVaultKey;
+        const { vaultKey: previousKey } = vaultService.vaultKeysOf(user);
+        const { vaultKeyRotation: rotation } = await User.findById(user._id).select('vaultKeyRotation');
+
+        const completed = await User.findOneAndUpdate(
+            { _id: user._id, pendingVaultKey: newKey },
+            {
+                $set: {
+                    vaultKey: newKey,
+                    pendingVaultKey: null,
+                    vaultKeyVersion: rotation.toVersion,
+                    vaultKeyRotation: null
+                },
+                $push: {
+                    vaultKeyHistory: {
+                        version: rotation.toVersion,
+                        keyId: rotation.keyId,
+                        previousKeyId: encryptionService.getKeyId(previousKey),
+                        reason: rotation.reason,
+                        initiatedBy: rotation.initiatedBy,
+                        startedAt: rotation.startedAt,
+                        completedAt: new Date(),
+                        credentialsReEncrypted: rotation.reEncrypted
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!completed) {
+            throw new Error('Vault key rotation was completed by another process');
+        }
+
+        logger.info(`✅ Vault key rotated for user ${user._id}: now v${completed.vaultKeyVersion}`);
+
+        return {
+            status: 'completed',
+            version: completed.vaultKeyVersion,
+            keyId: rotation.keyId,
+            reEncrypted
+        };
+    }
+
+    /**
+     * Get the user's vault key version, any rotation in progress and the rotation history
+     * @param {string} userId - User's MongoDB ID
+     * @returns {object} Key status (never the key itself)
+     */
+    async getKeyStatus(userId) {
+        const user = await User.findById(userId).select('+vaultKey +pendingVaultKey +clientVault');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return {
+            version: user.vaultKeyVersion,
+            protection: user.vaultKeyProtection,
+            clientKeyId: user.clientVault ? user.clientVault.keyId : null,
+            keyId: encryptionService.getKeyId(vaultService.vaultKeysOf(user).vaultKey),
+            rotation: user.vaultKeyRotation,
+            history: user.vaultKeyHistory
+        };
+    }
+
+    /**
+     * Resume every rotation that stopped making progress (e.g. the server died halfway)
+     * @returns {object} { resumed, completed }
+     */
+    async resumeInterruptedRotations() {
+        const interrupted = await User.find({
+            pendingVaultKey: { $ne: null },
+            'vaultKeyRotation.lastProgressAt': { $lte: new Date(Date.now() - STALE_ROTATION_MS) }
+        }).select('_id');
+
+        let resumed = 0;
+        let completed = 0;
+        for (const { _id } of interrupted) {
+            const user = await this.claimStaleRotation(_id);
+            if (!user) {
+                continue;
+            }
+
+            resumed++;
+            try {
+                const result = await this.continueRotation(user);
+                if (result.status === 'completed') {
+                    completed++;
+                }
+            } catch (error) {
+                // e.g. a password-protected vault that is locked until its owner logs in
+                logger.warn(`⚠️  Could not resume vault key rotation for user ${_id}:`, error.message);
+            }
+        }
+
+        return { resumed, completed };
+    }
+}
+
+// Export singleton instance
+const keyRotationService = new KeyRotationService();
+module.exports = keyRotationService;
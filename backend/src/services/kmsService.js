@@ -0,0 +1,139 @@
+const config = require('../config/env');
+const encryptionService = require('./encryptionService');
+const LocalKeystore = require('../kms/LocalKeystore');
+const logger = require('../utils/logger');
+
+// Key-management backends, selected with KMS_BACKEND
+const backends = {
+    local: () => new LocalKeystore({
+        filePath: config.kms.keystorePath,
+        keyring: encryptionService.keyring
+    })
+};
+
+/**
+ * KMS Service - Holds DID signing keys in a pluggable key-management backend
+ *
+ * Private keys never leave the backend: users and DIDs reference them by key id, and signing goes
+ * through signers, which the signing helpers in utils/crypto accept in place of a PEM private key.
+ * A backend implements generateKeyPair(type), importKey(privateKeyPem), getPublicKey(keyId),
+ * getKeyType(keyId), sign(keyId, data), signDigest(keyId, digest) (recoverable secp256k1 signatures
+ * for Ethereum transactions), disableKey(keyId), rewrapKeys() (re-encrypt stored keys
+ * under the active master key; a no-op for HSMs) and exportKey(keyId) (for encrypted vault backups;
+ * HSMs holding non-extractable keys throw). Signing is synchronous, like PKCS#11 bindings,
+ * so an HSM backend can be added without touching the callers.
+ */
+class KMSService {
+    constructor() {
+        this.instance = null;
+    }
+
+    /**
+     * The configured backend (created on first use)
+     */
+    get backend() {
+        if (!this.instance) {
+            const createBackend = backends[config.kms.backend];
+            if (!createBackend) {
+                throw new Error(`Unknown KMS backend: ${config.kms.backend}`);
+            }
+
+            this.instance = createBackend();
+            logger.info(`🔐 KMS backend initialized: ${config.kms.backend}`);
+        }
+
+        return this.instance;
+    }
+
+    /**
+     * Generate a signing key pair in the KMS
+     * @param {string} type - 'rsa', 'ed25519' or 'secp256k1'
+     * @returns {object} { keyId, type, publicKey }
+     */
+    generateKeyPair(type = 'rsa') {
+        const key = this.backend.generateKeyPair(type);
+        logger.info(`🔑 Signing key generated in KMS: ${key.keyId}`);
+        return key;
+    }
+
+    /**
+     * Move an existing private key into the KMS
+     * @param {string} privateKeyPem - PEM private key
+     * @returns {object} { keyId, type, publicKey }
+     */
+    importKey(privateKeyPem) {
+        return this.backend.importKey(privateKeyPem);
+    }
+
+    /**
+     * Get the public key of a KMS key pair
+     * @param {string} keyId - Key id
+     * @returns {string} PEM public key
+     */
+    getPublicKey(keyId) {
+        return this.backend.getPublicKey(keyId);
+    }
+
+    /**
+     * Get a private key out of the KMS, to be sealed in an encrypted vault backup
+     * @param {string} keyId - Key id
+     * @returns {string} PEM private key
+     */
+    exportKey(keyId) {
+        const privateKeyPem = this.backend.exportKey(keyId);
+        logger.info(`📤 Signing key exported from KMS for a vault backup: ${keyId}`);
+        return privateKeyPem;
+    }
+
+    /**
+     * Sign a 32-byte hash with a secp256k1 key (an Ethereum account), e.g. an ERC-1056 registry change
+     * @param {string} keyId - Key id
+     * @param {string} digest - 0x-prefixed hash
+     * @returns {string} 65-byte r, s, v signature (0x-prefixed hex)
+     */
+    signDigest(keyId, digest) {
+        return this.backend.signDigest(keyId, digest);
+    }
+
+    /**
+     * Stop a key from signing
+     * @param {string} keyId - Key id
+     */
+    disableKey(keyId) {
+        this.backend.disableKey(keyId);
+        logger.info(`🔒 Signing key disabled in KMS: ${keyId}`);
+    }
+
+    /**
+     * Re-wrap stored private keys under the active master key (after a master key rotation)
+     * @returns {number} Number of keys re-wrapped
+     */
+    rewrapKeys() {
+        const rewrapped = this.backend.rewrapKeys();
+        logger.info(`🔄 ${rewrapped} KMS key(s) re-wrapped under master key ${encryptionService.keyring.activeKeyId}`);
+        return rewrapped;
+    }
+
+    /**
+     * Get a signer for a KMS key
+     * @param {string} keyId - Key id
+     * @returns {object} { keyId, keyType, publicKey, sign(data) → Buffer }
+     */
+    getSigner(keyId) {
+        if (!keyId) {
+            throw new Error('No signing key');
+        }
+
+        const backend = this.backend;
+        return {
+            keyId,
+            keyType: backend.getKeyType(keyId),
+            publicKey: backend.getPublicKey(keyId),
+            sign: (data) => backend.sign(keyId, data)
+        };
+    }
+}
+
+// Export singleton instance
+const kmsService = new KMSService();
+module.exports = kmsService;
@@ -0,0 +1,109 @@
+const Notification = require('../models/Notification');
+const DID = require('../models/DID');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Service - In-app notifications for credential holders
+ */
+class NotificationService {
+
+    /**
+     * Find the local user who controls a holder DID
+     * @param {string} did - Holder DID
+     * @returns {string|null} User ID, or null when the holder is not registered here
+     */
+    async findUserIdByDID(did) {
+        const didRecord = await DID.findOne({ did }).select('userId');
+        if (didRecord) {
+            return didRecord.userId;
+        }
+
+        const user = await User.findOne({ did }).select('_id');
+        return user ? user._id : null;
+    }
+
+    /**
+     * Notify a credential's holder about a lifecycle event
+     * @param {string} type - Event type
+     * @param {object} payload - { credential, daysRemaining }
+     * @returns {object|null} Created notification
+     */
+    async notifyHolder(type, { credential, daysRemaining }) {
+        const userId = await this.findUserIdByDID(credential.holder);
+        if (!userId) {
+            return null;
+        }
+
+        const issuerName = credential.issuer.name || credential.issuer.did;
+        const content = type === 'credential.expiring'
+            ? {
+                title: 'Credential expiring soon',
+                message: `Your ${credential.credentialType} from ${issuerName} expires in ${daysRemaining} day(s).`
+            }
+            : {
+                title: 'Credential expired',
+                message: `Your ${credential.credentialType} from ${issuerName} has expired.`
+            };
+
+        const notification = await Notification.create({
+            userId,
+            type,
+            credentialId: credential.credentialId,
+            ...content
+        });
+
+        logger.info(`✅ Holder notified (${type}) for credential ${credential.credentialId}`);
+
+        return notification;
+    }
+
+    /**
+     * Notify a user about an account event (e.g. a recovery request)
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} type - Notification type
+     * @param {object} content - { title, message }
+     * @returns {object} Created notification
+     */
+    async notifyUser(userId, type, { title, message }) {
+        const notification = await Notification.create({ userId, type, title, message });
+
+        logger.info(`✅ User ${userId} notified (${type})`);
+
+        return notification;
+    }
+
+    /**
+     * List a user's notifications, newest first
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} filters - { unread }
+     * @returns {Array} Notifications
+     */
+    async listNotifications(userId, { unread = false } = {}) {
+        const query = { userId };
+        if (unread) {
+            query.read = false;
+        }
+
+        return Notification.find(query).sort('-createdAt').limit(100);
+    }
+
+    /**
+     * Mark one of the user's notifications as read
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} notificationId - Notification ID
+     * @returns {object} Updated notification
+     */
+    async markRead(userId, notificationId) {
+        const notification = await Notification.findOne({ _id: notificationId, userId });
+        if (!notification) {
+            throw new Error('Notification not found');
+        }
+
+        return notification.markRead();
+    }
+}
+
+// Export singleton instance
+const notificationService = new NotificationService();
+module.exports = notificationService;
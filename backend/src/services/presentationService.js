@@ -0,0 +1,157 @@
+const Credential = require('../models/Credential');
+const User = require('../models/User');
+const vaultService = require('./vaultService');
+const proofService = require('./proofService');
+const statusListService = require('./statusListService');
+const didService = require('./didService');
+const logger = require('../utils/logger');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Presentation Service - Builds and verifies W3C Verifiable Presentations
+ * A holder wraps credentials issued to them and signs the bundle with their DID,
+ * bound to the verifier's challenge and domain to prevent replay
+ */
+class PresentationService {
+
+    /**
+     * Create a signed Verifiable Presentation
+     * @param {string} userId - Holder's MongoDB ID
+     * @param {object} options - { credentialIds, challenge, domain }
+     * @returns {object} Signed Verifiable Presentation
+     */
+    async createPresentation(userId, { credentialIds, challenge, domain }) {
+        try {
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (!user.signingKeyId) {
+                throw new Error('Create a DID before presenting credentials');
+            }
+
+            // Holders can only present active credentials visible in their vault
+            const available = await vaultService.listCredentials(userId);
+            const selected = credentialIds.map(id => {
+                const credential = available.find(c => c.credentialId === id);
+                if (!credential) {
+                    throw new Error(`Credential ${id} is not an active credential in your vault`);
+                }
+                if (credential.holder !== user.did) {
+                    throw new Error(`Credential ${id} is not held by your active DID`);
+                }
+                return Credential.hydrate(credential);
+            });
+
+            // Subjects are only stored encrypted, so each is decrypted with the holder's own copy
+            const verifiableCredential = await Promise.all(
+                selected.map(async c => c.toVerifiableCredential(await vaultService.decryptSubject(c, user)))
+            );
+
+            const presentation = {
+                '@context': ['https://www.w3.org/ns/credentials/v2'],
+                id: `urn:uuid:${uuidv4()}`,
+                type: ['VerifiablePresentation'],
+                holder: user.did,
+                verifiableCredential
+            };
+
+            const { signer, verificationMethod } = await didService.getSigningKey(user, 'authentication');
+            presentation.proof = proofService.signPresentation(presentation, signer, verificationMethod, { challenge, domain });
+
+            logger.info(`✅ Presentation created by ${user.did} with ${selected.length} credential(s)`);
+
+            return presentation;
+
+        } catch (error) {
+            logger.error('❌ Failed to create presentation:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify a single credential embedded in a presentation
+     * @param {object} vc - Verifiable Credential document
+     * @param {string} holder - Presentation holder DID
+     * @returns {object} Per-credential verification result
+     */
+    async verifyEmbeddedCredential(vc, holder) {
+        const credential = proofService.fromVerifiableCredential(vc);
+        const result = { id: vc.id, type: credential.credentialType, issuer: credential.issuer.did };
+
+        if (credential.holder !== holder) {
+            return { ...result, verified: false, reason: 'Credential subject is not the presentation holder' };
+        }
+
+        if (credential.expirationDate && new Date(credential.expirationDate) < new Date()) {
+            return { ...result, verified: false, reason: 'Credential expired' };
+        }
+
+        const proofVerification = await proofService.verifyCredentialProof(credential);
+        if (!proofVerification.verified) {
+            return { ...result, verified: false, reason: proofVerification.reason };
+        }
+
+        // The record's own status is only known for credentials recorded in this vault
+        const record = await vaultService.applyScheduledReinstatement(
+            await Credential.findOne({ credentialId: credential.credentialId })
+        );
+        if (record && record.status !== 'active') {
+            return { ...result, verified: false, reason: `Credential is ${record.status}` };
+        }
+
+        const statusCheck = await statusListService.checkCredentialStatus(credential.credentialStatus, credential.issuer.did);
+        if (statusCheck.reason) {
+            return { ...result, verified: false, reason: statusCheck.reason };
+        }
+
+        return { ...result, verified: true, reason: null };
+    }
+
+    /**
+     * Verify a Verifiable Presentation and every credential it embeds
+     * @param {object} presentation - Signed Verifiable Presentation
+     * @param {object} expected - { challenge, domain } the verifier issued
+     * @returns {object} Verification result
+     */
+    async verifyPresentation(presentation, { challenge, domain }) {
+        try {
+            const holderVerification = await proofService.verifyPresentationProof(
+                presentation,
+                { challenge, domain }
+            );
+
+            const credentials = await Promise.all(
+                [].concat(presentation.verifiableCredential || [])
+                    .map(vc => this.verifyEmbeddedCredential(vc, presentation.holder))
+            );
+
+            const failedCredential = credentials.find(c => !c.verified);
+            let reason = null;
+            if (!holderVerification.verified) {
+                reason = holderVerification.reason;
+            } else if (credentials.length === 0) {
+                reason = 'Presentation contains no credentials';
+            } else if (failedCredential) {
+                reason = `Credential ${failedCredential.id}: ${failedCredential.reason}`;
+            }
+
+            return {
+                valid: reason === null,
+                reason,
+                holder: presentation.holder,
+                holderVerification,
+                credentials
+            };
+
+        } catch (error) {
+            logger.error('❌ Presentation verification failed:', error.message);
+            throw error;
+        }
+    }
+}
+
+// Export singleton instance
+const presentationService = new PresentationService();
+module.exports = presentationService;
@@ -0,0 +1,502 @@
+const {
+    canonicalize,
+    getKeyType,
+    signData,
+    verifySignature,
+    sha256,
+    signJWS,
+    decodeJWS,
+    verifyJWS
+} = require('../utils/crypto');
+const { getVerificationMethodKey } = require('../utils/multikey');
+const didService = require('./didService');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+/**
+ * Proof Service - Signs credentials with the issuer's DID key
+ * and verifies those signatures against the issuer's DID document
+ */
+class ProofService {
+
+    /**
+     * Pick the proof suite name matching the signing key
+     * @param {string|object} key - PEM encoded public or private key, or a KMS signer
+     * @returns {string} Proof type
+     */
+    getProofType(key) {
+        return getKeyType(key) === 'ed25519'
+            ? 'Ed25519Signature2020'
+            : 'RsaSignature2018';
+    }
+
+    /**
+     * Build the canonical payload covered by a credential proof
+     * The subject is committed to by digest so the payload never carries plaintext claims.
+     * The digest covers the subject as it appears in the W3C export ({ id: holder, ...claims })
+     * so exported and re-imported credentials keep a valid proof
+     * @param {object} credential - Credential document or plain object
+     * @param {object} proofOptions - Proof fields except proofValue
+     * @returns {object} Signing payload
+     */
+    buildSigningPayload(credential, proofOptions) {
+        const toISO = (date) => (date ? new Date(date).toISOString() : null);
+        const credentialStatus = this.normalizeCredentialStatus(credential.credentialStatus);
+
+        return {
+            credential: {
+                // Only present on credentials with status list entries, so older proofs still verify
+                ...(credentialStatus.length > 0 && { credentialStatus }),
+                id: credential.credentialId,
+                type: credential.credentialType,
+                issuer: credential.issuer.did,
+                holder: credential.holder,
+                issuanceDate: toISO(credential.issuanceDate),
+                expirationDate: toISO(credential.expirationDate),
+                // Computed from the plaintext when present (VCs), else taken from the stored record
+                subjectDigest: credential.credentialSubject
+                    ? this.computeSubjectDigest(credential.holder, credential.credentialSubject)
+                    : credential.subjectDigest
+            },
+            proof: {
+                type: proofOptions.type,
+                created: toISO(proofOptions.created),
+                proofPurpose: proofOptions.proofPurpose,
+                verificationMethod: proofOptions.verificationMethod
+            }
+        };
+    }
+
+    /**
+     * Digest of a credential subject as it appears in the VC ({ id: holder, ...claims })
+     * @param {string} holder - Holder DID
+     * @param {object} subject - Credential subject claims
+     * @returns {string} SHA-256 hex digest
+     */
+    computeSubjectDigest(holder, subject) {
+        return sha256(canonicalize({ id: holder, ...subject }));
+    }
+
+    /**
+     * Reduce credentialStatus entries to their published fields
+     * @param {Array|object} credentialStatus - Stored or VC credentialStatus
+     * @returns {Array} Normalized entries
+     */
+    normalizeCredentialStatus(credentialStatus) {
+        return [].concat(credentialStatus || []).map(entry => ({
+            id: entry.id,
+            type: entry.type,
+            statusPurpose: entry.statusPurpose,
+            statusListIndex: String(entry.statusListIndex),
+            statusListCredential: entry.statusListCredential
+        }));
+    }
+
+    /**
+     * Sign a credential and return its proof block
+     * @param {object} credential - Credential document (before or after save)
+     * @param {string|object} privateKey - Issuer's PEM private key or KMS signer
+     * @param {string} verificationMethod - DID URL of the signing key
+     * @returns {object} Proof block
+     */
+    signCredential(credential, privateKey, verificationMethod) {
+        const proofOptions = {
+            type: this.getProofType(privateKey),
+            created: new Date(),
+            proofPurpose: 'assertionMethod',
+            verificationMethod
+        };
+
+        const payload = this.buildSigningPayload(credential, proofOptions);
+
+        return {
+            ...proofOptions,
+            proofValue: signData(payload, privateKey)
+        };
+    }
+
+    /**
+     * Find the public key for a verification method in a DID document
+     * @param {object} didDocument - Resolved DID document
+     * @param {string} verificationMethod - DID URL of the key
+     * @param {string} proofPurpose - Verification relationship the key must be listed under
+     * @param {Date} signedAt - Time the proof provably existed (revoked keys only verify earlier proofs)
+     * @returns {string|null} PEM public key
+     */
+    findVerificationKey(didDocument, verificationMethod, proofPurpose = 'assertionMethod', signedAt = null) {
+        const methods = didDocument.verificationMethod || [];
+        const method = methods.find(vm => vm.id === verificationMethod);
+        if (!method) {
+            return null;
+        }
+
+        // Revoked keys leave the relationships but keep verifying what they signed before revocation
+        if (method.revoked) {
+            return this.signedBeforeRevocation(method, signedAt) ? getVerificationMethodKey(method) : null;
+        }
+
+        // Credentials are signed by assertionMethod keys, presentations by authentication keys
+        const relationship = didDocument[proofPurpose] || [];
+        if (!relationship.includes(method.id)) {
+            return null;
+        }
+
+        return getVerificationMethodKey(method);
+    }
+
+    /**
+     * Whether a proof provably existed before its (revoked) verification method was revoked
+     * Without such a time (null), revoked methods verify nothing
+     */
+    signedBeforeRevocation(method, signedAt) {
+        return !!signedAt && new Date(signedAt).getTime() < new Date(method.revoked).getTime();
+    }
+
+    /**
+     * Resolve a DID URL to the public key it names
+     * @param {string} verificationMethod - DID URL of the key
+     * @param {string} proofPurpose - Verification relationship the key must be listed under
+     * @param {Date} signedAt - Time the proof provably existed, never a date the signer chose
+     *                          (proof.created, JWT iat), or null when there is none
+     * @returns {object} { publicKey } or { reason } when it cannot be used
+     */
+    async resolveVerificationKey(verificationMethod, proofPurpose = 'assertionMethod', signedAt = null) {
+        const [controllerDID] = verificationMethod.split('#');
+
+        let resolved;
+        try {
+            resolved = await didService.resolveDID(controllerDID);
+        } catch (error) {
+            return { publicKey: null, reason: `DID could not be resolved: ${error.message}` };
+        }
+
+        if (resolved.didDocumentMetadata.deactivated) {
+            return { publicKey: null, reason: 'DID has been deactivated' };
+        }
+
+        const method = (resolved.didDocument.verificationMethod || []).find(vm => vm.id === verificationMethod);
+        if (method && method.revoked && !this.signedBeforeRevocation(method, signedAt)) {
+            return { publicKey: null, reason: `Verification method was revoked at ${method.revoked}` };
+        }
+
+        // Keys moved out of the relationship since then still verify what they signed while listed in it
+        const publicKey = this.findVerificationKey(resolved.didDocument, verificationMethod, proofPurpose, signedAt)
+            || await this.findHistoricalKey(controllerDID, verificationMethod, proofPurpose, signedAt);
+        if (!publicKey) {
+            return { publicKey: null, reason: `Verification method not authorized for ${proofPurpose}` };
+        }
+
+        return { publicKey };
+    }
+
+    /**
+     * Find the public key for a verification method in the DID document version current when a proof provably existed
+     * @returns {string|null} PEM public key, or null when there is no such version
+     */
+    async findHistoricalKey(controllerDID, verificationMethod, proofPurpose, signedAt) {
+        const versionTime = signedAt ? new Date(signedAt) : null;
+        if (!versionTime || isNaN(versionTime.getTime())) {
+            return null;
+        }
+
+        try {
+            const { didDocument } = await didService.resolveDID(controllerDID, { versionTime: versionTime.toISOString() });
+            return this.findVerificationKey(didDocument, verificationMethod, proofPurpose, signedAt);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Verify a credential's proof against the issuer's DID document
+     * @param {object} credential - Credential document or plain object
+     * @returns {object} Proof verification result
+     */
+    async verifyCredentialProof(credential) {
+        const proof = credential.proof || {};
+
+        if (!proof.proofValue || !proof.verificationMethod) {
+            return { verified: false, reason: 'Credential is not signed' };
+        }
+
+        const [controllerDID] = proof.verificationMethod.split('#');
+        if (controllerDID !== credential.issuer.did) {
+            return { verified: false, reason: 'Proof was not created by the credential issuer' };
+        }
+
+        const { publicKey, reason } = await this.resolveVerificationKey(proof.verificationMethod, 'assertionMethod', this.anchoredAt(credential));
+        if (!publicKey) {
+            return { verified: false, reason };
+        }
+
+        const payload = this.buildSigningPayload(credential, proof);
+        const verified = verifySignature(payload, proof.proofValue, publicKey);
+
+        if (!verified) {
+            logger.warn(`⚠️  Invalid proof on credential ${credential.credentialId}`);
+        }
+
+        return {
+            verified,
+            reason: verified ? null : 'Signature does not match credential contents',
+            verificationMethod: proof.verificationMethod,
+            type: proof.type
+        };
+    }
+
+    /**
+     * When a credential provably existed: the time its hash was first anchored on the blockchain
+     * @param {object} credential - Credential document or plain object
+     * @returns {Date|null} Anchor time, or null for credentials that were never anchored
+     */
+    anchoredAt(credential) {
+        return credential.credentialHash ? blockchainService.getCredentialAnchorTime(credential.credentialHash) : null;
+    }
+
+    /**
+     * Map a W3C VC JSON-LD document back to the fields covered by its proof
+     * @param {object} vc - Verifiable Credential document
+     * @returns {object} Credential-shaped object accepted by verifyCredentialProof
+     */
+    fromVerifiableCredential(vc) {
+        const uuidMatch = typeof vc.id === 'string' && vc.id.match(/^urn:uuid:(.+)$/);
+        const issuer = typeof vc.issuer === 'string' ? { id: vc.issuer } : (vc.issuer || {});
+        const subject = vc.credentialSubject || {};
+
+        return {
+            credentialId: uuidMatch ? uuidMatch[1] : vc.id,
+            credentialType: [].concat(vc.type || []).find(t => t !== 'VerifiableCredential'),
+            issuer: { did: issuer.id, name: issuer.name },
+            holder: subject.id,
+            issuanceDate: vc.validFrom || vc.issuanceDate,
+            expirationDate: vc.validUntil || vc.expirationDate || null,
+            credentialSubject: subject,
+            credentialStatus: vc.credentialStatus,
+            proof: vc.proof
+        };
+    }
+
+    /**
+     * Sign a whole JSON document (e.g. a status list credential)
+     * @param {object} document - Document without proof
+     * @param {string|object} privateKey - Signer's PEM private key or KMS signer
+     * @param {string} verificationMethod - DID URL of the signing key
+     * @returns {object} Proof block
+     */
+    signDocument(document, privateKey, verificationMethod) {
+        const proofOptions = {
+            type: this.getProofType(privateKey),
+            created: new Date().toISOString(),
+            proofPurpose: 'assertionMethod',
+            verificationMethod
+        };
+
+        const { proof, ...unsignedDocument } = document;
+
+        return {
+            ...proofOptions,
+            proofValue: signData({ document: unsignedDocument, proof: proofOptions }, privateKey)
+        };
+    }
+
+    /**
+     * Verify a proof created by signDocument
+     * @param {object} document - Signed document
+     * @returns {object} Proof verification result
+     */
+    async verifyDocumentProof(document) {
+        const { proof, ...unsignedDocument } = document;
+
+        if (!proof || !proof.proofValue || !proof.verificationMethod) {
+            return { verified: false, reason: 'Document is not signed' };
+        }
+
+        // Documents are never anchored, so they only verify with keys that are not revoked
+        const { publicKey, reason } = await this.resolveVerificationKey(proof.verificationMethod, 'assertionMethod', null);
+        if (!publicKey) {
+            return { verified: false, reason };
+        }
+
+        const { proofValue, ...proofOptions } = proof;
+        const verified = verifySignature({ document: unsignedDocument, proof: proofOptions }, proofValue, publicKey);
+
+        return {
+            verified,
+            reason: verified ? null : 'Signature does not match document contents'
+        };
+    }
+
+    /**
+     * Build the canonical payload covered by a presentation proof
+     * @param {object} presentation - Verifiable Presentation (proof is ignored)
+     * @param {object} proofOptions - Proof fields except proofValue
+     * @returns {object} Signing payload
+     */
+    buildPresentationPayload(presentation, proofOptions) {
+        const { proof, ...unsignedPresentation } = presentation;
+
+        return {
+            presentation: unsignedPresentation,
+            proof: {
+                type: proofOptions.type,
+                created: new Date(proofOptions.created).toISOString(),
+                proofPurpose: proofOptions.proofPurpose,
+                verificationMethod: proofOptions.verificationMethod,
+                challenge: proofOptions.challenge,
+                domain: proofOptions.domain
+            }
+        };
+    }
+
+    /**
+     * Sign a presentation with the holder's key, bound to a verifier challenge and domain
+     * @param {object} presentation - Unsigned Verifiable Presentation
+     * @param {string|object} privateKey - Holder's PEM private key or KMS signer
+     * @param {string} verificationMethod - DID URL of the holder key
+     * @param {object} binding - { challenge, domain } supplied by the verifier
+     * @returns {object} Proof block
+     */
+    signPresentation(presentation, privateKey, verificationMethod, { challenge, domain }) {
+        const proofOptions = {
+            type: this.getProofType(privateKey),
+            created: new Date().toISOString(),
+            proofPurpose: 'authentication',
+            verificationMethod,
+            challenge,
+            domain
+        };
+
+        const payload = this.buildPresentationPayload(presentation, proofOptions);
+
+        return {
+            ...proofOptions,
+            proofValue: signData(payload, privateKey)
+        };
+    }
+
+    /**
+     * Verify the holder's proof on a presentation
+     * @param {object} presentation - Signed Verifiable Presentation
+     * @param {object} expected - { challenge, domain } the verifier issued
+     * @returns {object} Proof verification result
+     */
+    async verifyPresentationProof(presentation, { challenge, domain }) {
+        const proof = presentation.proof || {};
+
+        if (!proof.proofValue || !proof.verificationMethod) {
+            return { verified: false, reason: 'Presentation is not signed' };
+        }
+
+        if (proof.proofPurpose !== 'authentication') {
+            return { verified: false, reason: 'Presentation proof purpose must be authentication' };
+        }
+
+        if (proof.verificationMethod.split('#')[0] !== presentation.holder) {
+            return { verified: false, reason: 'Presentation was not signed by its holder' };
+        }
+
+        if (proof.challenge !== challenge || proof.domain !== domain) {
+            return { verified: false, reason: 'Presentation challenge or domain does not match' };
+        }
+
+        // Bound to a fresh challenge, so the presentation was signed just now
+        const { publicKey, reason } = await this.resolveVerificationKey(
+            proof.verificationMethod,
+            'authentication',
+            null
+        );
+        if (!publicKey) {
+            return { verified: false, reason };
+        }
+
+        const payload = this.buildPresentationPayload(presentation, proof);
+        const verified = verifySignature(payload, proof.proofValue, publicKey);
+
+        return {
+            verified,
+            reason: verified ? null : 'Signature does not match presentation contents',
+            verificationMethod: proof.verificationMethod,
+            type: proof.type
+        };
+    }
+
+    /**
+     * Encode a credential as a JWT-VC signed with the issuer's key
+     * @param {object} credential - Credential document
+     * @param {string|object} privateKey - Issuer's PEM private key or KMS signer
+     * @param {string} verificationMethod - DID URL of the signing key
+     * @param {object} subject - Decrypted credential subject
+     * @returns {string} Compact JWT
+     */
+    signCredentialJwt(credential, privateKey, verificationMethod, subject) {
+        // The JWS replaces the embedded proof, so the vc claim carries none
+        const { proof, ...vc } = credential.toVerifiableCredential(subject);
+
+        const payload = {
+            iss: credential.issuer.did,
+            sub: credential.holder,
+            jti: vc.id,
+            nbf: Math.floor(new Date(credential.issuanceDate).getTime() / 1000),
+            iat: Math.floor(Date.now() / 1000),
+            vc
+        };
+
+        if (credential.expirationDate) {
+            payload.exp = Math.floor(new Date(credential.expirationDate).getTime() / 1000);
+        }
+
+        return signJWS(payload, privateKey, { kid: verificationMethod });
+    }
+
+    /**
+     * Verify a JWT-VC signature and its validity window
+     * @param {string} token - Compact JWT
+     * @returns {object} Verification result with the decoded payload
+     */
+    async verifyCredentialJwt(token) {
+        const decoded = decodeJWS(token);
+        if (!decoded) {
+            return { verified: false, reason: 'Malformed JWT' };
+        }
+
+        const { header, payload } = decoded;
+
+        if (!payload.vc || !payload.iss) {
+            return { verified: false, reason: 'JWT does not contain a verifiable credential', payload };
+        }
+
+        if (!header.kid || header.kid.split('#')[0] !== payload.iss) {
+            return { verified: false, reason: 'JWT was not signed by the credential issuer', payload };
+        }
+
+        // iat is the signer's claim, so revoked keys verify no JWT
+        const { publicKey, reason } = await this.resolveVerificationKey(header.kid, 'assertionMethod', null);
+        if (!publicKey) {
+            return { verified: false, reason, payload };
+        }
+
+        if (!verifyJWS(token, publicKey)) {
+            return { verified: false, reason: 'Invalid JWT signature', payload };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (payload.nbf && payload.nbf > now) {
+            return { verified: false, reason: 'Credential is not yet valid', payload };
+        }
+        if (payload.exp && payload.exp <= now) {
+            return { verified: false, reason: 'Credential expired', payload };
+        }
+
+        return {
+            verified: true,
+            reason: null,
+            verificationMethod: header.kid,
+            alg: header.alg,
+            payload
+        };
+    }
+}
+
+// Export singleton instance
+const proofService = new ProofService();
+module.exports = proofService;
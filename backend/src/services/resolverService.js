@@ -0,0 +1,209 @@
+const config = require('../config/env');
+const VaultDriver = require('../resolver/VaultDriver');
+const KeyDriver = require('../resolver/KeyDriver');
+const WebDriver = require('../resolver/WebDriver');
+const EthrDriver = require('../resolver/EthrDriver');
+const PeerDriver = require('../resolver/PeerDriver');
+const { validateDID } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const RESOLUTION_CONTEXT = 'https://w3id.org/did-resolution/v1';
+const DID_DOCUMENT_CONTENT_TYPE = 'application/did+ld+json';
+
+// HTTP status of each DID resolution error (https://w3c-ccg.github.io/did-resolution/#bindings-https)
+const ERROR_STATUS = {
+    invalidDid: 400,
+    notFound: 404,
+    representationNotSupported: 406,
+    internalError: 500,
+    methodNotSupported: 501
+};
+
+// Errors remembered by the negative cache; anything else is retried on the next resolution
+const CACHEABLE_ERRORS = ['invalidDid', 'notFound'];
+
+/**
+ * Resolver Service - Universal DID resolver with a driver per DID method
+ *
+ * A driver implements resolve(did, { versionId, versionTime }), returning { didDocument,
+ * didDocumentMetadata } and optionally didResolutionMetadata, and cacheable(did). Drivers throw AppErrors: 400 is reported as
+ * invalidDid, 404 as notFound, anything else as internalError. Every resolution returns the
+ * DID Resolution result (https://www.w3.org/TR/did-resolution/), errors included, so callers
+ * decide how to surface them. Remote documents (other did:web hosts, the did:ethr registry) are
+ * cached, and DIDs that do not exist are remembered for a shorter time.
+ */
+class ResolverService {
+    constructor() {
+        this.drivers = new Map();
+        this.cache = new Map();
+
+        const vaultDriver = new VaultDriver();
+        this.register('vault', vaultDriver);
+        this.register('key', new KeyDriver());
+        this.register('web', new WebDriver(vaultDriver));
+        this.register('ethr', new EthrDriver(vaultDriver));
+        this.register('peer', new PeerDriver());
+    }
+
+    /**
+     * Register the driver of a DID method (replacing any previous one)
+     * @param {string} method - DID method name, e.g. 'web'
+     * @param {object} driver - Driver with resolve(did) and cacheable(did)
+     */
+    register(method, driver) {
+        this.drivers.set(method, driver);
+    }
+
+    /**
+     * DID methods with a registered driver
+     * @returns {string[]} Method names
+     */
+    getMethods() {
+        return [...this.drivers.keys()];
+    }
+
+    /**
+     * HTTP status of a DID resolution error
+     * @param {string} error - DID resolution error code
+     * @returns {number} HTTP status code
+     */
+    statusFor(error) {
+        return ERROR_STATUS[error] || 500;
+    }
+
+    /**
+     * Resolve a DID
+     * @param {string} did - DID identifier
+     * @param {object} options - { noCache: skip cached results (the new result is still cached),
+     *   versionId / versionTime: resolve an earlier version of the document (never cached) }
+     * @returns {object} DID resolution result
+     */
+    async resolve(did, { noCache = false, versionId, versionTime } = {}) {
+        const version = versionId || versionTime ? { versionId, versionTime } : null;
+
+        if (!noCache && !version) {
+            const cached = this.readCache(did);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const started = Date.now();
+        const method = validateDID(did) ? did.split(':')[1] : null;
+        const driver = method && this.drivers.get(method);
+
+        let result;
+        if (!method) {
+            result = this.errorResult('invalidDid', 'Invalid DID format');
+        } else if (!driver) {
+            result = this.errorResult('methodNotSupported', `DID method '${method}' is not supported`);
+        } else {
+            result = await this.runDriver(driver, did, version || {});
+        }
+
+        result.didResolutionMetadata.retrieved = new Date(started).toISOString();
+        result.didResolutionMetadata.duration = Date.now() - started;
+
+        if (driver && !version && driver.cacheable(did)) {
+            this.writeCache(did, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Run a driver, turning its errors into resolution errors
+     */
+    async runDriver(driver, did, options) {
+        try {
+            const { didDocument, didDocumentMetadata = {}, didResolutionMetadata = {} } = await driver.resolve(did, options);
+            return {
+                '@context': RESOLUTION_CONTEXT,
+                didDocument,
+                didResolutionMetadata: { contentType: DID_DOCUMENT_CONTENT_TYPE, ...didResolutionMetadata },
+                didDocumentMetadata
+            };
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return this.errorResult('invalidDid', error.message);
+            }
+            if (error.statusCode === 404) {
+                return this.errorResult('notFound', error.message);
+            }
+
+            logger.error(`❌ DID resolution failed for ${did}:`, error.message);
+            return this.errorResult('internalError', error.message);
+        }
+    }
+
+    /**
+     * Resolution result of a failed resolution
+     */
+    errorResult(error, errorMessage) {
+        return {
+            '@context': RESOLUTION_CONTEXT,
+            didDocument: null,
+            didResolutionMetadata: { error, errorMessage },
+            didDocumentMetadata: {}
+        };
+    }
+
+    /**
+     * Cached result of a DID, if still fresh
+     */
+    readCache(did) {
+        const entry = this.cache.get(did);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.cache.delete(did);
+            return null;
+        }
+
+        // Callers get their own copy to modify
+        return JSON.parse(JSON.stringify(entry.result));
+    }
+
+    /**
+     * Cache a result: documents for the cache TTL, notFound and invalidDid for the negative cache TTL
+     */
+    writeCache(did, result) {
+        const { error } = result.didResolutionMetadata;
+        if (error && !CACHEABLE_ERRORS.includes(error)) {
+            return;
+        }
+
+        const { cacheTtlMs, negativeCacheTtlMs, cacheMaxEntries } = config.didResolver;
+        const ttl = error ? negativeCacheTtlMs : cacheTtlMs;
+
+        // Re-inserted so the map stays in write order; the oldest entries are evicted first
+        this.cache.delete(did);
+        this.cache.set(did, {
+            result: JSON.parse(JSON.stringify(result)),
+            expiresAt: Date.now() + ttl
+        });
+        while (this.cache.size > cacheMaxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop the cached result of a DID (after the vault changed its document)
+     * @param {string} did - DID identifier
+     */
+    invalidate(did) {
+        this.cache.delete(did);
+    }
+
+    /**
+     * Drop every cached result
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+const resolverService = new ResolverService();
+
+module.exports = resolverService;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const encryptionService = require('./encryptionService');
+const proofService = require('./proofService');
+const { signJWS, decodeJWS, verifyJWS } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+/**
+ * SD-JWT Service - Selective disclosure of credential subject claims
+ * Each subject claim becomes a salted disclosure; the issuer signs only their digests,
+ * so a holder can reveal any subset of claims and the signature still verifies
+ *
+ * Format: <issuer-signed JWT>~<disclosure>~<disclosure>~...~
+ */
+class SdJwtService {
+    constructor() {
+        this.digestAlgorithm = 'sha-256';
+        this.tokenType = 'vc+sd-jwt';
+    }
+
+    /**
+     * Create a salted disclosure for one claim
+     * @param {string} name - Claim name
+     * @param {*} value - Claim value
+     * @returns {object} { disclosure, digest }
+     */
+    createDisclosure(name, value) {
+        const salt = crypto.randomBytes(16).toString('base64url');
+        const disclosure = Buffer.from(JSON.stringify([salt, name, value]), 'utf8').toString('base64url');
+
+        return {
+            disclosure,
+            digest: encryptionService.createDigest(disclosure)
+        };
+    }
+
+    /**
+     * Decode a disclosure into its claim
+     * @param {string} disclosure - base64url disclosure
+     * @returns {object|null} { salt, name, value } or null when malformed
+     */
+    decodeDisclosure(disclosure) {
+        try {
+            const decoded = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'));
+            if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') {
+                return null;
+            }
+            const [salt, name, value] = decoded;
+            return { salt, name, value };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Split an SD-JWT into its issuer JWT and disclosures
+     * @param {string} sdJwt - Combined SD-JWT
+     * @returns {object} { jwt, disclosures }
+     */
+    split(sdJwt) {
+        const [jwt, ...disclosures] = sdJwt.split('~');
+        return { jwt, disclosures: disclosures.filter(Boolean) };
+    }
+
+    /**
+     * Issue a credential as an SD-JWT with every subject claim selectively disclosable
+     * @param {object} credential - Credential document
+     * @param {string|object} privateKey - Issuer's PEM private key or KMS signer
+     * @param {string} verificationMethod - DID URL of the signing key
+     * @param {object} subject - Decrypted credential subject
+     * @returns {string} SD-JWT carrying all disclosures
+     */
+    issue(credential, privateKey, verificationMethod, subject) {
+        // The holder id stays visible; every other claim is disclosed on demand
+        const { id, ...claims } = subject || {};
+        const disclosures = Object.entries(claims).map(([name, value]) => this.createDisclosure(name, value));
+
+        const payload = {
+            iss: credential.issuer.did,
+            sub: credential.holder,
+            jti: `urn:uuid:${credential.credentialId}`,
+            vct: credential.credentialType,
+            nbf: Math.floor(new Date(credential.issuanceDate).getTime() / 1000),
+            iat: Math.floor(Date.now() / 1000),
+            // Sorted so digest order reveals nothing about claim order
+            _sd: disclosures.map(d => d.digest).sort(),
+            _sd_alg: this.digestAlgorithm
+        };
+
+        if (credential.expirationDate) {
+            payload.exp = Math.floor(new Date(credential.expirationDate).getTime() / 1000);
+        }
+
+        const jwt = signJWS(payload, privateKey, { typ: this.tokenType, kid: verificationMethod });
+
+        return `${jwt}~${disclosures.map(d => d.disclosure).join('~')}~`;
+    }
+
+    /**
+     * Keep only the disclosures for the chosen claims
+     * @param {string} sdJwt - SD-JWT carrying all disclosures
+     * @param {Array<string>} claimNames - Claims the holder wants to reveal
+     * @returns {string} SD-JWT carrying the chosen disclosures
+     */
+    present(sdJwt, claimNames) {
+        const { jwt, disclosures } = this.split(sdJwt);
+
+        const kept = disclosures.filter(disclosure => {
+            const decoded = this.decodeDisclosure(disclosure);
+            return decoded && claimNames.includes(decoded.name);
+        });
+
+        return `${jwt}~${kept.map(d => `${d}~`).join('')}`;
+    }
+
+    /**
+     * Verify the issuer signature and every disclosed claim
+     * @param {string} sdJwt - SD-JWT presented by the holder
+     * @returns {object} Verification result with the disclosed claims
+     */
+    async verify(sdJwt) {
+        const { jwt, disclosures } = this.split(sdJwt);
+        const decoded = decodeJWS(jwt);
+        if (!decoded) {
+            return { verified: false, reason: 'Malformed SD-JWT' };
+        }
+
+        const { header, payload } = decoded;
+
+        if (payload._sd_alg !== this.digestAlgorithm || !Array.isArray(payload._sd)) {
+            return { verified: false, reason: 'Unsupported or missing selective disclosure digests', payload };
+        }
+
+        if (!header.kid || header.kid.split('#')[0] !== payload.iss) {
+            return { verified: false, reason: 'SD-JWT was not signed by the credential issuer', payload };
+        }
+
+        // iat is the signer's claim, so revoked keys verify no SD-JWT
+        const { publicKey, reason } = await proofService.resolveVerificationKey(header.kid, 'assertionMethod', null);
+        if (!publicKey) {
+            return { verified: false, reason, payload };
+        }
+
+        if (!verifyJWS(jwt, publicKey)) {
+            return { verified: false, reason: 'Invalid SD-JWT signature', payload };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (payload.nbf && payload.nbf > now) {
+            return { verified: false, reason: 'Credential is not yet valid', payload };
+        }
+        if (payload.exp && payload.exp <= now) {
+            return { verified: false, reason: 'Credential expired', payload };
+        }
+
+        // Every disclosure must match a signed digest, and each digest may only be used once
+        const claims = {};
+        const seen = new Set();
+        for (const disclosure of disclosures) {
+            const digest = encryptionService.createDigest(disclosure);
+            const claim = this.decodeDisclosure(disclosure);
+
+            if (!claim || !payload._sd.includes(digest) || seen.has(digest)) {
+                logger.warn(`⚠️  Rejected SD-JWT disclosure for issuer ${payload.iss}`);
+                return { verified: false, reason: 'Disclosure does not match the issuer-signed digests', payload };
+            }
+            if (Object.prototype.hasOwnProperty.call(claims, claim.name)) {
+                return { verified: false, reason: `Claim ${claim.name} disclosed more than once`, payload };
+            }
+
+            seen.add(digest);
+            claims[claim.name] = claim.value;
+        }
+
+        return {
+            verified: true,
+            reason: null,
+            verificationMethod: header.kid,
+            payload,
+            disclosedClaims: { id: payload.sub, ...claims },
+            undisclosedCount: payload._sd.length - seen.size
+        };
+    }
+}
+
+// Export singleton instance
+const sdJwtService = new SdJwtService();
+module.exports = sdJwtService;
@@ -0,0 +1,524 @@
+const User = require('../models/User');
+const RecoveryRequest = require('../models/RecoveryRequest');
+const config = require('../config/env');
+const encryptionService = require('./encryptionService');
+const notificationService = require('./notificationService');
+const vaultService = require('./vaultService');
+const vaultSessionService = require('./vaultSessionService');
+const { generateKey } = require('../utils/crypto');
+const { split, combine } = require('../utils/shamir');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Associated data binding each encrypted share to its vault and guardian, and wraps to their purpose
+const shareContext = (userId, guardianDid) => `social-recovery-share:${userId}:${guardianDid}`;
+const socialWrapContext = (userId) => `social-recovery:${userId}`;
+const requestContext = (requestId) => `recovery-request:${requestId}`;
+
+/**
+ * Social Recovery Service - Recovers a password-protected vault with the help of guardians
+ *
+ * A random recovery secret wraps the vault's key-encryption key (vaultKeyWraps.social). The secret
+ * is split into Shamir shares, one per guardian, each encrypted to the guardian's vault public key.
+ * Guardians must have password-protected vaults themselves, so the server can't open any share
+ * while they are locked. Approving a request re-encrypts the guardian's share to the request's key,
+ * whose private half is wrapped with a ticket only the requester holds: the key-encryption key is
+ * reconstructed when the requester completes an approved request with that ticket.
+ */
+class SocialRecoveryService {
+
+    /**
+     * Nominate guardians and split a new recovery secret among them
+     * Replaces any previous setup (old shares no longer open anything) and cancels open requests
+     * @param {string} userId - User's MongoDB ID
+     * @param {Array<string>} guardianDids - Guardian DIDs (users of this vault)
+     * @param {number} threshold - Approvals needed to recover
+     * @returns {object} Social recovery summary
+     */
+    async configure(userId, guardianDids, threshold) {
+        const user = await User.findById(userId).select('+vaultKeyWraps');
+        if (user.vaultKeyProtection !== 'password') {
+            throw new AppError('Social recovery is only available for password-protected vaults', 400);
+        }
+
+        if (threshold > guardianDids.length) {
+            throw new AppError('Threshold cannot exceed the number of guardians', 400);
+        }
+
+        const keyEncryptionKey = vaultService.keyEncryptionKeyOf(user);
+        const guardianUsers = await this.resolveGuardians(user, guardianDids);
+
+        const secret = generateKey(32);
+        const shares = split(Buffer.from(secret, 'hex'), guardianDids.length, threshold);
+
+        user.socialRecovery = {
+            threshold,
+            guardians: guardianDids.map((did, i) => ({
+                did,
+                userId: guardianUsers[i]._id,
+                share: encryptionService.encryptForPublicKey(shares[i], guardianUsers[i].vaultPublicKey, shareContext(user._id, did))
+            })),
+            configuredAt: new Date()
+        };
+        user.vaultKeyWraps = {
+            ...user.vaultKeyWraps.toObject(),
+            social: encryptionService.wrapKey(keyEncryptionKey, secret, socialWrapContext(user._id))
+        };
+        await user.save();
+
+        await this.cancelOpenRequests(user._id, 'Guardians changed');
+
+        await Promise.all(guardianUsers.map(guardian => notificationService.notifyUser(guardian._id, 'recovery.guardian-added', {
+            title: 'You are a recovery guardian',
+            message: `${user.username} named you a guardian of their vault. You may be asked to approve a recovery request.`
+        })));
+
+        logger.info(`🛡️  Social recovery configured for ${user.email}: ${threshold} of ${guardianDids.length} guardians`);
+
+        return this.summarize(user.socialRecovery);
+    }
+
+    /**
+     * Look up guardian users, making sure each can hold a share
+     * @param {object} user - Vault owner
+     * @param {Array<string>} guardianDids - Guardian DIDs
+     * @returns {Array<object>} Guardian user documents, in the order of the DIDs
+     */
+    async resolveGuardians(user, guardianDids) {
+        const guardianUsers = await Promise.all(guardianDids.map(did => vaultService.findUserByDID(did)));
+
+        guardianDids.forEach((did, i) => {
+            const guardian = guardianUsers[i];
+            if (!guardian) {
+                throw new AppError(`Guardian ${did} is not a user of this vault`, 404);
+            }
+            if (guardian._id.equals(user._id)) {
+                throw new AppError('You cannot be your own guardian', 400);
+            }
+            if (guardian.vaultKeyProtection !== 'password' || !guardian.vaultPublicKey) {
+                throw new AppError(`Guardian ${did} must have a password-protected vault`, 400);
+            }
+        });
+
+        const distinct = new Set(guardianUsers.map(guardian => guardian._id.toString()));
+        if (distinct.size !== guardianUsers.length) {
+            throw new AppError('Each guardian must be a different user', 400);
+        }
+
+        return guardianUsers;
+    }
+
+    /**
+     * Remove the guardians and the social wrap of the key-encryption key
+     * @param {string} userId - User's MongoDB ID
+     */
+    async disable(userId) {
+        await User.updateOne({ _id: userId }, { $set: { socialRecovery: null }, $unset: { 'vaultKeyWraps.social': 1 } });
+        await this.cancelOpenRequests(userId, 'Social recovery disabled');
+
+        logger.info(`🛡️  Social recovery disabled for user ${userId}`);
+    }
+
+    /**
+     * Get a user's social recovery setup and recovery requests (with their audit trail)
+     * @param {string} userId - User's MongoDB ID
+     * @returns {object} { socialRecovery, requests }
+     */
+    async getOverview(userId) {
+        const user = await User.findById(userId).select('+socialRecovery');
+        const requests = await RecoveryRequest.find({ userId }).sort('-createdAt').limit(20);
+
+        return {
+            socialRecovery: user.socialRecovery ? this.summarize(user.socialRecovery) : null,
+            requests: await Promise.all(requests.map(async request => ({
+                ...(await this.expireIfLapsed(request)).toSummary(),
+                history: request.history
+            })))
+        };
+    }
+
+    /**
+     * Summarise a social recovery setup (no shares)
+     * @param {object} socialRecovery - User's socialRecovery
+     * @returns {object} { threshold, guardians, configuredAt }
+     */
+    summarize(socialRecovery) {
+        return {
+            threshold: socialRecovery.threshold,
+            guardians: socialRecovery.guardians.map(guardian => guardian.did),
+            configuredAt: socialRecovery.configuredAt
+        };
+    }
+
+    /**
+     * Start recovering a vault (the requester has lost the password)
+     * @param {string} email - Account email
+     * @param {string} ip - Requester's IP address (audit)
+     * @returns {object} { requestId, ticket, threshold, guardians, expiresAt } - the ticket is shown once
+     */
+    async startRecovery(email, ip) {
+        const user = await User.findOne({ email }).select('+socialRecovery');
+        if (!user || !user.socialRecovery || user.vaultKeyProtection !== 'password') {
+            throw new AppError('Social recovery is not set up for this account', 400);
+        }
+
+        const openRequests = await RecoveryRequest.find({ userId: user._id, status: { $in: ['pending', 'approved', 'completing'] } });
+        for (const request of openRequests) {
+            if ((await this.expireIfLapsed(request)).isOpen()) {
+                throw new AppError('A recovery request for this account is already open', 409);
+            }
+        }
+
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const recentRequests = await RecoveryRequest.countDocuments({ userId: user._id, createdAt: { $gte: since } });
+        if (recentRequests >= config.socialRecovery.maxRequestsPerDay) {
+            throw new AppError('Too many recovery requests for this account. Please try again tomorrow', 429);
+        }
+
+        // The ticket is the requester's only way to use the approvals
+        const ticket = generateKey(32);
+        const { publicKey, privateKey } = encryptionService.generateAsymmetricKeyPair();
+        const request = new RecoveryRequest({
+            userId: user._id,
+            threshold: user.socialRecovery.threshold,
+            guardians: user.socialRecovery.guardians.map(({ did, userId }) => ({ did, userId })),
+            publicKey,
+            expiresAt: new Date(Date.now() + config.socialRecovery.requestTtlMs)
+        });
+        request.wrappedPrivateKey = encryptionService.wrapKey(privateKey, ticket, requestContext(request.requestId));
+        request.record('requested', 'requester', ip);
+        await request.save();
+
+        // The owner hears about it too, in case it wasn't them
+        await notificationService.notifyUser(user._id, 'recovery.requested', {
+            title: 'Vault recovery requested',
+            message: 'Someone asked your guardians to help recover your vault. If this wasn\'t you, cancel the request in Settings.'
+        });
+        await Promise.all(request.guardians.map(guardian => notificationService.notifyUser(guardian.userId, 'recovery.approval-requested', {
+            title: 'Recovery approval requested',
+            message: `${user.username} asked to recover their vault. Only approve if you have confirmed it is really them.`
+        })));
+
+        logger.info(`🛟 Social recovery requested for ${user.email} (${request.requestId}) from ${ip}`);
+
+        return {
+            requestId: request.requestId,
+            ticket,
+            threshold: request.threshold,
+            guardians: request.guardians.map(guardian => guardian.did),
+            expiresAt: request.expiresAt
+        };
+    }
+
+    /**
+     * Get a recovery request (expiring it when its time is up)
+     * @param {string} requestId - Request UUID
+     * @param {string} select - Extra fields to select
+     * @returns {object} Recovery request document
+     */
+    async findRequest(requestId, select = '') {
+        const request = await RecoveryRequest.findOne({ requestId }).select(select);
+        if (!request) {
+            throw new AppError('Recovery request not found', 404);
+        }
+
+        return this.expireIfLapsed(request);
+    }
+
+    /**
+     * Mark an open request whose time is up as expired
+     * @param {object} request - Recovery request document
+     * @returns {object} The request
+     */
+    async expireIfLapsed(request) {
+        if (['pending', 'approved', 'completing'].includes(request.status) && request.expiresAt <= Date.now()) {
+            request.status = 'expired';
+            request.record('expired');
+            await request.save();
+        }
+
+        return request;
+    }
+
+    /**
+     * Get the status of a recovery request (for the requester)
+     * @param {string} requestId - Request UUID
+     * @returns {object} Request summary
+     */
+    async getRequestStatus(requestId) {
+        return (await this.findRequest(requestId)).toSummary();
+    }
+
+    /**
+     * List the open requests a user has been asked to approve as a guardian
+     * @param {string} guardianUserId - Guardian's MongoDB ID
+     * @returns {Array<object>} Request summaries with the owner and the guardian's own decision
+     */
+    async listApprovalRequests(guardianUserId) {
+        const requests = await RecoveryRequest.find({
+            'guardians.userId': guardianUserId,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        }).populate('userId', 'username email did').sort('-createdAt');
+
+        return requests.map(request => {
+            const { did } = request.guardians.find(guardian => guardian.userId.equals(guardianUserId));
+            const decision = request.decisions.find(entry => entry.guardianDid === did);
+
+            return {
+                ...request.toSummary(),
+                owner: { username: request.userId.username, email: request.userId.email, did: request.userId.did },
+                guardianDid: did,
+                decision: decision ? decision.decision : null
+            };
+        });
+    }
+
+    /**
+     * Approve or decline a recovery request as one of its guardians
+     * Approving needs the guardian's own vault to be unlocked, to open their share
+     * @param {string} guardianUserId - Guardian's MongoDB ID
+     * @param {string} requestId - Request UUID
+     * @param {boolean} approve - Approve (true) or decline (false)
+     * @param {string} ip - Guardian's IP address (audit)
+     * @returns {object} Request summary
+     */
+    async decide(guardianUserId, requestId, approve, ip) {
+        const request = await this.findRequest(requestId);
+        const guardian = request.guardians.find(entry => entry.userId.equals(guardianUserId));
+        if (!guardian) {
+            throw new AppError('You are not a guardian for this request', 403);
+        }
+
+        if (request.status !== 'pending') {
+            throw new AppError(`Recovery request is ${request.status}`, 409);
+        }
+
+        if (request.decisions.some(entry => entry.guardianDid === guardian.did)) {
+            throw new AppError('You have already responded to this request', 409);
+        }
+
+        let share = null;
+        if (approve) {
+            const owner = await User.findById(request.userId).select('+socialRecovery');
+            const entry = owner.socialRecovery && owner.socialRecovery.guardians.find(item => item.did === guardian.did);
+            if (!entry) {
+                throw new AppError('You are no longer a guardian of this vault', 409);
+            }
+
+            const guardianUser = await User.findById(guardianUserId);
+            const secretShare = encryptionService.decryptForRecipient(
+                entry.share,
+                await vaultService.vaultPrivateKeyOf(guardianUser),
+                shareContext(owner._id, guardian.did)
+            );
+            share = {
+                guardianDid: guardian.did,
+                envelope: encryptionService.encryptForPublicKey(secretShare, request.publicKey, requestContext(request.requestId))
+            };
+        }
+
+        // Claim the decision atomically, so a guardian can't respond twice and a request that was
+        // cancelled, expired or decided in the meantime takes no more decisions
+        const now = new Date();
+        const decision = approve ? 'approved' : 'declined';
+        const decided = await RecoveryRequest.findOneAndUpdate(
+            {
+                requestId,
+                status: 'pending',
+                expiresAt: { $gt: now },
+                guardians: { $elemMatch: { did: guardian.did, userId: guardianUserId } },
+                'decisions.guardianDid': { $ne: guardian.did }
+            },
+            {
+                $push: {
+                    decisions: { guardianDid: guardian.did, decision, decidedAt: now },
+                    history: { action: decision, actor: guardian.did, ip, note: null, at: now },
+                    ...(share && { shares: share })
+                }
+            },
+            { new: true }
+        );
+        if (!decided) {
+            const current = await this.findRequest(requestId);
+            throw new AppError(current.status === 'pending'
+                ? 'You have already responded to this request'
+                : `Recovery request is ${current.status}`, 409);
+        }
+
+        // Every decision is in the returned document, so whichever decision tips the count settles the request
+        let status = 'pending';
+        if (decided.countDecisions('approved') >= decided.threshold) {
+            status = 'approved';
+        } else if (decided.countDecisions('declined') > decided.guardians.length - decided.threshold) {
+            // Not enough guardians left to reach the threshold
+            status = 'declined';
+        }
+        if (status !== 'pending') {
+            await RecoveryRequest.updateOne({ _id: decided._id, status: 'pending' }, { $set: { status } });
+            decided.status = status;
+        }
+
+        logger.info(`🛟 Recovery request ${requestId} ${decision} by guardian ${guardian.did} (${decided.status})`);
+
+        return decided.toSummary();
+    }
+
+    /**
+     * Cancel one of the user's own open requests (e.g. one they didn't make)
+     * @param {string} userId - Owner's MongoDB ID
+     * @param {string} requestId - Request UUID
+     * @param {string} ip - Owner's IP address (audit)
+     * @returns {object} Request summary
+     */
+    async cancel(userId, requestId, ip) {
+        const request = await this.findRequest(requestId);
+        if (!request.userId.equals(userId)) {
+            throw new AppError('Recovery request not found', 404);
+        }
+
+        if (!request.isOpen()) {
+            throw new AppError(`Recovery request is ${request.status}`, 409);
+        }
+
+        await this.close(request, 'cancelled', 'owner', ip);
+        logger.info(`🛟 Recovery request ${requestId} cancelled by its owner`);
+
+        return request.toSummary();
+    }
+
+    /**
+     * Cancel every open request of a user
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} note - Why (audit)
+     */
+    async cancelOpenRequests(userId, note) {
+        const requests = await RecoveryRequest.find({ userId, status: { $in: ['pending', 'approved', 'completing'] } });
+        await Promise.all(requests.map(request => this.close(request, 'cancelled', 'owner', null, note)));
+    }
+
+    /**
+     * Close a request for good, dropping its key material
+     * @param {object} request - Recovery request document
+     * @param {string} status - 'completed' or 'cancelled'
+     * @param {string} actor - 'owner' or 'requester' (audit)
+     * @param {string} ip - IP address (audit)
+     * @param {string} note - Why (audit)
+     */
+    async close(request, status, actor, ip = null, note = null) {
+        request.status = status;
+        request.wrappedPrivateKey = null;
+        request.shares = [];
+        if (status === 'completed') {
+            request.completedAt = new Date();
+        }
+        request.record(status, actor, ip, note);
+        await request.save();
+    }
+
+    /**
+     * Complete an approved request: reconstruct the key-encryption key and set a new password
+     * The requester then signs in with the new password as usual
+     * @param {string} requestId - Request UUID
+     * @param {string} ticket - Ticket returned when the request was made
+     * @param {string} newPassword - New account password
+     * @param {string} ip - Requester's IP address (audit)
+     * @returns {object} { user, recoveryCode } - a new recovery code replaces the old one
+     */
+    async completeRecovery(requestId, ticket, newPassword, ip) {
+        const current = await this.findRequest(requestId);
+        if (current.status !== 'approved') {
+            throw new AppError(`Recovery request is ${current.status}`, 409);
+        }
+
+        // Claim the request atomically, so concurrent attempts can't both reset the password
+        const request = await RecoveryRequest.findOneAndUpdate(
+            { _id: current._id, status: 'approved' },
+            { $set: { status: 'completing' } },
+            { new: true }
+        ).select('+wrappedPrivateKey +shares');
+        if (!request) {
+            throw new AppError(`Recovery request is ${(await this.findRequest(requestId)).status}`, 409);
+        }
+
+        try {
+            return await this.completeClaimedRecovery(request, ticket, newPassword, ip);
+        } catch (error) {
+            // Hand the request back unless it was closed (e.g. after too many invalid tickets)
+            await RecoveryRequest.updateOne({ _id: request._id, status: 'completing' }, { $set: { status: 'approved' } });
+            throw error;
+        }
+    }
+
+    /**
+     * Complete a request claimed by completeRecovery
+     * @param {object} request - Recovery request document with its key material, status 'completing'
+     * @param {string} ticket - Ticket returned when the request was made
+     * @param {string} newPassword - New account password
+     * @param {string} ip - Requester's IP address (audit)
+     * @returns {object} { user, recoveryCode }
+     */
+    async completeClaimedRecovery(request, ticket, newPassword, ip) {
+        const { requestId } = request;
+
+        let privateKey;
+        try {
+            privateKey = encryptionService.unwrapKey(request.wrappedPrivateKey, ticket, requestContext(requestId));
+        } catch (error) {
+            request.status = 'approved';
+            request.failedAttempts += 1;
+            request.record('failed-attempt', 'requester', ip);
+            if (request.failedAttempts >= config.socialRecovery.maxFailedAttempts) {
+                await this.close(request, 'cancelled', 'requester', ip, 'Too many invalid tickets');
+            } else {
+                await request.save();
+            }
+
+            logger.warn(`⚠️  Invalid ticket for recovery request ${requestId} from ${ip}`);
+            throw new AppError('Invalid recovery ticket', 400);
+        }
+
+        const shares = request.shares.map(({ envelope }) =>
+            encryptionService.decryptForRecipient(envelope, privateKey, requestContext(requestId))
+        );
+        const secret = combine(shares).toString('hex');
+
+        const user = await User.findById(request.userId).select('+vaultKeyWraps');
+        let keyEncryptionKey;
+        try {
+            keyEncryptionKey = encryptionService.unwrapKey(user.vaultKeyWraps.social, secret, socialWrapContext(user._id));
+        } catch (error) {
+            throw new AppError('Guardian shares do not match the vault - set up social recovery again', 409);
+        }
+
+        const recoveryCode = encryptionService.generateRecoveryCode();
+        user.vaultKeyWraps = {
+            password: encryptionService.encryptVaultKey(keyEncryptionKey, newPassword),
+            recovery: encryptionService.encryptVaultKey(
+                keyEncryptionKey,
+                encryptionService.normalizeRecoveryCode(recoveryCode)
+            ),
+            social: user.vaultKeyWraps.social
+        };
+        user.password = newPassword;
+        await user.save();
+        await user.resetLoginAttempts();
+        // Whoever still has a session from before the reset loses access to the vault
+        vaultSessionService.lockAll(user._id);
+
+        await this.close(request, 'completed', 'requester', ip);
+
+        await notificationService.notifyUser(user._id, 'recovery.completed', {
+            title: 'Vault recovered',
+            message: 'Your vault was recovered with your guardians\' approval and your password was reset.'
+        });
+
+        logger.info(`✅ Vault recovered with guardian approvals: ${user.email} (${requestId})`);
+
+        return { user, recoveryCode };
+    }
+}
+
+// Export singleton instance
+const socialRecoveryService = new SocialRecoveryService();
+module.exports = socialRecoveryService;
@@ -0,0 +1,308 @@
+const StatusList = require('../models/StatusList');
+const User = require('../models/User');
+const DID = require('../models/DID');
+const blockchainService = require('./blockchainService');
+const proofService = require('./proofService');
+const didService = require('./didService');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const { isPublicUrl, publicDispatcher, readLimitedBody } = require('../utils/publicHost');
+const logger = require('../utils/logger');
+
+// Concurrent issuance can take the index picked for a credential; another one is picked then
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+// A published list is 16 KB of bits, gzipped and base64url-encoded; anything much larger is not one
+const MAX_STATUS_LIST_BYTES = 256 * 1024;
+
+/**
+ * Status List Service - Publishes per-issuer Bitstring Status Lists
+ * Every credential gets one bit in a revocation list and one in a suspension list,
+ * so verifiers can fetch the whole list and check a credential without revealing which one
+ */
+class StatusListService {
+    constructor() {
+        this.purposes = ['revocation', 'suspension'];
+    }
+
+    /**
+     * Public URL of a status list credential
+     * @param {string} listId - Status list ID
+     * @returns {string} URL
+     */
+    getListUrl(listId) {
+        return `${config.publicUrl}/api/status-lists/${listId}`;
+    }
+
+    /**
+     * Reserve a random free index in an issuer's open list for a purpose
+     * Random rather than sequential, so an index says nothing about when a credential was issued
+     * @param {string} issuerDID - Issuer DID
+     * @param {string} statusPurpose - revocation or suspension
+     * @returns {object} { list, index }
+     */
+    async allocateIndex(issuerDID, statusPurpose) {
+        for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+            // Lists still carrying nextIndex predate random allocation and wait for npm run migrate
+            let list = await StatusList.findOne({
+                issuerDID,
+                statusPurpose,
+                nextIndex: { $exists: false },
+                $expr: { $lt: ['$allocatedCount', '$size'] }
+            }).sort({ createdAt: 1 });
+
+            if (!list) {
+                // All lists are full (or none exist yet) - open a new one
+                list = await StatusList.create({ issuerDID, statusPurpose });
+                logger.info(`✅ Opened ${statusPurpose} status list ${list.listId} for ${issuerDID}`);
+            }
+
+            // Claimed only if no concurrent issuance took the same index in the meantime
+            const index = list.randomFreeIndex();
+            const claimed = index === null ? null : await StatusList.findOneAndUpdate(
+                { _id: list._id, allocatedIndices: { $ne: index }, $expr: { $lt: ['$allocatedCount', '$size'] } },
+                { $push: { allocatedIndices: index }, $inc: { allocatedCount: 1 } },
+                { new: true }
+            );
+
+            if (claimed) {
+                return { list: claimed, index };
+            }
+        }
+
+        throw new Error(`Could not allocate a ${statusPurpose} status list index`);
+    }
+
+    /**
+     * Allocate revocation and suspension entries for a new credential
+     * @param {string} issuerDID - Issuer DID
+     * @returns {Array} credentialStatus entries
+     */
+    async allocateStatusEntries(issuerDID) {
+        const entries = [];
+
+        for (const statusPurpose of this.purposes) {
+            const { list, index } = await this.allocateIndex(issuerDID, statusPurpose);
+            const url = this.getListUrl(list.listId);
+
+            entries.push({
+                id: `${url}#${index}`,
+                type: 'BitstringStatusListEntry',
+                statusPurpose,
+                statusListIndex: String(index),
+                statusListCredential: url
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Make sure a credential's status is the vault user's to change: only the issuer's own records
+     * may flip bits. Imported VCs carry their issuer's status entries, which are not write handles
+     * @param {object} credential - Credential document (userId and issuer set)
+     * @throws {AppError} 403 when the credential was imported or the record's owner is not its issuer
+     */
+    async assertIssuer(credential) {
+        if (credential.metadata && credential.metadata.imported) {
+            throw new AppError('The status of an imported credential can only be changed by its issuer', 403);
+        }
+
+        const issuerDID = await DID.findOne({ did: credential.issuer.did, userId: credential.userId });
+        if (!issuerDID) {
+            throw new AppError('Only the issuer can change the status of a credential', 403);
+        }
+    }
+
+    /**
+     * Set or clear a credential's bit for a purpose
+     * @param {object} credential - Credential document with credentialStatus
+     * @param {string} statusPurpose - revocation or suspension
+     * @param {boolean} value - true to set the bit, false to clear it
+     * @returns {object|null} Updated status list, or null if the credential has no entry
+     */
+    async setCredentialStatus(credential, statusPurpose, value) {
+        await this.assertIssuer(credential);
+
+        const entry = (credential.credentialStatus || []).find(e => e.statusPurpose === statusPurpose);
+        if (!entry) {
+            logger.warn(`⚠️  Credential ${credential.credentialId} has no ${statusPurpose} status entry`);
+            return null;
+        }
+
+        const listId = entry.statusListCredential.split('/').pop();
+        const index = Number(entry.statusListIndex);
+
+        // The returned document holds exactly the bits after this flip, and the revision that identifies them
+        const list = await StatusList.findOneAndUpdate(
+            { listId, issuerDID: credential.issuer.did },
+            {
+                ...(value ? { $addToSet: { setIndices: index } } : { $pull: { setIndices: index } }),
+                $inc: { revision: 1 }
+            },
+            { new: true }
+        );
+
+        if (!list) {
+            throw new Error('Status list not found');
+        }
+
+        list.listHash = list.computeListHash();
+
+        if (config.statusList.anchorOnChain) {
+            try {
+                const block = await blockchainService.storeStatusList({
+                    listId: list.listId,
+                    issuerDID: list.issuerDID,
+                    statusPurpose: list.statusPurpose,
+                    listHash: list.listHash
+                });
+                list.blockchainBlockNumber = block.index;
+            } catch (blockchainError) {
+                logger.warn('Status list updated but blockchain anchoring failed:', blockchainError.message);
+            }
+        }
+
+        // A concurrent later flip stores the hash of its own (newer) bits instead
+        await StatusList.updateOne(
+            { _id: list._id, revision: list.revision },
+            { $set: { listHash: list.listHash, blockchainBlockNumber: list.blockchainBlockNumber } }
+        );
+
+        logger.info(`✅ ${statusPurpose} bit ${value ? 'set' : 'cleared'} for credential ${credential.credentialId}`);
+
+        return list;
+    }
+
+    /**
+     * Build the signed status list credential published at the list URL
+     * @param {string} listId - Status list ID
+     * @returns {object} BitstringStatusListCredential
+     */
+    async getStatusListCredential(listId) {
+        const list = await StatusList.findOne({ listId });
+        if (!list) {
+            throw new Error('Status list not found');
+        }
+
+        const url = this.getListUrl(list.listId);
+        const statusListCredential = {
+            '@context': ['https://www.w3.org/ns/credentials/v2'],
+            id: url,
+            type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+            issuer: list.issuerDID,
+            validFrom: list.updatedAt.toISOString(),
+            credentialSubject: {
+                id: `${url}#list`,
+                type: 'BitstringStatusList',
+                statusPurpose: list.statusPurpose,
+                encodedList: list.getEncodedList()
+            }
+        };
+
+        // Signed by the issuer when their key is still held in this vault
+        const issuer = await User.findOne({ did: list.issuerDID });
+        if (issuer && issuer.signingKeyId) {
+            const { signer, verificationMethod } = await didService.getSigningKey(issuer);
+            statusListCredential.proof = proofService.signDocument(statusListCredential, signer, verificationMethod);
+        } else {
+            logger.warn(`⚠️  Status list ${listId} served unsigned: issuer key unavailable`);
+        }
+
+        return statusListCredential;
+    }
+
+    /**
+     * Fetch the status list credential another issuer publishes
+     * Its URL is covered by the credential's proof, and it is only fetched over HTTPS from a public host
+     * @param {string} url - statusListCredential URL
+     * @returns {object} BitstringStatusListCredential
+     */
+    async fetchStatusListCredential(url) {
+        if (!url.startsWith('https:') || !isPublicUrl(url)) {
+            throw new Error('Status list URL must be https on a public domain name');
+        }
+
+        const response = await fetch(url, {
+            headers: { Accept: 'application/vc+ld+json, application/json' },
+            redirect: 'error',
+            signal: AbortSignal.timeout(config.statusList.fetchTimeoutMs),
+            dispatcher: publicDispatcher
+        });
+        if (!response.ok) {
+            await response.body?.cancel();
+            throw new Error(`Status list returned HTTP ${response.status}`);
+        }
+
+        return JSON.parse(await readLimitedBody(response, MAX_STATUS_LIST_BYTES));
+    }
+
+    /**
+     * Read a credential's bit from the list its status entry points at
+     * Lists hosted here are read from the database, others are fetched from their issuer
+     * @param {object} entry - credentialStatus entry
+     * @param {string} issuerDID - Issuer DID of the credential (the list must be theirs)
+     * @returns {boolean} Whether the bit is set
+     */
+    async readStatusBit(entry, issuerDID) {
+        const url = entry.statusListCredential;
+
+        if (url.startsWith(this.getListUrl(''))) {
+            const list = await StatusList.findOne({ listId: url.split('/').pop(), issuerDID, statusPurpose: entry.statusPurpose });
+            if (!list) {
+                throw new Error('Status list not found');
+            }
+            return list.isSet(entry.statusListIndex);
+        }
+
+        const statusListCredential = await this.fetchStatusListCredential(url);
+        const issuer = statusListCredential.issuer;
+        const subject = statusListCredential.credentialSubject || {};
+        if ((typeof issuer === 'string' ? issuer : issuer && issuer.id) !== issuerDID) {
+            throw new Error('Status list was not published by the credential issuer');
+        }
+        if (subject.statusPurpose !== entry.statusPurpose || typeof subject.encodedList !== 'string') {
+            throw new Error(`Not a ${entry.statusPurpose} status list`);
+        }
+
+        return StatusList.readEncodedBit(subject.encodedList, entry.statusListIndex);
+    }
+
+    /**
+     * Check a credential's revocation and suspension bits in its issuer's status lists
+     * A list that can't be read fails the check: its issuer may have revoked the credential there
+     * @param {Array} credentialStatus - credentialStatus entries
+     * @param {string} issuerDID - Issuer DID of the credential
+     * @returns {object} { revoked, suspended, reason } (reason is null when the credential passes)
+     */
+    async checkCredentialStatus(credentialStatus, issuerDID) {
+        const result = { revoked: null, suspended: null, reason: null };
+
+        for (const entry of [].concat(credentialStatus || [])) {
+            if (!this.purposes.includes(entry.statusPurpose) || typeof entry.statusListCredential !== 'string') {
+                continue;
+            }
+
+            try {
+                const isSet = await this.readStatusBit(entry, issuerDID);
+                result[entry.statusPurpose === 'revocation' ? 'revoked' : 'suspended'] = isSet;
+            } catch (error) {
+                logger.warn(`⚠️  Could not check status list ${entry.statusListCredential}:`, error.message);
+                result.reason = 'Credential status could not be checked';
+                return result;
+            }
+        }
+
+        if (result.revoked) {
+            result.reason = 'Credential is revoked in its issuer\'s status list';
+        } else if (result.suspended) {
+            result.reason = 'Credential is suspended in its issuer\'s status list';
+        }
+
+        return result;
+    }
+}
+
+// Export singleton instance
+const statusListService = new StatusListService();
+module.exports = statusListService;
@@ -3,16 +3,416 @@ const User = require('../models/User');
 const encryptionService = require('./encryptionService');
 const blockchainService = require('./blockchainService');
 const ipfsService = require('./ipfsService');
+const proofService = require('./proofService');
+const didService = require('./didService');
+const sdJwtService = require('./sdJwtService');
+const statusListService = require('./statusListService');
+const vaultSessionService = require('./vaultSessionService');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { decodeJWS } = require('../utils/crypto');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * MongoDB stand-in for a credential whose ciphertext lives on IPFS
+ * Keeps the envelope metadata so the format of the IPFS copy is queryable
+ * @param {object} envelope - Envelope uploaded to IPFS
+ * @returns {object} credentialData placeholder
+ */
+const ipfsPlaceholder = ({ version, algorithm, keyId }) => ({
+    version,
+    algorithm,
+    keyId,
+    encryptedData: 'STORED_ON_IPFS',
+    iv: 'STORED_ON_IPFS'
+});
+
 /**
  * Vault Service - Manages encrypted credential storage
  * Supports both centralized (MongoDB) and decentralized (IPFS) storage
  * Handles credential CRUD operations with encryption
  */
 class VaultService {
+
+    /**
+     * Sign a credential with the issuer DID's key
+     * The issuer must be the user's active DID, since that is the only key the vault holds.
+     * Credentials without status list entries get them here
+     * @param {object} user - User document
+     * @param {object} credential - Credential document to sign
+     */
+    async signAsIssuer(user, credential) {
+        const DID = require('../models/DID');
+
+        const issuerDID = credential.issuer.did;
+        const ownedDID = await DID.findOne({ did: issuerDID, userId: user._id, isActive: true });
+
+        if (!ownedDID || issuerDID !== user.did || !user.signingKeyId) {
+            throw new Error('Issuer DID must be your active DID so the credential can be signed');
+        }
+
+        // Status list entries are covered by the proof, so they are allocated before signing
+        if (!credential.credentialStatus || credential.credentialStatus.length === 0) {
+            credential.credentialStatus = await statusListService.allocateStatusEntries(issuerDID);
+        }
+
+        const { signer, verificationMethod } = await didService.getSigningKey(user);
+        credential.proof = proofService.signCredential(credential, signer, verificationMethod);
+    }
     
+    /**
+     * Record what the vault may keep about a subject in place of the plaintext:
+     * the digest the issuer's proof commits to, and blinded tokens for field lookups
+     * @param {object} credential - Credential document (holder set)
+     * @param {object} credentialSubject - Plaintext subject
+     */
+    setSubjectCommitments(credential, credentialSubject) {
+        credential.subjectDigest = proofService.computeSubjectDigest(credential.holder, credentialSubject);
+        credential.subjectIndex = encryptionService.createBlindIndexes(credentialSubject);
+    }
+
+    /**
+     * Get the key-encryption key of a password-protected vault from the user's session
+     * @param {object} user - User document
+     * @returns {string} Key-encryption key
+     */
+    keyEncryptionKeyOf(user) {
+        const keyEncryptionKey = vaultSessionService.getKeyEncryptionKey(user._id);
+        if (!keyEncryptionKey) {
+            throw new AppError('Vault is locked. Log in again to unlock it', 423);
+        }
+
+        return keyEncryptionKey;
+    }
+
+    /**
+     * Get the user's usable vault keys
+     * Password-protected vaults store them wrapped, so they are unwrapped with the session key
+     * @param {object} user - User document with vaultKey and pendingVaultKey selected
+     * @returns {object} { vaultKey, pendingVaultKey }
+     */
+    vaultKeysOf(user) {
+        if (user.vaultKeyProtection !== 'password') {
+            return { vaultKey: user.vaultKey, pendingVaultKey: user.pendingVaultKey || null };
+        }
+
+        const keyEncryptionKey = this.keyEncryptionKeyOf(user);
+        const associatedData = `vault-key:${user._id}`;
+
+        return {
+            vaultKey: encryptionService.unwrapKey(user.vaultKey, keyEncryptionKey, associatedData),
+            pendingVaultKey: user.pendingVaultKey
+                ? encryptionService.unwrapKey(user.pendingVaultKey, keyEncryptionKey, associatedData)
+                : null
+        };
+    }
+
+    /**
+     * Put a vault key in the form it is stored in (wrapped for password-protected vaults)
+     * @param {object} user - User document
+     * @param {string} vaultKey - Raw vault key
+     * @returns {string} Stored form of the key
+     */
+    protectVaultKey(user, vaultKey) {
+        if (user.vaultKeyProtection !== 'password') {
+            return vaultKey;
+        }
+
+        return encryptionService.wrapKey(vaultKey, this.keyEncryptionKeyOf(user), `vault-key:${user._id}`);
+    }
+
+    /**
+     * Pick the vault key an envelope was encrypted under
+     * While a rotation is in progress, copies already re-encrypted are under the pending key
+     * @param {object} user - User document with vaultKey and pendingVaultKey selected
+     * @param {object} envelope - Encrypted envelope
+     * @returns {string} Vault key
+     */
+    vaultKeyFor(user, envelope) {
+        const { vaultKey, pendingVaultKey } = this.vaultKeysOf(user);
+        if (pendingVaultKey && envelope && envelope.keyId === encryptionService.getKeyId(pendingVaultKey)) {
+            return pendingVaultKey;
+        }
+
+        return vaultKey;
+    }
+
+    /**
+     * Vault key new copies are encrypted under (the pending key while a rotation is in progress)
+     * @param {object} user - User document with vaultKey and pendingVaultKey selected
+     * @returns {string} Vault key
+     */
+    encryptionKeyFor(user) {
+        const { vaultKey, pendingVaultKey } = this.vaultKeysOf(user);
+        return pendingVaultKey || vaultKey;
+    }
+
+    /**
+     * Encrypt a holder copy of the subject for a user of this vault
+     * Password-protected vaults get a public-key wrap, so issuers can encrypt to them while they are locked
+     * @param {object} holderUser - Holder's user document with vaultKey and pendingVaultKey selected
+     * @param {object} credentialSubject - Plaintext subject
+     * @param {string} credentialId - Credential UUID (associated data)
+     * @returns {object} Encrypted envelope with wrapped content key
+     */
+    encryptHolderCopy(holderUser, credentialSubject, credentialId) {
+        if (holderUser.vaultKeyProtection === 'password') {
+            return encryptionService.encryptForPublicKey(credentialSubject, holderUser.vaultPublicKey, credentialId);
+        }
+
+        return encryptionService.encryptForRecipient(credentialSubject, this.encryptionKeyFor(holderUser), credentialId);
+    }
+
+    /**
+     * Unwrap the private key of a password-protected vault
+     * @param {object} user - User document
+     * @returns {string} Vault private key (PEM)
+     */
+    async vaultPrivateKeyOf(user) {
+        const { vaultPrivateKey } = await User.findById(user._id).select('+vaultPrivateKey');
+        if (!vaultPrivateKey) {
+            throw new Error('Vault has no private key');
+        }
+
+        return encryptionService.unwrapKey(vaultPrivateKey, this.keyEncryptionKeyOf(user), `vault-private-key:${user._id}`);
+    }
+
+    /**
+     * Find the vault user a DID belongs to
+     * @param {string} did - DID (any of the user's DIDs, or their primary DID)
+     * @param {string} select - Extra fields to select
+     * @returns {object|null} User document, or null when the DID is not a user of this vault
+     */
+    async findUserByDID(did, select = '') {
+        const DID = require('../models/DID');
+
+        const didDocument = await DID.findOne({ did }).select('userId');
+        return didDocument
+            ? User.findById(didDocument.userId).select(select)
+            : User.findOne({ did }).select(select);
+    }
+
+    /**
+     * Encrypt a copy of the subject for the holder, when the holder is another user of this vault
+     * The issuer's copy stays under the issuer's vault key; neither side needs the other's key
+     * @param {object} credential - Credential document (holder and userId set)
+     * @param {object} credentialSubject - Plaintext subject
+     */
+    async encryptForHolder(credential, credentialSubject) {
+        const holderUser = await this.findUserByDID(credential.holder, '+vaultKey +pendingVaultKey');
+
+        if (!holderUser || holderUser._id.equals(credential.userId)) {
+            // External or self-issued holder: nothing to re-encrypt
+            credential.holderCredentialData = null;
+            return;
+        }
+
+        credential.holderCredentialData = {
+            recipient: credential.holder,
+            ...this.encryptHolderCopy(holderUser, credentialSubject, credential.credentialId)
+        };
+
+        logger.info(`🔐 Credential subject re-encrypted for holder ${credential.holder}`);
+    }
+
+    /**
+     * Decrypt the subject with whichever copy the user can open
+     * @param {object} credential - Credential document
+     * @param {object} user - User document with vaultKey selected
+     * @returns {object} Decrypted subject
+     */
+    async decryptSubject(credential, user) {
+        if (credential.encryptionMode === 'client') {
+            throw new AppError('This credential was encrypted in the browser and can only be decrypted there', 409);
+        }
+
+        if (credential.userId.equals(user._id)) {
+            // Decentralized credentials keep the issuer copy on IPFS only
+            const envelope = credential.storageType === 'decentralized' && credential.ipfsCID
+                ? (await ipfsService.retrieveCredential(credential.ipfsCID)).encryptedData
+                : credential.credentialData;
+
+            if (!envelope || !envelope.encryptedData || !envelope.iv) {
+                throw new Error('Credential has no encrypted data');
+            }
+            return encryptionService.decryptCredential(
+                envelope,
+                this.vaultKeyFor(user, envelope),
+                credential.credentialId
+            );
+        }
+
+        if (!credential.holderCredentialData || !credential.holderCredentialData.encryptedData) {
+            throw new Error('No copy of this credential is encrypted for you');
+        }
+
+        const { wrappedKey } = credential.holderCredentialData;
+        const recipientKey = encryptionService.isPublicKeyWrapped(wrappedKey)
+            ? await this.vaultPrivateKeyOf(user)
+            : this.vaultKeyFor(user, wrappedKey);
+
+        return encryptionService.decryptForRecipient(
+            credential.holderCredentialData,
+            recipientKey,
+            credential.credentialId
+        );
+    }
+
+    /**
+     * Load the user's vault key and decrypt a credential subject for them
+     * @param {string} userId - User's MongoDB ID
+     * @param {object} credential - Credential document
+     * @returns {object} Decrypted subject
+     */
+    async decryptSubjectForUser(userId, credential) {
+        const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return this.decryptSubject(credential, user);
+    }
+
+    /**
+     * Replace the creator's encrypted copy (MongoDB and IPFS) with a fresh envelope
+     * IPFS is content-addressed, so a re-encrypted payload is uploaded under a new CID
+     * @param {object} credential - Credential document
+     * @param {object} subject - Plaintext subject
+     * @param {string} vaultKey - Vault key to encrypt under
+     * @returns {string|null} CID of the replaced IPFS payload
+     */
+    async replaceIssuerCopy(credential, subject, vaultKey) {
+        const encrypted = encryptionService.encryptCredential(subject, vaultKey, credential.credentialId);
+        const previousCID = credential.ipfsCID || null;
+
+        if (previousCID) {
+            const payload = await ipfsService.retrieveCredential(previousCID);
+            const ipfsResult = await ipfsService.uploadCredential({ ...payload, encryptedData: encrypted });
+            await ipfsService.pinCredential(ipfsResult.cid);
+            credential.ipfsCID = ipfsResult.cid;
+        }
+
+        credential.credentialData = credential.storageType === 'decentralized'
+            ? ipfsPlaceholder(encrypted)
+            : encrypted;
+
+        return previousCID;
+    }
+
+    /**
+     * Unpin the IPFS payload replaced by replaceIssuerCopy, once the saved record no longer points to it
+     * Blockchain anchors hold the credential hash, not the CID, and the old payload is under a retired key
+     * or format, so it is not kept
+     * @param {string|null} previousCID - CID returned by replaceIssuerCopy
+     */
+    async unpinReplacedCopy(previousCID) {
+        if (!previousCID) {
+            return;
+        }
+
+        await ipfsService.unpinCredential(previousCID).catch(error => {
+            logger.warn(`⚠️  Could not unpin ${previousCID}:`, error.message);
+        });
+    }
+
+    /**
+     * Encrypt the creator's copy of a credential brought in from elsewhere (e.g. a vault backup)
+     * A credential stored on IPFS gets a fresh payload; without IPFS it is kept in MongoDB instead
+     * @param {object} credential - Credential document (ipfsCID and storageType as they were)
+     * @param {object} subject - Plaintext subject
+     * @param {string} vaultKey - Vault key to encrypt under
+     */
+    async storeIssuerCopy(credential, subject, vaultKey) {
+        const encrypted = encryptionService.encryptCredential(subject, vaultKey, credential.credentialId);
+
+        if (credential.ipfsCID && ipfsService.isEnabled()) {
+            const ipfsResult = await ipfsService.uploadCredential({
+                credentialId: credential.credentialId,
+                credentialHash: credential.credentialHash,
+                encryptedData: encrypted,
+                timestamp: Date.now()
+            });
+            await ipfsService.pinCredential(ipfsResult.cid);
+            credential.ipfsCID = ipfsResult.cid;
+        } else if (credential.ipfsCID || credential.storageType === 'decentralized') {
+            credential.ipfsCID = null;
+            credential.storageType = 'centralized';
+        }
+
+        credential.credentialData = credential.storageType === 'decentralized'
+            ? ipfsPlaceholder(encrypted)
+            : encrypted;
+    }
+
+    /**
+     * Re-encrypt a credential stored in the legacy format (AES-256-CBC, no auth tag)
+     * as authenticated, versioned envelopes bound to its credentialId
+     * @param {object} credential - Credential document
+     * @param {object} owner - Creator's user document with vaultKey selected
+     */
+    async upgradeCredentialEncryption(credential, owner) {
+        const subject = await this.decryptSubject(credential, owner);
+
+        let previousCID = null;
+        if (encryptionService.isLegacyEnvelope(credential.credentialData)) {
+            previousCID = await this.replaceIssuerCopy(credential, subject, this.encryptionKeyFor(owner));
+        }
+
+        if (credential.holderCredentialData && encryptionService.isLegacyEnvelope(credential.holderCredentialData)) {
+            await this.encryptForHolder(credential, subject);
+        }
+
+        await credential.save();
+        await this.unpinReplacedCopy(previousCID);
+    }
+
+    /**
+     * Upgrade every credential still holding a legacy encrypted copy
+     * Credentials that cannot be upgraded yet (e.g. IPFS unavailable) are left readable and retried next run
+     * @returns {object} { upgraded, skipped }
+     */
+    async upgradeLegacyEncryption() {
+        const cursor = Credential.find({
+            $or: [
+                { 'credentialData.version': { $exists: false } },
+                {
+                    'holderCredentialData.encryptedData': { $exists: true },
+                    'holderCredentialData.version': { $exists: false }
+                }
+            ]
+        }).cursor();
+
+        const owners = new Map();
+        let upgraded = 0;
+        let skipped = 0;
+        for await (const credential of cursor) {
+            try {
+                const ownerId = credential.userId.toString();
+                if (!owners.has(ownerId)) {
+                    owners.set(ownerId, await User.findById(ownerId).select('+vaultKey +pendingVaultKey'));
+                }
+
+                const owner = owners.get(ownerId);
+                if (!owner) {
+                    skipped++;
+                    continue;
+                }
+
+                await this.upgradeCredentialEncryption(credential, owner);
+                upgraded++;
+            } catch (error) {
+                logger.warn(`⚠️  Could not upgrade encryption of credential ${credential.credentialId}:`, error.message);
+                skipped++;
+            }
+        }
+
+        if (upgraded > 0) {
+            logger.info(`✅ Re-encrypted ${upgraded} credential(s) with AES-256-GCM`);
+        }
+
+        return { upgraded, skipped };
+    }
+
     /**
      * Store a credential in the vault
      * @param {string} userId - User's MongoDB ID
@@ -21,8 +421,8 @@ class VaultService {
      */
     async storeCredential(userId, credentialData) {
         try {
-            // Validate user exists and get vault key
-            const user = await User.findById(userId).select('+vaultKey');
+            // Validate user exists and get vault and signing keys
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
             if (!user) {
                 throw new Error('User not found');
             }
@@ -32,17 +432,19 @@ class VaultService {
                 throw new Error('Missing required credential fields');
             }
 
-            // Debug log: See what data we received
+            // Log metadata only - the subject must never reach the logs in plaintext
             logger.info(`📥 Received credential data:`, {
                 credentialType: credentialData.credentialType,
-                issuerDID: credentialData.issuerDID,
-                credentialSubject: credentialData.credentialSubject
+                issuerDID: credentialData.issuerDID
             });
 
-            // Encrypt credential data
+            const credentialId = uuidv4();
+
+            // Encrypt credential data, bound to its credentialId
             const encrypted = encryptionService.encryptCredential(
                 credentialData.credentialSubject,
-                user.vaultKey
+                this.encryptionKeyFor(user),
+                credentialId
             );
 
             // Create credential hash for blockchain
@@ -96,11 +498,10 @@ class VaultService {
 
             // Create credential document
             const credential = new Credential({
-                credentialId: uuidv4(),
+                credentialId,
                 userId, // Creator's user ID (LPU)
                 did: user.did, // Creator's DID (LPU's DID)
                 credentialType: credentialData.credentialType,
-                credentialSubject: credentialData.credentialSubject,
                 credentialData: encrypted,
                 credentialHash,
                 issuer: {
@@ -113,31 +514,13 @@ class VaultService {
                 metadata: credentialData.metadata || {}
             });
 
-            await credential.save();
+            this.setSubjectCommitments(credential, credentialData.credentialSubject);
+            await this.signAsIssuer(user, credential);
+            await this.encryptForHolder(credential, credentialData.credentialSubject);
 
-            // Store on blockchain
-            try {
-                const blockchainResult = await blockchainService.storeCredential({
-                    credentialId: credential.credentialId,
-                    credentialHash,
-                    did: user.did,
-                    issuer: credential.issuer.did
-                });
+            await credential.save();
 
-                // Update credential with blockchain info
-                if (blockchainResult.simulated) {
-                    credential.blockchainBlockNumber = blockchainResult.simulated.blockIndex;
-                    credential.onBlockchain = true;
-                }
-                
-                if (blockchainResult.ethereum) {
-                    credential.blockchainTxHash = blockchainResult.ethereum.transactionHash;
-                }
-                
-                await credential.save();
-            } catch (blockchainError) {
-                logger.warn('Credential saved but blockchain storage failed:', blockchainError.message);
-            }
+            await this.anchorOnBlockchain(credential, user);
 
             // Optionally store on IPFS for decentralized storage
             if (ipfsService.isEnabled() && credentialData.useIPFS) {
@@ -170,93 +553,241 @@ class VaultService {
     }
 
     /**
-     * Retrieve a credential from the vault
+     * Anchor a saved credential's hash on the blockchain
+     * A failure is only logged - the credential stays in the vault without an anchor
+     * @param {object} credential - Saved credential document
+     * @param {object} user - Creator's user document
+     */
+    async anchorOnBlockchain(credential, user) {
+        try {
+            const blockchainResult = await blockchainService.storeCredential({
+                credentialId: credential.credentialId,
+                credentialHash: credential.credentialHash,
+                did: user.did,
+                issuer: credential.issuer.did
+            });
+
+            // Update credential with blockchain info
+            if (blockchainResult.simulated) {
+                credential.blockchainBlockNumber = blockchainResult.simulated.blockIndex;
+                credential.onBlockchain = true;
+            }
+
+            if (blockchainResult.ethereum) {
+                credential.blockchainTxHash = blockchainResult.ethereum.transactionHash;
+            }
+
+            await credential.save();
+        } catch (blockchainError) {
+            logger.warn('Credential saved but blockchain storage failed:', blockchainError.message);
+        }
+    }
+
+    /**
+     * Store a credential whose subject was encrypted in the issuer's browser
+     * The vault only receives ciphertext and the subject digest the issuer's proof commits to,
+     * so there are no blind indexes and no server-side decryption for these credentials
      * @param {string} userId - User's MongoDB ID
-     * @param {string} credentialId - Credential ID
-     * @param {boolean} decrypt - Whether to decrypt the credential data
-     * @returns {object} Retrieved credential
+     * @param {object} credentialData - { credentialId, credentialType, issuerDID, holder, encryptedSubject,
+     *                                    holderCopy, subjectDigest, issuanceDate, expirationDate, metadata }
+     * @returns {object} Stored credential
      */
-    async retrieveCredential(userId, credentialId, decrypt = false) {
+    async storeClientEncryptedCredential(userId, credentialData) {
         try {
-            // Get user's DIDs to check holder field
-            const User = require('../models/User');
-            const DID = require('../models/DID');
-            
-            const user = await User.findById(userId);
+            const user = await User.findById(userId).select('+clientVault');
             if (!user) {
                 throw new Error('User not found');
             }
 
-            // Get all DIDs for this user
-            const userDIDs = await DID.find({ userId }).select('did');
-            const didList = userDIDs.map(d => d.did);
+            if (!user.clientVault) {
+                throw new AppError('Enable browser-side encryption before storing pre-encrypted credentials', 400);
+            }
 
-            // Try to find by MongoDB _id first, then by credentialId UUID
-            let credential;
-            
-            // Check if it looks like a MongoDB ObjectId (24 hex chars)
-            if (typeof credentialId === 'string' && /^[0-9a-fA-F]{24}$/.test(credentialId)) {
-                // Find where user is either creator OR holder
-                credential = await Credential.findOne({
-                    $and: [
-                        {
-                            $or: [
-                                { _id: credentialId },
-                                { credentialId: credentialId }
-                            ]
-                        },
-                        {
-                            $or: [
-                                { userId: userId },
-                                { holder: { $in: didList } }
-                            ]
-                        }
-                    ]
-                });
-            } else {
-                // It's a UUID credentialId
-                credential = await Credential.findOne({
-                    $and: [
-                        { credentialId: credentialId },
-                        {
-                            $or: [
-                                { userId: userId },
-                                { holder: { $in: didList } }
-                            ]
-                        }
-                    ]
-                });
+            const { credentialId, encryptedSubject, holderCopy, holder } = credentialData;
+
+            if (encryptedSubject.keyId !== user.clientVault.keyId) {
+                throw new AppError('Credential was not encrypted under your browser vault key', 400);
+            }
+            if (encryptedSubject.associatedData !== credentialId) {
+                throw new AppError('Encrypted subject is not bound to the credentialId', 400);
             }
 
-            if (!credential) {
-                throw new Error('Credential not found or you do not have access to it');
+            // A holder copy is only useful to another user who can open it in their own browser
+            let holderCredentialData = null;
+            const holderUser = await this.findUserByDID(holder, '+clientVault');
+            if (holderCopy && holderUser && !holderUser._id.equals(user._id)) {
+                if (!holderUser.clientVault ||
+                    holderCopy.wrappedKey.keyId !== encryptionService.getPublicKeyId(holderUser.clientVault.publicKey)) {
+                    throw new AppError('Holder copy was not encrypted for the holder\'s browser key', 400);
+                }
+                if (holderCopy.associatedData !== credentialId) {
+                    throw new AppError('Holder copy is not bound to the credentialId', 400);
+                }
+
+                holderCredentialData = { recipient: holder, ...holderCopy };
             }
 
+            logger.info(`📥 Received browser-encrypted credential:`, {
+                credentialType: credentialData.credentialType,
+                issuerDID: credentialData.issuerDID
+            });
+
+            const credential = new Credential({
+                credentialId,
+                userId,
+                did: user.did,
+                credentialType: credentialData.credentialType,
+                encryptionMode: 'client',
+                credentialData: encryptedSubject,
+                holderCredentialData,
+                subjectDigest: credentialData.subjectDigest,
+                credentialHash: encryptionService.createHash({
+                    credentialType: credentialData.credentialType,
+                    subjectDigest: credentialData.subjectDigest,
+                    did: user.did,
+                    timestamp: Date.now()
+                }),
+                issuer: {
+                    did: credentialData.issuerDID,
+                    name: user.username || 'Self'
+                },
+                holder,
+                issuanceDate: credentialData.issuanceDate ? new Date(credentialData.issuanceDate).getTime() : Date.now(),
+                expirationDate: credentialData.expirationDate ? new Date(credentialData.expirationDate).getTime() : null,
+                metadata: credentialData.metadata || {}
+            });
+
+            // The proof commits to the digest the browser computed over the plaintext subject
+            await this.signAsIssuer(user, credential);
+            await credential.save();
+
+            await this.anchorOnBlockchain(credential, user);
+
+            logger.info(`✅ Browser-encrypted credential stored in vault: ${credential.credentialId}`);
+
+            return credential.toJSON();
+
+        } catch (error) {
+            logger.error('❌ Failed to store browser-encrypted credential:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the browser public key a credential holder's copy should be encrypted for
+     * @param {string} did - Holder DID
+     * @returns {object} { did, keyId, publicKey }
+     */
+    async getClientRecipientKey(did) {
+        const holderUser = await this.findUserByDID(did, '+clientVault');
+        if (!holderUser || !holderUser.clientVault) {
+            throw new AppError('Holder has not enabled browser-side encryption', 404);
+        }
+
+        return {
+            did,
+            keyId: encryptionService.getPublicKeyId(holderUser.clientVault.publicKey),
+            publicKey: holderUser.clientVault.publicKey
+        };
+    }
+
+    /**
+     * Find a credential the user created or holds
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential UUID or MongoDB _id
+     * @returns {object} Credential document
+     */
+    async findAccessibleCredential(userId, credentialId) {
+        // Get user's DIDs to check holder field
+        const DID = require('../models/DID');
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // Get all DIDs for this user
+        const userDIDs = await DID.find({ userId }).select('did');
+        const didList = userDIDs.map(d => d.did);
+
+        // Try to find by MongoDB _id first, then by credentialId UUID
+        let credential;
+        
+        // Check if it looks like a MongoDB ObjectId (24 hex chars)
+        if (typeof credentialId === 'string' && /^[0-9a-fA-F]{24}$/.test(credentialId)) {
+            // Find where user is either creator OR holder
+            credential = await Credential.findOne({
+                $and: [
+                    {
+                        $or: [
+                            { _id: credentialId },
+                            { credentialId: credentialId }
+                        ]
+                    },
+                    {
+                        $or: [
+                            { userId: userId },
+                            { holder: { $in: didList } }
+                        ]
+                    }
+                ]
+            });
+        } else {
+            // It's a UUID credentialId
+            credential = await Credential.findOne({
+                $and: [
+                    { credentialId: credentialId },
+                    {
+                        $or: [
+                            { userId: userId },
+                            { holder: { $in: didList } }
+                        ]
+                    }
+                ]
+            });
+        }
+
+        if (!credential) {
+            throw new Error('Credential not found or you do not have access to it');
+        }
+
+        return credential;
+    }
+
+    /**
+     * Retrieve a credential from the vault
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @param {boolean} decrypt - Whether to decrypt the credential data
+     * @returns {object} Retrieved credential
+     */
+    async retrieveCredential(userId, credentialId, decrypt = false) {
+        try {
+            const credential = await this.findAccessibleCredential(userId, credentialId);
+
             const result = credential.toJSON();
 
-            // Decrypt if requested
-            if (decrypt) {
-                const userWithKey = await User.findById(userId).select('+vaultKey');
+            // Browser-encrypted credentials are handed back as ciphertext for the browser to open
+            if (decrypt && credential.encryptionMode === 'client') {
+                const { credentialData, holderCredentialData } = credential.toObject();
+                result.encryptedSubject = credential.userId.equals(userId) ? credentialData : holderCredentialData;
+                if (!result.encryptedSubject) {
+                    result.decryptionError = 'No copy of this credential is encrypted for you';
+                }
+            } else if (decrypt) {
+                // Issuer copy for the creator, holder copy for the recipient
+                const userWithKey = await User.findById(userId).select('+vaultKey +pendingVaultKey');
                 if (!userWithKey) {
                     throw new Error('User not found');
                 }
 
-                // Check if credential has encrypted data
-                if (!credential.credentialData || !credential.credentialData.encryptedData || !credential.credentialData.iv) {
-                    logger.warn('⚠️  Credential has no encrypted data, skipping decryption');
-                } else {
-                    try {
-                        const decryptedData = encryptionService.decryptCredential(
-                            credential.credentialData.encryptedData,
-                            credential.credentialData.iv,
-                            userWithKey.vaultKey
-                        );
-                        result.decryptedSubject = decryptedData;
-                    } catch (decryptError) {
-                        logger.error('❌ Decryption failed:', decryptError.message);
-                        // Don't throw - just log and continue without decrypted data
-                        logger.warn('⚠️  Returning credential without decrypted data');
-                    }
+                try {
+                    result.decryptedSubject = await this.decryptSubject(credential, userWithKey);
+                } catch (decryptError) {
+                    logger.error('❌ Decryption failed:', decryptError.message);
+                    // Don't throw - return the credential and say why it could not be decrypted
+                    logger.warn('⚠️  Returning credential without decrypted data');
+                    result.decryptionError = decryptError.message;
                 }
             }
 
@@ -271,7 +802,7 @@ class VaultService {
     /**
      * List all credentials for a user
      * @param {string} userId - User's MongoDB ID
-     * @param {object} filters - Optional filters (type, status)
+     * @param {object} filters - Optional filters (type, status, subjectField + subjectValue)
      * @returns {Array} List of credentials
      */
     async listCredentials(userId, filters = {}) {
@@ -306,6 +837,10 @@ class VaultService {
             } else {
                 query.status = 'active'; // Default to active only
             }
+            if (filters.subjectField && filters.subjectValue !== undefined) {
+                // Match a subject field through its blinded index - the plaintext is never stored
+                query.subjectIndex = encryptionService.createBlindIndex(filters.subjectField, filters.subjectValue);
+            }
 
             const credentials = await Credential.find(query)
                 .sort('-createdAt')
@@ -343,18 +878,25 @@ class VaultService {
             const allowedUpdates = ['credentialSubject', 'metadata', 'expirationDate'];
             const updateKeys = Object.keys(updates);
             
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            if (updateKeys.includes('credentialSubject') && credential.encryptionMode === 'client') {
+                throw new AppError('The subject of a browser-encrypted credential cannot be changed on the server', 409);
+            }
+
             // Handle credential subject update separately due to encryption
             if (updateKeys.includes('credentialSubject')) {
-                const user = await User.findById(userId).select('+vaultKey');
-                if (!user) {
-                    throw new Error('User not found');
-                }
                 const encrypted = encryptionService.encryptCredential(
                     updates.credentialSubject,
-                    user.vaultKey
+                    this.encryptionKeyFor(user),
+                    credential.credentialId
                 );
                 credential.credentialData = encrypted;
-                credential.credentialSubject = updates.credentialSubject;
+                this.setSubjectCommitments(credential, updates.credentialSubject);
+                await this.encryptForHolder(credential, updates.credentialSubject);
             }
             
             // Update other allowed fields
@@ -364,6 +906,16 @@ class VaultService {
                 }
             });
 
+            // A new expiration date gets its own expiry notice
+            if (updateKeys.includes('expirationDate')) {
+                credential.expiryNoticeSentAt = null;
+            }
+
+            // Signed fields changed, so the issuer has to sign again
+            if (updateKeys.includes('credentialSubject') || updateKeys.includes('expirationDate')) {
+                await this.signAsIssuer(user, credential);
+            }
+
             await credential.save();
 
             logger.info(`✅ Credential updated: ${credentialId}`);
@@ -429,6 +981,41 @@ class VaultService {
         }
     }
 
+    /**
+     * Find a credential the user created (the issuer side of status changes)
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential UUID or MongoDB _id
+     * @returns {object} Credential document
+     */
+    async findOwnedCredential(userId, credentialId) {
+        // Try to find by MongoDB _id first, then by credentialId UUID
+        let credential;
+        
+        // Check if it looks like a MongoDB ObjectId (24 hex chars)
+        if (typeof credentialId === 'string' && /^[0-9a-fA-F]{24}$/.test(credentialId)) {
+            // Try both _id and credentialId just to be sure
+            credential = await Credential.findOne({ 
+                $or: [
+                    { _id: credentialId },
+                    { credentialId: credentialId }
+                ],
+                userId 
+            });
+        } else {
+            // It's a UUID credentialId or something else
+            credential = await Credential.findOne({ 
+                credentialId, 
+                userId 
+            });
+        }
+
+        if (!credential) {
+            throw new Error('Credential not found');
+        }
+
+        return credential;
+    }
+
     /**
      * Revoke a credential
      * @param {string} userId - User's MongoDB ID
@@ -438,32 +1025,15 @@ class VaultService {
      */
     async revokeCredential(userId, credentialId, reason = null) {
         try {
-            // Try to find by MongoDB _id first, then by credentialId UUID
-            let credential;
-            
-            // Check if it looks like a MongoDB ObjectId (24 hex chars)
-            if (typeof credentialId === 'string' && /^[0-9a-fA-F]{24}$/.test(credentialId)) {
-                // Try both _id and credentialId just to be sure
-                credential = await Credential.findOne({ 
-                    $or: [
-                        { _id: credentialId },
-                        { credentialId: credentialId }
-                    ],
-                    userId 
-                });
-            } else {
-                // It's a UUID credentialId or something else
-                credential = await Credential.findOne({ 
-                    credentialId, 
-                    userId 
-                });
-            }
+            const credential = await this.findOwnedCredential(userId, credentialId);
 
-            if (!credential) {
-                throw new Error('Credential not found');
-            }
+            // Only the issuer's own records may change status, and with it the issuer's status list
+            await statusListService.assertIssuer(credential);
+
+            await credential.revoke(reason, userId);
 
-            await credential.revoke(reason);
+            // Publish the revocation in the issuer's status list
+            await statusListService.setCredentialStatus(credential, 'revocation', true);
 
             logger.info(`✅ Credential revoked: ${credentialId}`);
 
@@ -476,13 +1046,396 @@ class VaultService {
     }
 
     /**
-     * Verify a credential
+     * Suspend a credential until it is reinstated
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @param {string} reason - Suspension reason
+     * @param {Date} reinstateAt - Optional date to reinstate automatically
+     * @returns {object} Suspended credential
+     */
+    async suspendCredential(userId, credentialId, reason, reinstateAt = null) {
+        try {
+            const credential = await this.findOwnedCredential(userId, credentialId);
+
+            await statusListService.assertIssuer(credential);
+
+            if (credential.isExpired()) {
+                throw new Error('Expired credentials cannot be suspended');
+            }
+
+            await credential.suspend(reason, reinstateAt, userId);
+
+            // Publish the suspension in the issuer's status list
+            await statusListService.setCredentialStatus(credential, 'suspension', true);
+
+            logger.info(`✅ Credential suspended: ${credentialId}${reinstateAt ? ` until ${new Date(reinstateAt).toISOString()}` : ''}`);
+
+            return credential.toJSON();
+            
+        } catch (error) {
+            logger.error('❌ Failed to suspend credential:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Reinstate a suspended credential
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @param {string} reason - Reinstatement reason
+     * @returns {object} Reinstated credential
+     */
+    async reinstateCredential(userId, credentialId, reason = null) {
+        try {
+            const credential = await this.findOwnedCredential(userId, credentialId);
+
+            await statusListService.assertIssuer(credential);
+
+            await credential.reactivate(reason, userId);
+
+            // Clear the suspension bit so status list checks pass again
+            await statusListService.setCredentialStatus(credential, 'suspension', false);
+
+            logger.info(`✅ Credential reinstated: ${credentialId}`);
+
+            return credential.toJSON();
+            
+        } catch (error) {
+            logger.error('❌ Failed to reinstate credential:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Reinstate a suspended credential whose auto-reinstate date has passed
+     * Called before any status check so verifiers never see a lapsed suspension
+     * @param {object} credential - Credential document
+     * @returns {object} The same credential, reinstated if due
+     */
+    async applyScheduledReinstatement(credential) {
+        if (!credential || !credential.isSuspensionLapsed()) {
+            return credential;
+        }
+
+        await credential.reactivate('Suspension period ended');
+        await statusListService.setCredentialStatus(credential, 'suspension', false);
+
+        logger.info(`✅ Credential reinstated on schedule: ${credential.credentialId}`);
+
+        return credential;
+    }
+
+    /**
+     * Reinstate every suspended credential whose auto-reinstate date has passed
+     * @returns {number} Number of credentials reinstated
+     */
+    async reinstateDueCredentials() {
+        const due = await Credential.find({
+            status: 'suspended',
+            suspendedUntil: { $ne: null, $lte: new Date() }
+        });
+
+        for (const credential of due) {
+            await this.applyScheduledReinstatement(credential);
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Export a credential as a W3C Verifiable Credential (JSON-LD)
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @returns {object} Verifiable Credential document
+     */
+    async exportVerifiableCredential(userId, credentialId) {
+        try {
+            const credential = await this.findAccessibleCredential(userId, credentialId);
+            const subject = await this.decryptSubjectForUser(userId, credential);
+
+            logger.info(`✅ Credential exported as W3C VC: ${credential.credentialId}`);
+
+            return credential.toVerifiableCredential(subject);
+            
+        } catch (error) {
+            logger.error('❌ Failed to export credential:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Import a W3C Verifiable Credential (JSON-LD) into the vault
+     * Only VCs whose proof verifies against the issuer's DID are stored and anchored; the proof
+     * is kept as-is so the issuer's signature can still be checked later
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential UUID the VC is imported as (its id is urn:uuid:<credentialId>)
+     * @param {object} vc - Verifiable Credential document
+     * @returns {object} Imported credential with proof verification result
+     */
+    async importVerifiableCredential(userId, credentialId, vc) {
+        try {
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Map the VC type onto one of the vault's credential types
+            const supportedTypes = Credential.schema.path('credentialType').enumValues;
+            const credentialType = [].concat(vc.type).find(t => supportedTypes.includes(t));
+            if (!credentialType) {
+                throw new Error(`Unsupported credential type. Expected one of: ${supportedTypes.join(', ')}`);
+            }
+
+            // The proof covers the credential id, so the VC keeps the identifier it was issued with
+            if (!/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(credentialId)) {
+                throw new AppError('Imported credentials are identified by a UUID', 400);
+            }
+            if (vc.id !== undefined && vc.id !== `urn:uuid:${credentialId}`) {
+                throw new AppError(`VC id must be urn:uuid:${credentialId}`, 400);
+            }
+
+            const existing = await Credential.findOne({ credentialId });
+            if (existing) {
+                throw new AppError('Credential already exists in the vault', 409);
+            }
+
+            const issuer = typeof vc.issuer === 'string' ? { id: vc.issuer } : vc.issuer;
+            const credentialSubject = vc.credentialSubject;
+            const holderDID = credentialSubject.id || user.did;
+            const issuanceDate = new Date(vc.validFrom || vc.issuanceDate);
+            const expirationDate = vc.validUntil || vc.expirationDate
+                ? new Date(vc.validUntil || vc.expirationDate)
+                : null;
+
+            const encrypted = encryptionService.encryptCredential(
+                credentialSubject,
+                this.encryptionKeyFor(user),
+                credentialId
+            );
+
+            const { proof, ...unsignedVC } = vc;
+            const credentialHash = encryptionService.createHash(unsignedVC);
+
+            const credential = new Credential({
+                credentialId,
+                userId,
+                did: user.did,
+                credentialType,
+                credentialData: encrypted,
+                credentialHash,
+                issuer: {
+                    did: issuer.id,
+                    name: issuer.name || 'Unknown'
+                },
+                holder: holderDID,
+                issuanceDate,
+                expirationDate,
+                credentialStatus: [].concat(vc.credentialStatus || []),
+                proof: proof ? {
+                    type: proof.type,
+                    created: proof.created,
+                    proofPurpose: proof.proofPurpose,
+                    verificationMethod: proof.verificationMethod,
+                    proofValue: proof.proofValue
+                } : undefined,
+                metadata: {
+                    imported: true,
+                    importedAt: new Date().toISOString(),
+                    originalId: vc.id || null
+                }
+            });
+
+            this.setSubjectCommitments(credential, credentialSubject);
+
+            // Unverified VCs never reach the vault or the blockchain
+            const proofVerification = await proofService.verifyCredentialProof(credential);
+            if (!proofVerification.verified) {
+                throw new AppError(`Credential proof does not verify: ${proofVerification.reason}`, 400);
+            }
+
+            await credential.save();
+
+            await this.anchorOnBlockchain(credential, user);
+
+            logger.info(`✅ W3C VC imported into vault: ${credential.credentialId}`);
+
+            return {
+                credential: credential.toJSON(),
+                proofVerification
+            };
+            
+        } catch (error) {
+            logger.error('❌ Failed to import credential:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Deliver a credential as a JWT-VC signed by its issuer
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @returns {string} Compact JWT
+     */
+    async getCredentialJwt(userId, credentialId) {
+        try {
+            const credential = await this.findSignableCredential(userId, credentialId);
+            const { signer, verificationMethod } = await this.getIssuerSigningKey(credential);
+            const subject = await this.decryptSubjectForUser(userId, credential);
+
+            return proofService.signCredentialJwt(credential, signer, verificationMethod, subject);
+            
+        } catch (error) {
+            logger.error('❌ Failed to encode credential as JWT:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Deliver a credential as an SD-JWT signed by its issuer
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} credentialId - Credential ID
+     * @param {Array<string>|null} claims - Subject claims to disclose (all when null)
+     * @returns {string} Combined SD-JWT with the chosen disclosures
+     */
+    async getCredentialSdJwt(userId, credentialId, claims = null) {
+        try {
+            const credential = await this.findSignableCredential(userId, credentialId);
+            const { signer, verificationMethod } = await this.getIssuerSigningKey(credential);
+            const subject = await this.decryptSubjectForUser(userId, credential);
+
+            const sdJwt = sdJwtService.issue(credential, signer, verificationMethod, subject);
+
+            return claims ? sdJwtService.present(sdJwt, claims) : sdJwt;
+            
+        } catch (error) {
+            logger.error('❌ Failed to encode credential as SD-JWT:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a credential the user may have signed again in another format
+     * The issuer's signature is only minted for the issuer, and only over a credential that is still valid
+     * @param {string} userId - User's MongoDB ID
      * @param {string} credentialId - Credential ID
+     * @returns {object} Credential document
+     */
+    async findSignableCredential(userId, credentialId) {
+        const DID = require('../models/DID');
+        const credential = await this.applyScheduledReinstatement(await this.findOwnedCredential(userId, credentialId));
+
+        // Imported credentials and copies held for others were signed elsewhere
+        const issuerDID = !(credential.metadata && credential.metadata.imported)
+            && await DID.findOne({ did: credential.issuer.did, userId });
+        if (!issuerDID) {
+            throw new AppError('Only the issuer can sign a credential again', 403);
+        }
+
+        if (!credential.isValid()) {
+            throw new AppError(`Credential is ${credential.isExpired() ? 'expired' : credential.status} and can't be signed again`, 409);
+        }
+
+        return credential;
+    }
+
+    /**
+     * Look up the issuer's signing key for re-encoding a credential
+     * Only credentials issued from this vault can be encoded, since the issuer key must be held here
+     * @param {object} credential - Credential document
+     * @returns {object} { signer, verificationMethod }
+     */
+    async getIssuerSigningKey(credential) {
+        const issuer = await User.findOne({ did: credential.issuer.did });
+        if (!issuer || !issuer.signingKeyId) {
+            throw new Error('This format is only available for credentials issued by a DID held in this vault');
+        }
+
+        return didService.getSigningKey(issuer);
+    }
+
+    /**
+     * Verify a pasted JWT-VC or SD-JWT
+     * Checks the issuer signature, then the vault record's status when the credential is known here
+     * @param {string} token - Compact JWT, or SD-JWT with disclosures
+     * @returns {object} Verification result
+     */
+    async verifyCredentialJwt(token) {
+        try {
+            const isSdJwt = token.includes('~');
+            const format = isSdJwt ? 'sd-jwt' : 'jwt';
+            const jwtVerification = isSdJwt
+                ? await sdJwtService.verify(token)
+                : await proofService.verifyCredentialJwt(token);
+
+            if (!jwtVerification.verified) {
+                return {
+                    valid: false,
+                    reason: jwtVerification.reason,
+                    format,
+                    jwtVerification
+                };
+            }
+
+            const uuidMatch = typeof jwtVerification.payload.jti === 'string'
+                && jwtVerification.payload.jti.match(/^urn:uuid:(.+)$/);
+            const credential = await this.applyScheduledReinstatement(uuidMatch
+                ? await Credential.findOne({ credentialId: uuidMatch[1] })
+                : null);
+
+            if (credential && credential.status !== 'active') {
+                return {
+                    valid: false,
+                    reason: `Credential is ${credential.status}`,
+                    format,
+                    credential: credential.toJSON(),
+                    suspension: credential.getSuspension(),
+                    jwtVerification
+                };
+            }
+
+            // SD-JWTs carry no status entries; JWT-VCs carry the issuer's in their vc claim
+            const { vc, iss } = jwtVerification.payload;
+            const statusCheck = await statusListService.checkCredentialStatus(vc && vc.credentialStatus, iss);
+
+            if (statusCheck.reason) {
+                return {
+                    valid: false,
+                    reason: statusCheck.reason,
+                    format,
+                    credential: credential ? credential.toJSON() : null,
+                    statusCheck,
+                    jwtVerification
+                };
+            }
+
+            return {
+                valid: true,
+                format,
+                credential: credential ? credential.toJSON() : null,
+                statusCheck,
+                jwtVerification
+            };
+            
+        } catch (error) {
+            logger.error('❌ JWT-VC verification failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify a credential
+     * @param {string} credentialId - Credential ID, or a pasted JWT-VC / SD-JWT
      * @returns {object} Verification result
      */
     async verifyCredential(credentialId) {
         try {
-            const credential = await Credential.findOne({ credentialId });
+            if (decodeJWS(String(credentialId).split('~')[0])) {
+                return this.verifyCredentialJwt(credentialId);
+            }
+
+            const credential = await this.applyScheduledReinstatement(
+                await Credential.findOne({ credentialId })
+            );
 
             if (!credential) {
                 return {
@@ -500,12 +1453,41 @@ class VaultService {
                 };
             }
 
-            // Check status
+            // Check status (suspension is reversible, so report when it ends)
             if (credential.status !== 'active') {
                 return {
                     valid: false,
                     reason: `Credential is ${credential.status}`,
-                    credential: credential.toJSON()
+                    credential: credential.toJSON(),
+                    suspension: credential.getSuspension()
+                };
+            }
+
+            // Verify the issuer's signature against their DID document
+            const proofVerification = await proofService.verifyCredentialProof(credential);
+
+            if (!proofVerification.verified) {
+                return {
+                    valid: false,
+                    reason: proofVerification.reason,
+                    credential: credential.toJSON(),
+                    proofVerification
+                };
+            }
+
+            // The issuer's status list has the final say, also for credentials imported from other issuers
+            const statusCheck = await statusListService.checkCredentialStatus(
+                credential.credentialStatus,
+                credential.issuer.did
+            );
+
+            if (statusCheck.reason) {
+                return {
+                    valid: false,
+                    reason: statusCheck.reason,
+                    credential: credential.toJSON(),
+                    proofVerification,
+                    statusCheck
                 };
             }
 
@@ -518,13 +1500,16 @@ class VaultService {
                 return {
                     valid: false,
                     reason: 'Credential not found on blockchain',
-                    credential: credential.toJSON()
+                    credential: credential.toJSON(),
+                    proofVerification
                 };
             }
 
             return {
                 valid: true,
                 credential: credential.toJSON(),
+                proofVerification,
+                statusCheck,
                 blockchainVerification
             };
             
@@ -548,6 +1533,7 @@ class VaultService {
             const activeCredentials = await Credential.countDocuments({ userId, status: 'active' });
             const revokedCredentials = await Credential.countDocuments({ userId, status: 'revoked' });
             const expiredCredentials = await Credential.countDocuments({ userId, status: 'expired' });
+            const suspendedCredentials = await Credential.countDocuments({ userId, status: 'suspended' });
             
             // DID stats
             const totalDIDs = await DID.countDocuments({ userId });
@@ -565,6 +1551,7 @@ class VaultService {
                 activeCredentials,
                 revokedCredentials,
                 expiredCredentials,
+                suspendedCredentials,
                 byType: credentialTypes.map(t => ({ 
                     type: t._id, 
                     count: t.count 
@@ -620,8 +1607,8 @@ class VaultService {
                 throw new Error('IPFS service is not enabled. Set IPFS_ENABLED=true in environment.');
             }
 
-            // Validate user exists and get vault key
-            const user = await User.findById(userId).select('+vaultKey');
+            // Validate user exists and get vault and signing keys
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
             if (!user) {
                 throw new Error('User not found');
             }
@@ -631,10 +1618,13 @@ class VaultService {
                 throw new Error('Missing required credential fields');
             }
 
-            // Encrypt credential data
+            const credentialId = uuidv4();
+
+            // Encrypt credential data, bound to its credentialId
             const encrypted = encryptionService.encryptCredential(
                 credentialData.credentialSubject,
-                user.vaultKey
+                this.encryptionKeyFor(user),
+                credentialId
             );
 
             // Create credential hash for blockchain
@@ -645,8 +1635,6 @@ class VaultService {
                 timestamp: Date.now()
             });
 
-            const credentialId = uuidv4();
-
             // Upload encrypted data to IPFS
             const ipfsResult = await ipfsService.uploadCredential({
                 credentialId,
@@ -664,11 +1652,7 @@ class VaultService {
                 userId,
                 did: user.did,
                 credentialType: credentialData.credentialType,
-                credentialSubject: credentialData.credentialSubject, // Store unencrypted for queries
-                credentialData: {
-                    encryptedData: 'STORED_ON_IPFS',
-                    iv: 'STORED_ON_IPFS'
-                },
+                credentialData: ipfsPlaceholder(encrypted),
                 credentialHash,
                 issuer: {
                     did: credentialData.issuerDID || user.did,
@@ -682,31 +1666,12 @@ class VaultService {
                 storageType: 'decentralized'
             });
 
-            await credential.save();
+            this.setSubjectCommitments(credential, credentialData.credentialSubject);
+            await this.signAsIssuer(user, credential);
 
-            // Store on blockchain
-            try {
-                const blockchainResult = await blockchainService.storeCredential({
-                    credentialId: credential.credentialId,
-                    credentialHash,
-                    did: user.did,
-                    issuer: credential.issuer.did,
-                    ipfsCID: ipfsResult.cid
-                });
+            await credential.save();
 
-                if (blockchainResult.simulated) {
-                    credential.blockchainBlockNumber = blockchainResult.simulated.blockIndex;
-                    credential.onBlockchain = true;
-                }
-                
-                if (blockchainResult.ethereum) {
-                    credential.blockchainTxHash = blockchainResult.ethereum.transactionHash;
-                }
-                
-                await credential.save();
-            } catch (blockchainError) {
-                logger.warn('Credential saved but blockchain storage failed:', blockchainError.message);
-            }
+            await this.anchorOnBlockchain(credential, user);
 
             logger.info(`✅ Credential stored in DECENTRALIZED mode: ${credential.credentialId}`);
             logger.info(`📦 IPFS CID: ${ipfsResult.cid}`);
@@ -754,16 +1719,16 @@ class VaultService {
             const ipfsData = await ipfsService.retrieveCredential(credential.ipfsCID);
 
             // Get user's vault key for decryption
-            const user = await User.findById(userId).select('+vaultKey');
+            const user = await User.findById(userId).select('+vaultKey +pendingVaultKey');
             if (!user) {
                 throw new Error('User not found');
             }
 
             // Decrypt the credential data
             const decryptedSubject = encryptionService.decryptCredential(
-                ipfsData.encryptedData.encryptedData,
-                ipfsData.encryptedData.iv,
-                user.vaultKey
+                ipfsData.encryptedData,
+                this.vaultKeyFor(user, ipfsData.encryptedData),
+                credential.credentialId
             );
 
             logger.info(`✅ Credential retrieved from IPFS: ${credentialId}`);
@@ -0,0 +1,109 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/env');
+
+/**
+ * Vault Session Service - Holds unwrapped key-encryption keys of password-protected vaults
+ * Keys live in memory only, from login until logout or expiry. After a restart the
+ * vault stays locked until the user logs in again
+ *
+ * Keys are held per login session (the sid claim of the access token), not per user, so a
+ * vault unlocked by one login is not open to the user's other tokens. Requests run inside
+ * their session (see runInSession), which is where getKeyEncryptionKey looks
+ */
+class VaultSessionService {
+    constructor() {
+        this.sessions = new Map(); // sessionId → { userId, keyEncryptionKey, expiresAt }
+        this.currentSession = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run a request (and everything it awaits) inside a login session
+     * @param {string|null} sessionId - Session id from the access token
+     * @param {Function} callback - Rest of the request
+     * @returns {*} What callback returns
+     */
+    runInSession(sessionId, callback) {
+        return this.currentSession.run(sessionId || null, callback);
+    }
+
+    /**
+     * Get the session id of the request being handled
+     * @returns {string|null} Session id, or null outside a login session
+     */
+    getCurrentSessionId() {
+        return this.currentSession.getStore() || null;
+    }
+
+    /**
+     * Unlock a user's vault for the lifetime of one login session
+     * @param {string} sessionId - Session id
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} keyEncryptionKey - Unwrapped key-encryption key
+     */
+    unlock(sessionId, userId, keyEncryptionKey) {
+        if (!sessionId) {
+            throw new Error('A vault can only be unlocked for a login session');
+        }
+
+        this.sessions.set(sessionId, {
+            userId: String(userId),
+            keyEncryptionKey,
+            expiresAt: Date.now() + config.vaultSession.ttlMs
+        });
+    }
+
+    /**
+     * Get the key-encryption key of a vault unlocked in the current session
+     * @param {string} userId - User's MongoDB ID
+     * @param {string} sessionId - Session id (defaults to the current request's)
+     * @returns {string|null} Key-encryption key, or null when the vault is locked in this session
+     */
+    getKeyEncryptionKey(userId, sessionId = this.getCurrentSessionId()) {
+        const session = sessionId ? this.sessions.get(sessionId) : null;
+        if (!session || session.userId !== String(userId)) {
+            return null;
+        }
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+
+        return session.keyEncryptionKey;
+    }
+
+    /**
+     * Lock the vault of one session (forget its key-encryption key)
+     * @param {string} sessionId - Session id
+     */
+    lock(sessionId) {
+        if (sessionId) {
+            this.sessions.delete(sessionId);
+        }
+    }
+
+    /**
+     * Lock a user's vault in every session (e.g. after a password reset)
+     * @param {string} userId - User's MongoDB ID
+     */
+    lockAll(userId) {
+        for (const [sessionId, session] of this.sessions) {
+            if (session.userId === String(userId)) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Check whether a user's vault is unlocked in the current session
+     * @param {string} userId - User's MongoDB ID
+     * @returns {boolean} True when unlocked
+     */
+    isUnlocked(userId) {
+        return this.getKeyEncryptionKey(userId) !== null;
+    }
+}
+
+// Export singleton instance
+const vaultSessionService = new VaultSessionService();
+module.exports = vaultSessionService;
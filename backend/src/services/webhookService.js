@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { createHMAC } = require('../utils/crypto');
+const { isPublicUrl, publicDispatcher } = require('../utils/publicHost');
+
+/**
+ * Webhook Service - Delivers credential lifecycle events to issuers
+ * Each delivery is signed with the issuer's webhook secret:
+ *   X-Vault-Signature: sha256=<HMAC-SHA256 of the raw body>
+ */
+class WebhookService {
+
+    /**
+     * Build the event body sent to the issuer (never includes the credential subject)
+     * @param {string} type - Event type
+     * @param {object} payload - { credential, daysRemaining }
+     * @returns {object} Webhook body
+     */
+    buildEventBody(type, { credential, daysRemaining }) {
+        return {
+            event: type,
+            credentialId: credential.credentialId,
+            credentialType: credential.credentialType,
+            issuer: credential.issuer.did,
+            holder: credential.holder,
+            status: credential.status,
+            expirationDate: credential.expirationDate,
+            ...(daysRemaining !== undefined && { daysRemaining }),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * POST an event to the issuer's webhook, if one is configured
+     * @param {string} type - Event type
+     * @param {object} payload - { credential, daysRemaining }
+     * @returns {object|null} Delivery result, or null when the issuer has no webhook
+     */
+    async notifyIssuer(type, payload) {
+        const issuer = await User.findOne({ did: payload.credential.issuer.did }).select('+webhookSecret');
+        if (!issuer || !issuer.webhookUrl) {
+            return null;
+        }
+
+        // Checked again at send time: URLs saved before the check existed, or names that now resolve elsewhere
+        if (!isPublicUrl(issuer.webhookUrl)) {
+            logger.warn(`⚠️  Webhook ${type} to ${issuer.webhookUrl} not sent: not a public URL`);
+            return { delivered: false, error: 'URL must be http(s) on a public domain name' };
+        }
+
+        const body = JSON.stringify(this.buildEventBody(type, payload));
+
+        try {
+            const response = await fetch(issuer.webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Vault-Event': type,
+                    'X-Vault-Signature': `sha256=${createHMAC(body, issuer.webhookSecret)}`
+                },
+                body,
+                // A redirect could point the delivery at a host that was never checked
+                redirect: 'error',
+                signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+                // Resolves and checks the host as the connection is made, so it can't be re-pointed in between
+                dispatcher: publicDispatcher
+            });
+
+            if (!response.ok) {
+                logger.warn(`⚠️  Webhook ${type} to ${issuer.webhookUrl} returned ${response.status}`);
+            } else {
+                logger.info(`✅ Webhook ${type} delivered to ${issuer.webhookUrl}`);
+            }
+
+            return { delivered: response.ok, status: response.status };
+
+        } catch (error) {
+            const reason = (error.cause || error).message;
+            logger.warn(`⚠️  Webhook ${type} to ${issuer.webhookUrl} failed:`, reason);
+            return { delivered: false, error: reason };
+        }
+    }
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+module.exports = webhookService;
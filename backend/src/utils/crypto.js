@@ -94,6 +94,125 @@ const generateKeyPair = () => {
   return { publicKey, privateKey };
 };
 
+/**
+ * Serialize data to a canonical JSON string (sorted keys, no whitespace)
+ * so the same object always produces the same bytes to sign or hash
+ */
+const canonicalize = (data) => {
+  if (data === null || typeof data !== 'object') {
+    return JSON.stringify(data);
+  }
+  if (data instanceof Date) {
+    return JSON.stringify(data.toISOString());
+  }
+  if (Array.isArray(data)) {
+    return `[${data.map((item) => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  const entries = Object.keys(data)
+    .filter((key) => data[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(data[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Sign bytes with a PEM private key or a KMS signer (see kmsService.getSigner)
+ * The digest is picked from the key type (SHA-256 for RSA, none for Ed25519)
+ */
+const signBytes = (bytes, privateKey) => {
+  return typeof privateKey.sign === 'function'
+    ? privateKey.sign(bytes)
+    : crypto.sign(null, bytes, privateKey);
+};
+
+/**
+ * Key type ('rsa' or 'ed25519') of a PEM key or a KMS signer
+ */
+const getKeyType = (key) => {
+  if (key.keyType) {
+    return key.keyType;
+  }
+  const keyObject = key.includes('PRIVATE KEY')
+    ? crypto.createPrivateKey(key)
+    : crypto.createPublicKey(key);
+  return keyObject.asymmetricKeyType;
+};
+
+/**
+ * Sign data with a PEM private key or a KMS signer
+ */
+const signData = (data, privateKey) => {
+  const payload = typeof data === 'string' ? data : canonicalize(data);
+  return signBytes(Buffer.from(payload, 'utf8'), privateKey).toString('base64url');
+};
+
+/**
+ * Verify a base64url signature produced by signData
+ */
+const verifySignature = (data, signature, publicKey) => {
+  try {
+    const payload = typeof data === 'string' ? data : canonicalize(data);
+    return crypto.verify(
+      null,
+      Buffer.from(payload, 'utf8'),
+      publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * JWS algorithm name for a PEM key or KMS signer (RS256 for RSA, EdDSA for Ed25519)
+ */
+const getJWSAlgorithm = (key) => {
+  return getKeyType(key) === 'ed25519' ? 'EdDSA' : 'RS256';
+};
+
+/**
+ * Create a compact JWS (header.payload.signature) signed with a PEM private key or KMS signer
+ */
+const signJWS = (payload, privateKey, header = {}) => {
+  const encode = (part) => Buffer.from(JSON.stringify(part), 'utf8').toString('base64url');
+  const protectedHeader = { alg: getJWSAlgorithm(privateKey), typ: 'JWT', ...header };
+  const signingInput = `${encode(protectedHeader)}.${encode(payload)}`;
+  const signature = signBytes(Buffer.from(signingInput, 'utf8'), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Decode a compact JWS without verifying it
+ * Returns null when the token is not a well-formed JWS
+ */
+const decodeJWS = (token) => {
+  if (typeof token !== 'string' || !/^[\w-]+\.[\w-]+\.[\w-]+$/.test(token)) {
+    return null;
+  }
+  try {
+    const [header, payload, signature] = token.split('.');
+    return {
+      header: JSON.parse(Buffer.from(header, 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+      signingInput: `${header}.${payload}`,
+      signature,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify a compact JWS signature with a PEM public key
+ */
+const verifyJWS = (token, publicKey) => {
+  const decoded = decodeJWS(token);
+  if (!decoded || decoded.header.alg !== getJWSAlgorithm(publicKey)) {
+    return false;
+  }
+  return verifySignature(decoded.signingInput, decoded.signature, publicKey);
+};
+
 module.exports = {
     generateKey,
     encrypt,
@@ -105,4 +224,11 @@ module.exports = {
     encryptAES,
     decryptAES,
     generateKeyPair,
+    canonicalize,
+    getKeyType,
+    signData,
+    verifySignature,
+    signJWS,
+    decodeJWS,
+    verifyJWS,
 };
\ No newline at end of file
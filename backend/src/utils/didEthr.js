@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * did:ethr identifiers: an Ethereum address, optionally prefixed with the network it lives on
+ *
+ * did:ethr:0xb9c5...8a              → mainnet
+ * did:ethr:sepolia:0xb9c5...8a      → a named network
+ * did:ethr:0x539:0xb9c5...8a        → a network named by its chain id (the local dev chain)
+ * See https://github.com/decentralized-identity/ethr-did-resolver/blob/master/doc/did-method-spec.md
+ */
+
+const DID_ETHR_PREFIX = 'did:ethr:';
+const DID_ETHR_PATTERN = /^did:ethr:(?:([a-zA-Z0-9_-]+):)?(0x[0-9a-fA-F]{40})$/;
+
+/**
+ * Whether a DID is a did:ethr account identifier
+ * (DIDs created with the ethr method before registry support carry a random identifier instead)
+ */
+const isDidEthr = (did) => typeof did === 'string' && DID_ETHR_PATTERN.test(did);
+
+/**
+ * Create the did:ethr identifier of an address
+ */
+const createDidEthr = (network, address) => {
+  const identity = ethers.getAddress(address).toLowerCase();
+  return network === 'mainnet' ? `${DID_ETHR_PREFIX}${identity}` : `${DID_ETHR_PREFIX}${network}:${identity}`;
+};
+
+/**
+ * Split a did:ethr identifier into its network and (checksummed) address
+ */
+const parseDidEthr = (did) => {
+  const match = typeof did === 'string' && did.match(DID_ETHR_PATTERN);
+  if (!match) {
+    throw new Error('Invalid did:ethr identifier');
+  }
+
+  return { network: match[1] || 'mainnet', address: ethers.getAddress(match[2].toLowerCase()) };
+};
+
+/**
+ * Ethereum address of a PEM secp256k1 public key
+ */
+const addressOfPublicKey = (publicKeyPem) => {
+  const keyObject = crypto.createPublicKey(publicKeyPem);
+  if (keyObject.asymmetricKeyType !== 'ec' || keyObject.asymmetricKeyDetails.namedCurve !== 'secp256k1') {
+    throw new Error('Ethereum accounts need a secp256k1 key');
+  }
+
+  const { x, y } = keyObject.export({ format: 'jwk' });
+  const uncompressed = Buffer.concat([Buffer.from([0x04]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]);
+  return ethers.computeAddress(`0x${uncompressed.toString('hex')}`);
+};
+
+module.exports = {
+  isDidEthr,
+  createDidEthr,
+  parseDidEthr,
+  addressOfPublicKey,
+};
@@ -0,0 +1,73 @@
+/**
+ * did:web identifiers and the URLs their documents are published at
+ *
+ * did:web:example.com               → https://example.com/.well-known/did.json
+ * did:web:example.com:users:abc     → https://example.com/users/abc/did.json
+ * did:web:localhost%3A3000          → https://localhost:3000/.well-known/did.json (ports are percent-encoded)
+ * See https://w3c-ccg.github.io/did-method-web/
+ */
+
+const DID_WEB_PREFIX = 'did:web:';
+
+// A domain name or IP, with an optional port
+const HOST_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/i;
+
+/**
+ * Whether a DID uses the did:web method
+ */
+const isDidWeb = (did) => typeof did === 'string' && did.startsWith(DID_WEB_PREFIX);
+
+/**
+ * Create a did:web identifier for a host (host[:port]) and optional path segments
+ */
+const createDidWeb = (host, pathSegments = []) => {
+  return [
+    `${DID_WEB_PREFIX}${encodeURIComponent(host.toLowerCase())}`,
+    ...pathSegments.map((segment) => encodeURIComponent(segment))
+  ].join(':');
+};
+
+/**
+ * Split a did:web identifier into its host and path segments
+ */
+const parseDidWeb = (did) => {
+  if (!isDidWeb(did)) {
+    throw new Error('Not a did:web identifier');
+  }
+
+  const [encodedHost, ...encodedPath] = did.slice(DID_WEB_PREFIX.length).split(':');
+  const host = decodeURIComponent(encodedHost);
+  const path = encodedPath.map((segment) => decodeURIComponent(segment));
+
+  const invalidSegment = (segment) => !segment || segment.includes('/') || segment === '.' || segment === '..';
+  if (!HOST_PATTERN.test(host) || path.some(invalidSegment)) {
+    throw new Error('Invalid did:web identifier');
+  }
+
+  return { host, path };
+};
+
+/**
+ * Path (on the DID's host) its document is published at
+ */
+const didWebDocumentPath = (did) => {
+  const { path } = parseDidWeb(did);
+  return path.length === 0
+    ? '/.well-known/did.json'
+    : `/${path.map((segment) => encodeURIComponent(segment)).join('/')}/did.json`;
+};
+
+/**
+ * URL a did:web document is published at
+ */
+const didWebToUrl = (did, scheme = 'https') => {
+  return `${scheme}://${parseDidWeb(did).host}${didWebDocumentPath(did)}`;
+};
+
+module.exports = {
+  isDidWeb,
+  createDidWeb,
+  parseDidWeb,
+  didWebDocumentPath,
+  didWebToUrl,
+};
@@ -0,0 +1,90 @@
+/**
+ * Structural diff of two JSON documents (DID document versions)
+ *
+ * Changes are { path, op: 'add' | 'remove' | 'replace', from, to }. Arrays of objects with an id
+ * (verification methods, services) are matched by id, and arrays of plain values (verification
+ * relationships, @context) are compared as sets, so reordering or inserting an entry does not show
+ * up as a change to every entry after it.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const diffArrays = (path, before, after, changes) => {
+  const keyed = [...before, ...after].every((item) => isObject(item) && typeof item.id === 'string');
+
+  if (keyed) {
+    const beforeById = new Map(before.map((item) => [item.id, item]));
+    const afterById = new Map(after.map((item) => [item.id, item]));
+
+    for (const [id, item] of beforeById) {
+      if (!afterById.has(id)) {
+        changes.push({ path: `${path}[${id}]`, op: 'remove', from: item });
+      }
+    }
+    for (const [id, item] of afterById) {
+      if (beforeById.has(id)) {
+        diffValues(`${path}[${id}]`, beforeById.get(id), item, changes);
+      } else {
+        changes.push({ path: `${path}[${id}]`, op: 'add', to: item });
+      }
+    }
+    return;
+  }
+
+  const serializedAfter = after.map((item) => JSON.stringify(item));
+  const serializedBefore = before.map((item) => JSON.stringify(item));
+  before.forEach((item, index) => {
+    if (!serializedAfter.includes(serializedBefore[index])) {
+      changes.push({ path, op: 'remove', from: item });
+    }
+  });
+  after.forEach((item, index) => {
+    if (!serializedBefore.includes(serializedAfter[index])) {
+      changes.push({ path, op: 'add', to: item });
+    }
+  });
+};
+
+const diffValues = (path, before, after, changes) => {
+  if (isObject(before) && isObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!(key in after)) {
+        changes.push({ path: joinPath(path, key), op: 'remove', from: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ path: joinPath(path, key), op: 'add', to: after[key] });
+      } else {
+        diffValues(joinPath(path, key), before[key], after[key], changes);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrays(path, before, after, changes);
+    return;
+  }
+
+  if (!isEqual(before, after)) {
+    changes.push({ path, op: 'replace', from: before, to: after });
+  }
+};
+
+/**
+ * List the changes that turn one document into another
+ * @param {object} before - Previous document (null for the first version)
+ * @param {object} after - Next document
+ * @returns {Array} Changes
+ */
+const diffDocuments = (before, after) => {
+  const changes = [];
+  diffValues('', before || {}, after || {}, changes);
+  return changes;
+};
+
+module.exports = {
+  diffDocuments,
+};
@@ -1,4 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
+const { createDidKey, isDidKey } = require('./multikey');
+const { createDidWeb } = require('./didWeb');
+const { createDidEthr, addressOfPublicKey, isDidEthr } = require('./didEthr');
+const config = require('../config/env');
+const blockchainConfig = require('../config/blockchain');
 
 /**
  * Generate random string
@@ -86,17 +91,49 @@ const paginate = (data, page = 1, limit = 10) => {
 
 /**
  * Generate a Decentralized Identifier (DID)
+ * did:key identifiers are derived from the (Ed25519) public key, did:ethr ones are the address of
+ * the (secp256k1) controller key, did:web ones are hosted under the configured domain
+ * (did:web:<domain>:users:<id>), other methods get a random identifier
  */
-const generateDID = (method = 'vault') => {
+const generateDID = (method = 'vault', publicKey = null) => {
+  if (method === 'key') {
+    if (!publicKey) {
+      throw new Error('A did:key identifier needs the public key it encodes');
+    }
+    return createDidKey(publicKey);
+  }
+
+  if (method === 'ethr') {
+    if (!publicKey) {
+      throw new Error('A did:ethr identifier needs the public key of its controlling account');
+    }
+    return createDidEthr(blockchainConfig.ethr.network, addressOfPublicKey(publicKey));
+  }
+
   const identifier = uuidv4().replace(/-/g, '');
+  if (method === 'web') {
+    return createDidWeb(config.didWeb.domain, ['users', identifier]);
+  }
+
   return `did:${method}:${identifier}`;
 };
 
 /**
- * Validate DID format
+ * DID URL of a DID's signing key (did:key names it after the key itself; on did:ethr it is the
+ * first key published in the registry, which the vault does when it creates the DID)
+ */
+const verificationMethodId = (did) => {
+  if (isDidKey(did)) {
+    return `${did}#${did.slice('did:key:'.length)}`;
+  }
+  return isDidEthr(did) ? `${did}#delegate-1` : `${did}#keys-1`;
+};
+
+/**
+ * Validate DID format (DID Core syntax: colon-separated segments of idchars or percent-encodings)
  */
 const validateDID = (did) => {
-  const didRegex = /^did:[a-z0-9]+:[a-zA-Z0-9]+$/;
+  const didRegex = /^did:[a-z0-9]+:(?:[a-zA-Z0-9._-]|%[0-9A-Fa-f]{2})+(?::(?:[a-zA-Z0-9._-]|%[0-9A-Fa-f]{2})+)*$/;
   return didRegex.test(did);
 };
 
@@ -129,6 +166,7 @@ module.exports = {
     paginate,
     generateDID,
     validateDID,
+    verificationMethodId,
     sleep,
     sanitizeObject,
 };
\ No newline at end of file
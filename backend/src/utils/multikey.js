@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+/**
+ * Multikey encoding of DID public keys, and the did:key method
+ *
+ * did:key identifiers are the multibase (base58btc, 'z' prefix) encoding of a multicodec-prefixed
+ * public key, so the DID document can be derived from the identifier alone.
+ * See https://w3c-ccg.github.io/did-method-key/ and https://www.w3.org/TR/controller-document/#multikey
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58BTC_PREFIX = 'z';
+
+// Multicodec headers of Ed25519 and X25519 public keys (0xed and 0xec as unsigned varints)
+const ED25519_PUB_MULTICODEC = Buffer.from([0xed, 0x01]);
+const X25519_PUB_MULTICODEC = Buffer.from([0xec, 0x01]);
+const ED25519_KEY_LENGTH = 32;
+
+const DID_KEY_PREFIX = 'did:key:';
+
+/**
+ * Encode bytes as base58 (Bitcoin alphabet)
+ */
+const encodeBase58 = (bytes) => {
+  // Each leading zero byte is written as a leading '1'
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) {
+    leadingZeros++;
+  }
+
+  const digits = []; // base58 digits, least significant first
+  for (const byte of bytes.subarray(leadingZeros)) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  return '1'.repeat(leadingZeros) + digits.reverse().map((digit) => BASE58_ALPHABET[digit]).join('');
+};
+
+/**
+ * Decode a base58 (Bitcoin alphabet) string
+ */
+const decodeBase58 = (text) => {
+  let leadingZeros = 0;
+  while (text[leadingZeros] === '1') {
+    leadingZeros++;
+  }
+
+  const bytes = []; // least significant first
+  for (const char of text.slice(leadingZeros)) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error(`Invalid base58 character '${char}'`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(bytes.reverse())]);
+};
+
+/**
+ * Encode a PEM Ed25519 public key as a multibase Multikey (z6Mk...)
+ */
+const encodePublicKeyMultibase = (publicKeyPem) => {
+  const keyObject = crypto.createPublicKey(publicKeyPem);
+  if (keyObject.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Unsupported key type for multibase encoding: ${keyObject.asymmetricKeyType}`);
+  }
+
+  const rawKey = Buffer.from(keyObject.export({ format: 'jwk' }).x, 'base64url');
+  return BASE58BTC_PREFIX + encodeBase58(Buffer.concat([ED25519_PUB_MULTICODEC, rawKey]));
+};
+
+/**
+ * Decode a multibase Multikey into a PEM public key
+ */
+const decodePublicKeyMultibase = (publicKeyMultibase) => {
+  if (typeof publicKeyMultibase !== 'string' || !publicKeyMultibase.startsWith(BASE58BTC_PREFIX)) {
+    throw new Error('Public key is not base58btc multibase encoded');
+  }
+
+  const bytes = decodeBase58(publicKeyMultibase.slice(1));
+  if (!bytes.subarray(0, 2).equals(ED25519_PUB_MULTICODEC) || bytes.length !== 2 + ED25519_KEY_LENGTH) {
+    throw new Error('Only Ed25519 public keys are supported');
+  }
+
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') },
+    format: 'jwk'
+  }).export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Key type of a multibase Multikey: 'Ed25519', 'X25519' (key agreement keys, e.g. in did:peer) or null
+ */
+const multikeyType = (publicKeyMultibase) => {
+  if (typeof publicKeyMultibase !== 'string' || !publicKeyMultibase.startsWith(BASE58BTC_PREFIX)) {
+    return null;
+  }
+
+  try {
+    const bytes = decodeBase58(publicKeyMultibase.slice(1));
+    if (bytes.length !== 2 + ED25519_KEY_LENGTH) {
+      return null;
+    }
+    if (bytes.subarray(0, 2).equals(ED25519_PUB_MULTICODEC)) {
+      return 'Ed25519';
+    }
+    return bytes.subarray(0, 2).equals(X25519_PUB_MULTICODEC) ? 'X25519' : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a DID document verification method with the type matching the key
+ * Ed25519 keys are Ed25519VerificationKey2020 with publicKeyMultibase; others are JsonWebKey2020
+ */
+const buildVerificationMethod = (id, controller, publicKeyPem) => {
+  const keyObject = crypto.createPublicKey(publicKeyPem);
+
+  if (keyObject.asymmetricKeyType === 'ed25519') {
+    return {
+      id,
+      type: 'Ed25519VerificationKey2020',
+      controller,
+      publicKeyMultibase: encodePublicKeyMultibase(publicKeyPem)
+    };
+  }
+
+  return {
+    id,
+    type: 'JsonWebKey2020',
+    controller,
+    publicKeyJwk: keyObject.export({ format: 'jwk' })
+  };
+};
+
+/**
+ * Get the PEM public key of a verification method, whichever way it is encoded
+ * publicKeyBase58 holding a PEM is how documents of older versions of this vault carry their key
+ */
+const getVerificationMethodKey = (method) => {
+  try {
+    if (method.publicKeyMultibase) {
+      return decodePublicKeyMultibase(method.publicKeyMultibase);
+    }
+    if (method.publicKeyJwk) {
+      return crypto.createPublicKey({ key: method.publicKeyJwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+    }
+    return method.publicKeyPem || method.publicKeyBase58 || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a DID uses the did:key method
+ */
+const isDidKey = (did) => typeof did === 'string' && did.startsWith(DID_KEY_PREFIX);
+
+/**
+ * Create the did:key identifier of a PEM Ed25519 public key
+ */
+const createDidKey = (publicKeyPem) => `${DID_KEY_PREFIX}${encodePublicKeyMultibase(publicKeyPem)}`;
+
+/**
+ * Derive the DID document of a did:key identifier (no lookup involved)
+ */
+const resolveDidKey = (did) => {
+  if (!isDidKey(did)) {
+    throw new Error('Not a did:key identifier');
+  }
+
+  const publicKeyMultibase = did.slice(DID_KEY_PREFIX.length);
+  const verificationMethodId = `${did}#${publicKeyMultibase}`;
+
+  // Validates the encoding; throws for anything but an Ed25519 key
+  decodePublicKeyMultibase(publicKeyMultibase);
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/ed25519-2020/v1'
+    ],
+    id: did,
+    verificationMethod: [{
+      id: verificationMethodId,
+      type: 'Ed25519VerificationKey2020',
+      controller: did,
+      publicKeyMultibase
+    }],
+    authentication: [verificationMethodId],
+    assertionMethod: [verificationMethodId],
+    capabilityInvocation: [verificationMethodId],
+    capabilityDelegation: [verificationMethodId]
+  };
+};
+
+module.exports = {
+  encodeBase58,
+  decodeBase58,
+  encodePublicKeyMultibase,
+  decodePublicKeyMultibase,
+  multikeyType,
+  buildVerificationMethod,
+  getVerificationMethodKey,
+  isDidKey,
+  createDidKey,
+  resolveDidKey,
+};
@@ -0,0 +1,162 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+
+/**
+ * Hosts the server may be pointed at by user input (did:web identifiers, issuer webhooks)
+ *
+ * Only public domain names are accepted, so a user can't make the server send requests to
+ * addresses on its own network: IP literals, localhost and single-label names are refused, and
+ * names pointing at private addresses are refused too. Requests go through publicDispatcher,
+ * which connects only to the addresses it checked, so a name can't be re-pointed in between.
+ */
+
+// Loopback, private (RFC 1918 / unique local), link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether a hostname (without port) is a public domain name
+ */
+const isPublicHostname = (hostname) => {
+  const name = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return !net.isIP(name.replace(/^\[|\]$/g, ''))
+    && name !== 'localhost'
+    && !name.endsWith('.localhost')
+    && name.includes('.');
+};
+
+/**
+ * Whether an IP address is publicly routable
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  return family !== 0 && !NON_PUBLIC_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6')
+    && !(family === 6 && /^::ffff:/i.test(ip));
+};
+
+/**
+ * Resolve a public domain name and make sure every address it resolves to is public
+ * @returns {Array<object>} The checked addresses ({ address, family })
+ * @throws {Error} When the name is not public, does not resolve, or resolves to a non-public address
+ */
+const assertPublicHost = async (hostname) => {
+  if (!isPublicHostname(hostname)) {
+    throw new Error(`${hostname} is not a public domain name`);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`${hostname} does not resolve: ${error.code || error.message}`);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (addresses.length === 0 || blocked) {
+    throw new Error(`${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}`);
+  }
+
+  return addresses;
+};
+
+/**
+ * Socket lookup that resolves and checks in one step, handing the socket only checked addresses
+ * (IP literals skip lookups altogether, so URLs must pass isPublicUrl first)
+ */
+const publicLookup = (hostname, options, callback) => {
+  assertPublicHost(hostname).then((addresses) => {
+    const usable = options.family ? addresses.filter(({ family }) => family === options.family) : addresses;
+    if (usable.length === 0) {
+      callback(Object.assign(new Error(`${hostname} has no IPv${options.family} address`), { code: 'ENOTFOUND' }));
+    } else if (options.all) {
+      callback(null, usable);
+    } else {
+      callback(null, usable[0].address, usable[0].family);
+    }
+  }, (error) => callback(Object.assign(error, { code: 'ENOTPUBLIC' })));
+};
+
+// fetch dispatcher for requests to user-supplied hosts (did:web documents, issuer webhooks)
+const publicDispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Whether a URL is http(s) on a public domain name
+ */
+const isPublicUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) && isPublicHostname(hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Make sure a URL is http(s) on a public domain name that resolves to public addresses only
+ * @throws {Error} When it is not
+ */
+const assertPublicUrl = async (url) => {
+  if (!isPublicUrl(url)) {
+    throw new Error('URL must be http(s) on a public domain name');
+  }
+  await assertPublicHost(new URL(url).hostname);
+};
+
+/**
+ * Read a response body of at most maxBytes from a host the server doesn't control
+ * Larger bodies are refused by their Content-Length, or once that many bytes arrived
+ * @returns {string} Body
+ * @throws {Error} With code ETOOLARGE when the body is larger
+ */
+const readLimitedBody = async (response, maxBytes) => {
+  const tooLarge = () => Object.assign(new Error(`Response is larger than ${maxBytes} bytes`), { code: 'ETOOLARGE' });
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+module.exports = {
+  isPublicHostname,
+  isPublicAddress,
+  isPublicUrl,
+  assertPublicHost,
+  assertPublicUrl,
+  publicLookup,
+  publicDispatcher,
+  readLimitedBody,
+};
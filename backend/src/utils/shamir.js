@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Shamir's secret sharing over GF(256), one polynomial per secret byte.
+// Arithmetic uses the AES field polynomial (x^8 + x^4 + x^3 + x + 1) with log/exp tables for generator 3.
+const EXP = new Array(510);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+}
+
+const multiply = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+const divide = (a, b) => (a ? EXP[LOG[a] + 255 - LOG[b]] : 0);
+
+/**
+ * Split a secret into shares, any `threshold` of which reconstruct it
+ * Fewer shares reveal nothing about the secret
+ * @param {Buffer} secret - Secret bytes
+ * @param {number} shares - Number of shares (1-255)
+ * @param {number} threshold - Shares needed to reconstruct (1-shares)
+ * @returns {Array<string>} Hex encoded shares (first byte is the share's x coordinate)
+ */
+const split = (secret, shares, threshold) => {
+    if (!Number.isInteger(shares) || shares < 1 || shares > 255) {
+        throw new Error('Number of shares must be between 1 and 255');
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > shares) {
+        throw new Error('Threshold must be between 1 and the number of shares');
+    }
+
+    const points = Array.from({ length: shares }, (_, i) => {
+        const point = Buffer.alloc(secret.length + 1);
+        point[0] = i + 1;
+        return point;
+    });
+
+    secret.forEach((byte, index) => {
+        // Random polynomial of degree threshold - 1 whose constant term is the secret byte
+        const coefficients = [byte, ...crypto.randomBytes(threshold - 1)];
+
+        points.forEach(point => {
+            // Horner's rule at x = point[0]
+            point[index + 1] = coefficients.reduceRight((value, coefficient) => multiply(value, point[0]) ^ coefficient, 0);
+        });
+    });
+
+    return points.map(point => point.toString('hex'));
+};
+
+/**
+ * Reconstruct a secret from `threshold` (or more) shares
+ * Too few shares yield a wrong secret rather than an error - check the result (e.g. by unwrapping with it)
+ * @param {Array<string>} shares - Hex encoded shares from split
+ * @returns {Buffer} Secret bytes
+ */
+const combine = (shares) => {
+    const points = shares.map(share => Buffer.from(share, 'hex'));
+    const xs = points.map(point => point[0]);
+
+    if (!points.length || points.some(point => point.length !== points[0].length)) {
+        throw new Error('Shares do not belong to the same secret');
+    }
+    if (xs.includes(0) || new Set(xs).size !== xs.length) {
+        throw new Error('Shares must be distinct');
+    }
+
+    const secret = Buffer.alloc(points[0].length - 1);
+    points.forEach((point, i) => {
+        // Lagrange basis polynomial of share i, evaluated at x = 0
+        const basis = xs.reduce((product, x, j) => (j === i ? product : multiply(product, divide(x, x ^ xs[i]))), 1);
+
+        for (let index = 0; index < secret.length; index++) {
+            secret[index] ^= multiply(point[index + 1], basis);
+        }
+    });
+
+    return secret;
+};
+
+module.exports = {
+    split,
+    combine
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalKeystore = require('../src/kms/LocalKeystore');
+const MasterKeyring = require('../src/kms/MasterKeyring');
+const kmsService = require('../src/services/kmsService');
+const blockchainService = require('../src/services/blockchainService');
+const { publicLookup, publicDispatcher } = require('../src/utils/publicHost');
+
+/**
+ * Shared test helpers
+ */
+
+/**
+ * fetch mock that goes as far as the connection: the dispatcher's lookup decides which
+ * addresses may be connected to, then the response is made up by respond()
+ * @param {Function} respond - Returns the Response
+ */
+const connectThenRespond = (respond) => async (url, options) => {
+    expect(options.dispatcher).toBe(publicDispatcher);
+    await new Promise((resolve, reject) => publicLookup(new URL(url).hostname, { all: true }, error =>
+        (error ? reject(new TypeError('fetch failed', { cause: error })) : resolve())));
+    return respond();
+};
+
+/**
+ * Keep credential anchors in memory, as blockchainService.getCredentialAnchorTime reports them
+ * @returns {Function} anchor(credential) - gives the credential a hash anchored at the current time
+ */
+const anchorCredentialsInMemory = () => {
+    const anchors = new Map();
+    jest.spyOn(blockchainService, 'getCredentialAnchorTime').mockImplementation(hash => anchors.get(hash) || null);
+
+    return (credential) => {
+        credential.credentialHash = crypto.createHash('sha256').update(credential.credentialId).digest('hex');
+        anchors.set(credential.credentialHash, new Date());
+        return credential;
+    };
+};
+
+/**
+ * Give the tests of the calling describe block a KMS keystore of their own, in a temp directory
+ * @returns {object} { keystore } - filled in once beforeAll has run
+ */
+const useTempKeystore = () => {
+    const kms = {};
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+        kms.keystore = new LocalKeystore({
+            filePath: path.join(dir, 'keystore.json'),
+            keyring: new MasterKeyring([{ id: 'default', key: 'a'.repeat(64) }])
+        });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(kmsService, 'backend', 'get').mockReturnValue(kms.keystore);
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return kms;
+};
+
+/**
+ * Let a document be saved without a database: save() resolves to the document
+ * @param {object} document - Mongoose document
+ * @returns {object} The document
+ */
+const saveInMemory = (document) => {
+    jest.spyOn(document, 'save').mockResolvedValue(document);
+    return document;
+};
+
+module.exports = {
+    connectThenRespond,
+    anchorCredentialsInMemory,
+    useTempKeystore,
+    saveInMemory
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const Credential = require('../../src/models/Credential');
+const User = require('../../src/models/User');
+const DID = require('../../src/models/DID');
+const DIDVersion = require('../../src/models/DIDVersion');
+const encryptionService = require('../../src/services/encryptionService');
+const kmsService = require('../../src/services/kmsService');
+const vaultService = require('../../src/services/vaultService');
+const didService = require('../../src/services/didService');
+const backupService = require('../../src/services/backupService');
+
+describe('Vault Backup', () => {
+    const subject = { licence: 'NURSE-123' };
+    const passphrase = 'correct horse battery staple';
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const account = (username) => {
+        const user = new User({
+            username,
+            email: `${username}@example.com`,
+            password: 'password123',
+            did: `did:vault:${username}`,
+            vaultKey: encryptionService.generateVaultKey(),
+            signingKeyId: `${username}-key`
+        });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        return user;
+    };
+
+    let source;
+    let target;
+    let credential;
+
+    beforeEach(() => {
+        source = account('source');
+        target = account('target');
+
+        credential = new Credential({
+            userId: source._id,
+            did: source.did,
+            credentialType: 'ProfessionalCredential',
+            credentialHash: 'a'.repeat(64),
+            issuer: { did: source.did, name: 'Nursing Board' },
+            holder: source.did,
+            blockchainTxHash: '0xabc',
+            onBlockchain: true
+        });
+        credential.credentialData = encryptionService.encryptCredential(subject, source.vaultKey, credential.credentialId);
+        vaultService.setSubjectCommitments(credential, subject);
+
+        const sourceDID = new DID({ did: source.did, userId: source._id, publicKey });
+        const version = new DIDVersion({
+            did: source.did,
+            versionId: 1,
+            document: { id: source.did },
+            documentHash: 'b'.repeat(64),
+            change: 'create',
+            blockchainBlockNumber: 3
+        });
+
+        jest.spyOn(DID, 'find').mockReturnValue({ sort: async () => [sourceDID] });
+        jest.spyOn(DIDVersion, 'find').mockReturnValue({ sort: async () => [version] });
+        jest.spyOn(DIDVersion, 'findLatest').mockResolvedValue(null);
+        jest.spyOn(DIDVersion, 'insertMany').mockResolvedValue([]);
+        jest.spyOn(didService, 'recordVersion').mockResolvedValue({});
+        jest.spyOn(Credential, 'find').mockReturnValue({ sort: async () => [credential] });
+        jest.spyOn(kmsService, 'exportKey').mockReturnValue(privateKey);
+        jest.spyOn(kmsService, 'importKey').mockReturnValue({ keyId: 'imported-key', publicKey });
+        jest.spyOn(vaultService, 'findUserByDID').mockResolvedValue(null);
+        jest.spyOn(DID, 'updateMany').mockResolvedValue({});
+        jest.spyOn(DID.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Credential.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const restoreAs = (user, archive, secret, options) => {
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        return backupService.restoreBackup(user._id, archive, secret, options);
+    };
+
+    test('should restore DIDs and credentials into another account under its own vault key', async () => {
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => source });
+        const archive = await backupService.createBackup(source._id, passphrase);
+
+        expect(archive.summary).toEqual({ dids: 1, credentials: 1 });
+        expect(JSON.stringify(archive)).not.toContain('PRIVATE KEY');
+        expect(JSON.stringify(archive)).not.toContain(source.vaultKey);
+
+        await expect(restoreAs(target, archive, 'wrong passphrase'))
+            .rejects.toThrow('Check the passphrase');
+
+        jest.spyOn(Credential, 'findOne').mockResolvedValue(null);
+        const report = await restoreAs(target, archive, passphrase);
+
+        expect(report.dids.restored).toEqual([{ did: source.did, isActive: true }]);
+        expect(report.credentials).toMatchObject({ restored: 1, overwritten: 0, skipped: [] });
+        expect(kmsService.importKey).toHaveBeenCalledWith(privateKey);
+        expect(target).toMatchObject({ did: source.did, signingKeyId: 'imported-key' });
+
+        // The document history comes along; the restored document is the next version
+        expect(DIDVersion.insertMany).toHaveBeenCalledWith([
+            expect.objectContaining({ did: source.did, versionId: 1, change: 'create', blockchainBlockNumber: 3 })
+        ]);
+        expect(didService.recordVersion).toHaveBeenCalledWith(expect.objectContaining({ did: source.did }), 'restore');
+
+        const restored = Credential.prototype.save.mock.contexts[0];
+        expect(restored.userId).toEqual(target._id);
+        expect(restored).toMatchObject({ credentialId: credential.credentialId, credentialHash: credential.credentialHash, blockchainTxHash: '0xabc' });
+        expect(encryptionService.decryptCredential(restored.credentialData, target.vaultKey, restored.credentialId)).toEqual(subject);
+    });
+
+    test('should skip or overwrite credentials whose ID or hash already exists', async () => {
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => source });
+        const archive = await backupService.createBackup(source._id, passphrase);
+
+        const existing = new Credential({ ...credential.toObject(), _id: undefined, userId: target._id });
+        const removed = jest.spyOn(existing, 'deleteOne').mockResolvedValue({});
+        jest.spyOn(Credential, 'findOne').mockResolvedValue(existing);
+
+        let report = await restoreAs(target, archive, passphrase, { activateDID: false });
+        expect(report.credentials.skipped).toEqual([{ credentialId: credential.credentialId, reason: 'Credential ID already exists' }]);
+        expect(removed).not.toHaveBeenCalled();
+
+        report = await restoreAs(target, archive, passphrase, { onConflict: 'overwrite', activateDID: false });
+        expect(report.credentials).toMatchObject({ restored: 1, overwritten: 1 });
+        expect(removed).toHaveBeenCalled();
+
+        // Credentials of other accounts are never overwritten
+        existing.userId = source._id;
+        report = await restoreAs(target, archive, passphrase, { onConflict: 'overwrite', activateDID: false });
+        expect(report.credentials.skipped[0].reason).toBe('Credential ID already exists in another account');
+    });
+});
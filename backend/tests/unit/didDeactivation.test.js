@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const DID = require('../../src/models/DID');
+const Credential = require('../../src/models/Credential');
+const AccessToken = require('../../src/models/AccessToken');
+const AuthCode = require('../../src/models/AuthCode');
+const statusListService = require('../../src/services/statusListService');
+const blockchainService = require('../../src/services/blockchainService');
+const didDeactivationService = require('../../src/services/didDeactivationService');
+
+describe('DID deactivation cascade', () => {
+    const did = 'did:vault:issuer1';
+    const userId = '507f1f77bcf86cd799439011';
+    const { publicKey } = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' } });
+    let record;
+    let credentials;
+
+    const credential = (credentialId, fields) => {
+        const created = new Credential({
+            credentialId,
+            userId,
+            did,
+            credentialType: 'ProfessionalCredential',
+            credentialSubject: { licence: credentialId },
+            issuer: { did, name: 'Nursing Board' },
+            holder: 'did:vault:holder1',
+            ...fields
+        });
+        jest.spyOn(created, 'save').mockResolvedValue(created);
+        return created;
+    };
+
+    // Just enough of the credentials collection for the cascade queries
+    const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+        const value = field === 'issuer.did' ? doc.issuer.did : doc[field];
+        if (condition && condition.$in) return condition.$in.includes(value);
+        if (condition && typeof condition === 'object' && '$ne' in condition) return value !== condition.$ne;
+        return field === 'userId' ? String(value) === String(condition) : value === condition;
+    });
+
+    beforeEach(() => {
+        record = new DID({ did, userId, publicKey });
+        jest.spyOn(record, 'save').mockResolvedValue(record);
+        jest.spyOn(DID, 'findOne').mockResolvedValue(record);
+
+        credentials = [
+            credential('issued-1'),
+            credential('issued-2'),
+            credential('issued-expired', { expirationDate: new Date(Date.now() - 1000) }),
+            credential('held-1', { issuer: { did: 'did:vault:university', name: 'University' }, holder: did })
+        ];
+        jest.spyOn(Credential, 'find').mockImplementation(async (query) =>
+            credentials.filter(doc => matches(doc, query)));
+        jest.spyOn(Credential, 'updateMany').mockImplementation(async (query, { $set }) => {
+            const updated = credentials.filter(doc => matches(doc, query));
+            updated.forEach(doc => Object.assign(doc, $set));
+            return { modifiedCount: updated.length };
+        });
+
+        jest.spyOn(AccessToken, 'countDocuments').mockResolvedValue(2);
+        jest.spyOn(AccessToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        jest.spyOn(AuthCode, 'countDocuments').mockResolvedValue(1);
+        jest.spyOn(AuthCode, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+        jest.spyOn(statusListService, 'setCredentialStatus').mockResolvedValue();
+        jest.spyOn(blockchainService, 'storeDIDStatusChange').mockResolvedValue({ index: 7, hash: 'a'.repeat(64) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should preview and apply the default cascade', async () => {
+        const preview = await didDeactivationService.previewDeactivation(did, userId);
+
+        expect(preview.policy).toEqual({ issuedCredentials: 'suspend', heldCredentials: 'flag', oauthGrants: 'revoke', anchorOnChain: true });
+        expect(preview.issuedCredentials.credentials.map(c => c.credentialId)).toEqual(['issued-1', 'issued-2']);
+        expect(preview.heldCredentials.credentials.map(c => c.credentialId)).toEqual(['held-1']);
+        expect(preview.oauthGrants).toEqual({ action: 'revoke', accessTokens: 2, authCodes: 1 });
+
+        const deactivation = await didDeactivationService.deactivate(did, userId, { reason: 'Key compromised' });
+
+        expect(record.isActive).toBe(false);
+        expect(deactivation).toMatchObject({
+            reason: 'Key compromised',
+            suspendedCredentials: ['issued-1', 'issued-2'],
+            flaggedCredentials: ['held-1'],
+            revokedAccessTokens: 2,
+            revokedAuthCodes: 1,
+            blockchainBlockNumber: 7
+        });
+        expect(credentials.map(c => c.status)).toEqual(['suspended', 'suspended', 'active', 'active']);
+        expect(credentials[3].holderDeactivatedAt).toBeInstanceOf(Date);
+        expect(statusListService.setCredentialStatus).toHaveBeenCalledWith(credentials[0], 'suspension', true);
+        expect(AuthCode.updateMany).toHaveBeenCalledWith({ did, used: false, revoked: false }, { $set: { revoked: true } });
+        expect(blockchainService.storeDIDStatusChange).toHaveBeenCalledWith(expect.objectContaining({ did, status: 'deactivated' }));
+
+        await expect(didDeactivationService.deactivate(did, userId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should honour per-deactivation policies', async () => {
+        const deactivation = await didDeactivationService.deactivate(did, userId, {
+            policy: { issuedCredentials: 'revoke', heldCredentials: 'keep', oauthGrants: 'keep', anchorOnChain: false }
+        });
+
+        expect(deactivation.revokedCredentials).toEqual(['issued-1', 'issued-2']);
+        expect(credentials.map(c => c.status)).toEqual(['revoked', 'revoked', 'active', 'active']);
+        expect(credentials[3].holderDeactivatedAt).toBeNull();
+        expect(AccessToken.updateMany).not.toHaveBeenCalled();
+        expect(blockchainService.storeDIDStatusChange).not.toHaveBeenCalled();
+    });
+
+    test('should reinstate only what the deactivation suspended', async () => {
+        await didDeactivationService.deactivate(did, userId);
+
+        // Revoked by the issuer while the DID was deactivated
+        await credentials[1].revoke('Licence withdrawn');
+
+        const preview = await didDeactivationService.previewReactivation(did, userId);
+        expect(preview.reinstateCredentials.map(c => c.credentialId)).toEqual(['issued-1']);
+        expect(preview.unflagCredentials.map(c => c.credentialId)).toEqual(['held-1']);
+        expect(preview.notRestored).toMatchObject({ accessTokens: 2, authCodes: 1 });
+        expect(preview.notRestored.changedCredentials.map(c => c.credentialId)).toEqual(['issued-2']);
+
+        const { did: reactivated, restored } = await didDeactivationService.reactivate(did, userId);
+
+        expect(reactivated.isActive).toBe(true);
+        expect(record.deactivation).toBeNull();
+        expect(restored).toEqual(preview);
+        expect(credentials.map(c => c.status)).toEqual(['active', 'revoked', 'active', 'active']);
+        expect(credentials[3].holderDeactivatedAt).toBeNull();
+        expect(blockchainService.storeDIDStatusChange).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'reactivated' }));
+
+        await expect(didDeactivationService.previewReactivation(did, userId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
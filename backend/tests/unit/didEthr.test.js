@@ -0,0 +1,117 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ethers } = require('ethers');
+const blockchainConfig = require('../../src/config/blockchain');
+const kmsService = require('../../src/services/kmsService');
+const ethrDIDService = require('../../src/services/ethrDIDService');
+const didService = require('../../src/services/didService');
+const proofService = require('../../src/services/proofService');
+const { generateDID, verificationMethodId } = require('../../src/utils/helpers');
+const { isDidEthr, parseDidEthr, addressOfPublicKey } = require('../../src/utils/didEthr');
+const { useTempKeystore } = require('../helpers');
+
+describe('did:ethr', () => {
+    const ethrConfig = { ...blockchainConfig.ethr };
+    useTempKeystore();
+
+    beforeAll(() => {
+        // In-process ganache chain with a fresh ERC-1056 registry
+        Object.assign(blockchainConfig.ethr, { devChain: true, network: '0x539', chainId: 1337 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await ethrDIDService.disconnect();
+        Object.assign(blockchainConfig.ethr, ethrConfig);
+    });
+
+    const createIdentity = async () => {
+        const owner = kmsService.generateKeyPair('secp256k1');
+        const signing = kmsService.generateKeyPair('ed25519');
+        const did = generateDID('ethr', owner.publicKey);
+        await ethrDIDService.publishSigningKey(did, owner.keyId, signing.publicKey);
+        return { did, owner, signing };
+    };
+
+    test('should derive identifiers from the address of a secp256k1 KMS key', () => {
+        const owner = kmsService.generateKeyPair('secp256k1');
+        const did = generateDID('ethr', owner.publicKey);
+
+        expect(did).toMatch(/^did:ethr:0x539:0x[0-9a-f]{40}$/);
+        expect(parseDidEthr(did)).toEqual({ network: '0x539', address: addressOfPublicKey(owner.publicKey) });
+        expect(parseDidEthr('did:ethr:0xb9c5714089478a327f09197987f16f9e5d936e8a').network).toBe('mainnet');
+        expect(verificationMethodId(did)).toBe(`${did}#delegate-1`);
+
+        // DIDs of the ethr method created before registry support stay database DIDs
+        expect(isDidEthr('did:ethr:3f1c1d1e8a554b4c9a473f3c4fb1e0aa')).toBe(false);
+
+        // Registry changes are signed like Ethereum transactions, recoverable to the owner address
+        const digest = ethers.keccak256(ethers.toUtf8Bytes('change'));
+        expect(ethers.recoverAddress(digest, kmsService.signDigest(owner.keyId, digest))).toBe(parseDidEthr(did).address);
+    });
+
+    test('should resolve keys and services from the registry events', async () => {
+        const { did, owner, signing } = await createIdentity();
+        const endpoint = ethrDIDService.encodeValue('did/svc/LinkedDomains', 'https://registrar.example.org');
+        await ethrDIDService.setAttribute(did, owner.keyId, 'did/svc/LinkedDomains', endpoint);
+
+        const { didDocument, didDocumentMetadata } = await didService.resolveDID(did);
+
+        expect(didDocument.verificationMethod).toEqual([
+            expect.objectContaining({ id: `${did}#controller`, blockchainAccountId: `eip155:1337:${parseDidEthr(did).address}` }),
+            expect.objectContaining({ id: `${did}#delegate-1`, type: 'Ed25519VerificationKey2020' })
+        ]);
+        expect(proofService.findVerificationKey(didDocument, `${did}#delegate-1`)).toBe(signing.publicKey);
+        expect(didDocument.service).toEqual([{ id: `${did}#service-1`, type: 'LinkedDomains', serviceEndpoint: 'https://registrar.example.org' }]);
+        expect(didDocumentMetadata).toMatchObject({ deactivated: false });
+
+        const revoked = await ethrDIDService.revokeAttribute(did, owner.keyId, 'did/svc/LinkedDomains', endpoint);
+        const { didDocument: updated, metadata: updatedMetadata } = await ethrDIDService.resolve(did);
+
+        expect(updated.service).toBeUndefined();
+        expect(updatedMetadata.versionId).toBe(String(revoked.blockNumber));
+
+        // The version before the revocation is rebuilt from the events up to its block
+        const earlier = await ethrDIDService.resolve(did, { versionId: String(revoked.blockNumber - 1) });
+        expect(earlier.didDocument.service).toHaveLength(1);
+        expect(earlier.metadata).toMatchObject({ versionId: String(revoked.blockNumber - 1), nextVersionId: String(revoked.blockNumber) });
+    });
+
+    test('should verify credentials signed with the published key', async () => {
+        const { did, signing } = await createIdentity();
+        const credential = {
+            credentialId: '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa',
+            credentialType: 'EducationalCredential',
+            credentialSubject: { degree: 'BSc' },
+            issuer: { did, name: 'University' },
+            holder: 'did:vault:holder1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        };
+
+        credential.proof = proofService.signCredential(credential, kmsService.getSigner(signing.keyId), verificationMethodId(did));
+
+        await expect(proofService.verifyCredentialProof(credential)).resolves.toMatchObject({ verified: true });
+    });
+
+    test('should only accept changes signed by the identity owner', async () => {
+        const { did } = await createIdentity();
+        const stranger = kmsService.generateKeyPair('secp256k1');
+
+        await expect(ethrDIDService.setAttribute(did, stranger.keyId, 'did/svc/LinkedDomains', '0x00'))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(ethrDIDService.resolve(did.replace('0x539', 'sepolia')))
+            .rejects.toThrow('Unsupported did:ethr network');
+    });
+});
+
+describe('EthereumDIDRegistry artifact', () => {
+    test('should match what the committed contract source compiles to', () => {
+        const script = path.join(__dirname, '../../src/scripts/compileContracts.js');
+
+        expect(() => execFileSync(process.execPath, [script, '--check'], { stdio: 'pipe', timeout: 120000 })).not.toThrow();
+    }, 130000);
+});
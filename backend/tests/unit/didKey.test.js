@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const DID = require('../../src/models/DID');
+const didService = require('../../src/services/didService');
+const proofService = require('../../src/services/proofService');
+const { generateKeyPair } = require('../../src/utils/crypto');
+const { generateDID, verificationMethodId } = require('../../src/utils/helpers');
+const {
+    encodeBase58,
+    decodeBase58,
+    decodePublicKeyMultibase,
+    createDidKey,
+    getVerificationMethodKey
+} = require('../../src/utils/multikey');
+
+describe('did:key', () => {
+    // Test vector from the did:key method specification
+    const specDID = 'did:key:z6MkiTBz1ymuepAQ4HEHYSF1H8quG5GLVVQR3djdX3mDooWp';
+
+    const ed25519KeyPair = () => crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should encode Ed25519 public keys as multicodec, multibase identifiers', () => {
+        expect(encodeBase58(Buffer.from('Hello World!'))).toBe('2NEpo7TZRRrLZSi2U');
+        expect(decodeBase58('1112').toString('hex')).toBe('00000001');
+
+        const publicKey = decodePublicKeyMultibase(specDID.slice('did:key:'.length));
+        expect(createDidKey(publicKey)).toBe(specDID);
+        expect(generateDID('key', publicKey)).toBe(specDID);
+
+        expect(() => generateDID('key')).toThrow('needs the public key');
+        expect(() => createDidKey(generateKeyPair().publicKey)).toThrow('Unsupported key type');
+    });
+
+    test('should resolve did:key documents from the identifier alone', async () => {
+        const lookup = jest.spyOn(DID, 'findOne');
+
+        const { didDocument } = await didService.resolveDID(specDID);
+
+        expect(lookup).not.toHaveBeenCalled();
+        expect(didDocument.id).toBe(specDID);
+        expect(didDocument.verificationMethod).toEqual([{
+            id: `${specDID}#z6MkiTBz1ymuepAQ4HEHYSF1H8quG5GLVVQR3djdX3mDooWp`,
+            type: 'Ed25519VerificationKey2020',
+            controller: specDID,
+            publicKeyMultibase: 'z6MkiTBz1ymuepAQ4HEHYSF1H8quG5GLVVQR3djdX3mDooWp'
+        }]);
+        expect(didDocument.assertionMethod).toEqual([verificationMethodId(specDID)]);
+
+        await expect(didService.resolveDID('did:key:z6MkInvalid0')).rejects.toThrow();
+    });
+
+    test('should verify credentials signed by a did:key issuer', async () => {
+        const { publicKey, privateKey } = ed25519KeyPair();
+        const issuerDID = createDidKey(publicKey);
+        const credential = {
+            credentialId: '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa',
+            credentialType: 'EducationalCredential',
+            credentialSubject: { degree: 'BSc' },
+            issuer: { did: issuerDID, name: 'University' },
+            holder: 'did:vault:holder1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        };
+
+        credential.proof = proofService.signCredential(credential, privateKey, verificationMethodId(issuerDID));
+
+        expect(credential.proof.type).toBe('Ed25519Signature2020');
+        await expect(proofService.verifyCredentialProof(credential)).resolves.toMatchObject({ verified: true });
+    });
+
+    test('should report verification method types matching the key', () => {
+        const rsa = new DID({ did: 'did:vault:rsa1', userId: new DID()._id, publicKey: generateKeyPair().publicKey });
+        const ed25519 = new DID({ did: 'did:vault:ed1', userId: rsa.userId, publicKey: ed25519KeyPair().publicKey });
+        rsa.createdAt = rsa.updatedAt = ed25519.createdAt = ed25519.updatedAt = new Date();
+
+        const [rsaMethod] = rsa.generateDIDDocument().verificationMethod;
+        expect(rsaMethod).toMatchObject({ id: 'did:vault:rsa1#keys-1', type: 'JsonWebKey2020', publicKeyJwk: { kty: 'RSA' } });
+        expect(getVerificationMethodKey(rsaMethod)).toBe(rsa.publicKey);
+
+        const [edMethod] = ed25519.generateDIDDocument().verificationMethod;
+        expect(edMethod.type).toBe('Ed25519VerificationKey2020');
+        expect(getVerificationMethodKey(edMethod)).toBe(ed25519.publicKey);
+    });
+});
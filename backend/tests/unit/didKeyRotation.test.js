@@ -0,0 +1,152 @@
+const DID = require('../../src/models/DID');
+const DIDVersion = require('../../src/models/DIDVersion');
+const User = require('../../src/models/User');
+const kmsService = require('../../src/services/kmsService');
+const didService = require('../../src/services/didService');
+const proofService = require('../../src/services/proofService');
+const blockchainService = require('../../src/services/blockchainService');
+const { anchorCredentialsInMemory, useTempKeystore, saveInMemory } = require('../helpers');
+
+describe('DID key rotation', () => {
+    const did = 'did:vault:rotating';
+    const kms = useTempKeystore();
+    let record;
+    let user;
+    let anchor;
+
+    const credential = (credentialId) => ({
+        credentialId,
+        credentialType: 'EducationalCredential',
+        credentialSubject: { degree: 'BSc' },
+        issuer: { did, name: 'University' },
+        holder: 'did:vault:holder1',
+        issuanceDate: new Date('2024-01-01T00:00:00Z'),
+        expirationDate: null
+    });
+
+    // Signed and anchored now
+    const issue = async (credentialId) => {
+        const issued = credential(credentialId);
+        const { signer, verificationMethod } = await didService.getSigningKey(user);
+        issued.proof = proofService.signCredential(issued, signer, verificationMethod);
+        return anchor(issued);
+    };
+
+    beforeEach(() => {
+        // A DID created before rotation existed: one key, #keys-1
+        const { keyId, publicKey } = kmsService.generateKeyPair('ed25519');
+        record = new DID({ did, userId: new DID()._id, publicKey });
+        record.createdAt = record.updatedAt = new Date();
+        user = { _id: record.userId, did, publicKey, signingKeyId: keyId, save: jest.fn() };
+
+        saveInMemory(record);
+        jest.spyOn(DID, 'findOne').mockResolvedValue(record);
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(blockchainService, 'storeKeyChange').mockResolvedValue({ index: 7, hash: 'ab'.repeat(32) });
+        jest.spyOn(DIDVersion, 'findLatest').mockResolvedValue(null);
+        jest.spyOn(DIDVersion, 'create').mockImplementation(async (fields) => new DIDVersion(fields));
+        anchor = anchorCredentialsInMemory();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should add keys, move relationships to them and anchor every change', async () => {
+        const originalKeyId = user.signingKeyId;
+
+        const { verificationMethods, keyHistory } = await didService.addVerificationMethod(did, user._id, {
+            relationships: ['assertionMethod']
+        });
+
+        expect(verificationMethods).toEqual([
+            expect.objectContaining({ id: `${did}#keys-1`, authentication: true, assertionMethod: false }),
+            expect.objectContaining({ id: `${did}#keys-2`, authentication: false, assertionMethod: true })
+        ]);
+        expect(keyHistory).toEqual([expect.objectContaining({
+            action: 'add',
+            verificationMethod: `${did}#keys-2`,
+            assertionMethod: [`${did}#keys-2`],
+            blockchainBlockNumber: 7
+        })]);
+        expect(blockchainService.storeKeyChange).toHaveBeenCalledWith(expect.objectContaining({ did, action: 'add' }));
+
+        // Credentials are now signed with the new key; presentations still with the old one
+        expect(user.signingKeyId).not.toBe(originalKeyId);
+        expect((await didService.getSigningKey(user)).verificationMethod).toBe(`${did}#keys-2`);
+        expect((await didService.getSigningKey(user, 'authentication')).verificationMethod).toBe(`${did}#keys-1`);
+
+        await didService.setVerificationRelationships(did, user._id, { authentication: ['keys-2'] });
+        expect(record.generateDIDDocument()).toMatchObject({
+            authentication: [`${did}#keys-2`],
+            assertionMethod: [`${did}#keys-2`]
+        });
+        expect(record.keyHistory.map(entry => entry.action)).toEqual(['add', 'relationships']);
+    });
+
+    test('should keep verifying credentials signed before a key was revoked', async () => {
+        const before = await issue('7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+
+        // Signed with the same key, dated after the revocation below
+        jest.useFakeTimers({ now: Date.now() + 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        const after = await issue('8f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+        jest.useRealTimers();
+
+        // Signed with the same key before the revocation, but never anchored: its date is only the signer's word
+        const unanchored = credential('af1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+        unanchored.proof = proofService.signCredential(unanchored, (await didService.getSigningKey(user)).signer, `${did}#keys-1`);
+
+        await expect(didService.revokeVerificationMethod(did, user._id, 'keys-1', 'compromised'))
+            .rejects.toMatchObject({ statusCode: 409 });
+
+        await didService.addVerificationMethod(did, user._id, { relationships: ['authentication', 'assertionMethod'] });
+        const { verificationMethods } = await didService.revokeVerificationMethod(did, user._id, 'keys-1', 'compromised');
+
+        expect(verificationMethods[0]).toMatchObject({ id: `${did}#keys-1`, revocationReason: 'compromised' });
+        expect(record.generateDIDDocument().verificationMethod[0].revoked).toBe(verificationMethods[0].revokedAt.toISOString());
+        expect(() => kmsService.getSigner(record.verificationMethods[0].keyId).sign(Buffer.from('x'))).toThrow('is disabled');
+
+        await expect(proofService.verifyCredentialProof(before)).resolves.toMatchObject({ verified: true });
+        await expect(proofService.verifyCredentialProof(after)).resolves.toMatchObject({
+            verified: false,
+            reason: expect.stringContaining('was revoked at')
+        });
+        await expect(proofService.verifyCredentialProof(unanchored)).resolves.toMatchObject({ verified: false });
+        await expect(proofService.verifyCredentialProof(await issue('9f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa')))
+            .resolves.toMatchObject({ verified: true, verificationMethod: `${did}#keys-2` });
+
+        await expect(didService.setVerificationRelationships(did, user._id, { assertionMethod: ['keys-1'] }))
+            .rejects.toThrow('has been revoked');
+    });
+
+    test('should not take a revoked key\'s word for when it signed', async () => {
+        const revokedAt = Date.now();
+        const stolenKey = kms.keystore.exportKey(user.signingKeyId);
+
+        await didService.addVerificationMethod(did, user._id, { relationships: ['authentication', 'assertionMethod'] });
+        await didService.revokeVerificationMethod(did, user._id, 'keys-1', 'compromised');
+
+        // Signed with the stolen key after the revocation, dated a day before it
+        jest.useFakeTimers({ now: revokedAt - 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        const backdated = credential('bf1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+        backdated.proof = proofService.signCredential(backdated, stolenKey, `${did}#keys-1`);
+        jest.useRealTimers();
+
+        expect(new Date(backdated.proof.created).getTime()).toBeLessThan(revokedAt);
+        await expect(proofService.verifyCredentialProof(backdated)).resolves.toMatchObject({
+            verified: false,
+            reason: expect.stringContaining('was revoked at')
+        });
+        await expect(proofService.verifyCredentialProof(anchor(backdated))).resolves.toMatchObject({
+            verified: false,
+            reason: expect.stringContaining('was revoked at')
+        });
+    });
+
+    test('should refuse to rotate keys that are fixed by the DID method', async () => {
+        record.method = 'key';
+        await expect(didService.addVerificationMethod(did, user._id)).rejects.toMatchObject({ statusCode: 400 });
+        expect(blockchainService.storeKeyChange).not.toHaveBeenCalled();
+    });
+});
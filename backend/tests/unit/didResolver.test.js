@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../src/app');
+const DID = require('../../src/models/DID');
+const DIDVersion = require('../../src/models/DIDVersion');
+const proofService = require('../../src/services/proofService');
+const resolverService = require('../../src/services/resolverService');
+const { AppError } = require('../../src/middleware/errorHandler');
+const { encodeBase58, encodePublicKeyMultibase } = require('../../src/utils/multikey');
+
+describe('Universal DID resolver', () => {
+    const specKey = 'z6MkiTBz1ymuepAQ4HEHYSF1H8quG5GLVVQR3djdX3mDooWp';
+
+    const ed25519PublicKey = () => crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    }).publicKey;
+
+    // A DID stored in the database, as DID.findOne would return it
+    const storedDID = (did, isActive = true) => {
+        const record = new DID({ did, userId: new DID()._id, publicKey: ed25519PublicKey(), isActive });
+        record.createdAt = record.updatedAt = new Date('2024-01-01T00:00:00Z');
+        return record;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(DIDVersion, 'findLatest').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        resolverService.clearCache();
+        resolverService.drivers.delete('example');
+        jest.restoreAllMocks();
+    });
+
+    test('should return spec-shaped results and error codes for every driver', async () => {
+        jest.spyOn(DID, 'findOne').mockImplementation(({ did }) =>
+            Promise.resolve(did === 'did:vault:retired' ? storedDID(did, false) : null));
+
+        const key = await resolverService.resolve(`did:key:${specKey}`);
+        expect(key).toMatchObject({
+            '@context': 'https://w3id.org/did-resolution/v1',
+            didDocument: { id: `did:key:${specKey}` },
+            didResolutionMetadata: { contentType: 'application/did+ld+json' },
+            didDocumentMetadata: {}
+        });
+        expect(typeof key.didResolutionMetadata.duration).toBe('number');
+
+        const retired = await resolverService.resolve('did:vault:retired');
+        expect(retired.didDocumentMetadata).toMatchObject({ deactivated: true, created: '2024-01-01T00:00:00.000Z' });
+
+        const errorOf = async (did) => (await resolverService.resolve(did)).didResolutionMetadata.error;
+        expect(await errorOf('did:vault:missing')).toBe('notFound');
+        expect(await errorOf('not-a-did')).toBe('invalidDid');
+        expect(await errorOf('did:key:z6MkInvalid0')).toBe('invalidDid');
+        expect(await errorOf('did:ion:EiClkZMDxPKqC9c')).toBe('methodNotSupported');
+        expect(resolverService.statusFor('methodNotSupported')).toBe(501);
+    });
+
+    test('should decode did:peer identifiers', async () => {
+        const { didDocument: inception } = await resolverService.resolve(`did:peer:0${specKey}`);
+        expect(inception.id).toBe(`did:peer:0${specKey}`);
+        expect(inception.assertionMethod).toEqual([`did:peer:0${specKey}#${specKey}`]);
+
+        const agreementKey = crypto.generateKeyPairSync('x25519').publicKey.export({ format: 'jwk' }).x;
+        const x25519 = `z${encodeBase58(Buffer.concat([Buffer.from([0xec, 0x01]), Buffer.from(agreementKey, 'base64url')]))}`;
+        const ed25519 = encodePublicKeyMultibase(ed25519PublicKey());
+        const service = Buffer.from(JSON.stringify({ t: 'dm', s: 'https://mediator.example.org', a: ['didcomm/v2'] })).toString('base64url');
+        const did = `did:peer:2.E${x25519}.V${ed25519}.S${service}`;
+
+        const { didDocument } = await resolverService.resolve(did);
+
+        expect(didDocument.verificationMethod).toEqual([
+            { id: `${did}#key-1`, type: 'X25519KeyAgreementKey2020', controller: did, publicKeyMultibase: x25519 },
+            { id: `${did}#key-2`, type: 'Ed25519VerificationKey2020', controller: did, publicKeyMultibase: ed25519 }
+        ]);
+        expect(didDocument.keyAgreement).toEqual([`${did}#key-1`]);
+        expect(didDocument.authentication).toEqual([`${did}#key-2`]);
+        expect(didDocument.service).toEqual([{
+            id: `${did}#service`,
+            type: 'DIDCommMessaging',
+            serviceEndpoint: 'https://mediator.example.org',
+            accept: ['didcomm/v2']
+        }]);
+
+        const invalid = await resolverService.resolve(`did:peer:2.X${ed25519}`);
+        expect(invalid.didResolutionMetadata.error).toBe('invalidDid');
+    });
+
+    test('should cache results of cacheable drivers, and not-found DIDs for a shorter time', async () => {
+        const driver = {
+            cacheable: () => true,
+            resolve: jest.fn(async (did) => {
+                if (did === 'did:example:missing') {
+                    throw new AppError('DID not found', 404);
+                }
+                return { didDocument: { id: did }, didDocumentMetadata: {} };
+            })
+        };
+        resolverService.register('example', driver);
+
+        await resolverService.resolve('did:example:alice');
+        const cached = await resolverService.resolve('did:example:alice');
+        expect(cached.didDocument).toEqual({ id: 'did:example:alice' });
+        expect(driver.resolve).toHaveBeenCalledTimes(1);
+
+        await resolverService.resolve('did:example:alice', { noCache: true });
+        resolverService.invalidate('did:example:alice');
+        await resolverService.resolve('did:example:alice');
+        expect(driver.resolve).toHaveBeenCalledTimes(3);
+
+        await resolverService.resolve('did:example:missing');
+        expect((await resolverService.resolve('did:example:missing')).didResolutionMetadata.error).toBe('notFound');
+        expect(driver.resolve).toHaveBeenCalledTimes(4);
+
+        // Negative entries expire first
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+        await resolverService.resolve('did:example:missing');
+        await resolverService.resolve('did:example:alice');
+        expect(driver.resolve).toHaveBeenCalledTimes(5);
+    });
+
+    test('should negotiate the representation of resolutions', async () => {
+        const stored = storedDID('did:vault:alice');
+        jest.spyOn(DID, 'findOne').mockResolvedValue(stored);
+
+        let response = await request(app).get('/api/did/did:vault:alice/resolve').expect(200);
+        expect(response.headers.vary).toMatch('Accept');
+        expect(response.body).toMatchObject({ success: true, data: { didDocument: { id: 'did:vault:alice' } } });
+
+        response = await request(app).get('/api/did/did:vault:alice/resolve')
+            .set('Accept', 'application/ld+json;profile="https://w3id.org/did-resolution"')
+            .expect(200);
+        expect(JSON.parse(response.text)).toHaveProperty('didResolutionMetadata.contentType', 'application/did+ld+json');
+
+        response = await request(app).get('/api/did/did:vault:alice/resolve').set('Accept', 'application/did+json').expect(200);
+        expect(response.headers['content-type']).toMatch('application/did+json');
+        expect(JSON.parse(response.text)).toMatchObject({ id: 'did:vault:alice' });
+        expect(JSON.parse(response.text)).not.toHaveProperty('@context');
+
+        await request(app).get('/api/did/did:vault:alice/resolve').set('Accept', 'text/html').expect(406);
+        await request(app).get('/api/did/did:ion:EiClkZMDxPKqC9c/resolve').expect(501);
+
+        // Deactivated DIDs are gone: their documents are still returned, but no longer verify anything
+        stored.isActive = false;
+        response = await request(app).get('/api/did/did:vault:alice/resolve').set('Accept', 'application/did+ld+json').expect(410);
+        expect(JSON.parse(response.text)).toHaveProperty('@context');
+        await expect(proofService.resolveVerificationKey('did:vault:alice#keys-1'))
+            .resolves.toEqual({ publicKey: null, reason: 'DID has been deactivated' });
+    });
+});
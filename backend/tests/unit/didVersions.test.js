@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const DID = require('../../src/models/DID');
+const DIDVersion = require('../../src/models/DIDVersion');
+const User = require('../../src/models/User');
+const kmsService = require('../../src/services/kmsService');
+const didService = require('../../src/services/didService');
+const proofService = require('../../src/services/proofService');
+const blockchainService = require('../../src/services/blockchainService');
+const { diffDocuments } = require('../../src/utils/documentDiff');
+const { anchorCredentialsInMemory, useTempKeystore, saveInMemory } = require('../helpers');
+
+describe('DID document versions', () => {
+    const did = 'did:vault:versioned';
+    const kms = useTempKeystore();
+    let record;
+    let user;
+    let versions;
+
+    // Saving a DID stamps updatedAt; the tests set it to the time of each change instead
+    const changeAt = (time) => {
+        record.updatedAt = new Date(time);
+    };
+
+    beforeEach(() => {
+        const { keyId, publicKey } = kmsService.generateKeyPair('ed25519');
+        record = new DID({ did, userId: new DID()._id, publicKey });
+        record.createdAt = new Date('2024-01-01T00:00:00Z');
+        changeAt('2024-01-01T00:00:00Z');
+        user = { _id: record.userId, did, publicKey, signingKeyId: keyId, save: jest.fn() };
+
+        // The versions collection, in memory
+        versions = [];
+        jest.spyOn(DIDVersion, 'create').mockImplementation(async (fields) => {
+            const version = new DIDVersion(fields);
+            versions.push(version);
+            return version;
+        });
+        jest.spyOn(DIDVersion, 'findLatest').mockImplementation(async () => versions[versions.length - 1] || null);
+        jest.spyOn(DIDVersion, 'findOne').mockImplementation(async ({ versionId }) =>
+            versions.find(version => version.versionId === versionId) || null);
+        jest.spyOn(DIDVersion, 'findAtTime').mockImplementation(async (_did, versionTime) =>
+            versions.filter(version => version.createdAt <= versionTime).pop() || null);
+        jest.spyOn(DIDVersion, 'find').mockReturnValue({ sort: async () => versions });
+
+        let block = 0;
+        const anchor = async () => ({ index: ++block, hash: String(block).repeat(64) });
+        jest.spyOn(blockchainService, 'storeDIDDocument').mockImplementation(anchor);
+        jest.spyOn(blockchainService, 'storeKeyChange').mockImplementation(anchor);
+
+        saveInMemory(record);
+        jest.spyOn(DID, 'findOne').mockResolvedValue(record);
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should store every document version linked to the block that anchored it', async () => {
+        await didService.recordVersion(record, 'create');
+
+        changeAt('2024-02-01T00:00:00Z');
+        await didService.addServiceEndpoint(did, 'hub', 'LinkedDomains', 'https://hub.example.org');
+
+        expect(versions.map(({ versionId, change, blockchainBlockNumber }) => ({ versionId, change, blockchainBlockNumber })))
+            .toEqual([
+                { versionId: 1, change: 'create', blockchainBlockNumber: 1 },
+                { versionId: 2, change: 'service', blockchainBlockNumber: 2 }
+            ]);
+        expect(blockchainService.storeDIDDocument).toHaveBeenLastCalledWith(expect.objectContaining({
+            did,
+            documentHash: versions[1].documentHash
+        }));
+
+        const [created, serviceAdded] = await didService.listVersions(did);
+        expect(created).toMatchObject({ versionId: '1', change: 'create', updated: '2024-01-01T00:00:00.000Z' });
+        expect(serviceAdded.changes).toEqual([{
+            path: 'service',
+            op: 'add',
+            to: [expect.objectContaining({ id: `${did}#hub`, type: 'LinkedDomains', serviceEndpoint: 'https://hub.example.org' })]
+        }]);
+    });
+
+    test('should resolve earlier versions by versionId and versionTime', async () => {
+        await didService.recordVersion(record, 'create');
+        changeAt('2024-02-01T00:00:00Z');
+        await didService.addServiceEndpoint(did, 'hub', 'LinkedDomains', 'https://hub.example.org');
+
+        let response = await request(app).get(`/api/did/${did}/resolve`).expect(200);
+        expect(response.body.data.didDocumentMetadata).toMatchObject({ versionId: '2' });
+
+        response = await request(app).get(`/api/did/${did}/resolve?versionId=1`).expect(200);
+        expect(response.body.data.didDocument.service).toBeUndefined();
+        expect(response.body.data.didDocumentMetadata).toMatchObject({
+            versionId: '1',
+            updated: '2024-01-01T00:00:00.000Z',
+            nextVersionId: '2',
+            nextUpdate: '2024-02-01T00:00:00.000Z',
+            blockchainBlockNumber: 1
+        });
+
+        response = await request(app).get(`/api/did/${did}/resolve?versionTime=2024-01-15T00:00:00Z`).expect(200);
+        expect(response.body.data.didDocumentMetadata.versionId).toBe('1');
+
+        response = await request(app).get(`/api/did/${did}/resolve?versionTime=2023-12-31T00:00:00Z`).expect(404);
+        expect(response.body.data.didResolutionMetadata.error).toBe('notFound');
+
+        await request(app).get(`/api/did/${did}/resolve?versionId=1&versionTime=2024-01-15T00:00:00Z`).expect(400);
+    });
+
+    test('should verify proofs against the document that was current when they were signed', async () => {
+        await didService.recordVersion(record, 'create');
+        const anchorCredential = anchorCredentialsInMemory();
+
+        const credential = (credentialId) => ({
+            credentialId,
+            credentialType: 'EducationalCredential',
+            credentialSubject: { degree: 'BSc' },
+            issuer: { did, name: 'University' },
+            holder: 'did:vault:holder1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        });
+        const before = credential('7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+        before.proof = proofService.signCredential(before, kmsService.getSigner(user.signingKeyId), `${did}#keys-1`);
+        anchorCredential(before);
+
+        // keys-1 hands assertionMethod over to a new key without being revoked
+        changeAt(Date.now() + 60 * 1000);
+        await didService.addVerificationMethod(did, user._id, { relationships: ['assertionMethod'] });
+        expect(versions.map(version => version.change)).toEqual(['create', 'key']);
+
+        await expect(proofService.verifyCredentialProof(before)).resolves.toMatchObject({ verified: true });
+
+        jest.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        const after = credential('8f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa');
+        after.proof = proofService.signCredential(after, kmsService.getSigner(record.verificationMethods[0].keyId), `${did}#keys-1`);
+        anchorCredential(after);
+        jest.useRealTimers();
+
+        await expect(proofService.verifyCredentialProof(after)).resolves.toMatchObject({
+            verified: false,
+            reason: 'Verification method not authorized for assertionMethod'
+        });
+    });
+
+    test('should diff verification methods by id and relationships as sets', () => {
+        const before = {
+            verificationMethod: [{ id: '#keys-1', publicKeyMultibase: 'z1' }],
+            authentication: ['#keys-1'],
+            assertionMethod: ['#keys-1']
+        };
+        const after = {
+            verificationMethod: [
+                { id: '#keys-2', publicKeyMultibase: 'z2' },
+                { id: '#keys-1', publicKeyMultibase: 'z1', revoked: '2024-01-01T00:00:00.000Z' }
+            ],
+            authentication: ['#keys-2'],
+            assertionMethod: ['#keys-1', '#keys-2']
+        };
+
+        expect(diffDocuments(before, after)).toEqual([
+            { path: 'verificationMethod[#keys-2]', op: 'add', to: { id: '#keys-2', publicKeyMultibase: 'z2' } },
+            { path: 'verificationMethod[#keys-1].revoked', op: 'add', to: '2024-01-01T00:00:00.000Z' },
+            { path: 'authentication', op: 'remove', from: '#keys-1' },
+            { path: 'authentication', op: 'add', to: '#keys-2' },
+            { path: 'assertionMethod', op: 'add', to: '#keys-2' }
+        ]);
+    });
+});
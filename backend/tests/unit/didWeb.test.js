@@ -0,0 +1,140 @@
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/env');
+const DID = require('../../src/models/DID');
+const didService = require('../../src/services/didService');
+const resolverService = require('../../src/services/resolverService');
+const { generateDID, validateDID } = require('../../src/utils/helpers');
+const { createDidWeb, parseDidWeb, didWebToUrl } = require('../../src/utils/didWeb');
+const { connectThenRespond } = require('../helpers');
+
+describe('did:web', () => {
+    const externalDID = 'did:web:issuer.example.com:orgs:registrar';
+    const externalDocument = { '@context': ['https://www.w3.org/ns/did/v1'], id: externalDID };
+    const { fixturesDir, domain } = config.didWeb;
+
+    afterEach(() => {
+        config.didWeb.fixturesDir = fixturesDir;
+        config.didWeb.domain = domain;
+        resolverService.clearCache();
+        jest.restoreAllMocks();
+    });
+
+    test('should map identifiers to the URLs their documents are published at', () => {
+        expect(didWebToUrl('did:web:example.com')).toBe('https://example.com/.well-known/did.json');
+        expect(didWebToUrl('did:web:example.com:users:abc')).toBe('https://example.com/users/abc/did.json');
+        expect(didWebToUrl('did:web:localhost%3A3000:users:abc')).toBe('https://localhost:3000/users/abc/did.json');
+
+        config.didWeb.domain = 'localhost:3000';
+        const did = generateDID('web');
+        expect(did).toMatch(/^did:web:localhost%3A3000:users:[a-f0-9]{32}$/);
+        expect(validateDID(did)).toBe(true);
+        expect(parseDidWeb(did)).toEqual({ host: 'localhost:3000', path: ['users', did.split(':').pop()] });
+
+        expect(() => parseDidWeb('did:web:example.com:..:secrets')).toThrow('Invalid did:web identifier');
+        expect(() => parseDidWeb('did:web:example.com%2F..')).toThrow('Invalid did:web identifier');
+    });
+
+    test('should serve hosted documents at the spec-defined paths', async () => {
+        config.didWeb.domain = 'vault.example.org';
+        const { publicKey } = crypto.generateKeyPairSync('ed25519', {
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        const hosted = new DID({ did: createDidWeb('vault.example.org', ['users', 'abc']), userId: new DID()._id, method: 'web', publicKey });
+        hosted.createdAt = hosted.updatedAt = new Date();
+        const lookup = jest.spyOn(DID, 'findOne').mockResolvedValue(hosted);
+
+        let response = await request(app).get('/users/abc/did.json').expect(200);
+        expect(lookup).toHaveBeenCalledWith({ did: 'did:web:vault.example.org:users:abc' });
+        expect(response.headers['content-type']).toMatch('application/did+json');
+        expect(response.headers['access-control-allow-origin']).toBe('*');
+        expect(JSON.parse(response.text)).toMatchObject({ id: hosted.did, assertionMethod: [`${hosted.did}#keys-1`] });
+
+        await request(app).get('/.well-known/did.json').expect(200);
+        expect(lookup).toHaveBeenLastCalledWith({ did: 'did:web:vault.example.org' });
+
+        hosted.isActive = false;
+        await request(app).get('/users/abc/did.json').expect(410);
+
+        lookup.mockResolvedValue(null);
+        await request(app).get('/users/missing/did.json').expect(404);
+    });
+
+    test('should resolve external documents from the fixtures directory', async () => {
+        config.didWeb.fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'did-web-'));
+        const documentDir = path.join(config.didWeb.fixturesDir, 'issuer.example.com', 'orgs', 'registrar');
+        fs.mkdirSync(documentDir, { recursive: true });
+        fs.writeFileSync(path.join(documentDir, 'did.json'), JSON.stringify(externalDocument));
+        const lookup = jest.spyOn(DID, 'findOne');
+
+        const { didDocument, didResolutionMetadata } = await didService.resolveDID(externalDID);
+
+        expect(lookup).not.toHaveBeenCalled();
+        expect(didDocument).toEqual(externalDocument);
+        expect(didResolutionMetadata.retrievedFrom).toBe(`file://${path.join(documentDir, 'did.json')}`);
+        await expect(didService.resolveDID('did:web:issuer.example.com:orgs:unknown')).rejects.toThrow('DID not found');
+
+        fs.rmSync(config.didWeb.fixturesDir, { recursive: true, force: true });
+    });
+
+    test('should fetch external documents and reject ones that describe another DID', async () => {
+        config.didWeb.fixturesDir = null;
+        const fetch = jest.spyOn(global, 'fetch')
+            .mockImplementation(connectThenRespond(() => new Response(JSON.stringify(externalDocument))));
+        jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+        const { didDocument } = await didService.resolveDID(externalDID);
+
+        expect(didDocument).toEqual(externalDocument);
+        expect(fetch).toHaveBeenCalledWith(
+            'https://issuer.example.com/orgs/registrar/did.json',
+            expect.objectContaining({ redirect: 'error' })
+        );
+
+        fetch.mockImplementation(connectThenRespond(() =>
+            new Response(JSON.stringify({ ...externalDocument, id: 'did:web:attacker.example' }))));
+        await expect(didService.resolveDID(externalDID, { noCache: true })).rejects.toThrow('does not describe');
+
+        await expect(didService.resolveDID('did:web:169.254.169.254')).rejects.toThrow('public domain names');
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        // Upstream statuses are not passed on
+        fetch.mockImplementation(connectThenRespond(() => new Response('', { status: 401 })));
+        const failure = didService.resolveDID(externalDID, { noCache: true });
+        await expect(failure).rejects.toThrow('Could not retrieve');
+        await expect(failure).rejects.not.toThrow('401');
+    });
+
+    test('should refuse hosts resolving to private addresses and oversized documents', async () => {
+        config.didWeb.fixturesDir = null;
+        const fetch = jest.spyOn(global, 'fetch').mockImplementation(connectThenRespond(() => new Response('{}')));
+        const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+
+        await expect(didService.resolveDID(externalDID)).rejects.toThrow('non-public address');
+        // Re-pointed after an earlier check: the address is checked again as the connection is made
+        lookup.mockResolvedValue([{ address: '::ffff:10.0.0.1', family: 6 }]);
+        await expect(didService.resolveDID(externalDID, { noCache: true })).rejects.toMatchObject({ statusCode: 400 });
+
+        lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        fetch.mockResolvedValue(new Response('x', { headers: { 'Content-Length': String(10 * 1024 * 1024) } }));
+        await expect(didService.resolveDID(externalDID, { noCache: true })).rejects.toThrow('too large');
+
+        // No Content-Length: reading stops once the limit is passed
+        let pulled = 0;
+        const endless = new ReadableStream({
+            pull(controller) {
+                pulled++;
+                controller.enqueue(new Uint8Array(64 * 1024));
+            }
+        });
+        fetch.mockResolvedValue(new Response(endless));
+        await expect(didService.resolveDID(externalDID, { noCache: true })).rejects.toThrow('too large');
+        expect(pulled).toBeLessThan(5);
+    });
+});
@@ -26,4 +26,146 @@ describe('Encryption Service', () => {
         
         expect(decryptedData).toBe('');
     });
-});
\ No newline at end of file
+});
+describe('Recipient Encryption', () => {
+    const subject = { name: 'Alice', degree: 'BSc' };
+    const issuerKey = encryptionService.generateVaultKey();
+    const holderKey = encryptionService.generateVaultKey();
+
+    test('should let the recipient decrypt their copy', () => {
+        const envelope = encryptionService.encryptForRecipient(subject, holderKey);
+
+        expect(envelope.wrappedKey.encryptedData).toBeTruthy();
+        expect(encryptionService.decryptForRecipient(envelope, holderKey)).toEqual(subject);
+    });
+
+    test('should not open with any other vault key', () => {
+        const envelope = encryptionService.encryptForRecipient(subject, holderKey);
+
+        expect(() => encryptionService.decryptForRecipient(envelope, issuerKey)).toThrow();
+    });
+});
+
+describe('Blind Indexes', () => {
+    test('should match field values without revealing them', () => {
+        const tokens = encryptionService.createBlindIndexes({ name: 'Alice', degree: 'BSc', courses: ['math'] });
+
+        expect(tokens).toHaveLength(2);
+        expect(tokens).toContain(encryptionService.createBlindIndex('name', ' alice '));
+        expect(tokens.join('')).not.toContain('Alice');
+        expect(encryptionService.createBlindIndex('degree', 'Alice')).not.toBe(tokens[0]);
+    });
+});
+
+describe('Authenticated Envelopes', () => {
+    const crypto = require('crypto');
+    const subject = { name: 'Alice', degree: 'BSc' };
+    const vaultKey = encryptionService.generateVaultKey();
+    const credentialId = '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa';
+
+    test('should record the algorithm, key id and associated data', () => {
+        const envelope = encryptionService.encryptCredential(subject, vaultKey, credentialId);
+
+        expect(envelope).toMatchObject({
+            version: 2,
+            algorithm: 'aes-256-gcm',
+            keyId: encryptionService.getKeyId(vaultKey),
+            associatedData: credentialId
+        });
+        expect(envelope.authTag).toHaveLength(32);
+        expect(encryptionService.decryptCredential(envelope, vaultKey, credentialId)).toEqual(subject);
+    });
+
+    test('should reject tampered ciphertext', () => {
+        const envelope = encryptionService.encryptCredential(subject, vaultKey, credentialId);
+        const flipped = (parseInt(envelope.encryptedData[0], 16) ^ 1).toString(16);
+        const tampered = { ...envelope, encryptedData: flipped + envelope.encryptedData.slice(1) };
+
+        expect(() => encryptionService.decryptCredential(tampered, vaultKey, credentialId)).toThrow('Failed to decrypt');
+    });
+
+    test('should reject an envelope moved to another credential', () => {
+        const envelope = encryptionService.encryptCredential(subject, vaultKey, credentialId);
+
+        expect(() => encryptionService.decryptCredential(envelope, vaultKey, 'another-credential')).toThrow('Failed to decrypt');
+    });
+
+    test('should still decrypt legacy AES-256-CBC records', () => {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(vaultKey, 'hex'), iv);
+        const legacy = {
+            encryptedData: cipher.update(JSON.stringify(subject), 'utf8', 'hex') + cipher.final('hex'),
+            iv: iv.toString('hex')
+        };
+
+        expect(encryptionService.isLegacyEnvelope(legacy)).toBe(true);
+        expect(encryptionService.decryptCredential(legacy, vaultKey, credentialId)).toEqual(subject);
+    });
+});
+
+describe('Password-Protected Vault Keys', () => {
+    const keyEncryptionKey = encryptionService.generateVaultKey();
+
+    test('should unwrap only with the right password', () => {
+        const wrapped = encryptionService.encryptVaultKey(keyEncryptionKey, 'correct horse');
+
+        expect(encryptionService.decryptVaultKey(wrapped, 'correct horse')).toBe(keyEncryptionKey);
+        expect(() => encryptionService.decryptVaultKey(wrapped, 'wrong horse')).toThrow('invalid password');
+    });
+
+    test('should accept recovery codes regardless of case and separators', () => {
+        const recoveryCode = encryptionService.generateRecoveryCode();
+        const wrapped = encryptionService.encryptVaultKey(
+            keyEncryptionKey,
+            encryptionService.normalizeRecoveryCode(recoveryCode)
+        );
+        const typed = recoveryCode.toLowerCase().replace(/-/g, ' ');
+
+        expect(encryptionService.decryptVaultKey(wrapped, encryptionService.normalizeRecoveryCode(typed))).toBe(keyEncryptionKey);
+    });
+
+    test('should let issuers encrypt to a vault public key', () => {
+        const { publicKey, privateKey } = encryptionService.generateAsymmetricKeyPair();
+        const envelope = encryptionService.encryptForPublicKey({ name: 'Alice' }, publicKey, 'credential-1');
+
+        expect(encryptionService.isPublicKeyWrapped(envelope.wrappedKey)).toBe(true);
+        expect(encryptionService.decryptForRecipient(envelope, privateKey, 'credential-1')).toEqual({ name: 'Alice' });
+    });
+});
+
+describe('Browser-Encrypted Credentials', () => {
+    const { webcrypto } = require('crypto');
+    const Credential = require('../../src/models/Credential');
+    const vaultService = require('../../src/services/vaultService');
+
+    test('should produce envelopes the vault format can read, as the browser does with WebCrypto', async () => {
+        const rawKey = webcrypto.getRandomValues(new Uint8Array(32));
+        const key = await webcrypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+        const iv = webcrypto.getRandomValues(new Uint8Array(12));
+        const sealed = Buffer.from(await webcrypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: Buffer.from('credential-1') },
+            key,
+            Buffer.from(JSON.stringify({ name: 'Alice' }))
+        ));
+
+        // WebCrypto appends the 16-byte tag to the ciphertext
+        const envelope = {
+            version: 2,
+            algorithm: 'aes-256-gcm',
+            keyId: encryptionService.getKeyId(Buffer.from(rawKey).toString('hex')),
+            iv: Buffer.from(iv).toString('hex'),
+            authTag: sealed.subarray(-16).toString('hex'),
+            associatedData: 'credential-1',
+            encryptedData: sealed.subarray(0, -16).toString('hex')
+        };
+
+        expect(encryptionService.decryptCredential(envelope, Buffer.from(rawKey).toString('hex'), 'credential-1'))
+            .toEqual({ name: 'Alice' });
+    });
+
+    test('should never try to decrypt them on the server', async () => {
+        const credential = new Credential({ encryptionMode: 'client' });
+
+        await expect(vaultService.decryptSubject(credential, {})).rejects.toThrow('can only be decrypted there');
+    });
+});
@@ -0,0 +1,99 @@
+const dns = require('dns');
+const scheduler = require('../../src/jobs/scheduler');
+const User = require('../../src/models/User');
+const webhookService = require('../../src/services/webhookService');
+const { connectThenRespond } = require('../helpers');
+
+describe('Background Jobs', () => {
+    let jobScheduler;
+
+    beforeEach(() => {
+        // Fresh scheduler per test so registered jobs don't leak between tests
+        jobScheduler = new scheduler.constructor();
+    });
+
+    afterEach(() => {
+        jobScheduler.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('should run a job and record its result', async () => {
+        jobScheduler.register('sweep', 60000, async () => ({ expired: 2 }));
+
+        await expect(jobScheduler.run('sweep')).resolves.toEqual({ expired: 2 });
+
+        const [status] = jobScheduler.getStatus();
+        expect(status).toMatchObject({ name: 'sweep', runs: 1, lastResult: { expired: 2 }, lastError: null });
+    });
+
+    test('should skip a tick while the previous run is still in progress', async () => {
+        let release;
+        const handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+        jobScheduler.register('slow', 60000, handler);
+
+        const first = jobScheduler.run('slow');
+        await expect(jobScheduler.run('slow')).resolves.toBeNull();
+
+        release('done');
+        await expect(first).resolves.toBe('done');
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should record failures without throwing', async () => {
+        jobScheduler.register('broken', 60000, async () => {
+            throw new Error('database unavailable');
+        });
+
+        await expect(jobScheduler.run('broken')).resolves.toBeNull();
+        expect(jobScheduler.getStatus()[0].lastError).toBe('database unavailable');
+    });
+
+    test('should reject duplicate job names', () => {
+        jobScheduler.register('sweep', 60000, async () => null);
+
+        expect(() => jobScheduler.register('sweep', 60000, async () => null)).toThrow('already registered');
+    });
+
+    test('should never send the credential subject to issuer webhooks', () => {
+        const body = webhookService.buildEventBody('credential.expiring', {
+            credential: {
+                credentialId: '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa',
+                credentialType: 'ProfessionalCredential',
+                credentialSubject: { licence: 'NURSE-123' },
+                issuer: { did: 'did:vault:issuer1', name: 'Nursing Board' },
+                holder: 'did:vault:holder1',
+                status: 'active',
+                expirationDate: new Date('2030-01-01T00:00:00Z')
+            },
+            daysRemaining: 7
+        });
+
+        expect(body).toMatchObject({ event: 'credential.expiring', issuer: 'did:vault:issuer1', daysRemaining: 7 });
+        expect(JSON.stringify(body)).not.toContain('NURSE-123');
+    });
+
+    test('should only deliver webhooks to public hosts', async () => {
+        const issuer = { webhookUrl: 'http://169.254.169.254/latest/meta-data', webhookSecret: 'secret' };
+        jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => issuer });
+        const fetch = jest.spyOn(global, 'fetch').mockImplementation(connectThenRespond(() => new Response(null, { status: 204 })));
+        jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => [
+            { address: hostname === 'rebound.example.com' ? '10.0.0.5' : '93.184.216.34', family: 4 }
+        ]);
+        const credential = { credentialId: 'c1', issuer: { did: 'did:vault:issuer1' }, holder: 'did:vault:holder1' };
+
+        for (const webhookUrl of ['http://169.254.169.254/latest/meta-data', 'http://localhost:8080/hook', 'http://10.0.0.5/hook', 'http://intranet/hook']) {
+            issuer.webhookUrl = webhookUrl;
+            await expect(webhookService.notifyIssuer('credential.expired', { credential })).resolves.toMatchObject({ delivered: false });
+        }
+        expect(fetch).not.toHaveBeenCalled();
+
+        // Names are checked as the connection is made
+        issuer.webhookUrl = 'https://rebound.example.com/hook';
+        await expect(webhookService.notifyIssuer('credential.expired', { credential }))
+            .resolves.toMatchObject({ delivered: false, error: expect.stringContaining('non-public address') });
+
+        issuer.webhookUrl = 'https://issuer.example.com/hooks/vault';
+        await expect(webhookService.notifyIssuer('credential.expired', { credential })).resolves.toMatchObject({ delivered: true });
+        expect(fetch).toHaveBeenCalledWith(issuer.webhookUrl, expect.objectContaining({ redirect: 'error' }));
+    });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const Credential = require('../../src/models/Credential');
+const User = require('../../src/models/User');
+const DID = require('../../src/models/DID');
+const encryptionService = require('../../src/services/encryptionService');
+const vaultService = require('../../src/services/vaultService');
+const keyRotationService = require('../../src/services/keyRotationService');
+const ipfsService = require('../../src/services/ipfsService');
+
+describe('Vault Key Rotation', () => {
+    const subject = { licence: 'NURSE-123' };
+    let user;
+    let credential;
+
+    beforeEach(() => {
+        user = {
+            _id: new User()._id,
+            did: 'did:vault:issuer1',
+            vaultKey: encryptionService.generateVaultKey(),
+            pendingVaultKey: encryptionService.generateVaultKey()
+        };
+
+        credential = new Credential({
+            userId: user._id,
+            did: user.did,
+            credentialType: 'ProfessionalCredential',
+            issuer: { did: user.did, name: 'Nursing Board' },
+            holder: user.did
+        });
+        credential.credentialData = encryptionService.encryptCredential(subject, user.vaultKey, credential.credentialId);
+        jest.spyOn(credential, 'save').mockResolvedValue(credential);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should read copies under either key while a rotation is in progress', async () => {
+        await expect(vaultService.decryptSubject(credential, user)).resolves.toEqual(subject);
+
+        credential.credentialData = encryptionService.encryptCredential(
+            subject,
+            vaultService.encryptionKeyFor(user),
+            credential.credentialId
+        );
+
+        expect(credential.credentialData.keyId).toBe(encryptionService.getKeyId(user.pendingVaultKey));
+        await expect(vaultService.decryptSubject(credential, user)).resolves.toEqual(subject);
+    });
+
+    test('should re-encrypt remaining copies and record the rotation in the key history', async () => {
+        jest.spyOn(DID, 'find').mockReturnValue({ select: async () => [] });
+        jest.spyOn(Credential, 'find')
+            .mockReturnValueOnce({ cursor: () => [credential] })
+            .mockReturnValueOnce({ cursor: () => [] });
+        jest.spyOn(Credential, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        jest.spyOn(User, 'findById').mockReturnValue({
+            select: async () => ({
+                vaultKeyRotation: {
+                    toVersion: 2,
+                    keyId: encryptionService.getKeyId(user.pendingVaultKey),
+                    initiatedBy: 'user',
+                    reEncrypted: 1
+                }
+            })
+        });
+        const complete = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ vaultKeyVersion: 2 });
+
+        const result = await keyRotationService.continueRotation(user);
+
+        expect(result).toMatchObject({ status: 'completed', version: 2, reEncrypted: 1 });
+        expect(encryptionService.decryptCredential(credential.credentialData, user.pendingVaultKey)).toEqual(subject);
+
+        const [filter, update] = complete.mock.calls[0];
+        expect(filter).toEqual({ _id: user._id, pendingVaultKey: user.pendingVaultKey });
+        expect(update.$set).toMatchObject({ vaultKey: user.pendingVaultKey, pendingVaultKey: null, vaultKeyVersion: 2 });
+        expect(update.$push.vaultKeyHistory).toMatchObject({
+            version: 2,
+            previousKeyId: encryptionService.getKeyId(user.vaultKey),
+            credentialsReEncrypted: 1
+        });
+    });
+
+    test('should unpin IPFS payloads replaced by an encryption upgrade once the record is saved', async () => {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(user.vaultKey, 'hex'), iv);
+        credential.credentialData = {
+            encryptedData: cipher.update(JSON.stringify(subject), 'utf8', 'hex') + cipher.final('hex'),
+            iv: iv.toString('hex')
+        };
+        credential.ipfsCID = 'bafy-legacy';
+        user.pendingVaultKey = null;
+
+        jest.spyOn(ipfsService, 'retrieveCredential').mockResolvedValue({ credentialId: credential.credentialId });
+        jest.spyOn(ipfsService, 'uploadCredential').mockResolvedValue({ cid: 'bafy-upgraded' });
+        jest.spyOn(ipfsService, 'pinCredential').mockResolvedValue({ pinned: true });
+        const unpin = jest.spyOn(ipfsService, 'unpinCredential').mockResolvedValue({ unpinned: true });
+
+        await vaultService.upgradeCredentialEncryption(credential, user);
+
+        expect(credential.ipfsCID).toBe('bafy-upgraded');
+        expect(unpin).toHaveBeenCalledWith('bafy-legacy');
+        expect(unpin.mock.invocationCallOrder[0]).toBeGreaterThan(credential.save.mock.invocationCallOrder[0]);
+    });
+});
+
+describe('Zero-Knowledge Vault Sessions', () => {
+    const vaultSessionService = require('../../src/services/vaultSessionService');
+
+    test('should only unwrap the vault key while the session is unlocked', () => {
+        const keyEncryptionKey = encryptionService.generateVaultKey();
+        const vaultKey = encryptionService.generateVaultKey();
+        const user = { _id: new User()._id, vaultKeyProtection: 'password', pendingVaultKey: null };
+        user.vaultKey = encryptionService.wrapKey(vaultKey, keyEncryptionKey, `vault-key:${user._id}`);
+
+        const inSession = (sessionId) => vaultSessionService.runInSession(sessionId, () => vaultService.vaultKeysOf(user));
+        expect(() => inSession('laptop')).toThrow('Vault is locked');
+
+        vaultSessionService.unlock('laptop', user._id, keyEncryptionKey);
+        expect(inSession('laptop').vaultKey).toBe(vaultKey);
+
+        // Other tokens of the same user, and requests outside a session, don't get the key
+        expect(() => inSession('phone')).toThrow('Vault is locked');
+        expect(() => vaultService.vaultKeysOf(user)).toThrow('Vault is locked');
+        expect(vaultSessionService.getKeyEncryptionKey(new User()._id, 'laptop')).toBeNull();
+
+        vaultSessionService.lock('laptop');
+        expect(() => inSession('laptop')).toThrow('Vault is locked');
+    });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalKeystore = require('../../src/kms/LocalKeystore');
+const MasterKeyring = require('../../src/kms/MasterKeyring');
+const proofService = require('../../src/services/proofService');
+const { generateKeyPair, verifySignature, verifyJWS, signJWS } = require('../../src/utils/crypto');
+
+describe('Local Keystore', () => {
+    const keyring = new MasterKeyring([{ id: 'default', key: 'a'.repeat(64) }]);
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+        filePath = path.join(dir, 'keystore.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should keep private keys encrypted at rest and sign by key id', () => {
+        const keystore = new LocalKeystore({ filePath, keyring });
+        const { keyId, publicKey } = keystore.generateKeyPair('ed25519');
+
+        expect(fs.readFileSync(filePath, 'utf8')).not.toContain('PRIVATE KEY');
+
+        // A new instance (e.g. after a restart) can use the key with the same master key only
+        const reopened = new LocalKeystore({ filePath, keyring });
+        const signature = reopened.sign(keyId, Buffer.from('hello'));
+        expect(verifySignature('hello', signature.toString('base64url'), publicKey)).toBe(true);
+
+        const wrongKey = new LocalKeystore({ filePath, keyring: new MasterKeyring([{ id: 'default', key: 'b'.repeat(64) }]) });
+        expect(() => wrongKey.sign(keyId, Buffer.from('hello'))).toThrow('could not be decrypted');
+    });
+
+    test('should import existing keys once and stop signing with disabled keys', () => {
+        const keystore = new LocalKeystore({ filePath, keyring });
+        const legacy = generateKeyPair();
+
+        const imported = keystore.importKey(legacy.privateKey);
+        expect(keystore.importKey(legacy.privateKey).keyId).toBe(imported.keyId);
+        expect(imported.type).toBe('rsa');
+
+        keystore.disableKey(imported.keyId);
+        expect(() => keystore.sign(imported.keyId, Buffer.from('hello'))).toThrow('disabled');
+        expect(keystore.getPublicKey(imported.keyId)).toBe(imported.publicKey);
+    });
+
+    test('should stop signing with a key another process disabled', () => {
+        const server = new LocalKeystore({ filePath, keyring });
+        const { keyId } = server.generateKeyPair('ed25519');
+        server.sign(keyId, Buffer.from('hello'));
+
+        // e.g. the key rotation CLI, with its own copy of the keystore
+        new LocalKeystore({ filePath, keyring }).disableKey(keyId);
+
+        expect(() => server.sign(keyId, Buffer.from('hello'))).toThrow('disabled');
+    });
+
+    test('should write under a lockfile without losing other processes\' keys', () => {
+        const server = new LocalKeystore({ filePath, keyring });
+        const cli = new LocalKeystore({ filePath, keyring });
+
+        // A lock left behind by a crashed process is taken over
+        fs.writeFileSync(`${filePath}.lock`, '12345');
+        fs.utimesSync(`${filePath}.lock`, new Date(0), new Date(0));
+
+        const first = cli.generateKeyPair('ed25519');
+        const second = server.generateKeyPair('ed25519');
+        server.disableKey(second.keyId);
+        cli.disableKey(first.keyId);
+
+        const { keys } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        expect(Object.keys(keys).sort()).toEqual([first.keyId, second.keyId].sort());
+        expect(Object.values(keys).every(entry => entry.disabledAt)).toBe(true);
+        expect(fs.readdirSync(dir)).toEqual(['keystore.json']);
+    });
+
+    test('should sign proofs and JWTs through a signer instead of a PEM', () => {
+        const keystore = new LocalKeystore({ filePath, keyring });
+        const { keyId, publicKey } = keystore.generateKeyPair('rsa');
+        const signer = { keyId, keyType: 'rsa', publicKey, sign: (data) => keystore.sign(keyId, data) };
+        const credential = {
+            credentialId: '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa',
+            credentialType: 'EducationalCredential',
+            credentialSubject: { degree: 'BSc' },
+            credentialHash: 'a'.repeat(64),
+            issuer: { did: 'did:vault:abc123', name: 'University' },
+            holder: 'did:vault:holder1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        };
+
+        const proof = proofService.signCredential(credential, signer, 'did:vault:abc123#keys-1');
+        expect(proof.type).toBe('RsaSignature2018');
+        expect(verifySignature(proofService.buildSigningPayload(credential, proof), proof.proofValue, publicKey)).toBe(true);
+
+        expect(verifyJWS(signJWS({ sub: 'did:vault:holder1' }, signer), publicKey)).toBe(true);
+    });
+
+    test('should re-wrap keys under the active master key after a rotation', () => {
+        const { keyId, publicKey } = new LocalKeystore({ filePath, keyring }).generateKeyPair('ed25519');
+
+        const rotated = new MasterKeyring([{ id: 'default', key: 'a'.repeat(64) }, { id: 'k2', key: 'c'.repeat(64) }]);
+        const keystore = new LocalKeystore({ filePath, keyring: rotated });
+        expect(keystore.rewrapKeys()).toBe(1);
+        expect(keystore.rewrapKeys()).toBe(0);
+
+        // The old key can be dropped once everything is re-wrapped
+        const reopened = new LocalKeystore({ filePath, keyring: new MasterKeyring([{ id: 'k2', key: 'c'.repeat(64) }]) });
+        const signature = reopened.sign(keyId, Buffer.from('hello'));
+        expect(verifySignature('hello', signature.toString('base64url'), publicKey)).toBe(true);
+    });
+});
+
+describe('Master Keyring', () => {
+    const encryptionService = require('../../src/services/encryptionService');
+    let originalKeyring;
+
+    beforeEach(() => {
+        originalKeyring = encryptionService.keyring;
+    });
+
+    afterEach(() => {
+        encryptionService.keyring = originalKeyring;
+    });
+
+    test('should stamp ciphertexts with the active key id and decrypt them under older keys', () => {
+        encryptionService.keyring = new MasterKeyring([{ id: 'k1', key: 'a'.repeat(64) }]);
+        const oldCiphertext = encryptionService.encryptWithMasterKey('vault secret');
+        expect(oldCiphertext.startsWith('k1:')).toBe(true);
+
+        encryptionService.keyring = new MasterKeyring([{ id: 'k1', key: 'a'.repeat(64) }, { id: 'k2', key: 'b'.repeat(64) }]);
+        expect(encryptionService.decryptWithMasterKey(oldCiphertext)).toBe('vault secret');
+
+        const rewrapped = encryptionService.rewrapWithMasterKey(oldCiphertext);
+        expect(rewrapped.startsWith('k2:')).toBe(true);
+        expect(encryptionService.rewrapWithMasterKey(rewrapped)).toBe(rewrapped);
+
+        encryptionService.keyring = new MasterKeyring([{ id: 'k2', key: 'b'.repeat(64) }]);
+        expect(encryptionService.decryptWithMasterKey(rewrapped)).toBe('vault secret');
+        expect(() => encryptionService.decryptWithMasterKey(oldCiphertext)).toThrow('Failed to decrypt');
+    });
+
+    test('should reject invalid keyrings and refuse to generate a key in production', () => {
+        expect(() => new MasterKeyring([])).toThrow('empty');
+        expect(() => new MasterKeyring([{ id: 'a:b', key: 'x' }])).toThrow('Invalid master key id');
+        expect(() => new MasterKeyring([{ id: 'k1', key: 'x' }], 'k2')).toThrow('not in the keyring');
+
+        const config = require('../../src/config/env');
+        const env = config.env;
+        config.env = 'production';
+        try {
+            expect(() => encryptionService.loadKeyring({ keys: [], activeKeyId: null })).toThrow('No master key configured');
+        } finally {
+            config.env = env;
+        }
+    });
+
+    test('should keep a generated development key next to the keystore across restarts', () => {
+        const config = require('../../src/config/env');
+        const env = config.env;
+        const keystorePath = config.kms.keystorePath;
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+        config.env = 'development';
+        config.kms.keystorePath = path.join(dir, 'keystore.json');
+        try {
+            const first = encryptionService.loadKeyring({ keys: [], activeKeyId: null });
+            const restarted = encryptionService.loadKeyring({ keys: [], activeKeyId: null });
+
+            expect(restarted.defaultKey).toBe(first.defaultKey);
+            expect(fs.statSync(path.join(dir, 'dev-master-key')).mode & 0o777).toBe(0o600);
+        } finally {
+            config.env = env;
+            config.kms.keystorePath = keystorePath;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,179 @@
+const { generateKeyPair, canonicalize, verifySignature, decodeJWS, verifyJWS } = require('../../src/utils/crypto');
+const crypto = require('crypto');
+const proofService = require('../../src/services/proofService');
+const vaultService = require('../../src/services/vaultService');
+const blockchainService = require('../../src/services/blockchainService');
+const Credential = require('../../src/models/Credential');
+const User = require('../../src/models/User');
+const DID = require('../../src/models/DID');
+
+describe('Credential Proofs', () => {
+    const issuerDID = 'did:vault:abc123';
+    let keys;
+    let credential;
+
+    beforeAll(() => {
+        keys = generateKeyPair();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        credential = {
+            credentialId: '7f1c1d1e-8a55-4b4c-9a47-3f3c4fb1e0aa',
+            credentialType: 'EducationalCredential',
+            credentialSubject: { degree: 'BSc', name: 'Alice' },
+            credentialHash: 'a'.repeat(64),
+            issuer: { did: issuerDID, name: 'University' },
+            holder: 'did:vault:holder1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        };
+    });
+
+    test('should canonicalize objects independent of key order', () => {
+        expect(canonicalize({ b: 1, a: [2, { d: 3, c: 4 }] }))
+            .toBe(canonicalize({ a: [2, { c: 4, d: 3 }], b: 1 }));
+    });
+
+    test('should sign a credential with the issuer key', () => {
+        const proof = proofService.signCredential(credential, keys.privateKey, `${issuerDID}#keys-1`);
+
+        expect(proof.type).toBe('RsaSignature2018');
+        expect(proof.verificationMethod).toBe(`${issuerDID}#keys-1`);
+        expect(proof.proofValue).toBeTruthy();
+
+        const payload = proofService.buildSigningPayload(credential, proof);
+        expect(verifySignature(payload, proof.proofValue, keys.publicKey)).toBe(true);
+    });
+
+    test('should detect a tampered credential subject', () => {
+        const proof = proofService.signCredential(credential, keys.privateKey, `${issuerDID}#keys-1`);
+        credential.credentialSubject.degree = 'PhD';
+
+        const payload = proofService.buildSigningPayload(credential, proof);
+        expect(verifySignature(payload, proof.proofValue, keys.publicKey)).toBe(false);
+    });
+
+    test('should verify against the stored subject digest when the subject is not in plaintext', () => {
+        const proof = proofService.signCredential(credential, keys.privateKey, `${issuerDID}#keys-1`);
+        const { credentialSubject, ...stored } = credential;
+        stored.subjectDigest = proofService.computeSubjectDigest(credential.holder, credentialSubject);
+
+        const payload = proofService.buildSigningPayload(stored, proof);
+        expect(verifySignature(payload, proof.proofValue, keys.publicKey)).toBe(true);
+    });
+
+    test('should only accept keys listed as assertion methods', () => {
+        const didDocument = {
+            verificationMethod: [{ id: `${issuerDID}#keys-1`, publicKeyBase58: keys.publicKey }],
+            assertionMethod: []
+        };
+
+        expect(proofService.findVerificationKey(didDocument, `${issuerDID}#keys-1`)).toBeNull();
+
+        didDocument.assertionMethod.push(`${issuerDID}#keys-1`);
+        expect(proofService.findVerificationKey(didDocument, `${issuerDID}#keys-1`)).toBe(keys.publicKey);
+    });
+
+    test('should encode a credential as a signed JWT-VC', () => {
+        const token = proofService.signCredentialJwt(
+            new Credential({ ...credential, userId: '507f1f77bcf86cd799439011', did: issuerDID }),
+            keys.privateKey,
+            `${issuerDID}#keys-1`,
+            credential.credentialSubject
+        );
+        const { header, payload } = decodeJWS(token);
+
+        expect(header).toMatchObject({ alg: 'RS256', kid: `${issuerDID}#keys-1` });
+        expect(payload).toMatchObject({
+            iss: issuerDID,
+            sub: 'did:vault:holder1',
+            nbf: 1704067200,
+            jti: `urn:uuid:${credential.credentialId}`
+        });
+        expect(payload.vc.credentialSubject.degree).toBe('BSc');
+        expect(payload.vc.proof).toBeUndefined();
+        expect(verifyJWS(token, keys.publicKey)).toBe(true);
+        expect(verifyJWS(token.replace(/\.[\w-]+$/, '.AAAA'), keys.publicKey)).toBe(false);
+    });
+
+    test('should only sign a valid credential again as a JWT for its issuer', async () => {
+        const userId = new User()._id;
+        const record = new Credential({ ...credential, userId, did: issuerDID });
+        jest.spyOn(Credential, 'findOne').mockResolvedValue(record);
+        const findDID = jest.spyOn(DID, 'findOne').mockResolvedValue(null);
+
+        // A holder or viewer that the record was shared with holds no issuer DID
+        await expect(vaultService.getCredentialJwt(userId, record.credentialId)).rejects.toMatchObject({ statusCode: 403 });
+        expect(findDID).toHaveBeenCalledWith({ did: issuerDID, userId });
+
+        findDID.mockResolvedValue({ did: issuerDID });
+        record.metadata = { imported: true };
+        await expect(vaultService.getCredentialJwt(userId, record.credentialId)).rejects.toMatchObject({ statusCode: 403 });
+
+        record.metadata = {};
+        record.status = 'revoked';
+        await expect(vaultService.getCredentialJwt(userId, record.credentialId))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('revoked') });
+    });
+
+    test('should bind a presentation proof to the challenge and domain', () => {
+        const presentation = {
+            type: ['VerifiablePresentation'],
+            holder: issuerDID,
+            verifiableCredential: []
+        };
+        presentation.proof = proofService.signPresentation(
+            presentation,
+            keys.privateKey,
+            `${issuerDID}#keys-1`,
+            { challenge: 'nonce-1234', domain: 'verifier.example' }
+        );
+
+        const payload = proofService.buildPresentationPayload(presentation, presentation.proof);
+        expect(verifySignature(payload, presentation.proof.proofValue, keys.publicKey)).toBe(true);
+
+        const replayed = proofService.buildPresentationPayload(
+            presentation,
+            { ...presentation.proof, challenge: 'nonce-5678' }
+        );
+        expect(verifySignature(replayed, presentation.proof.proofValue, keys.publicKey)).toBe(false);
+    });
+
+    test('should only import VCs whose proof verifies', async () => {
+        const proof = proofService.signCredential(credential, keys.privateKey, `${issuerDID}#keys-1`);
+        const vc = {
+            '@context': ['https://www.w3.org/ns/credentials/v2'],
+            id: `urn:uuid:${credential.credentialId}`,
+            type: ['VerifiableCredential', 'EducationalCredential'],
+            issuer: { id: issuerDID, name: 'University' },
+            validFrom: '2024-01-01T00:00:00.000Z',
+            credentialSubject: { id: 'did:vault:holder1', ...credential.credentialSubject },
+            proof
+        };
+
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ did: 'did:vault:holder1' }) });
+        jest.spyOn(vaultService, 'encryptionKeyFor').mockReturnValue(crypto.randomBytes(32).toString('hex'));
+        jest.spyOn(Credential, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Credential.prototype, 'save').mockImplementation(async function () { return this; });
+        jest.spyOn(proofService, 'resolveVerificationKey').mockResolvedValue({ publicKey: keys.publicKey });
+        jest.spyOn(blockchainService, 'storeCredential').mockResolvedValue({ simulated: { blockIndex: 3 } });
+
+        const tampered = { ...vc, credentialSubject: { ...vc.credentialSubject, degree: 'PhD' } };
+        await expect(vaultService.importVerifiableCredential('507f1f77bcf86cd799439011', credential.credentialId, tampered))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('does not verify') });
+        await expect(vaultService.importVerifiableCredential('507f1f77bcf86cd799439011', crypto.randomUUID(), vc))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(Credential.prototype.save).not.toHaveBeenCalled();
+        expect(blockchainService.storeCredential).not.toHaveBeenCalled();
+
+        const { credential: imported, proofVerification } =
+            await vaultService.importVerifiableCredential('507f1f77bcf86cd799439011', credential.credentialId, vc);
+        expect(proofVerification.verified).toBe(true);
+        expect(imported).toMatchObject({ credentialId: credential.credentialId, onBlockchain: true });
+        expect(blockchainService.storeCredential).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,85 @@
+const { generateKeyPair } = require('../../src/utils/crypto');
+const sdJwtService = require('../../src/services/sdJwtService');
+const proofService = require('../../src/services/proofService');
+const vaultService = require('../../src/services/vaultService');
+const Credential = require('../../src/models/Credential');
+const User = require('../../src/models/User');
+const DID = require('../../src/models/DID');
+
+describe('SD-JWT Selective Disclosure', () => {
+    const issuerDID = 'did:vault:hospital1';
+    let keys;
+    let sdJwt;
+
+    beforeAll(() => {
+        keys = generateKeyPair();
+        jest.spyOn(proofService, 'resolveVerificationKey').mockResolvedValue({ publicKey: keys.publicKey });
+
+        sdJwt = sdJwtService.issue({
+            credentialId: '0b6f3c1a-2d4e-4f5a-9b8c-7d6e5f4a3b2c',
+            credentialType: 'HealthCredential',
+            issuer: { did: issuerDID },
+            holder: 'did:vault:patient1',
+            issuanceDate: new Date('2024-01-01T00:00:00Z'),
+            expirationDate: null
+        }, keys.privateKey, `${issuerDID}#keys-1`, {
+            id: 'did:vault:patient1', bloodType: 'O+', allergies: ['penicillin'], insurer: 'ACME'
+        });
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should issue one disclosure per claim and keep the holder id visible', () => {
+        const { disclosures } = sdJwtService.split(sdJwt);
+        const names = disclosures.map(d => sdJwtService.decodeDisclosure(d).name);
+
+        expect(names.sort()).toEqual(['allergies', 'bloodType', 'insurer']);
+    });
+
+    test('should verify a presentation that reveals only chosen claims', async () => {
+        const presented = sdJwtService.present(sdJwt, ['bloodType']);
+        const result = await sdJwtService.verify(presented);
+
+        expect(result.verified).toBe(true);
+        expect(result.disclosedClaims).toEqual({ id: 'did:vault:patient1', bloodType: 'O+' });
+        expect(result.undisclosedCount).toBe(2);
+    });
+
+    test('should reject a forged disclosure', async () => {
+        const forged = sdJwtService.createDisclosure('bloodType', 'AB-').disclosure;
+        const { jwt } = sdJwtService.split(sdJwt);
+        const result = await sdJwtService.verify(`${jwt}~${forged}~`);
+
+        expect(result.verified).toBe(false);
+        expect(result.reason).toMatch(/digests/);
+    });
+
+    test('should only issue SD-JWTs for the issuer of an active credential', async () => {
+        const userId = new User()._id;
+        const record = new Credential({
+            userId,
+            did: issuerDID,
+            credentialType: 'HealthCredential',
+            issuer: { did: issuerDID },
+            holder: 'did:vault:patient1',
+            status: 'suspended'
+        });
+        const findCredential = jest.spyOn(Credential, 'findOne').mockResolvedValue(record);
+        const findDID = jest.spyOn(DID, 'findOne').mockResolvedValue(null);
+
+        try {
+            // e.g. the patient, who holds the credential but not the hospital's DID
+            await expect(vaultService.getCredentialSdJwt(userId, record.credentialId, ['bloodType']))
+                .rejects.toMatchObject({ statusCode: 403 });
+
+            findDID.mockResolvedValue({ did: issuerDID });
+            await expect(vaultService.getCredentialSdJwt(userId, record.credentialId, ['bloodType']))
+                .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('suspended') });
+        } finally {
+            findCredential.mockRestore();
+            findDID.mockRestore();
+        }
+    });
+});
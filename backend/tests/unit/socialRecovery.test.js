@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const User = require('../../src/models/User');
+const RecoveryRequest = require('../../src/models/RecoveryRequest');
+const encryptionService = require('../../src/services/encryptionService');
+const notificationService = require('../../src/services/notificationService');
+const vaultService = require('../../src/services/vaultService');
+const vaultSessionService = require('../../src/services/vaultSessionService');
+const socialRecoveryService = require('../../src/services/socialRecoveryService');
+const { generateKey } = require('../../src/utils/crypto');
+const { split, combine } = require('../../src/utils/shamir');
+
+describe('Shamir Secret Sharing', () => {
+    test('should recover the secret from any threshold of shares and not from fewer', () => {
+        const secret = crypto.randomBytes(32);
+        const shares = split(secret, 5, 3);
+
+        expect(combine([shares[0], shares[2], shares[4]])).toEqual(secret);
+        expect(combine([shares[3], shares[1], shares[0], shares[4]])).toEqual(secret);
+        expect(combine([shares[0], shares[1]])).not.toEqual(secret);
+        expect(() => combine([shares[0], shares[0], shares[1]])).toThrow('distinct');
+    });
+});
+
+describe('Social Recovery', () => {
+    // Thenable stand-in for a mongoose query, with or without .select()
+    const query = (doc) => ({ select: async () => doc, populate: () => query(doc), then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject) });
+
+    const passwordProtectedUser = (username, password) => {
+        const keyEncryptionKey = generateKey();
+        const { publicKey, privateKey } = encryptionService.generateAsymmetricKeyPair();
+        const user = new User({
+            username,
+            email: `${username}@example.com`,
+            password,
+            did: `did:vault:${username}`,
+            vaultKey: 'wrapped',
+            vaultKeyProtection: 'password',
+            vaultPublicKey: publicKey
+        });
+        user.vaultKeyWraps = { password: encryptionService.encryptVaultKey(keyEncryptionKey, password) };
+        user.vaultPrivateKey = encryptionService.wrapKey(privateKey, keyEncryptionKey, `vault-private-key:${user._id}`);
+        // Logged in, each in a session of their own
+        vaultSessionService.unlock(`session-${username}`, user._id, keyEncryptionKey);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        jest.spyOn(user, 'resetLoginAttempts').mockResolvedValue({});
+
+        return { user, keyEncryptionKey };
+    };
+
+    // Act in a user's login session
+    const as = (user, callback) => vaultSessionService.runInSession(`session-${user.username}`, callback);
+
+    // Just enough of the recovery requests collection for one stored request and its conditional updates
+    const storeRequest = (request) => {
+        jest.spyOn(RecoveryRequest, 'findOne').mockImplementation(() => query(request));
+        jest.spyOn(RecoveryRequest, 'findOneAndUpdate').mockImplementation((filter, { $push, $set }) => {
+            // Completion claims
+            if (!filter.guardians) {
+                const claimed = request._id.equals(filter._id) && request.status === filter.status;
+                if (claimed) Object.assign(request, $set);
+                return query(claimed ? request : null);
+            }
+
+            // Guardian decisions
+            const { did, userId } = filter.guardians.$elemMatch;
+            const matches = request.requestId === filter.requestId
+                && request.status === filter.status
+                && request.expiresAt > filter.expiresAt.$gt
+                && request.guardians.some(guardian => guardian.did === did && guardian.userId.equals(userId))
+                && !request.decisions.some(entry => entry.guardianDid === filter['decisions.guardianDid'].$ne);
+            if (!matches) return query(null);
+
+            Object.entries($push).forEach(([field, value]) => request[field].push(value));
+            return query(request);
+        });
+        jest.spyOn(RecoveryRequest, 'updateOne').mockImplementation(async (filter, { $set }) => {
+            if (request.status !== filter.status) return { modifiedCount: 0 };
+            Object.assign(request, $set);
+            return { modifiedCount: 1 };
+        });
+    };
+
+    let owner;
+    let guardians;
+
+    beforeEach(() => {
+        owner = passwordProtectedUser('owner', 'owner-password');
+        guardians = ['alice', 'bob', 'carol'].map(name => passwordProtectedUser(name, `${name}-password`).user);
+
+        const users = [owner.user, ...guardians];
+        jest.spyOn(User, 'findById').mockImplementation(id => query(users.find(user => user._id.equals(id))));
+        jest.spyOn(User, 'findOne').mockImplementation(() => query(owner.user));
+        jest.spyOn(vaultService, 'findUserByDID').mockImplementation(async did => users.find(user => user.did === did) || null);
+        jest.spyOn(notificationService, 'notifyUser').mockResolvedValue({});
+        jest.spyOn(RecoveryRequest, 'find').mockResolvedValue([]);
+        jest.spyOn(RecoveryRequest, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(RecoveryRequest.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        vaultSessionService.lockAll(owner.user._id);
+        guardians.forEach(guardian => vaultSessionService.lockAll(guardian._id));
+    });
+
+    test('should reconstruct the key-encryption key once enough guardians approve', async () => {
+        await as(owner.user, () => socialRecoveryService.configure(owner.user._id, guardians.map(guardian => guardian.did), 2));
+        expect(owner.user.socialRecovery.guardians).toHaveLength(3);
+
+        // The owner has forgotten the password; their vault is locked
+        vaultSessionService.lockAll(owner.user._id);
+        const { requestId, ticket } = await socialRecoveryService.startRecovery(owner.user.email, '203.0.113.7');
+
+        const request = RecoveryRequest.prototype.save.mock.contexts[0];
+        storeRequest(request);
+
+        await as(guardians[0], () => socialRecoveryService.decide(guardians[0]._id, requestId, true, '198.51.100.1'));
+        await as(guardians[1], () => socialRecoveryService.decide(guardians[1]._id, requestId, false, '198.51.100.2'));
+        await expect(socialRecoveryService.completeRecovery(requestId, ticket, 'new-password', '203.0.113.7'))
+            .rejects.toThrow('Recovery request is pending');
+
+        const summary = await as(guardians[2], () => socialRecoveryService.decide(guardians[2]._id, requestId, true, '198.51.100.3'));
+        expect(summary.status).toBe('approved');
+
+        await expect(socialRecoveryService.completeRecovery(requestId, generateKey(), 'new-password', '203.0.113.7'))
+            .rejects.toThrow('Invalid recovery ticket');
+        expect(request.failedAttempts).toBe(1);
+
+        expect(request.status).toBe('approved');
+
+        // Both attempts find the request approved before either claims it
+        const results = await Promise.allSettled([
+            socialRecoveryService.completeRecovery(requestId, ticket, 'new-password', '203.0.113.7'),
+            socialRecoveryService.completeRecovery(requestId, ticket, 'other-password', '203.0.113.8')
+        ]);
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+        expect(results[1].reason).toMatchObject({ statusCode: 409 });
+        expect(encryptionService.decryptVaultKey(owner.user.vaultKeyWraps.password, 'new-password')).toBe(owner.keyEncryptionKey);
+        expect(request.status).toBe('completed');
+        expect(request.history.map(entry => entry.action)).toEqual(
+            ['requested', 'approved', 'declined', 'approved', 'failed-attempt', 'completed']
+        );
+    });
+
+    test('should take one decision per guardian and none once the request is closed', async () => {
+        await as(owner.user, () => socialRecoveryService.configure(owner.user._id, guardians.map(guardian => guardian.did), 2));
+        const { requestId } = await socialRecoveryService.startRecovery(owner.user.email, '203.0.113.7');
+        const request = RecoveryRequest.prototype.save.mock.contexts[0];
+        storeRequest(request);
+
+        // Both responses pass the checks on the loaded request before either is written
+        const results = await Promise.allSettled([
+            as(guardians[0], () => socialRecoveryService.decide(guardians[0]._id, requestId, true, '198.51.100.1')),
+            as(guardians[0], () => socialRecoveryService.decide(guardians[0]._id, requestId, true, '198.51.100.1'))
+        ]);
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.message).toBe('You have already responded to this request');
+        expect(request.decisions).toHaveLength(1);
+        expect(request.shares).toHaveLength(1);
+
+        await socialRecoveryService.cancel(owner.user._id, requestId, '203.0.113.7');
+        await expect(as(guardians[1], () => socialRecoveryService.decide(guardians[1]._id, requestId, true, '198.51.100.2')))
+            .rejects.toThrow('Recovery request is cancelled');
+        expect(request.decisions).toHaveLength(1);
+    });
+
+    test('should only accept guardians with password-protected vaults', async () => {
+        guardians[0].vaultKeyProtection = 'server';
+
+        await expect(as(owner.user, () => socialRecoveryService.configure(owner.user._id, ['did:vault:alice'], 1)))
+            .rejects.toThrow('must have a password-protected vault');
+        await expect(as(owner.user, () => socialRecoveryService.configure(owner.user._id, [owner.user.did], 1)))
+            .rejects.toThrow('your own guardian');
+    });
+});
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const zlib = require('zlib');
+const StatusList = require('../../src/models/StatusList');
+const DID = require('../../src/models/DID');
+const statusListService = require('../../src/services/statusListService');
+const config = require('../../src/config/env');
+const { connectThenRespond } = require('../helpers');
+
+describe('Bitstring Status List', () => {
+    let list;
+
+    beforeEach(() => {
+        list = new StatusList({ issuerDID: 'did:vault:issuer1', statusPurpose: 'revocation' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should default to a 16KB list', () => {
+        expect(list.toBitstring()).toHaveLength(16384);
+    });
+
+    test('should set bits with index 0 as the leftmost bit', () => {
+        list.setIndices.push(0, 9);
+        const bits = list.toBitstring();
+
+        expect(bits[0]).toBe(0x80);
+        expect(bits[1]).toBe(0x40);
+    });
+
+    test('should round-trip bits through the encoded list', () => {
+        list.setIndices.push(42, 131071);
+        const encoded = list.getEncodedList();
+
+        expect(encoded.startsWith('u')).toBe(true);
+        expect(StatusList.readEncodedBit(encoded, 42)).toBe(true);
+        expect(StatusList.readEncodedBit(encoded, 131071)).toBe(true);
+        expect(StatusList.readEncodedBit(encoded, 43)).toBe(false);
+    });
+
+    test('should change the list hash when a bit flips', () => {
+        const before = list.computeListHash();
+        list.setIndices.push(7);
+
+        expect(list.computeListHash()).not.toBe(before);
+    });
+
+    test('should allocate random indices that no other credential has', async () => {
+        // The n-th free index, for a random n over the whole list
+        jest.spyOn(crypto, 'randomInt').mockReturnValueOnce(90000);
+        list.allocatedIndices.push(5);
+        expect(list.randomFreeIndex()).toBe(90001);
+        jest.restoreAllMocks();
+
+        list.size = 8;
+        list.allocatedIndices = [0, 1, 2];
+        jest.spyOn(StatusList, 'findOne').mockReturnValue({ sort: async () => list });
+        const claim = jest.spyOn(StatusList, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            list.allocatedIndices.push(update.$push.allocatedIndices);
+            return list;
+        });
+
+        const picked = [];
+        for (let i = 0; i < 5; i++) {
+            picked.push((await statusListService.allocateIndex('did:vault:issuer1', 'revocation')).index);
+        }
+
+        expect(picked.sort()).toEqual([3, 4, 5, 6, 7]);
+        expect(claim).toHaveBeenLastCalledWith(
+            expect.objectContaining({ allocatedIndices: { $ne: expect.any(Number) } }),
+            expect.objectContaining({ $inc: { allocatedCount: 1 } }),
+            { new: true }
+        );
+        expect(list.randomFreeIndex()).toBeNull();
+    });
+
+    test('should only store the list hash of the latest bit flip', async () => {
+        const { anchorOnChain } = config.statusList;
+        config.statusList.anchorOnChain = false;
+
+        // The stored list, updated atomically; each flip gets the document as it was right after it
+        const stored = { setIndices: [], revision: 0, listHash: null };
+        jest.spyOn(StatusList, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            stored.setIndices = [...stored.setIndices, update.$addToSet.setIndices];
+            stored.revision += update.$inc.revision;
+            return new StatusList({ ...list.toObject(), setIndices: stored.setIndices, revision: stored.revision });
+        });
+        jest.spyOn(StatusList, 'updateOne').mockImplementation(async (filter, update) => {
+            if (filter.revision === stored.revision) {
+                stored.listHash = update.$set.listHash;
+            }
+        });
+
+        jest.spyOn(DID, 'findOne').mockResolvedValue({ did: 'did:vault:issuer1' });
+        const entry = (index) => ({
+            credentialId: `credential-${index}`,
+            userId: '507f1f77bcf86cd799439011',
+            issuer: { did: 'did:vault:issuer1' },
+            credentialStatus: [{ statusPurpose: 'revocation', statusListIndex: String(index), statusListCredential: statusListService.getListUrl(list.listId) }]
+        });
+        await Promise.all([
+            statusListService.setCredentialStatus(entry(3), 'revocation', true),
+            statusListService.setCredentialStatus(entry(9), 'revocation', true)
+        ]);
+        config.statusList.anchorOnChain = anchorOnChain;
+
+        expect(stored.setIndices).toEqual([3, 9]);
+        expect(stored.listHash).toBe(new StatusList({ ...list.toObject(), setIndices: [3, 9] }).computeListHash());
+    });
+
+    test('should only let the issuer flip its status bits', async () => {
+        const flip = jest.spyOn(StatusList, 'findOneAndUpdate').mockResolvedValue(null);
+        // The issuer DID belongs to another vault user than the one holding this record
+        jest.spyOn(DID, 'findOne').mockImplementation(async ({ did, userId }) =>
+            (did === 'did:vault:issuer1' && userId === 'issuer-user' ? { did } : null));
+
+        const credential = {
+            credentialId: 'credential-1',
+            userId: 'holder-user',
+            issuer: { did: 'did:vault:issuer1' },
+            metadata: {},
+            credentialStatus: [{ statusPurpose: 'suspension', statusListIndex: '3', statusListCredential: statusListService.getListUrl(list.listId) }]
+        };
+
+        await expect(statusListService.setCredentialStatus(credential, 'suspension', false))
+            .rejects.toMatchObject({ statusCode: 403 });
+
+        // An imported copy in the issuer's own vault is not a write handle either
+        await expect(statusListService.setCredentialStatus({ ...credential, userId: 'issuer-user', metadata: { imported: true } }, 'suspension', false))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(flip).not.toHaveBeenCalled();
+
+        await expect(statusListService.setCredentialStatus({ ...credential, userId: 'issuer-user' }, 'suspension', false))
+            .rejects.toThrow('Status list not found');
+        expect(flip).toHaveBeenCalledWith(
+            { listId: list.listId, issuerDID: 'did:vault:issuer1' },
+            expect.anything(),
+            { new: true }
+        );
+    });
+
+    test('should check credentials against their issuer\'s status lists', async () => {
+        // A list hosted here, with the credential's bit set
+        list.setIndices.push(3);
+        const findList = jest.spyOn(StatusList, 'findOne').mockResolvedValue(list);
+        const hosted = [{ statusPurpose: 'revocation', statusListIndex: '3', statusListCredential: statusListService.getListUrl(list.listId) }];
+
+        await expect(statusListService.checkCredentialStatus(hosted, 'did:vault:issuer1'))
+            .resolves.toMatchObject({ revoked: true, reason: 'Credential is revoked in its issuer\'s status list' });
+        expect(findList).toHaveBeenCalledWith({ listId: list.listId, issuerDID: 'did:vault:issuer1', statusPurpose: 'revocation' });
+
+        // A list another issuer publishes
+        const remoteUrl = 'https://issuer.example.com/status/1';
+        const published = (issuer) => new Response(JSON.stringify({
+            issuer,
+            credentialSubject: { type: 'BitstringStatusList', statusPurpose: 'suspension', encodedList: list.getEncodedList() }
+        }));
+        const fetch = jest.spyOn(global, 'fetch').mockImplementation(connectThenRespond(() => published('did:web:issuer.example.com')));
+        jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        const remote = (index) => [{ statusPurpose: 'suspension', statusListIndex: String(index), statusListCredential: remoteUrl }];
+
+        await expect(statusListService.checkCredentialStatus(remote(3), 'did:web:issuer.example.com'))
+            .resolves.toMatchObject({ suspended: true, reason: 'Credential is suspended in its issuer\'s status list' });
+        await expect(statusListService.checkCredentialStatus(remote(4), 'did:web:issuer.example.com'))
+            .resolves.toEqual({ revoked: null, suspended: false, reason: null });
+
+        // Lists that can't be trusted or read fail the check
+        await expect(statusListService.checkCredentialStatus(remote(4), 'did:web:other.example.com'))
+            .resolves.toMatchObject({ reason: 'Credential status could not be checked' });
+        fetch.mockImplementation(connectThenRespond(() => new Response('', { status: 500 })));
+        await expect(statusListService.checkCredentialStatus(remote(4), 'did:web:issuer.example.com'))
+            .resolves.toMatchObject({ reason: 'Credential status could not be checked' });
+        await expect(statusListService.checkCredentialStatus(
+            [{ ...remote(4)[0], statusListCredential: 'http://10.0.0.5/status/1' }],
+            'did:web:issuer.example.com'
+        )).resolves.toMatchObject({ reason: 'Credential status could not be checked' });
+        expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('should refuse encoded lists that inflate past the limit', () => {
+        const bomb = `u${zlib.gzipSync(Buffer.alloc(4 * 1024 * 1024)).toString('base64url')}`;
+
+        expect(() => StatusList.readEncodedBit(bomb, 0)).toThrow();
+        expect(() => StatusList.readEncodedBit(list.getEncodedList(), 131072)).toThrow('out of range');
+    });
+});
@@ -0,0 +1,54 @@
+const Credential = require('../../src/models/Credential');
+
+describe('Credential Suspension', () => {
+    let credential;
+
+    beforeEach(() => {
+        credential = new Credential({
+            userId: '507f1f77bcf86cd799439011',
+            did: 'did:vault:issuer1',
+            credentialType: 'ProfessionalCredential',
+            credentialSubject: { licence: 'NURSE-123' },
+            issuer: { did: 'did:vault:issuer1', name: 'Nursing Board' },
+            holder: 'did:vault:holder1'
+        });
+        jest.spyOn(credential, 'save').mockResolvedValue(credential);
+    });
+
+    test('should suspend with a reason and record it in the history', async () => {
+        const reinstateAt = new Date(Date.now() + 86400000);
+        await credential.suspend('Pending audit', reinstateAt, '507f1f77bcf86cd799439011');
+
+        expect(credential.status).toBe('suspended');
+        expect(credential.isValid()).toBe(false);
+        expect(credential.statusHistory).toHaveLength(1);
+        expect(credential.statusHistory[0]).toMatchObject({ status: 'suspended', reason: 'Pending audit' });
+        expect(credential.getSuspension()).toMatchObject({ reason: 'Pending audit', reinstateAt });
+    });
+
+    test('should reinstate a suspended credential', async () => {
+        await credential.suspend('Pending audit');
+        await credential.reactivate('Audit passed');
+
+        expect(credential.status).toBe('active');
+        expect(credential.suspendedUntil).toBeNull();
+        expect(credential.metadata.suspensionReason).toBeUndefined();
+        expect(credential.statusHistory.map(e => e.status)).toEqual(['suspended', 'active']);
+        expect(credential.getSuspension()).toBeNull();
+    });
+
+    test('should only suspend active credentials', async () => {
+        await credential.revoke('Licence withdrawn');
+
+        expect(() => credential.suspend('Pending audit')).toThrow('Only active credentials can be suspended');
+        expect(() => credential.reactivate()).toThrow('Only suspended credentials can be reactivated');
+    });
+
+    test('should report a lapsed suspension once the reinstate date passes', async () => {
+        await credential.suspend('Pending audit', new Date(Date.now() + 60000));
+        expect(credential.isSuspensionLapsed()).toBe(false);
+
+        credential.suspendedUntil = new Date(Date.now() - 1000);
+        expect(credential.isSuspensionLapsed()).toBe(true);
+    });
+});
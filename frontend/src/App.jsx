@@ -20,6 +20,7 @@ import StorageStats from './pages/StorageStats';
 import OAuthAuthorize from './pages/OAuthAuthorize';
 import PublicAppRegistration from './pages/PublicAppRegistration';
 import ConnectedApps from './pages/ConnectedApps';
+import GuardianRecovery from './pages/GuardianRecovery';
 
 function App() {
   return (
@@ -29,6 +30,7 @@ function App() {
           {/* Public Routes */}
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/recover" element={<GuardianRecovery />} />
           <Route path="/verify" element={<PublicVerification />} />
           <Route path="/developers/register" element={<PublicAppRegistration />} />
           
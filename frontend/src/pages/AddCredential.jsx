@@ -7,6 +7,7 @@ import Button from '../components/Button';
 import Input from '../components/Input';
 import LoadingSpinner from '../components/LoadingSpinner';
 import credentialService from '../services/credentialService';
+import clientVaultService from '../services/clientVaultService';
 import didService from '../services/didService';
 import { formatDate, formatRelativeTime } from '../utils/formatters';
 
@@ -23,10 +24,22 @@ const AddCredential = () => {
     data: '{}',
   });
   const [errors, setErrors] = useState({});
+  const [browserVaultUnlocked, setBrowserVaultUnlocked] = useState(false);
+  const [encryptInBrowser, setEncryptInBrowser] = useState(false);
 
   useEffect(() => {
     // Fetch user's DIDs for subject selection
     fetchDIDs();
+
+    // Offer browser-side encryption when this browser holds an unlocked vault key
+    if (clientVaultService.isSupported()) {
+      clientVaultService.isUnlocked()
+        .then(unlocked => {
+          setBrowserVaultUnlocked(unlocked);
+          setEncryptInBrowser(unlocked);
+        })
+        .catch(() => setBrowserVaultUnlocked(false));
+    }
   }, []);
 
   const fetchDIDs = async () => {
@@ -115,6 +128,20 @@ const AddCredential = () => {
         metadata: {}, // Optional metadata
       };
 
+      if (encryptInBrowser) {
+        // The subject is encrypted here; the server only receives ciphertext and its digest
+        const { subject, ...fields } = dataToSubmit;
+        const encrypted = await clientVaultService.encryptCredential({
+          ...fields,
+          holder: formData.subject,
+          subject,
+        });
+        await credentialService.storeCredential(encrypted);
+        alert('Credential encrypted in your browser and added successfully!');
+        navigate('/credentials');
+        return;
+      }
+
       console.log('🔍 Frontend - Data being sent to backend:', JSON.stringify(dataToSubmit, null, 2));
       console.log('🔍 Frontend - Student DID:', formData.subject);
       console.log('🔍 Frontend - Subject Data:', subjectData);
@@ -285,6 +312,25 @@ const AddCredential = () => {
               </p>
             </div>
 
+            {/* Browser-side encryption */}
+            {browserVaultUnlocked && (
+              <label className="flex items-start gap-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={encryptInBrowser}
+                  onChange={(e) => setEncryptInBrowser(e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium">Encrypt in my browser</span>
+                  <span className="block text-gray-500">
+                    The server never sees the credential data. JWT exports, presentations and
+                    subject search are not available for browser-encrypted credentials.
+                  </span>
+                </span>
+              </label>
+            )}
+
             {/* Info Box */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <div className="flex items-start">
@@ -13,6 +13,7 @@ const CreateDID = () => {
   const [formData, setFormData] = useState({
     method: 'vault',
     publicKeyPem: '',
+    root: false,
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -32,7 +33,10 @@ const CreateDID = () => {
     setSuccess('');
 
     try {
-      const response = await didService.create(formData);
+      const response = await didService.create({
+        ...formData,
+        root: formData.method === 'web' && formData.root,
+      });
       setSuccess('DID created successfully!');
       
       // Redirect to DID details after a short delay
@@ -84,14 +88,31 @@ const CreateDID = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="vault">vault (Recommended)</option>
-                <option value="key">key</option>
-                <option value="web">web</option>
+                <option value="key">key (self-resolving, from an Ed25519 key)</option>
+                <option value="web">web (hosted under this server&apos;s domain)</option>
+                <option value="ethr">ethr (Ethereum account, keys in the ERC-1056 registry)</option>
               </select>
               <p className="mt-1 text-sm text-gray-500">
                 The DID method determines how your identifier is created and resolved
               </p>
             </div>
 
+            {formData.method === 'web' && (
+              <label className="flex items-start space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="root"
+                  checked={formData.root}
+                  onChange={(e) => setFormData({ ...formData, root: e.target.checked })}
+                  className="mt-1"
+                />
+                <span>
+                  Use the domain identity (did:web:&lt;domain&gt;) instead of a per-user one.
+                  Only the organization account configured on the server can claim it.
+                </span>
+              </label>
+            )}
+
             <Input
               label="Public Key PEM (Optional)"
               name="publicKeyPem"
@@ -6,6 +6,7 @@ import Card from '../components/Card';
 import Button from '../components/Button';
 import LoadingSpinner from '../components/LoadingSpinner';
 import credentialService from '../services/credentialService';
+import clientVaultService from '../services/clientVaultService';
 import { formatDate, formatHash } from '../utils/formatters';
 
 const CredentialDetails = () => {
@@ -16,6 +17,7 @@ const CredentialDetails = () => {
   const [error, setError] = useState(null);
   const [verifying, setVerifying] = useState(false);
   const [revoking, setRevoking] = useState(false);
+  const [suspending, setSuspending] = useState(false);
 
   useEffect(() => {
     fetchCredential();
@@ -24,8 +26,19 @@ const CredentialDetails = () => {
   const fetchCredential = async () => {
     try {
       setLoading(true);
-      const data = await credentialService.getCredential(id);
-      setCredential(data.data.credential);
+      const data = await credentialService.getCredential(id, true);
+      const fetched = data.data.credential;
+
+      // Browser-encrypted credentials come back as ciphertext and are decrypted here
+      if (fetched.encryptedSubject) {
+        try {
+          fetched.decryptedSubject = await clientVaultService.decryptSubject(fetched.encryptedSubject);
+        } catch (decryptError) {
+          fetched.decryptionError = decryptError.message;
+        }
+      }
+
+      setCredential(fetched);
     } catch (err) {
       setError(err.message || 'Failed to load credential');
     } finally {
@@ -69,6 +82,55 @@ const CredentialDetails = () => {
     }
   };
 
+  const handleSuspend = async () => {
+    const reason = prompt('Please provide a reason for suspending this credential:');
+    if (!reason || reason.trim().length < 5) {
+      alert('Suspension reason must be at least 5 characters long');
+      return;
+    }
+
+    const until = prompt('Reinstate automatically on (YYYY-MM-DD), or leave blank to reinstate manually:');
+    if (until === null) {
+      return;
+    }
+    if (until.trim() && (isNaN(Date.parse(until.trim())) || new Date(until.trim()) <= new Date())) {
+      alert('Reinstate date must be a valid date in the future');
+      return;
+    }
+
+    try {
+      setSuspending(true);
+      await credentialService.suspendCredential(
+        id,
+        reason,
+        until.trim() ? new Date(until.trim()).toISOString() : undefined
+      );
+      alert('Credential suspended successfully!');
+      fetchCredential();
+    } catch (err) {
+      alert(err.message || 'Failed to suspend credential');
+    } finally {
+      setSuspending(false);
+    }
+  };
+
+  const handleReinstate = async () => {
+    if (!window.confirm('Reinstate this credential? It will verify as valid again.')) {
+      return;
+    }
+
+    try {
+      setSuspending(true);
+      await credentialService.reinstateCredential(id);
+      alert('Credential reinstated successfully!');
+      fetchCredential();
+    } catch (err) {
+      alert(err.message || 'Failed to reinstate credential');
+    } finally {
+      setSuspending(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to permanently delete this credential? This action cannot be undone.')) {
       return;
@@ -148,6 +210,32 @@ const CredentialDetails = () => {
           )}
         </div>
 
+        {/* Suspension Notice */}
+        {credential.status === 'suspended' && (
+          <Card className="mb-6 border-2 border-yellow-300 bg-yellow-50">
+            <h2 className="text-xl font-semibold mb-2 text-yellow-900">Credential Suspended</h2>
+            <p className="text-yellow-800">
+              {credential.metadata?.suspensionReason || 'No reason recorded'}
+            </p>
+            <p className="text-sm text-yellow-700 mt-2">
+              {credential.suspendedUntil
+                ? `Reinstates automatically on ${formatDate(credential.suspendedUntil)}`
+                : 'Suspended until manually reinstated'}
+            </p>
+          </Card>
+        )}
+
+        {/* Holder DID Deactivation Notice */}
+        {credential.holderDeactivatedAt && (
+          <Card className="mb-6 border-2 border-amber-300 bg-amber-50">
+            <h2 className="text-xl font-semibold mb-2 text-amber-900">Holder DID Deactivated</h2>
+            <p className="text-amber-800">
+              The DID this credential was issued to was deactivated on {formatDate(credential.holderDeactivatedAt)}.
+              Verifiers see this until the DID is reactivated.
+            </p>
+          </Card>
+        )}
+
         {/* Main Information */}
         <Card className="mb-6">
           <h2 className="text-xl font-semibold mb-4">Credential Information</h2>
@@ -232,9 +320,19 @@ const CredentialDetails = () => {
             <FileText className="inline w-5 h-5 mr-2" />
             Credential Subject Data
           </h2>
+          {credential.encryptionMode === 'client' && (
+            <p className="text-sm text-gray-500 mb-3">
+              Encrypted in the browser - the server only stores ciphertext for this credential.
+            </p>
+          )}
           <pre className="bg-gray-50 p-4 rounded-lg overflow-auto max-h-96 text-sm">
-            {JSON.stringify(credential.credentialSubject || credential.subject || credential.data || {}, null, 2)}
+            {JSON.stringify(credential.decryptedSubject || credential.credentialSubject || credential.subject || credential.data || {}, null, 2)}
           </pre>
+          {credential.decryptionError && (
+            <p className="text-sm text-yellow-700 mt-2">
+              Could not decrypt this credential: {credential.decryptionError}
+            </p>
+          )}
         </Card>
 
         {/* Verification Hash - For Public Verification */}
@@ -272,6 +370,33 @@ const CredentialDetails = () => {
           </Card>
         )}
 
+        {/* Status History */}
+        {credential.statusHistory?.length > 0 && (
+          <Card className="mb-6">
+            <h2 className="text-xl font-semibold mb-4">Status History</h2>
+            <ul className="space-y-3">
+              {[...credential.statusHistory].reverse().map((entry, index) => (
+                <li key={index} className="border-l-4 border-gray-300 pl-3">
+                  <p className="text-gray-900 font-medium">
+                    {entry.status.charAt(0).toUpperCase() + entry.status.slice(1)}
+                    <span className="text-sm text-gray-500 font-normal ml-2">
+                      {formatDate(entry.changedAt)}
+                    </span>
+                  </p>
+                  {entry.reason && (
+                    <p className="text-sm text-gray-700">{entry.reason}</p>
+                  )}
+                  {entry.reinstateAt && (
+                    <p className="text-xs text-gray-500">
+                      Scheduled reinstatement: {formatDate(entry.reinstateAt)}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </Card>
+        )}
+
         {/* Blockchain Information */}
         {credential.blockchainTxHash && (
           <Card className="mb-6">
@@ -325,6 +450,25 @@ const CredentialDetails = () => {
               </Button>
             )}
 
+            {credential.status === 'active' && (
+              <Button
+                variant="outline"
+                onClick={handleSuspend}
+                disabled={suspending}
+              >
+                {suspending ? 'Suspending...' : 'Suspend Credential'}
+              </Button>
+            )}
+
+            {credential.status === 'suspended' && (
+              <Button
+                onClick={handleReinstate}
+                disabled={suspending}
+              >
+                {suspending ? 'Reinstating...' : 'Reinstate Credential'}
+              </Button>
+            )}
+
             <Button
               variant="danger"
               onClick={handleDelete}
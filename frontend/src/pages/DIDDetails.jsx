@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Key, Link, Trash2, Edit, QrCode, Copy, Shield, Download } from 'lucide-react';
+import { Key, Link, Trash2, Edit, QrCode, Copy, Shield, Download, RefreshCw, History } from 'lucide-react';
 import QRCodeGenerator from 'qrcode';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
@@ -10,6 +10,42 @@ import didService from '../services/didService';
 import { formatDate, formatDID } from '../utils/formatters';
 import { copyToClipboard } from '../utils/helpers';
 
+const VERSION_CHANGES = {
+  create: 'Created',
+  update: 'Updated',
+  service: 'Service added',
+  key: 'Key change',
+  restore: 'Restored from backup',
+  migration: 'First recorded version',
+};
+
+const DIFF_STYLES = {
+  add: { symbol: '+', className: 'text-green-700' },
+  remove: { symbol: '−', className: 'text-red-700' },
+  replace: { symbol: '~', className: 'text-amber-700' },
+};
+
+// Cascade policies a deactivation can choose per dependant
+const DEACTIVATION_POLICIES = [
+  {
+    name: 'issuedCredentials',
+    label: 'Credentials issued by this DID',
+    options: { suspend: 'Suspend (reinstated on reactivation)', revoke: 'Revoke permanently', keep: 'Leave active' },
+  },
+  {
+    name: 'heldCredentials',
+    label: 'Credentials held by this DID',
+    options: { flag: 'Flag to verifiers', keep: 'Leave unflagged' },
+  },
+  {
+    name: 'oauthGrants',
+    label: 'Connected apps (OAuth tokens and codes)',
+    options: { revoke: 'Revoke', keep: 'Keep (unusable while deactivated)' },
+  },
+];
+
+const formatDiffValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
 const DIDDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -18,6 +54,11 @@ const DIDDetails = () => {
   const [error, setError] = useState(null);
   const [showQR, setShowQR] = useState(false);
   const [qrCodeUrl, setQrCodeUrl] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [deactivationPreview, setDeactivationPreview] = useState(null);
+  const [deactivationReason, setDeactivationReason] = useState('');
+  const [reactivationPreview, setReactivationPreview] = useState(null);
 
   useEffect(() => {
     fetchDID();
@@ -50,6 +91,7 @@ const DIDDetails = () => {
       setLoading(true);
       const data = await didService.getDID(id);
       setDID(data.data.did);
+      fetchVersions(data.data.did.did);
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load DID');
     } finally {
@@ -57,6 +99,15 @@ const DIDDetails = () => {
     }
   };
 
+  const fetchVersions = async (didString) => {
+    try {
+      const data = await didService.getVersions(didString);
+      setVersions(data.data.versions);
+    } catch {
+      setVersions([]);
+    }
+  };
+
   const handleCopy = async (text) => {
     const success = await copyToClipboard(text);
     if (success) {
@@ -75,30 +126,85 @@ const DIDDetails = () => {
     document.body.removeChild(link);
   };
 
-  const handleDeactivate = async () => {
-    if (!window.confirm('Are you sure you want to deactivate this DID?')) {
-      return;
+  const previewDeactivation = async (policy = {}) => {
+    try {
+      const data = await didService.getDeactivationPreview(did.did, policy);
+      setDeactivationPreview(data.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to preview deactivation');
     }
+  };
+
+  const handlePolicyChange = (name, value) => {
+    previewDeactivation({ ...deactivationPreview.policy, [name]: value });
+  };
 
+  const handleDeactivate = async () => {
     try {
-      await didService.deactivateDID(id);
+      const { issuedCredentials, heldCredentials, oauthGrants } = deactivationPreview.policy;
+      await didService.deactivateDID(did.did, {
+        reason: deactivationReason || null,
+        policy: { issuedCredentials, heldCredentials, oauthGrants },
+      });
       alert('DID deactivated successfully!');
+      setDeactivationPreview(null);
+      setDeactivationReason('');
       fetchDID();
     } catch (err) {
       alert(err.response?.data?.message || 'Failed to deactivate DID');
     }
   };
 
+  const previewReactivation = async () => {
+    try {
+      const data = await didService.getReactivationPreview(did.did);
+      setReactivationPreview(data.data);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to preview reactivation');
+    }
+  };
+
   const handleReactivate = async () => {
     try {
-      await didService.reactivateDID(id);
+      await didService.reactivateDID(did.did);
       alert('DID reactivated successfully!');
+      setReactivationPreview(null);
       fetchDID();
     } catch (err) {
       alert(err.response?.data?.message || 'Failed to reactivate DID');
     }
   };
 
+  const handleRotateKey = async () => {
+    if (!window.confirm('Create a new key and sign with it from now on?')) {
+      return;
+    }
+
+    try {
+      await didService.addKey(did.did, { relationships: ['authentication', 'assertionMethod'] });
+      fetchDID();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to rotate key');
+    }
+  };
+
+  const handleRevokeKey = async (methodId) => {
+    const reason = window.prompt('Why is this key being revoked? Credentials it signed until now stay valid.', 'superseded');
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      await didService.revokeKey(did.did, methodId.split('#')[1], reason);
+      fetchDID();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to revoke key');
+    }
+  };
+
+  // did:key keys are the identifier itself and did:ethr keys live in the registry
+  const canRotateKeys = did?.isActive && ['vault', 'web'].includes(did.method);
+
   if (loading) {
     return (
       <Layout>
@@ -232,6 +338,22 @@ const DIDDetails = () => {
               <p className="text-gray-900">{did.method}</p>
             </div>
 
+            {did.documentUrl && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Published At
+                </label>
+                <a
+                  href={did.documentUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:underline font-mono text-sm break-all"
+                >
+                  {did.documentUrl}
+                </a>
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -250,37 +372,57 @@ const DIDDetails = () => {
           </div>
         </Card>
 
-        {/* Public Key */}
-        {did.publicKey && (
+        {/* Verification Methods */}
+        {did.document?.verificationMethod?.length > 0 && (
           <Card className="mb-6">
-            <h2 className="text-xl font-semibold mb-4">
-              <Shield className="inline w-5 h-5 mr-2" />
-              Public Key
-            </h2>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">
+                <Shield className="inline w-5 h-5 mr-2" />
+                Verification Methods
+              </h2>
+              {canRotateKeys && (
+                <Button size="sm" onClick={handleRotateKey}>
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  Rotate Key
+                </Button>
+              )}
+            </div>
             <div className="space-y-3">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Key Type
-                </label>
-                <p className="text-gray-900">{did.publicKey.type || 'Ed25519VerificationKey2020'}</p>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Public Key
-                </label>
-                <div className="flex items-center gap-2">
-                  <p className="text-gray-900 font-mono text-xs flex-1 break-all bg-gray-50 p-2 rounded">
-                    {did.publicKey.publicKeyBase58 || did.publicKey}
-                  </p>
-                  <Button
-                    size="sm"
-                    variant="outline"
-                    onClick={() => handleCopy(did.publicKey.publicKeyBase58 || did.publicKey)}
-                  >
-                    <Copy className="w-4 h-4" />
-                  </Button>
-                </div>
-              </div>
+              {did.document.verificationMethod.map((method) => {
+                const relationships = ['authentication', 'assertionMethod']
+                  .filter((relationship) => did.document[relationship]?.includes(method.id));
+                const key = method.publicKeyMultibase || method.blockchainAccountId || JSON.stringify(method.publicKeyJwk);
+
+                return (
+                  <div key={method.id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex justify-between items-start gap-2">
+                      <div className="flex-1 min-w-0">
+                        <p className="font-mono text-sm text-gray-900 break-all">{method.id}</p>
+                        <p className="text-xs text-gray-600 mt-1">
+                          {method.type}
+                          {relationships.length > 0 && ` · ${relationships.join(', ')}`}
+                        </p>
+                        {method.revoked && (
+                          <p className="text-xs text-red-600 mt-1">Revoked {formatDate(method.revoked)}</p>
+                        )}
+                        <p className="text-gray-900 font-mono text-xs break-all bg-gray-50 p-2 rounded mt-2">
+                          {key}
+                        </p>
+                      </div>
+                      <div className="flex gap-1">
+                        <Button size="sm" variant="outline" onClick={() => handleCopy(key)}>
+                          <Copy className="w-4 h-4" />
+                        </Button>
+                        {canRotateKeys && !method.revoked && did.document.verificationMethod.length > 1 && (
+                          <Button size="sm" variant="ghost" onClick={() => handleRevokeKey(method.id)}>
+                            <Trash2 className="w-4 h-4 text-red-600" />
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
             </div>
           </Card>
         )}
@@ -330,6 +472,62 @@ const DIDDetails = () => {
           )}
         </Card>
 
+        {/* Version History */}
+        {versions.length > 0 && (
+          <Card className="mb-6">
+            <h2 className="text-xl font-semibold mb-4">
+              <History className="inline w-5 h-5 mr-2" />
+              Version History
+            </h2>
+            <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+              {[...versions].reverse().map((version) => (
+                <li key={version.versionId} className="ml-4">
+                  <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-primary-500 border border-white" />
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        Version {version.versionId} · {VERSION_CHANGES[version.change] || version.change}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-1">
+                        {formatDate(version.updated)}
+                        {version.blockchainBlockNumber !== null && ` · anchored in block #${version.blockchainBlockNumber}`}
+                      </p>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setOpenVersion(openVersion === version.versionId ? null : version.versionId)}
+                    >
+                      {openVersion === version.versionId ? 'Hide' : 'View'} Document
+                    </Button>
+                  </div>
+                  {version.versionId !== '1' && (
+                    version.changes.length > 0 ? (
+                      <ul className="mt-2 space-y-1 font-mono text-xs">
+                        {version.changes.map((change, index) => (
+                          <li key={index} className={`break-all ${DIFF_STYLES[change.op].className}`}>
+                            {DIFF_STYLES[change.op].symbol} {change.path}
+                            {change.op === 'remove' && `: ${formatDiffValue(change.from)}`}
+                            {change.op === 'add' && `: ${formatDiffValue(change.to)}`}
+                            {change.op === 'replace' && `: ${formatDiffValue(change.from)} → ${formatDiffValue(change.to)}`}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="mt-2 text-xs text-gray-500">No changes to the published document</p>
+                    )
+                  )}
+                  {openVersion === version.versionId && (
+                    <pre className="bg-gray-50 p-4 rounded-lg overflow-auto max-h-96 text-xs mt-2">
+                      {JSON.stringify(version.document, null, 2)}
+                    </pre>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </Card>
+        )}
+
         {/* DID Document */}
         <Card className="mb-6">
           <h2 className="text-xl font-semibold mb-4">DID Document</h2>
@@ -343,11 +541,11 @@ const DIDDetails = () => {
           <h2 className="text-xl font-semibold mb-4">Actions</h2>
           <div className="flex flex-wrap gap-3">
             {did.isActive ? (
-              <Button variant="danger" onClick={handleDeactivate}>
+              <Button variant="danger" onClick={() => previewDeactivation()} disabled={!!deactivationPreview}>
                 Deactivate DID
               </Button>
             ) : (
-              <Button onClick={handleReactivate}>
+              <Button onClick={previewReactivation} disabled={!!reactivationPreview}>
                 Reactivate DID
               </Button>
             )}
@@ -357,6 +555,91 @@ const DIDDetails = () => {
               Edit DID
             </Button>
           </div>
+
+          {did.isActive && deactivationPreview && (
+            <div className="mt-6 border border-red-200 bg-red-50 rounded-lg p-4">
+              <h3 className="font-semibold text-red-900 mb-3">Deactivate {formatDID(did.did)}?</h3>
+              <div className="space-y-3">
+                {DEACTIVATION_POLICIES.map(({ name, label, options }) => (
+                  <div key={name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                    <select
+                      value={deactivationPreview.policy[name]}
+                      onChange={(e) => handlePolicyChange(name, e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+                    >
+                      {Object.entries(options).map(([value, text]) => (
+                        <option key={value} value={value}>{text}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason (optional)</label>
+                  <input
+                    type="text"
+                    value={deactivationReason}
+                    onChange={(e) => setDeactivationReason(e.target.value)}
+                    maxLength={200}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </div>
+              </div>
+              <ul className="mt-4 text-sm text-gray-700 space-y-1 list-disc list-inside">
+                <li>
+                  {deactivationPreview.issuedCredentials.credentials.length} issued credential(s) will be
+                  {deactivationPreview.issuedCredentials.action === 'keep' ? ' left active' : ` ${deactivationPreview.issuedCredentials.action === 'revoke' ? 'revoked' : 'suspended'}`}
+                </li>
+                <li>
+                  {deactivationPreview.heldCredentials.credentials.length} held credential(s) will be
+                  {deactivationPreview.heldCredentials.action === 'flag' ? ' flagged' : ' left unflagged'}
+                </li>
+                <li>
+                  {deactivationPreview.oauthGrants.accessTokens} app token(s) and {deactivationPreview.oauthGrants.authCodes} authorization code(s) will be
+                  {deactivationPreview.oauthGrants.action === 'revoke' ? ' revoked' : ' kept'}
+                </li>
+                {deactivationPreview.policy.anchorOnChain && <li>The deactivation will be anchored on the blockchain</li>}
+              </ul>
+              <div className="flex gap-3 mt-4">
+                <Button variant="danger" onClick={handleDeactivate}>
+                  Confirm Deactivation
+                </Button>
+                <Button variant="outline" onClick={() => setDeactivationPreview(null)}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {!did.isActive && reactivationPreview && (
+            <div className="mt-6 border border-green-200 bg-green-50 rounded-lg p-4">
+              <h3 className="font-semibold text-green-900 mb-3">Reactivate {formatDID(did.did)}?</h3>
+              {reactivationPreview.reason && (
+                <p className="text-sm text-gray-700 mb-2">Deactivated: {reactivationPreview.reason}</p>
+              )}
+              <ul className="text-sm text-gray-700 space-y-1 list-disc list-inside">
+                <li>{reactivationPreview.reinstateCredentials.length} suspended credential(s) will be reinstated</li>
+                <li>{reactivationPreview.unflagCredentials.length} held credential(s) will be unflagged</li>
+                {reactivationPreview.notRestored.revokedCredentials.length > 0 && (
+                  <li>{reactivationPreview.notRestored.revokedCredentials.length} revoked credential(s) stay revoked</li>
+                )}
+                {reactivationPreview.notRestored.changedCredentials.length > 0 && (
+                  <li>{reactivationPreview.notRestored.changedCredentials.length} credential(s) changed since the deactivation and stay as they are</li>
+                )}
+                {(reactivationPreview.notRestored.accessTokens > 0 || reactivationPreview.notRestored.authCodes > 0) && (
+                  <li>Revoked app access is not restored; connected apps have to be authorized again</li>
+                )}
+              </ul>
+              <div className="flex gap-3 mt-4">
+                <Button onClick={handleReactivate}>
+                  Confirm Reactivation
+                </Button>
+                <Button variant="outline" onClick={() => setReactivationPreview(null)}>
+                  Cancel
+                </Button>
+              </div>
+            </div>
+          )}
         </Card>
       </div>
     </Layout>
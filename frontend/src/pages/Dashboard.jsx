@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Shield, FileText, Box, TrendingUp, Plus, Eye } from 'lucide-react';
+import { Shield, FileText, Box, TrendingUp, Plus, Eye, Bell } from 'lucide-react';
 import Navbar from '../components/Navbar';
 import Card from '../components/Card';
 import Button from '../components/Button';
@@ -8,11 +8,13 @@ import LoadingSpinner from '../components/LoadingSpinner';
 import Alert from '../components/Alert';
 import vaultService from '../services/vaultService';
 import blockchainService from '../services/blockchainService';
+import notificationService from '../services/notificationService';
 import { formatTimeAgo } from '../utils/helpers';
 
 const Dashboard = () => {
   const [stats, setStats] = useState(null);
   const [blockchainStats, setBlockchainStats] = useState(null);
+  const [notifications, setNotifications] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -23,13 +25,15 @@ const Dashboard = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [vaultData, blockchainData] = await Promise.all([
+      const [vaultData, blockchainData, notificationData] = await Promise.all([
         vaultService.getStats(),
         blockchainService.getStats(),
+        notificationService.getNotifications(true),
       ]);
       
       setStats(vaultData.data.stats || vaultData.data);
       setBlockchainStats(blockchainData.data.stats || blockchainData.data);
+      setNotifications(notificationData.data.notifications || []);
       setError('');
     } catch (err) {
       setError(err.message || 'Failed to load dashboard data');
@@ -38,6 +42,15 @@ const Dashboard = () => {
     }
   };
 
+  const handleDismissNotification = async (notificationId) => {
+    try {
+      await notificationService.markRead(notificationId);
+      setNotifications(prev => prev.filter(n => n._id !== notificationId));
+    } catch (err) {
+      setError(err.message || 'Failed to update notification');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50">
@@ -62,6 +75,45 @@ const Dashboard = () => {
           <Alert type="error" message={error} onClose={() => setError('')} className="mb-6" />
         )}
 
+        {/* Notifications */}
+        {notifications.length > 0 && (
+          <Card title="Notifications" className="mb-8">
+            <div className="space-y-3">
+              {notifications.map((notification) => (
+                <div
+                  key={notification._id}
+                  className="flex items-center justify-between p-3 bg-yellow-50 rounded-lg"
+                >
+                  <div className="flex items-center space-x-3">
+                    <Bell className="h-5 w-5 text-yellow-600" />
+                    <div>
+                      <p className="font-medium text-gray-900">{notification.title}</p>
+                      <p className="text-sm text-gray-600">{notification.message}</p>
+                      <p className="text-xs text-gray-500">{formatTimeAgo(notification.createdAt)}</p>
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {notification.credentialId && (
+                      <Link to={`/credentials/${notification.credentialId}`}>
+                        <Button variant="outline" size="sm">
+                          View
+                        </Button>
+                      </Link>
+                    )}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleDismissNotification(notification._id)}
+                    >
+                      Dismiss
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
         {/* Stats Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <Card className="hover:shadow-lg transition">
@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Users, Mail, Lock, RefreshCw } from 'lucide-react';
+import recoveryService from '../services/recoveryService';
+import Button from '../components/Button';
+import Input from '../components/Input';
+import Alert from '../components/Alert';
+
+// The ticket is the only way to use the guardians' approvals, so it is kept in this browser until used
+const STORAGE_KEY = 'guardianRecovery';
+
+const GuardianRecovery = () => {
+  const [email, setEmail] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [pending, setPending] = useState(() => JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+  const [request, setRequest] = useState(null);
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (pending) {
+      loadRequest(pending.requestId);
+    }
+  }, [pending]);
+
+  const loadRequest = async (requestId) => {
+    try {
+      setRequest(await recoveryService.getRequest(requestId));
+    } catch (err) {
+      setError(err.message || 'Failed to load recovery request');
+    }
+  };
+
+  const forgetRequest = () => {
+    localStorage.removeItem(STORAGE_KEY);
+    setPending(null);
+    setRequest(null);
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const { requestId, ticket } = await recoveryService.startRecovery(email);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ requestId, ticket }));
+      setPending({ requestId, ticket });
+    } catch (err) {
+      setError(err.message || 'Failed to start recovery');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleComplete = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await recoveryService.completeRecovery(pending.requestId, pending.ticket, newPassword);
+      setRecoveryCode(data.recoveryCode);
+      forgetRequest();
+    } catch (err) {
+      setError(err.message || 'Failed to recover vault');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="flex justify-center">
+            <Users className="h-16 w-16 text-blue-600" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            Recover with Guardians
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Lost your password and recovery code? Your guardians can help you back into your vault.
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-8 space-y-6">
+          {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+          {recoveryCode && (
+            <Alert
+              type="success"
+              message={`Vault recovered. Your new recovery code is ${recoveryCode} - store it safely, then sign in with your new password.`}
+            />
+          )}
+
+          {!pending && !recoveryCode && (
+            <form onSubmit={handleStart} className="space-y-6">
+              <div className="relative">
+                <Mail className="absolute left-3 top-9 h-5 w-5 text-gray-400" />
+                <Input
+                  label="Email"
+                  type="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  required
+                  className="pl-10"
+                />
+              </div>
+
+              <Button type="submit" fullWidth loading={loading} disabled={loading}>
+                Ask My Guardians
+              </Button>
+            </form>
+          )}
+
+          {pending && request && (
+            <div className="space-y-4 text-sm">
+              <p>
+                <span className="font-medium">Status:</span> {request.status}
+                <span className="ml-2 text-gray-500">
+                  {request.approvals} of {request.threshold} approvals · expires {new Date(request.expiresAt).toLocaleString()}
+                </span>
+              </p>
+              <p className="text-gray-600">
+                Contact your guardians ({request.guardians.join(', ')}) and ask them to approve the request in their vault.
+                Keep this page's browser: it holds your one-time recovery ticket.
+              </p>
+
+              {request.status === 'approved' ? (
+                <form onSubmit={handleComplete} className="space-y-6">
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-9 h-5 w-5 text-gray-400" />
+                    <Input
+                      label="New Password"
+                      type="password"
+                      name="newPassword"
+                      value={newPassword}
+                      onChange={(e) => setNewPassword(e.target.value)}
+                      placeholder="••••••••"
+                      required
+                      className="pl-10"
+                    />
+                  </div>
+
+                  <Button type="submit" fullWidth loading={loading} disabled={loading}>
+                    Reset Password
+                  </Button>
+                </form>
+              ) : request.status === 'pending' ? (
+                <Button variant="outline" fullWidth onClick={() => loadRequest(pending.requestId)}>
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  Check Again
+                </Button>
+              ) : (
+                <Button variant="outline" fullWidth onClick={forgetRequest}>
+                  Start Over
+                </Button>
+              )}
+            </div>
+          )}
+
+          {pending && !request && (
+            <Button variant="outline" fullWidth onClick={forgetRequest}>
+              Start Over
+            </Button>
+          )}
+
+          <div className="text-center text-sm">
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuardianRecovery;
@@ -1,7 +1,8 @@
 import { useState } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { Shield, Mail, Lock } from 'lucide-react';
+import { Shield, Mail, Lock, KeyRound } from 'lucide-react';
+import authService from '../services/authService';
 import Button from '../components/Button';
 import Input from '../components/Input';
 import Alert from '../components/Alert';
@@ -17,6 +18,9 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [recovering, setRecovering] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [newRecoveryCode, setNewRecoveryCode] = useState('');
 
   const handleChange = (e) => {
     setFormData({
@@ -55,6 +59,27 @@ const Login = () => {
     }
   };
 
+  const handleRecover = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await authService.recoverVault({
+        email: formData.email,
+        recoveryCode,
+        newPassword: formData.password,
+      });
+      setNewRecoveryCode(data.recoveryCode);
+      setRecovering(false);
+      setRecoveryCode('');
+    } catch (err) {
+      setError(err.message || 'Failed to recover vault');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -73,8 +98,15 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="bg-white rounded-lg shadow-lg p-8">
-          <form onSubmit={handleSubmit} className="space-y-6">
+          <form onSubmit={recovering ? handleRecover : handleSubmit} className="space-y-6">
             {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+            {newRecoveryCode && (
+              <Alert
+                type="success"
+                message={`Password reset. Your new recovery code is ${newRecoveryCode} - store it safely, then sign in.`}
+                onClose={() => setNewRecoveryCode('')}
+              />
+            )}
 
             <div className="space-y-4">
               <div className="relative">
@@ -94,7 +126,7 @@ const Login = () => {
               <div className="relative">
                 <Lock className="absolute left-3 top-9 h-5 w-5 text-gray-400" />
                 <Input
-                  label="Password"
+                  label={recovering ? 'New Password' : 'Password'}
                   type="password"
                   name="password"
                   value={formData.password}
@@ -104,6 +136,21 @@ const Login = () => {
                   className="pl-10"
                 />
               </div>
+
+              {recovering && (
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-9 h-5 w-5 text-gray-400" />
+                  <Input
+                    label="Vault Recovery Code"
+                    name="recoveryCode"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+                    required
+                    className="pl-10"
+                  />
+                </div>
+              )}
             </div>
 
             <Button
@@ -112,9 +159,27 @@ const Login = () => {
               loading={loading}
               disabled={loading}
             >
-              Sign In
+              {recovering ? 'Reset Password' : 'Sign In'}
             </Button>
 
+            <div className="text-center text-sm">
+              <button
+                type="button"
+                onClick={() => { setRecovering(!recovering); setError(''); }}
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                {recovering ? 'Back to sign in' : 'Forgot password? Use your vault recovery code'}
+              </button>
+            </div>
+
+            {recovering && (
+              <div className="text-center text-sm">
+                <Link to="/recover" className="font-medium text-blue-600 hover:text-blue-500">
+                  Lost your recovery code too? Ask your guardians
+                </Link>
+              </div>
+            )}
+
             <div className="text-center text-sm">
               <span className="text-gray-600">Don't have an account? </span>
               <Link
@@ -253,18 +253,36 @@ const PublicVerification = () => {
                                 <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
                                     <div className="flex items-start gap-3">
                                         <span className="text-2xl">
-                                            {verificationResult.credential.status === 'active' ? '✅' : '🔴'}
+                                            {verificationResult.credential.status === 'active'
+                                                ? '✅'
+                                                : verificationResult.credential.status === 'suspended' ? '⏸️' : '🔴'}
                                         </span>
                                         <div className="flex-1">
                                             <h4 className="text-sm font-semibold text-gray-700 mb-1">Status</h4>
                                             <p className={`text-sm font-semibold ${
                                                 verificationResult.credential.status === 'active' 
                                                     ? 'text-green-600' 
+                                                    : verificationResult.credential.status === 'suspended'
+                                                    ? 'text-yellow-600'
                                                     : 'text-red-600'
                                             }`}>
                                                 {verificationResult.credential.status.charAt(0).toUpperCase() + 
                                                  verificationResult.credential.status.slice(1)}
                                             </p>
+                                            {verificationResult.credential.status === 'suspended' && (
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    {verificationResult.credential.suspendedAt &&
+                                                        `Suspended since ${new Date(verificationResult.credential.suspendedAt).toLocaleDateString()}. `}
+                                                    {verificationResult.credential.reinstateAt
+                                                        ? `Scheduled to be reinstated on ${new Date(verificationResult.credential.reinstateAt).toLocaleDateString()}.`
+                                                        : 'Suspended until the issuer reinstates it.'}
+                                                </p>
+                                            )}
+                                            {verificationResult.credential.holderDeactivatedAt && (
+                                                <p className="text-xs text-amber-700 mt-1">
+                                                    {`The holder's DID was deactivated on ${new Date(verificationResult.credential.holderDeactivatedAt).toLocaleDateString()}.`}
+                                                </p>
+                                            )}
                                         </div>
                                     </div>
                                 </div>
@@ -361,8 +379,17 @@ const PublicVerification = () => {
                     {!verificationResult.verified && (
                         <div className="mt-6 p-4 bg-red-100 border border-red-300 rounded-lg">
                             <p className="text-sm text-red-800">
-                                ⚠️ <strong>Verification failed.</strong> This credential hash was not found on any blockchain. 
-                                Please verify the hash is correct or contact the credential issuer.
+                                {verificationResult.credential?.status === 'suspended' ? (
+                                    <>
+                                        ⏸️ <strong>Credential suspended.</strong> The issuer has temporarily suspended this credential. 
+                                        It is not valid until it is reinstated.
+                                    </>
+                                ) : (
+                                    <>
+                                        ⚠️ <strong>Verification failed.</strong> This credential hash was not found on any blockchain. 
+                                        Please verify the hash is correct or contact the credential issuer.
+                                    </>
+                                )}
                             </p>
                         </div>
                     )}
@@ -1,11 +1,14 @@
-import { useState } from 'react';
-import { User, Lock, Mail, Save, Download } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { User, Lock, Mail, Save, Download, Upload, KeyRound, Shield, Users, Check, X } from 'lucide-react';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
 import Button from '../components/Button';
 import Input from '../components/Input';
 import { useAuth } from '../context/AuthContext';
 import vaultService from '../services/vaultService';
+import authService from '../services/authService';
+import clientVaultService from '../services/clientVaultService';
+import recoveryService from '../services/recoveryService';
 
 const Settings = () => {
   const { user, updateUser } = useAuth();
@@ -26,6 +29,49 @@ const Settings = () => {
   });
 
   const [errors, setErrors] = useState({});
+  const [keyStatus, setKeyStatus] = useState(null);
+
+  // Social recovery
+  const [recovery, setRecovery] = useState(null);
+  const [approvalRequests, setApprovalRequests] = useState([]);
+  const [guardianData, setGuardianData] = useState({ guardians: '', threshold: 2 });
+
+  // Backup and restore
+  const [backupData, setBackupData] = useState({ passphrase: '', confirmPassphrase: '' });
+  const [restoreData, setRestoreData] = useState({ archive: null, passphrase: '', onConflict: 'skip', activateDID: true });
+  const [restoreReport, setRestoreReport] = useState(null);
+
+  useEffect(() => {
+    if (activeTab === 'security') {
+      loadKeyStatus();
+    }
+    if (activeTab === 'recovery') {
+      loadKeyStatus();
+      loadRecovery();
+    }
+  }, [activeTab]);
+
+  const loadRecovery = async () => {
+    try {
+      const [overview, approvals] = await Promise.all([
+        recoveryService.getOverview(),
+        recoveryService.getApprovalRequests(),
+      ]);
+      setRecovery(overview.data);
+      setApprovalRequests(approvals.data.requests);
+    } catch (err) {
+      console.error('Failed to load social recovery:', err);
+    }
+  };
+
+  const loadKeyStatus = async () => {
+    try {
+      const response = await vaultService.getKeyStatus();
+      setKeyStatus(response.data);
+    } catch (err) {
+      console.error('Failed to load vault key status:', err);
+    }
+  };
 
   const handleProfileChange = (e) => {
     const { name, value } = e.target;
@@ -105,6 +151,14 @@ const Settings = () => {
         body: JSON.stringify({
           currentPassword: passwordData.currentPassword,
           newPassword: passwordData.newPassword,
+          // The browser vault key is re-wrapped here, since the server can't unwrap it
+          ...(keyStatus?.clientKeyId && {
+            clientVault: await clientVaultService.rewrap(
+              passwordData.currentPassword,
+              passwordData.newPassword,
+              await clientVaultService.getRecord()
+            ),
+          }),
         }),
       });
 
@@ -127,27 +181,170 @@ const Settings = () => {
     }
   };
 
-  const handleExportVault = async () => {
+  const handleRotateKey = async () => {
+    const reason = prompt('Reason for rotating your vault key (optional):');
+    if (reason === null) return;
+
+    try {
+      setLoading(true);
+      const response = await vaultService.rotateKey(reason);
+      alert(response.message);
+      await loadKeyStatus();
+    } catch (err) {
+      alert(err.message || 'Failed to rotate vault key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnableVaultProtection = async () => {
+    const password = prompt('Enter your password to protect your vault key with it:');
+    if (!password) return;
+
+    try {
+      setLoading(true);
+      const data = await authService.enableVaultProtection(password);
+      alert(`Your vault is now password protected.\n\nRecovery code (shown only once - store it safely):\n${data.recoveryCode}`);
+      await loadKeyStatus();
+    } catch (err) {
+      alert(err.message || 'Failed to enable vault protection');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnableBrowserEncryption = async () => {
+    const password = prompt('Enter your password to wrap your browser vault key with it:');
+    if (!password) return;
+
+    try {
+      setLoading(true);
+      await clientVaultService.enable(password);
+      alert('Browser-side encryption enabled. New credentials can now be encrypted before they leave your browser.');
+      await loadKeyStatus();
+    } catch (err) {
+      alert(err.message || 'Failed to enable browser-side encryption');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfigureGuardians = async (e) => {
+    e.preventDefault();
+    const guardians = guardianData.guardians.split(/[\s,]+/).filter(Boolean);
+
+    try {
+      setLoading(true);
+      const response = await recoveryService.configureGuardians(guardians, Number(guardianData.threshold));
+      alert(response.message);
+      setGuardianData({ guardians: '', threshold: 2 });
+      await loadRecovery();
+    } catch (err) {
+      alert(err.message || 'Failed to set up social recovery');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisableRecovery = async () => {
+    if (!confirm('Remove your guardians? They will no longer be able to help you recover your vault.')) return;
+
+    try {
+      setLoading(true);
+      await recoveryService.disable();
+      await loadRecovery();
+    } catch (err) {
+      alert(err.message || 'Failed to disable social recovery');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Approve/decline as a guardian, or cancel a request made for this vault
+  const handleRecoveryAction = async (action, requestId) => {
+    if (action === 'approve' && !confirm('Only approve if you have confirmed with the vault owner that they asked for this. Approve?')) return;
+
+    try {
+      setLoading(true);
+      const response = await recoveryService[action](requestId);
+      alert(response.message);
+      await loadRecovery();
+    } catch (err) {
+      alert(err.message || 'Failed to update recovery request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateBackup = async (e) => {
+    e.preventDefault();
+
+    if (backupData.passphrase.length < 12) {
+      alert('Use a passphrase of at least 12 characters');
+      return;
+    }
+    if (backupData.passphrase !== backupData.confirmPassphrase) {
+      alert('Passphrases do not match');
+      return;
+    }
+
     try {
       setLoading(true);
-      const data = await vaultService.exportData();
+      const archive = await vaultService.createBackup(backupData.passphrase);
       
       // Create downloadable file
-      const blob = new Blob([JSON.stringify(data.data, null, 2)], { 
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { 
         type: 'application/json' 
       });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `vault-export-${new Date().toISOString()}.json`;
+      link.download = `vault-backup-${new Date().toISOString()}.json`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
       
-      alert('Vault data exported successfully!');
+      setBackupData({ passphrase: '', confirmPassphrase: '' });
+      alert('Vault backup created. Keep the passphrase safe - the backup cannot be restored without it.');
+    } catch (err) {
+      alert(err.message || 'Failed to create backup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackupFile = async (e) => {
+    const file = e.target.files[0];
+    setRestoreReport(null);
+
+    try {
+      const archive = file ? JSON.parse(await file.text()) : null;
+      setRestoreData(prev => ({ ...prev, archive }));
+    } catch {
+      alert('This file is not a vault backup');
+      setRestoreData(prev => ({ ...prev, archive: null }));
+    }
+  };
+
+  const handleRestoreBackup = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      const { archive, passphrase, onConflict, activateDID } = restoreData;
+      const response = await vaultService.restoreBackup(archive, passphrase, { onConflict, activateDID });
+      const { report } = response.data;
+      setRestoreReport(report);
+      setRestoreData(prev => ({ ...prev, passphrase: '' }));
+
+      // The backup's DID replaced the account's active DID
+      const activeDID = report.dids.restored.find(did => did.isActive);
+      if (activeDID) {
+        updateUser({ ...user, did: activeDID.did });
+      }
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to export vault');
+      alert(err.message || 'Failed to restore backup');
     } finally {
       setLoading(false);
     }
@@ -156,6 +353,7 @@ const Settings = () => {
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User },
     { id: 'security', label: 'Security', icon: Lock },
+    { id: 'recovery', label: 'Recovery', icon: Users },
     { id: 'data', label: 'Data Export', icon: Download },
   ];
 
@@ -290,49 +488,335 @@ const Settings = () => {
           </Card>
         )}
 
-        {/* Data Export Tab */}
-        {activeTab === 'data' && (
-          <Card>
-            <h2 className="text-xl font-semibold mb-6">Export Vault Data</h2>
-            <div className="space-y-4">
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                <p className="text-sm text-blue-800">
-                  Export all your DIDs, credentials, and vault data as a JSON file. 
-                  This can be used for backup or migration purposes.
+        {activeTab === 'security' && (
+          <Card className="mt-6">
+            <h2 className="text-xl font-semibold mb-2">Vault Encryption Key</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Rotate your vault key if you suspect it has leaked. Every credential is re-encrypted under the new key.
+            </p>
+
+            {keyStatus && (
+              <div className="space-y-3 mb-4 text-sm">
+                <p>
+                  <span className="font-medium">Current version:</span> v{keyStatus.version}
+                  <span className="ml-2 font-mono text-gray-500">{keyStatus.keyId}</span>
                 </p>
+                {keyStatus.rotation && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-yellow-800">
+                    Rotation to v{keyStatus.rotation.toVersion} in progress ({keyStatus.rotation.reEncrypted} re-encrypted so far)
+                  </div>
+                )}
+                {keyStatus.history.length > 0 && (
+                  <ul className="divide-y divide-gray-100">
+                    {[...keyStatus.history].reverse().map(entry => (
+                      <li key={entry.version} className="py-2 flex justify-between">
+                        <span>
+                          v{entry.version} by {entry.initiatedBy}
+                          {entry.reason && <span className="text-gray-500"> - {entry.reason}</span>}
+                        </span>
+                        <span className="text-gray-500">
+                          {new Date(entry.completedAt).toLocaleString()} · {entry.credentialsReEncrypted} credential(s)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
+            )}
 
-              <div>
-                <Button onClick={handleExportVault} disabled={loading}>
-                  <Download className="w-4 h-4 mr-2" />
-                  {loading ? 'Exporting...' : 'Export Vault Data'}
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-sm text-blue-800">
+              {keyStatus?.protection === 'password'
+                ? 'Zero-knowledge mode is on: your vault key is wrapped with your password and only unlocked while you are signed in.'
+                : 'Zero-knowledge mode is off: the server can unlock your vault key. Turn it on to wrap the key with your password; you will get a one-time recovery code.'}
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-sm text-blue-800">
+              {keyStatus?.clientKeyId
+                ? `Browser-side encryption is on (key ${keyStatus.clientKeyId}): credentials you choose to encrypt in the browser are never readable by the server. Your password is the only way to unlock that key.`
+                : 'Browser-side encryption is off. Turn it on to encrypt credentials in this browser before upload, with a key the server never sees.'}
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              {keyStatus && !keyStatus.clientKeyId && clientVaultService.isSupported() && (
+                <Button variant="outline" onClick={handleEnableBrowserEncryption} disabled={loading}>
+                  <Shield className="w-4 h-4 mr-2" />
+                  Enable Browser Encryption
                 </Button>
-              </div>
+              )}
+              {keyStatus && keyStatus.protection !== 'password' && (
+                <Button variant="outline" onClick={handleEnableVaultProtection} disabled={loading}>
+                  <Lock className="w-4 h-4 mr-2" />
+                  Enable Zero-Knowledge Mode
+                </Button>
+              )}
+              <Button variant="secondary" onClick={handleRotateKey} disabled={loading || !!keyStatus?.rotation}>
+                <KeyRound className="w-4 h-4 mr-2" />
+                {loading ? 'Rotating...' : 'Rotate Vault Key'}
+              </Button>
+            </div>
+          </Card>
+        )}
 
-              <div className="border-t pt-6 mt-6">
-                <h3 className="text-lg font-medium mb-3">What's included?</h3>
-                <ul className="space-y-2 text-sm text-gray-600">
-                  <li className="flex items-center">
-                    <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
-                    All your DIDs and DID documents
-                  </li>
-                  <li className="flex items-center">
-                    <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
-                    All stored credentials
-                  </li>
-                  <li className="flex items-center">
-                    <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
-                    Blockchain transaction records
-                  </li>
-                  <li className="flex items-center">
-                    <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
-                    Account metadata
-                  </li>
+        {/* Recovery Tab */}
+        {activeTab === 'recovery' && (
+          <Card>
+            <h2 className="text-xl font-semibold mb-2">Social Recovery</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Name guardians (other users of this vault) who can together help you recover a password-protected vault
+              if you lose both your password and your recovery code. Each guardian holds an encrypted share; no fewer
+              than the threshold can recover anything.
+            </p>
+
+            {recovery?.socialRecovery && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4 text-sm text-green-800">
+                {recovery.socialRecovery.threshold} of {recovery.socialRecovery.guardians.length} guardians can recover your vault:
+                <ul className="mt-2 font-mono">
+                  {recovery.socialRecovery.guardians.map(did => <li key={did}>{did}</li>)}
                 </ul>
               </div>
-            </div>
+            )}
+
+            {keyStatus && keyStatus.protection !== 'password' ? (
+              <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+                Social recovery is for password-protected vaults. Enable zero-knowledge mode on the Security tab first.
+              </div>
+            ) : (
+              <form onSubmit={handleConfigureGuardians} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Guardian DIDs (one per line)
+                  </label>
+                  <textarea
+                    value={guardianData.guardians}
+                    onChange={(e) => setGuardianData(prev => ({ ...prev, guardians: e.target.value }))}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                    placeholder="did:vault:..."
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Approvals needed
+                  </label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={guardianData.threshold}
+                    onChange={(e) => setGuardianData(prev => ({ ...prev, threshold: e.target.value }))}
+                  />
+                </div>
+                <div className="flex justify-end space-x-3">
+                  {recovery?.socialRecovery && (
+                    <Button type="button" variant="outline" onClick={handleDisableRecovery} disabled={loading}>
+                      Remove Guardians
+                    </Button>
+                  )}
+                  <Button type="submit" disabled={loading}>
+                    <Users className="w-4 h-4 mr-2" />
+                    {recovery?.socialRecovery ? 'Replace Guardians' : 'Set Up Guardians'}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </Card>
+        )}
+
+        {activeTab === 'recovery' && approvalRequests.length > 0 && (
+          <Card className="mt-6">
+            <h2 className="text-xl font-semibold mb-4">Waiting for Your Approval</h2>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {approvalRequests.map(request => (
+                <li key={request.requestId} className="py-3 flex items-center justify-between">
+                  <span>
+                    <span className="font-medium">{request.owner.username}</span> ({request.owner.email}) asked to recover their vault
+                    <span className="block text-gray-500">
+                      {request.approvals} of {request.threshold} approvals · expires {new Date(request.expiresAt).toLocaleString()}
+                    </span>
+                  </span>
+                  {request.decision ? (
+                    <span className="text-gray-500">You {request.decision}</span>
+                  ) : (
+                    <span className="flex space-x-2">
+                      <Button variant="outline" onClick={() => handleRecoveryAction('decline', request.requestId)} disabled={loading}>
+                        <X className="w-4 h-4 mr-1" />
+                        Decline
+                      </Button>
+                      <Button onClick={() => handleRecoveryAction('approve', request.requestId)} disabled={loading}>
+                        <Check className="w-4 h-4 mr-1" />
+                        Approve
+                      </Button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </Card>
+        )}
+
+        {activeTab === 'recovery' && recovery?.requests.length > 0 && (
+          <Card className="mt-6">
+            <h2 className="text-xl font-semibold mb-4">Recovery Requests for Your Vault</h2>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {recovery.requests.map(request => (
+                <li key={request.requestId} className="py-3">
+                  <div className="flex items-center justify-between">
+                    <span>
+                      <span className="font-medium">{request.status}</span>
+                      <span className="ml-2 text-gray-500">
+                        {new Date(request.createdAt).toLocaleString()} · {request.approvals} of {request.threshold} approvals
+                      </span>
+                    </span>
+                    {['pending', 'approved'].includes(request.status) && (
+                      <Button variant="outline" onClick={() => handleRecoveryAction('cancel', request.requestId)} disabled={loading}>
+                        Cancel
+                      </Button>
+                    )}
+                  </div>
+                  <ul className="mt-2 text-xs text-gray-500 space-y-1">
+                    {request.history.map((entry, index) => (
+                      <li key={index}>
+                        {new Date(entry.at).toLocaleString()} - {entry.action}
+                        {entry.actor && ` by ${entry.actor}`}
+                        {entry.ip && ` from ${entry.ip}`}
+                        {entry.note && ` (${entry.note})`}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
           </Card>
         )}
+
+        {/* Data Export Tab */}
+        {activeTab === 'data' && (
+          <div className="space-y-6">
+            <Card>
+              <h2 className="text-xl font-semibold mb-6">Export Vault Data</h2>
+              <div className="space-y-4">
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                  <p className="text-sm text-blue-800">
+                    Download an encrypted backup of your vault. It can be restored into a new account
+                    or on another deployment, and only opens with the passphrase you choose here.
+                  </p>
+                </div>
+
+                <form onSubmit={handleCreateBackup} className="space-y-4 max-w-md">
+                  <Input
+                    label="Backup Passphrase"
+                    type="password"
+                    value={backupData.passphrase}
+                    onChange={(e) => setBackupData(prev => ({ ...prev, passphrase: e.target.value }))}
+                    placeholder="At least 12 characters"
+                    required
+                  />
+                  <Input
+                    label="Confirm Passphrase"
+                    type="password"
+                    value={backupData.confirmPassphrase}
+                    onChange={(e) => setBackupData(prev => ({ ...prev, confirmPassphrase: e.target.value }))}
+                    required
+                  />
+                  <Button type="submit" disabled={loading}>
+                    <Download className="w-4 h-4 mr-2" />
+                    {loading ? 'Exporting...' : 'Export Vault Data'}
+                  </Button>
+                </form>
+
+                <div className="border-t pt-6 mt-6">
+                  <h3 className="text-lg font-medium mb-3">What's included?</h3>
+                  <ul className="space-y-2 text-sm text-gray-600">
+                    <li className="flex items-center">
+                      <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
+                      Your DIDs and DID documents, with the signing key of your active DID
+                    </li>
+                    <li className="flex items-center">
+                      <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
+                      The credentials you created, with their encrypted subjects
+                    </li>
+                    <li className="flex items-center">
+                      <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
+                      IPFS CIDs and blockchain transaction records
+                    </li>
+                    <li className="flex items-center">
+                      <span className="w-2 h-2 bg-primary-500 rounded-full mr-3"></span>
+                      Your vault key, so the subjects can be re-encrypted wherever you restore
+                    </li>
+                  </ul>
+                </div>
+              </div>
+            </Card>
+
+            <Card>
+              <h2 className="text-xl font-semibold mb-6">Restore a Backup</h2>
+              <form onSubmit={handleRestoreBackup} className="space-y-4 max-w-md">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Backup File</label>
+                  <input type="file" accept="application/json,.json" onChange={handleBackupFile} className="text-sm" />
+                  {restoreData.archive?.summary && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {restoreData.archive.summary.dids} DID(s), {restoreData.archive.summary.credentials} credential(s)
+                      · created {new Date(restoreData.archive.createdAt).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+                <Input
+                  label="Backup Passphrase"
+                  type="password"
+                  value={restoreData.passphrase}
+                  onChange={(e) => setRestoreData(prev => ({ ...prev, passphrase: e.target.value }))}
+                  required
+                />
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    When a credential ID or hash already exists
+                  </label>
+                  <select
+                    value={restoreData.onConflict}
+                    onChange={(e) => setRestoreData(prev => ({ ...prev, onConflict: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="skip">Keep the existing credential</option>
+                    <option value="overwrite">Replace it with the backup's copy</option>
+                  </select>
+                </div>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={restoreData.activateDID}
+                    onChange={(e) => setRestoreData(prev => ({ ...prev, activateDID: e.target.checked }))}
+                    className="mr-2"
+                  />
+                  Make the backup's DID my active DID
+                </label>
+                <Button type="submit" disabled={loading || !restoreData.archive}>
+                  <Upload className="w-4 h-4 mr-2" />
+                  {loading ? 'Restoring...' : 'Restore Backup'}
+                </Button>
+              </form>
+
+              {restoreReport && (
+                <div className="border-t pt-4 mt-6 text-sm space-y-2">
+                  <p>
+                    Restored {restoreReport.dids.restored.length} DID(s) and {restoreReport.credentials.restored} credential(s)
+                    {restoreReport.credentials.overwritten > 0 && ` (${restoreReport.credentials.overwritten} replaced)`}.
+                  </p>
+                  {[...restoreReport.dids.skipped, ...restoreReport.credentials.skipped].length > 0 && (
+                    <ul className="text-gray-600 space-y-1">
+                      {restoreReport.dids.skipped.map(entry => (
+                        <li key={entry.did} className="font-mono text-xs">{entry.did}: {entry.reason}</li>
+                      ))}
+                      {restoreReport.credentials.skipped.map(entry => (
+                        <li key={entry.credentialId} className="font-mono text-xs">{entry.credentialId}: {entry.reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </Card>
+          </div>
+        )}
       </div>
     </Layout>
   );
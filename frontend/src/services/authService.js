@@ -1,4 +1,5 @@
 import api from './api';
+import clientVaultService from './clientVaultService';
 
 const authService = {
   // Register a new user
@@ -24,6 +25,14 @@ const authService = {
         localStorage.setItem('refreshToken', response.data.refreshToken);
       }
     }
+    // Unlock browser-side encryption with the password while we still have it
+    if (response.data?.clientVault) {
+      try {
+        await clientVaultService.unlock(credentials.password, response.data.clientVault);
+      } catch (err) {
+        console.error('Failed to unlock browser vault:', err);
+      }
+    }
     return response.data;
   },
 
@@ -34,6 +43,7 @@ const authService = {
     } finally {
       localStorage.removeItem('token');
       localStorage.removeItem('user');
+      await clientVaultService.lock().catch(() => {});
     }
   },
 
@@ -55,6 +65,18 @@ const authService = {
     return response.data;
   },
 
+  // Enable password protection (zero-knowledge mode) for the vault key
+  enableVaultProtection: async (password) => {
+    const response = await api.post('/auth/vault-protection', { password });
+    return response.data;
+  },
+
+  // Reset the password of a password-protected vault with its recovery code
+  recoverVault: async (recoveryData) => {
+    const response = await api.post('/auth/recover-vault', recoveryData);
+    return response.data;
+  },
+
   // Check if user is authenticated
   isAuthenticated: () => {
     return !!localStorage.getItem('token');
@@ -0,0 +1,275 @@
+import api from './api';
+
+// Browser-side encryption: the client vault key is created here and never leaves the browser
+// unwrapped. The server keeps it wrapped with a key derived from the password and only ever
+// receives ciphertext plus the subject digest the issuer's proof commits to.
+// Envelopes use the same format as the backend (see EncryptionService.encryptCredential).
+
+const PBKDF2_ITERATIONS = 310000;
+const DB_NAME = 'did-vault';
+const STORE_NAME = 'client-keys';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+
+const toPem = (spki) => {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(spki)));
+  return `-----BEGIN PUBLIC KEY-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----\n`;
+};
+
+const fromPem = (pem) => {
+  const base64 = pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s/g, '');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+const sha256Hex = async (data) => toHex(await crypto.subtle.digest('SHA-256', data));
+
+// Same canonical form as the backend (utils/crypto canonicalize), so digests match
+const canonicalize = (data) => {
+  if (data === null || typeof data !== 'object') {
+    return JSON.stringify(data);
+  }
+  if (Array.isArray(data)) {
+    return `[${data.map((item) => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  const entries = Object.keys(data)
+    .filter((key) => data[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(data[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+// AES-256-GCM; WebCrypto appends the 16-byte tag to the ciphertext, the envelope keeps it apart
+const seal = async (key, plaintext, associatedData) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: encoder.encode(associatedData) }, key, plaintext)
+  );
+  return {
+    iv: toHex(iv),
+    authTag: toHex(sealed.slice(-16)),
+    encryptedData: toHex(sealed.slice(0, -16)),
+  };
+};
+
+const open = async (key, { iv, authTag, encryptedData }, associatedData) => {
+  const sealed = new Uint8Array([...fromHex(encryptedData), ...fromHex(authTag)]);
+  return new Uint8Array(
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromHex(iv), additionalData: encoder.encode(associatedData) }, key, sealed)
+  );
+};
+
+// Wrapped keys are stored as iv:tag:ciphertext, like the backend's wrapKey
+const wrap = async (key, secret, associatedData) => {
+  const { iv, authTag, encryptedData } = await seal(key, secret, associatedData);
+  return `${iv}:${authTag}:${encryptedData}`;
+};
+
+const unwrap = (key, wrapped, associatedData) => {
+  const [iv, authTag, encryptedData] = wrapped.split(':');
+  return open(key, { iv, authTag, encryptedData }, associatedData);
+};
+
+const deriveWrappingKey = async (password, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromHex(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const importVaultKey = (rawKey) =>
+  crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+// Unlocked keys are kept non-extractable in IndexedDB, so they survive a reload but can't be read out
+const withStore = (mode, action) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const transaction = db.transaction(STORE_NAME, mode);
+      const result = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(result.result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    };
+  });
+
+const loadKeys = () => withStore('readonly', (store) => store.get('keys'));
+
+const unlockWithRawKey = async (rawKey, record) => {
+  const vaultKey = await importVaultKey(rawKey);
+  const pkcs8 = await unwrap(vaultKey, record.wrappedPrivateKey, 'client-vault-private-key');
+  const privateKey = await crypto.subtle.importKey(
+    'pkcs8',
+    pkcs8,
+    { name: 'RSA-OAEP', hash: 'SHA-256' },
+    false,
+    ['decrypt']
+  );
+
+  await withStore('readwrite', (store) => store.put({ keyId: record.keyId, vaultKey, privateKey }, 'keys'));
+};
+
+const clientVaultService = {
+  isSupported: () => !!(window.crypto?.subtle && window.indexedDB),
+
+  // Create the browser vault key and register its wrapped form with the server
+  enable: async (password) => {
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const wrappingKey = await deriveWrappingKey(password, salt, PBKDF2_ITERATIONS);
+
+    // Lets other issuers encrypt holder copies for this browser
+    const keyPair = await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const vaultKey = await importVaultKey(rawKey);
+
+    const record = {
+      keyId: (await sha256Hex(rawKey)).substring(0, 16),
+      wrappedKey: await wrap(wrappingKey, rawKey, 'client-vault-key'),
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      publicKey: toPem(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+      wrappedPrivateKey: await wrap(
+        vaultKey,
+        new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey)),
+        'client-vault-private-key'
+      ),
+    };
+
+    await api.put('/auth/client-vault', record);
+    await unlockWithRawKey(rawKey, record);
+    return record;
+  },
+
+  // Get the wrapped browser vault key from the server
+  getRecord: async () => {
+    const response = await api.get('/auth/client-vault');
+    return response.data.clientVault;
+  },
+
+  // Unwrap the browser vault key with the password
+  unlock: async (password, record) => {
+    const wrappingKey = await deriveWrappingKey(password, record.salt, record.iterations);
+    const rawKey = await unwrap(wrappingKey, record.wrappedKey, 'client-vault-key');
+    await unlockWithRawKey(rawKey, record);
+  },
+
+  // Wrap the browser vault key with a new password (sent along with the password change)
+  rewrap: async (currentPassword, newPassword, record) => {
+    const currentKey = await deriveWrappingKey(currentPassword, record.salt, record.iterations);
+    const rawKey = await unwrap(currentKey, record.wrappedKey, 'client-vault-key');
+
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const newKey = await deriveWrappingKey(newPassword, salt, PBKDF2_ITERATIONS);
+    return {
+      wrappedKey: await wrap(newKey, rawKey, 'client-vault-key'),
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+    };
+  },
+
+  lock: () => withStore('readwrite', (store) => store.delete('keys')),
+
+  isUnlocked: async () => !!(await loadKeys()),
+
+  // SHA-256 of the canonical subject, as committed to by the issuer's proof
+  computeSubjectDigest: (holder, subject) =>
+    sha256Hex(encoder.encode(JSON.stringify(canonicalize({ id: holder, ...subject })))),
+
+  // Encrypt a credential subject and build the pre-encrypted payload for POST /credentials
+  encryptCredential: async ({ holder, subject, ...fields }) => {
+    const keys = await loadKeys();
+    if (!keys) {
+      throw new Error('Browser vault is locked. Log in again to unlock it');
+    }
+
+    const credentialId = crypto.randomUUID();
+    const plaintext = encoder.encode(JSON.stringify(subject));
+
+    const encryptedSubject = {
+      version: 2,
+      algorithm: 'aes-256-gcm',
+      keyId: keys.keyId,
+      associatedData: credentialId,
+      ...(await seal(keys.vaultKey, plaintext, credentialId)),
+    };
+
+    // A holder who enabled browser-side encryption gets a copy under a content key wrapped for them
+    let holderCopy = null;
+    const recipient = await api.get(`/vault/client-key/${encodeURIComponent(holder)}`).catch(() => null);
+    if (recipient) {
+      const contentKey = crypto.getRandomValues(new Uint8Array(32));
+      const publicKey = await crypto.subtle.importKey(
+        'spki',
+        fromPem(recipient.data.publicKey),
+        { name: 'RSA-OAEP', hash: 'SHA-256' },
+        false,
+        ['encrypt']
+      );
+
+      holderCopy = {
+        version: 2,
+        algorithm: 'aes-256-gcm',
+        keyId: (await sha256Hex(contentKey)).substring(0, 16),
+        associatedData: credentialId,
+        ...(await seal(await importVaultKey(contentKey), plaintext, credentialId)),
+        wrappedKey: {
+          version: 2,
+          algorithm: 'rsa-oaep-256',
+          keyId: recipient.data.keyId,
+          encryptedData: toHex(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, contentKey)),
+        },
+      };
+    }
+
+    return {
+      ...fields,
+      credentialId,
+      holder,
+      encryptedSubject,
+      holderCopy,
+      subjectDigest: await clientVaultService.computeSubjectDigest(holder, subject),
+    };
+  },
+
+  // Decrypt an issuer copy, or a holder copy wrapped for this browser
+  decryptSubject: async (envelope) => {
+    const keys = await loadKeys();
+    if (!keys) {
+      throw new Error('Browser vault is locked. Log in again to unlock it');
+    }
+
+    let key = keys.vaultKey;
+    if (envelope.wrappedKey) {
+      const contentKey = await crypto.subtle.decrypt(
+        { name: 'RSA-OAEP' },
+        keys.privateKey,
+        fromHex(envelope.wrappedKey.encryptedData)
+      );
+      key = await importVaultKey(contentKey);
+    } else if (envelope.keyId !== keys.keyId) {
+      throw new Error('Credential was encrypted under a different browser vault key');
+    }
+
+    return JSON.parse(decoder.decode(await open(key, envelope, envelope.associatedData)));
+  },
+};
+
+export default clientVaultService;
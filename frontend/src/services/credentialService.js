@@ -17,9 +17,9 @@ const credentialService = {
     return await api.get(`/credentials${params ? `?${params}` : ''}`);
   },
 
-  // Get a specific credential
-  getCredential: async (credentialId) => {
-    return await api.get(`/credentials/${credentialId}`);
+  // Get a specific credential (decrypt=true returns the subject decrypted with your own key)
+  getCredential: async (credentialId, decrypt = false) => {
+    return await api.get(`/credentials/${credentialId}${decrypt ? '?decrypt=true' : ''}`);
   },
 
   // Get a specific credential (alias)
@@ -62,12 +62,48 @@ const credentialService = {
     return await api.post(`/credentials/${credentialId}/revoke`, { reason });
   },
 
+  // Suspend credential (optionally until a reinstate date)
+  suspendCredential: async (credentialId, reason, reinstateAt) => {
+    return await api.post(`/credentials/${credentialId}/suspend`, {
+      reason,
+      ...(reinstateAt && { reinstateAt }),
+    });
+  },
+
+  // Reinstate a suspended credential
+  reinstateCredential: async (credentialId, reason) => {
+    return await api.post(`/credentials/${credentialId}/reinstate`, {
+      ...(reason && { reason }),
+    });
+  },
+
+  // Export credential as a W3C Verifiable Credential (JSON-LD)
+  exportVC: async (credentialId) => {
+    return await api.get(`/credentials/${credentialId}/vc`);
+  },
+
+  // Import a W3C Verifiable Credential (JSON-LD) under the id it was issued with (urn:uuid:<credentialId>)
+  importVC: async (verifiableCredential) => {
+    const credentialId = String(verifiableCredential.id || '').replace(/^urn:uuid:/, '');
+    return await api.put(`/credentials/${credentialId}/vc`, verifiableCredential);
+  },
+
+  // Selectively disclose subject claims as an SD-JWT
+  disclose: async (credentialId, claims) => {
+    return await api.post(`/credentials/${credentialId}/disclose`, { claims });
+  },
+
   // Share credential
   share: async (credentialId, shareData) => {
     return await api.post(`/credentials/${credentialId}/share`, shareData);
   },
 
   // PUBLIC VERIFICATION (No authentication required)
+  // Verify a pasted JWT-VC or SD-JWT without login
+  verifyJwt: async (jwt) => {
+    return await api.post('/credentials/public/verify', { jwt });
+  },
+
   // Verify credential by hash without login
   verifyByHash: async (credentialHash) => {
     return await api.post('/credentials/public/verify-hash', { credentialHash });
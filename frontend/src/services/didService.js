@@ -1,5 +1,6 @@
 import api from './api';
 
+// did:web identifiers carry percent-encoded ports (did:web:localhost%3A3000), so DIDs in paths are always encoded
 const didService = {
   // Create a new DID
   create: async (didData) => {
@@ -13,52 +14,87 @@ const didService = {
 
   // Get a specific DID
   getDID: async (didId) => {
-    return await api.get(`/did/${didId}`);
+    return await api.get(`/did/${encodeURIComponent(didId)}`);
   },
 
   // Get a specific DID (alias)
   getById: async (didId) => {
-    return await api.get(`/did/${didId}`);
+    return await api.get(`/did/${encodeURIComponent(didId)}`);
   },
 
   // Resolve a DID
   resolve: async (did) => {
-    return await api.get(`/did/resolve/${encodeURIComponent(did)}`);
+    return await api.get(`/did/${encodeURIComponent(did)}/resolve`);
+  },
+
+  // List the versions of a DID document with their changes, oldest first
+  getVersions: async (did) => {
+    return await api.get(`/did/${encodeURIComponent(did)}/versions`);
   },
 
   // Update DID
   update: async (didId, updateData) => {
-    return await api.put(`/did/${didId}`, updateData);
+    return await api.put(`/did/${encodeURIComponent(didId)}`, updateData);
   },
 
   // Add service endpoint to DID
   addService: async (didId, serviceData) => {
-    return await api.post(`/did/${didId}/service`, serviceData);
+    return await api.post(`/did/${encodeURIComponent(didId)}/service`, serviceData);
   },
 
   // Remove service endpoint from DID
   removeService: async (didId, serviceId) => {
-    return await api.delete(`/did/${didId}/service/${serviceId}`);
+    return await api.delete(`/did/${encodeURIComponent(didId)}/service/${serviceId}`);
+  },
+
+  // List verification methods and key change history
+  getKeys: async (did) => {
+    return await api.get(`/did/${encodeURIComponent(did)}/keys`);
+  },
+
+  // Add a verification method ({ relationships: ['authentication', 'assertionMethod'] } moves them to it)
+  addKey: async (did, keyData) => {
+    return await api.post(`/did/${encodeURIComponent(did)}/keys`, keyData);
+  },
+
+  // Revoke a verification method by fragment (keys-1)
+  revokeKey: async (did, keyId, reason) => {
+    return await api.delete(`/did/${encodeURIComponent(did)}/keys/${keyId}`, { data: { reason } });
+  },
+
+  // Move verification relationships ({ authentication, assertionMethod })
+  setRelationships: async (did, relationships) => {
+    return await api.put(`/did/${encodeURIComponent(did)}/relationships`, relationships);
   },
 
-  // Deactivate DID
-  deactivateDID: async (didId) => {
-    return await api.post(`/did/${didId}/deactivate`);
+  // Preview what a deactivation would do to credentials and OAuth grants (policy overrides the defaults)
+  getDeactivationPreview: async (didId, policy = {}) => {
+    return await api.get(`/did/${encodeURIComponent(didId)}/deactivation-preview`, { params: policy });
+  },
+
+  // Deactivate DID ({ reason, policy: { issuedCredentials, heldCredentials, oauthGrants, anchorOnChain } })
+  deactivateDID: async (didId, options = {}) => {
+    return await api.post(`/did/${encodeURIComponent(didId)}/deactivate`, options);
   },
 
   // Deactivate DID (alias)
-  deactivate: async (didId) => {
-    return await api.post(`/did/${didId}/deactivate`);
+  deactivate: async (didId, options = {}) => {
+    return await api.post(`/did/${encodeURIComponent(didId)}/deactivate`, options);
+  },
+
+  // Preview what a reactivation would restore
+  getReactivationPreview: async (didId) => {
+    return await api.get(`/did/${encodeURIComponent(didId)}/reactivation-preview`);
   },
 
   // Reactivate DID
   reactivateDID: async (didId) => {
-    return await api.post(`/did/${didId}/reactivate`);
+    return await api.post(`/did/${encodeURIComponent(didId)}/reactivate`);
   },
 
   // Reactivate DID (alias)
   reactivate: async (didId) => {
-    return await api.post(`/did/${didId}/reactivate`);
+    return await api.post(`/did/${encodeURIComponent(didId)}/reactivate`);
   },
 };
 
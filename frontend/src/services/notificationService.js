@@ -0,0 +1,15 @@
+import api from './api';
+
+const notificationService = {
+  // Get notifications (e.g. credential expiry warnings)
+  getNotifications: async (unread = false) => {
+    return await api.get('/notifications', { params: { unread } });
+  },
+
+  // Mark a notification as read
+  markRead: async (notificationId) => {
+    return await api.patch(`/notifications/${notificationId}/read`);
+  },
+};
+
+export default notificationService;
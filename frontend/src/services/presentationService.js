@@ -0,0 +1,16 @@
+import api from './api';
+
+const presentationService = {
+  // Create a holder-signed presentation for a verifier's challenge and domain
+  create: async (credentialIds, challenge, domain) => {
+    return await api.post('/presentations', { credentialIds, challenge, domain });
+  },
+
+  // PUBLIC VERIFICATION (No authentication required)
+  // Verify a presentation against the challenge and domain the verifier issued
+  verify: async (presentation, challenge, domain) => {
+    return await api.post('/presentations/verify', { presentation, challenge, domain });
+  },
+};
+
+export default presentationService;
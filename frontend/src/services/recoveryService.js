@@ -0,0 +1,55 @@
+import api from './api';
+
+const recoveryService = {
+  // Get the guardian setup and the recovery requests made for this vault
+  getOverview: async () => {
+    return await api.get('/recovery');
+  },
+
+  // Nominate guardians (DIDs) and how many of them must approve a recovery
+  configureGuardians: async (guardians, threshold) => {
+    return await api.put('/recovery/guardians', { guardians, threshold });
+  },
+
+  // Remove the guardians
+  disable: async () => {
+    return await api.delete('/recovery/guardians');
+  },
+
+  // Get the recovery requests waiting for this user's approval as a guardian
+  getApprovalRequests: async () => {
+    return await api.get('/recovery/approvals');
+  },
+
+  approve: async (requestId) => {
+    return await api.post(`/recovery/requests/${requestId}/approve`);
+  },
+
+  decline: async (requestId) => {
+    return await api.post(`/recovery/requests/${requestId}/decline`);
+  },
+
+  // Cancel a recovery request made for this vault
+  cancel: async (requestId) => {
+    return await api.post(`/recovery/requests/${requestId}/cancel`);
+  },
+
+  // Ask the guardians of an account to approve its recovery (returns the one-time ticket)
+  startRecovery: async (email) => {
+    const response = await api.post('/recovery/requests', { email });
+    return response.data;
+  },
+
+  getRequest: async (requestId) => {
+    const response = await api.get(`/recovery/requests/${requestId}`);
+    return response.data.request;
+  },
+
+  // Set a new password once enough guardians approved
+  completeRecovery: async (requestId, ticket, newPassword) => {
+    const response = await api.post(`/recovery/requests/${requestId}/complete`, { ticket, newPassword });
+    return response.data;
+  },
+};
+
+export default recoveryService;
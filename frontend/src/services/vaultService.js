@@ -11,6 +11,27 @@ const vaultService = {
     return await api.get('/vault/export');
   },
 
+  // Create a passphrase-encrypted backup archive (DIDs, keys and credentials)
+  createBackup: async (passphrase) => {
+    const response = await api.post('/vault/backup', { passphrase });
+    return response.data.archive;
+  },
+
+  // Restore a backup archive into this account
+  restoreBackup: async (archive, passphrase, { onConflict, activateDID }) => {
+    return await api.post('/vault/restore', { archive, passphrase, onConflict, activateDID });
+  },
+
+  // Get vault key version, rotation progress and history
+  getKeyStatus: async () => {
+    return await api.get('/vault/key');
+  },
+
+  // Rotate the vault key (re-encrypts every credential)
+  rotateKey: async (reason) => {
+    return await api.post('/vault/key/rotate', { reason });
+  },
+
   // Get connected/authorized apps
   getConnectedApps: async () => {
     return await api.get('/oauth/connected-apps');